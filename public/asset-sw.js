@@ -0,0 +1,100 @@
+/**
+ * Offline asset responses for the service worker.
+ *
+ * Imported by the generated Workbox service worker (vite.config.js). The app
+ * stores assets with a stable public URL in Cache Storage when they are
+ * cached for offline use (src/storage/assetResponseCache.js). Requests for
+ * those URLs still go to the network first; when that fails, or the browser
+ * is offline, the cached body is served instead, sliced for Range requests.
+ * This worker never writes to the cache, so an asset is never stored twice.
+ */
+
+// Must match ASSET_RESPONSE_CACHE in src/storage/assetResponseCache.js
+const ASSET_RESPONSE_CACHE = 'radia-asset-responses';
+
+// Splat formats registered in src/formats
+const ASSET_EXTENSIONS = ['.ply', '.sog', '.spz', '.splat'];
+
+const isAssetRequest = (request) => {
+  if (request.method !== 'GET' || request.mode === 'navigate') return false;
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(request.url).pathname).toLowerCase();
+  } catch {
+    return false;
+  }
+  return ASSET_EXTENSIONS.some((ext) => pathname.endsWith(ext));
+};
+
+const toCacheUrl = (url) => {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  return parsed.href;
+};
+
+/**
+ * Parse a single-range `bytes=` header against a body size.
+ * @returns {{ start: number, end: number } | 'unsatisfiable' | null} Null when absent or unsupported
+ */
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+  if (start > end || start >= size) return 'unsatisfiable';
+  return { start, end };
+};
+
+const respondFromCache = async (request, cached) => {
+  const range = request.headers.get('Range');
+  if (!range) return cached;
+
+  const blob = await cached.blob();
+  const parsed = parseRange(range, blob.size);
+  if (parsed === 'unsatisfiable') {
+    return new Response(null, {
+      status: 416,
+      statusText: 'Range Not Satisfiable',
+      headers: { 'Content-Range': `bytes */${blob.size}` },
+    });
+  }
+  if (!parsed) return new Response(blob, { status: 200, headers: cached.headers });
+
+  const { start, end } = parsed;
+  const headers = new Headers(cached.headers);
+  headers.set('Content-Range', `bytes ${start}-${end}/${blob.size}`);
+  headers.set('Content-Length', String(end - start + 1));
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    statusText: 'Partial Content',
+    headers,
+  });
+};
+
+const handleAssetRequest = async (request) => {
+  const cache = await caches.open(ASSET_RESPONSE_CACHE);
+  const cached = await cache.match(toCacheUrl(request.url));
+  if (!cached) return fetch(request);
+
+  if (self.navigator.onLine === false) {
+    return respondFromCache(request, cached);
+  }
+  try {
+    return await fetch(request);
+  } catch (err) {
+    return respondFromCache(request, cached);
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  if (!isAssetRequest(event.request)) return;
+  event.respondWith(handleAssetRequest(event.request));
+});
@@ -4,6 +4,7 @@
 import { useStore } from './store.js';
 import { clearBackground } from './backgroundManager.js';
 import { savePreviewBlob } from './fileStorage.js';
+import { getAssetKey } from './storage/assetKeys.js';
 import { ensureSplatEntry, getSplatCache } from './splatManager.js';
 import { isImmersiveModeActive, pauseImmersiveMode, resumeImmersiveMode } from './immersiveMode.js';
 import {
@@ -106,6 +107,7 @@ const loadSplatFileFast = async (asset) => {
 
     store.setFileInfo({
       name: asset.name,
+      storageKey: getAssetKey(asset),
       size: formatBytes(asset.file?.size ?? asset.size),
       splatCount: entry.mesh?.packedSplats?.numSplats ?? '-',
     });
@@ -206,11 +208,11 @@ export const generateAllPreviews = async (options = {}) => {
 
         const result = await captureCurrentAssetPreview();
         if (result?.blob) {
-          await savePreviewBlob(asset.name, result.blob, {
+          await savePreviewBlob(getAssetKey(asset), result.blob, {
             width: result.width,
             height: result.height,
             format: result.format,
-          }, asset.previewStorageKey || asset.name);
+          }, asset.previewStorageKey || getAssetKey(asset));
           const updateIndex = resolveAssetIndexForUpdate(asset, i);
           if (updateIndex >= 0) {
             store.updateAssetPreview(updateIndex, asset.preview);
@@ -0,0 +1,363 @@
+/**
+ * Camera pose import for splats trained from COLMAP or nerfstudio pipelines.
+ *
+ * Supported inputs:
+ *   COLMAP text   - cameras.txt + images.txt
+ *   COLMAP binary - cameras.bin + images.bin
+ *   nerfstudio / instant-ngp - transforms.json (camera-to-world, OpenGL axes)
+ *
+ * Every registered image becomes a custom view payload (the same shape as
+ * captureCustomMetadataPayload) for addCustomMetadataViewForAsset. Poses are
+ * moved into viewer space with the CV→GL flip that custom splats are displayed
+ * with, and intrinsics are reduced to a vertical FOV plus aspect ratio.
+ */
+
+import { THREE } from "./viewer.js";
+import { makeAxisFlipCvToGl } from "./cameraUtils.js";
+import { makeConventionMatrix, normalizeCoordinateConvention } from "./coordinateConventions.js";
+
+// COLMAP camera models: binary id → [name, number of params]
+const COLMAP_CAMERA_MODELS = {
+  0: ["SIMPLE_PINHOLE", 3],
+  1: ["PINHOLE", 4],
+  2: ["SIMPLE_RADIAL", 4],
+  3: ["RADIAL", 5],
+  4: ["OPENCV", 8],
+  5: ["OPENCV_FISHEYE", 8],
+  6: ["FULL_OPENCV", 12],
+  7: ["FOV", 5],
+  8: ["SIMPLE_RADIAL_FISHEYE", 4],
+  9: ["RADIAL_FISHEYE", 5],
+  10: ["THIN_PRISM_FISHEYE", 12],
+};
+
+// Models whose params start with fx, fy; all others start with a single f.
+const SEPARATE_FOCAL_MODELS = new Set(["PINHOLE", "OPENCV", "OPENCV_FISHEYE", "FULL_OPENCV", "FOV", "THIN_PRISM_FISHEYE"]);
+
+const DEFAULT_FOV = 50;
+const DEFAULT_FOCUS_DISTANCE = 1;
+const textDecoder = new TextDecoder("utf-8");
+
+const importError = (message) => {
+  const err = new Error(message);
+  err.code = "UNSUPPORTED_CAMERA_FILES";
+  return err;
+};
+
+const getFileName = (path) => String(path || "").split(/[\\/]/).pop();
+
+const verticalFovFromFocal = (focalY, height) =>
+  THREE.MathUtils.radToDeg(2 * Math.atan(height / (2 * focalY)));
+
+const describeColmapCamera = (model, width, height, params) => {
+  const focalY = SEPARATE_FOCAL_MODELS.has(model) ? params[1] : params[0];
+  return {
+    fov: focalY > 0 && height > 0 ? verticalFovFromFocal(focalY, height) : DEFAULT_FOV,
+    aspectRatio: width > 0 && height > 0 ? width / height : null,
+  };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// COLMAP parsers
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Parse cameras.txt: `CAMERA_ID MODEL WIDTH HEIGHT PARAMS[]`
+ * @returns {Map<number, { fov: number, aspectRatio: number | null }>}
+ */
+export const parseColmapCamerasText = (text) => {
+  const cameras = new Map();
+  for (const line of text.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) continue;
+    const [id, model, width, height, ...params] = trimmed.split(/\s+/);
+    cameras.set(Number(id), describeColmapCamera(model, Number(width), Number(height), params.map(Number)));
+  }
+  return cameras;
+};
+
+/**
+ * Parse images.txt. Each image takes two lines; the second (POINTS2D) may be empty.
+ * @returns {Array<{ name: string, cameraId: number, quaternion: number[], translation: number[] }>}
+ *   quaternion is COLMAP's (qw, qx, qy, qz) world-to-camera rotation
+ */
+export const parseColmapImagesText = (text) => {
+  const images = [];
+  let expectImageLine = true;
+  for (const line of text.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (trimmed.startsWith("#")) continue;
+    if (!expectImageLine) {
+      expectImageLine = true;
+      continue;
+    }
+    if (!trimmed) continue;
+
+    const fields = trimmed.split(/\s+/);
+    if (fields.length < 10) {
+      throw importError(`Malformed images.txt line: ${trimmed.slice(0, 80)}`);
+    }
+    images.push({
+      name: fields.slice(9).join(" "),
+      cameraId: Number(fields[8]),
+      quaternion: fields.slice(1, 5).map(Number),
+      translation: fields.slice(5, 8).map(Number),
+    });
+    expectImageLine = false;
+  }
+  return images;
+};
+
+const createBinaryReader = (buffer) => {
+  const view = new DataView(buffer);
+  let offset = 0;
+  const ensure = (bytes) => {
+    if (offset + bytes > view.byteLength) throw importError("Unexpected end of COLMAP binary file");
+  };
+  return {
+    int32() {
+      ensure(4);
+      const value = view.getInt32(offset, true);
+      offset += 4;
+      return value;
+    },
+    uint64() {
+      ensure(8);
+      const value = Number(view.getBigUint64(offset, true));
+      offset += 8;
+      return value;
+    },
+    float64() {
+      ensure(8);
+      const value = view.getFloat64(offset, true);
+      offset += 8;
+      return value;
+    },
+    cString() {
+      const start = offset;
+      while (offset < view.byteLength && view.getUint8(offset) !== 0) offset += 1;
+      ensure(1);
+      const value = textDecoder.decode(new Uint8Array(buffer, start, offset - start));
+      offset += 1;
+      return value;
+    },
+    skip(bytes) {
+      ensure(bytes);
+      offset += bytes;
+    },
+  };
+};
+
+/** Parse cameras.bin (same result shape as parseColmapCamerasText). */
+export const parseColmapCamerasBinary = (buffer) => {
+  const reader = createBinaryReader(buffer);
+  const cameras = new Map();
+  const count = reader.uint64();
+  for (let i = 0; i < count; i += 1) {
+    const id = reader.int32();
+    const modelId = reader.int32();
+    const width = reader.uint64();
+    const height = reader.uint64();
+    const model = COLMAP_CAMERA_MODELS[modelId];
+    if (!model) throw importError(`Unknown COLMAP camera model id ${modelId}`);
+    const params = Array.from({ length: model[1] }, () => reader.float64());
+    cameras.set(id, describeColmapCamera(model[0], width, height, params));
+  }
+  return cameras;
+};
+
+/** Parse images.bin (same result shape as parseColmapImagesText). */
+export const parseColmapImagesBinary = (buffer) => {
+  const reader = createBinaryReader(buffer);
+  const images = [];
+  const count = reader.uint64();
+  for (let i = 0; i < count; i += 1) {
+    reader.int32(); // image id
+    const quaternion = [reader.float64(), reader.float64(), reader.float64(), reader.float64()];
+    const translation = [reader.float64(), reader.float64(), reader.float64()];
+    const cameraId = reader.int32();
+    const name = reader.cString();
+    const numPoints = reader.uint64();
+    reader.skip(numPoints * 24); // x, y (double) + point3D id (int64)
+    images.push({ name, cameraId, quaternion, translation });
+  }
+  return images;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Pose conversion
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Camera-to-world in OpenGL camera axes (three.js: -Z forward, +Y up).
+const colmapImageToCameraWorld = ({ quaternion, translation }) => {
+  const [qw, qx, qy, qz] = quaternion;
+  const worldToCamera = new THREE.Matrix4()
+    .makeRotationFromQuaternion(new THREE.Quaternion(qx, qy, qz, qw).normalize())
+    .setPosition(translation[0], translation[1], translation[2]);
+  return worldToCamera.invert().multiply(makeAxisFlipCvToGl());
+};
+
+const toRayPose = (cameraWorld, modelMatrix) => {
+  const world = new THREE.Matrix4().multiplyMatrices(modelMatrix, cameraWorld);
+  const basis = new THREE.Matrix3().setFromMatrix4(world);
+  return {
+    position: new THREE.Vector3().setFromMatrixPosition(world),
+    forward: new THREE.Vector3(0, 0, -1).applyMatrix3(basis).normalize(),
+    up: new THREE.Vector3(0, 1, 0).applyMatrix3(basis).normalize(),
+  };
+};
+
+/**
+ * Least-squares point closest to every optical axis; used as the orbit target.
+ * Returns null when the axes are (nearly) parallel.
+ */
+const findFocusPoint = (poses) => {
+  if (poses.length < 2) return null;
+  const a = new Array(9).fill(0);
+  const b = new THREE.Vector3();
+  for (const { position, forward } of poses) {
+    const d = [forward.x, forward.y, forward.z];
+    const c = [position.x, position.y, position.z];
+    for (let row = 0; row < 3; row += 1) {
+      let projected = 0;
+      for (let col = 0; col < 3; col += 1) {
+        const value = (row === col ? 1 : 0) - d[row] * d[col];
+        a[row * 3 + col] += value;
+        projected += value * c[col];
+      }
+      b.setComponent(row, b.getComponent(row) + projected);
+    }
+  }
+  const matrix = new THREE.Matrix3().set(...a);
+  if (Math.abs(matrix.determinant()) < 1e-6 * poses.length ** 3) return null;
+  return b.applyMatrix3(matrix.invert());
+};
+
+const toViewPayloads = (entries, { modelScale = 1, near, far, convention }) => {
+  const resolvedConvention = normalizeCoordinateConvention(convention) ?? { convention: "opencv" };
+  const modelMatrix = makeConventionMatrix(resolvedConvention)
+    .multiply(new THREE.Matrix4().makeScale(modelScale, modelScale, modelScale));
+  const poses = entries.map((entry) => ({ ...entry, ...toRayPose(entry.cameraWorld, modelMatrix) }));
+
+  const focus = findFocusPoint(poses);
+  const focusDistances = focus
+    ? poses.map(({ position, forward }) => focus.clone().sub(position).dot(forward))
+    : [];
+  const positiveDistances = focusDistances.filter((d) => d > 0).sort((x, y) => x - y);
+  const fallbackDistance = positiveDistances.length
+    ? positiveDistances[Math.floor(positiveDistances.length / 2)]
+    : DEFAULT_FOCUS_DISTANCE * modelScale;
+
+  return poses.map(({ name, fov, aspectRatio, position, forward, up }, index) => {
+    const distance = focusDistances[index] > 0 ? focusDistances[index] : fallbackDistance;
+    return {
+      name,
+      payload: {
+        cameraPose: {
+          position: position.toArray(),
+          target: position.clone().addScaledVector(forward, distance).toArray(),
+          up: up.toArray(),
+          distance,
+          fov,
+          near,
+          far,
+          zoom: 1,
+        },
+        view: { aspectRatio },
+        model: { applyCoordinateFlip: true, ...resolvedConvention, modelScale },
+      },
+    };
+  });
+};
+
+const parseTransformsJson = (json) => {
+  const frames = Array.isArray(json?.frames) ? json.frames : null;
+  if (!frames?.length) throw importError("transforms.json has no frames");
+
+  const describe = (frame) => {
+    const width = Number(frame.w ?? json.w);
+    const height = Number(frame.h ?? json.h);
+    const focalY = Number(frame.fl_y ?? json.fl_y ?? frame.fl_x ?? json.fl_x);
+    const aspectRatio = width > 0 && height > 0 ? width / height : null;
+    let fov = DEFAULT_FOV;
+    if (focalY > 0 && height > 0) {
+      fov = verticalFovFromFocal(focalY, height);
+    } else if (Number.isFinite(json.camera_angle_y)) {
+      fov = THREE.MathUtils.radToDeg(json.camera_angle_y);
+    } else if (Number.isFinite(json.camera_angle_x)) {
+      const tanX = Math.tan(json.camera_angle_x / 2);
+      fov = THREE.MathUtils.radToDeg(2 * Math.atan(aspectRatio ? tanX / aspectRatio : tanX));
+    }
+    return { fov, aspectRatio };
+  };
+
+  return frames
+    .filter((frame) => Array.isArray(frame?.transform_matrix))
+    .map((frame, index) => ({
+      name: getFileName(frame.file_path) || `Frame ${index + 1}`,
+      cameraWorld: new THREE.Matrix4().set(...frame.transform_matrix.slice(0, 4).flat()),
+      ...describe(frame),
+    }));
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Entry point
+// ─────────────────────────────────────────────────────────────────────────────
+
+const findFile = (files, name) => files.find((file) => file.name.toLowerCase() === name);
+
+/**
+ * Read camera poses from COLMAP or transforms.json files and convert them to
+ * custom view payloads, sorted by image name.
+ *
+ * @param {File[]} files - cameras.txt + images.txt, cameras.bin + images.bin, or a transforms.json
+ * @param {Object} [options]
+ * @param {number} [options.modelScale=1] - model scale the views should be saved with
+ * @param {number} [options.near] - camera near plane stored with each pose
+ * @param {number} [options.far] - camera far plane stored with each pose
+ * @param {{ convention: string, customMatrix?: number[] }} [options.convention] - coordinate convention of the splat
+ * @returns {Promise<{ source: 'colmap' | 'transforms', views: Array<{ name: string, payload: Object }> }>}
+ */
+export const importCameraViews = async (files, options = {}) => {
+  const list = Array.from(files || []);
+  let source;
+  let entries;
+
+  const camerasText = findFile(list, "cameras.txt");
+  const imagesText = findFile(list, "images.txt");
+  const camerasBinary = findFile(list, "cameras.bin");
+  const imagesBinary = findFile(list, "images.bin");
+  const transforms = list.find((file) => file.name.toLowerCase().endsWith(".json"));
+
+  if ((camerasText && imagesText) || (camerasBinary && imagesBinary)) {
+    const useText = Boolean(camerasText && imagesText);
+    const cameras = useText
+      ? parseColmapCamerasText(await camerasText.text())
+      : parseColmapCamerasBinary(await camerasBinary.arrayBuffer());
+    const images = useText
+      ? parseColmapImagesText(await imagesText.text())
+      : parseColmapImagesBinary(await imagesBinary.arrayBuffer());
+
+    source = "colmap";
+    entries = images.map((image) => {
+      const camera = cameras.get(image.cameraId);
+      if (!camera) throw importError(`Image ${image.name} references missing camera ${image.cameraId}`);
+      return { name: image.name, cameraWorld: colmapImageToCameraWorld(image), ...camera };
+    });
+  } else if (transforms) {
+    let json;
+    try {
+      json = JSON.parse(await transforms.text());
+    } catch (err) {
+      throw importError(`Invalid JSON in ${transforms.name}: ${err.message}`);
+    }
+    source = "transforms";
+    entries = parseTransformsJson(json);
+  } else {
+    throw importError("Select cameras.txt + images.txt, cameras.bin + images.bin, or a transforms.json");
+  }
+
+  if (!entries.length) throw importError("No registered images found");
+  entries.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+  return { source, views: toViewPayloads(entries, options) };
+};
@@ -358,19 +358,13 @@ const findDenseDepthCluster = (depths, numBins = 20) => {
 };
 
 /**
- * Compute depth focus with subject detection.
- * Uses multiple strategies to find optimal anchor point:
- * 1. Center-weighted sampling (subjects are usually centered)
- * 2. Depth clustering to find main subject mass
- * 3. Adaptive minimum based on actual depth distribution
+ * Sample splat depths for ML-Sharp scenes (camera at the origin looking down +Z,
+ * so depth is the splat's local z). Only splats in front of the camera count.
+ * @returns {{ allDepths: number[], centerWeightedDepths: number[] }} unsorted depths;
+ *   `centerWeightedDepths` holds those within ~30° of the optical axis
  */
-export const computeMlSharpDepthFocus = (
-  mesh,
-  { qFocus = 0.1, minDepthFocus = 0.1, maxSamples = 50_000 } = {},
-) => {
+export const sampleMlSharpDepths = (mesh, { maxSamples = 50_000 } = {}) => {
   const numSplats = mesh?.packedSplats?.numSplats ?? 0;
-  if (!numSplats) return 2.0; // Fallback for empty mesh
-
   const step = Math.max(1, Math.floor(numSplats / maxSamples));
   const allDepths = [];
   const centerWeightedDepths = [];
@@ -394,6 +388,25 @@ export const computeMlSharpDepthFocus = (
     }
   }
 
+  return { allDepths, centerWeightedDepths };
+};
+
+/**
+ * Compute depth focus with subject detection.
+ * Uses multiple strategies to find optimal anchor point:
+ * 1. Center-weighted sampling (subjects are usually centered)
+ * 2. Depth clustering to find main subject mass
+ * 3. Adaptive minimum based on actual depth distribution
+ */
+export const computeMlSharpDepthFocus = (
+  mesh,
+  { qFocus = 0.1, minDepthFocus = 0.1, maxSamples = 50_000 } = {},
+) => {
+  const numSplats = mesh?.packedSplats?.numSplats ?? 0;
+  if (!numSplats) return 2.0; // Fallback for empty mesh
+
+  const { allDepths, centerWeightedDepths } = sampleMlSharpDepths(mesh, { maxSamples });
+
   if (!allDepths.length) return 2.0;
   allDepths.sort((a, b) => a - b);
   
@@ -133,7 +133,7 @@ function AnimationSettings() {
   const animSettingsExpanded = useStore((state) => state.animSettingsExpanded);
   const customAnimation = useStore((state) => state.customAnimation);
   const fileCustomAnimation = useStore((state) => state.fileCustomAnimation);
-  const currentFileName = useStore((state) => state.fileInfo?.name);
+  const currentFileKey = useStore((state) => state.fileInfo?.storageKey || state.fileInfo?.name);
 
   // Store actions
   const setAnimationEnabledStore = useStore((state) => state.setAnimationEnabled);
@@ -155,8 +155,8 @@ function AnimationSettings() {
    * Persists current animation settings to IndexedDB.
    */
   const persistAnimationSettings = useCallback((enabled, intensity, direction) => {
-    if (currentFileName && currentFileName !== '-') {
-      saveAnimationSettings(currentFileName, {
+    if (currentFileKey && currentFileKey !== '-') {
+      saveAnimationSettings(currentFileKey, {
         enabled,
         intensity,
         direction,
@@ -164,7 +164,7 @@ function AnimationSettings() {
         console.warn('Failed to save animation settings:', err);
       });
     }
-  }, [currentFileName]);
+  }, [currentFileKey]);
 
   /**
    * Toggles load animation on/off.
@@ -223,8 +223,8 @@ function AnimationSettings() {
     const currentAssetId = assets?.[currentAssetIndex]?.id;
     const payload = buildCustomAnimationPayload(nextSettings);
 
-    if (currentFileName && currentFileName !== '-') {
-      saveCustomAnimationSettings(currentFileName, payload)
+    if (currentFileKey && currentFileKey !== '-') {
+      saveCustomAnimationSettings(currentFileKey, payload)
         .catch(err => {
           console.warn('Failed to save custom animation settings:', err);
         });
@@ -236,7 +236,7 @@ function AnimationSettings() {
         updateCustomAnimationInCache(currentAssetId, payload);
       }
     }
-  }, [setFileCustomAnimation, currentFileName, assets, currentAssetIndex]);
+  }, [setFileCustomAnimation, currentFileKey, assets, currentAssetIndex]);
 
   const handleZoomProfileChange = useCallback((e) => {
     const zoomProfile = e.target.value;
@@ -365,15 +365,15 @@ function AnimationSettings() {
           } else {
             capturePreviewBlob()
               ?.then((preview) => {
-                if (!preview || !currentFileName || currentFileName === '-') return;
+                if (!preview || !currentFileKey || currentFileKey === '-') return;
                 const currentAsset = assets?.[currentAssetIndex];
                 const sizeKB = (preview.blob.size / 1024).toFixed(1);
                 console.log(`Preview updated (${sizeKB} KB, ${preview.format ?? 'image/webp'})`);
-                savePreviewBlob(currentFileName, preview.blob, {
+                savePreviewBlob(currentFileKey, preview.blob, {
                   width: preview.width,
                   height: preview.height,
                   format: preview.format,
-                }, currentAsset?.previewStorageKey || currentFileName).catch(err => {
+                }, currentAsset?.previewStorageKey || currentFileKey).catch(err => {
                   console.warn('Failed to save preview:', err);
                 });
               })
@@ -385,7 +385,7 @@ function AnimationSettings() {
         requestAnimationFrame(waitAndCapture);
       }
     });
-  }, [currentFileName, assets, currentAssetIndex]);
+  }, [currentFileKey, assets, currentAssetIndex]);
 
   return (
     <div class="settings-group">
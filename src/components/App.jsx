@@ -17,13 +17,14 @@ import { resetViewWithImmersive } from '../cameraUtils';
 import useOutsideClick from '../utils/useOutsideClick';
 import useSwipe from '../utils/useSwipe';
 import { initVrSupport } from '../vrMode';
-import { loadR2Settings } from '../storage/r2Settings.js';
+import { isVaultLockedSource } from '../storage/sourceLock.js';
 import ConnectStorageDialog from './ConnectStorageDialog';
 import ControlsModal from './ControlsModal';
 import { useCollectionUploadFlow } from './useCollectionUploadFlow.js';
 import { useViewerDrop } from './useViewerDrop.jsx';
 import PwaReloadPrompt from './PwaReloadPrompt';
 import PwaInstallPrompt from './PwaInstallPrompt';
+import ManifestConflictPrompt from './ManifestConflictPrompt';
 import SlideshowOptionsModal from './SlideshowOptionsModal';
 import AddDemoCollectionsModal from './AddDemoCollectionsModal';
 import { useCollectionRouting } from './useCollectionRouting.js';
@@ -188,13 +189,7 @@ function App() {
     try {
       setLandingVisible(false);
 
-      const r2Settings = loadR2Settings();
-      const isR2Locked = source?.type === 'r2-bucket'
-        && Boolean(r2Settings?.requiresPassword)
-        && r2Settings?.accountId === source?.config?.config?.accountId
-        && r2Settings?.bucket === source?.config?.config?.bucket;
-
-      if (isR2Locked) {
+      if (isVaultLockedSource(source)) {
         setAssets([]);
         setCurrentAssetIndex(-1);
         setActiveSourceId(source.id);
@@ -351,6 +346,7 @@ function App() {
       />
       <PwaReloadPrompt />
       <PwaInstallPrompt />
+      <ManifestConflictPrompt />
       <ImportFromUrlModal
         isOpen={Boolean(pendingImportUrl)}
         importUrl={pendingImportUrl}
@@ -6,14 +6,44 @@ import { removeAsset, clearAssets, getAssetList, getCurrentAssetIndex } from '..
 import { deleteFileSettings, clearAllFileSettings, loadPreviewBlob, deletePreviewBlob } from '../fileStorage';
 import { clearCustomMetadataViewForAsset } from '../customMetadata';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
-import { faPlus, faTrash } from '@fortawesome/free-solid-svg-icons';
-import { addRemovedAssetNames, getSource } from '../storage/index.js';
+import { faPlus, faThumbtack, faTrash } from '@fortawesome/free-solid-svg-icons';
+import {
+  addRemovedAssetNames,
+  getAssetKey,
+  getSource,
+  getAssetOfflineState,
+  isAssetPinned,
+  isCollectionPinned,
+  onOfflineDownloadsChange,
+  pinAsset,
+  unpinAsset,
+} from '../storage/index.js';
 import { useCollectionUploadFlow } from './useCollectionUploadFlow.js';
 import { useBatchPreview } from './useBatchPreview.js';
 import { GeneratePreviewsIcon } from '../icons/customIcons.jsx';
 import BatchPreviewModal from './BatchPreviewModal';
 import Modal from './Modal';
 
+// Collections whose files already live on this device
+const LOCAL_SOURCE_TYPES = ['app-storage', 'local-folder'];
+
+const canKeepOffline = (asset) => !!asset?.sourceId && !LOCAL_SOURCE_TYPES.includes(asset.sourceType);
+
+const OFFLINE_STATE_TITLES = {
+  pinned: 'Available offline',
+  queued: 'Waiting to download for offline use',
+  downloading: 'Downloading for offline use',
+  failed: 'Offline download failed',
+};
+
+// Name plus the caption and tags a v2 collection manifest may provide
+const getAssetTooltip = (asset) => {
+  const lines = [asset.displayName || asset.name];
+  if (asset.caption) lines.push(asset.caption);
+  if (asset.tags?.length) lines.push(asset.tags.map((tag) => `#${tag}`).join(' '));
+  return lines.join('\n');
+};
+
 function AssetSidebar() {
   const assets = useStore((state) => state.assets);
   const currentAssetIndex = useStore((state) => state.currentAssetIndex);
@@ -36,6 +66,12 @@ function AssetSidebar() {
   const hoverOpenTimeoutRef = useRef(null);
   const suppressTimeoutRef = useRef(null);
   const repairingRef = useRef(new Set()); // Track indices being repaired
+  const [, setOfflineRevision] = useState(0);
+
+  // Re-render badges as the background offline queue progresses
+  useEffect(() => onOfflineDownloadsChange(() => {
+    setOfflineRevision((revision) => revision + 1);
+  }), []);
 
   const {
     batchProgress,
@@ -131,6 +167,25 @@ function AssetSidebar() {
     openedByHoverRef.current = false; // opened by explicit click
   };
 
+  const currentAsset = assets[currentAssetIndex];
+  const currentAssetPinned = canKeepOffline(currentAsset) && isAssetPinned(currentAsset);
+  // A collection pin covers every asset; only the collection can release it
+  const currentPinnedByCollection = currentAssetPinned && isCollectionPinned(currentAsset.sourceId);
+
+  const handleTogglePinClick = async () => {
+    if (!canKeepOffline(currentAsset) || currentPinnedByCollection) return;
+    openedByHoverRef.current = false; // explicit action
+    try {
+      if (currentAssetPinned) {
+        await unpinAsset(currentAsset);
+      } else {
+        await pinAsset(currentAsset);
+      }
+    } catch (err) {
+      console.warn('[AssetSidebar] Failed to update offline pin', err);
+    }
+  };
+
   const handleDeleteClick = () => {
     setDeleteScope('single');
     setClearMetadata(false);
@@ -193,7 +248,7 @@ function AssetSidebar() {
     console.log(`[AssetSidebar] Current preview URL:`, asset.preview?.substring?.(0, 60));
     
     try {
-      const storedPreview = await loadPreviewBlob(asset.name, asset.previewStorageKey || asset.name);
+      const storedPreview = await loadPreviewBlob(getAssetKey(asset), asset.previewStorageKey || getAssetKey(asset));
       if (storedPreview?.blob) {
         const objectUrl = URL.createObjectURL(storedPreview.blob);
         console.log(`[AssetSidebar] Found stored preview in IndexedDB, created URL: ${objectUrl.substring(0, 50)}...`);
@@ -321,13 +376,12 @@ function AssetSidebar() {
       if (asset?.isProxyView) {
         // Proxy view: remove the view definition from the metadata so it
         // won't be recreated by syncAssetProxyViews on next load.
-        const baseName = asset.baseAssetName || asset.name;
         if (asset.viewId) {
-          await clearCustomMetadataViewForAsset(baseName, asset.viewId);
+          await clearCustomMetadataViewForAsset(getAssetKey(asset), asset.viewId);
         }
         // Delete only this view's preview blob, not the whole file settings.
         if (clearMetadata && asset.previewStorageKey) {
-          await deletePreviewBlob(asset.name, asset.previewStorageKey);
+          await deletePreviewBlob(getAssetKey(asset), asset.previewStorageKey);
         }
         // Do NOT add to addRemovedAssetNames — that would hide the base file.
       } else {
@@ -337,7 +391,7 @@ function AssetSidebar() {
           await addRemovedAssetNames(source || asset.sourceId, asset.name);
         }
         if (clearMetadata && asset) {
-          await deleteFileSettings(asset.name);
+          await deleteFileSettings(getAssetKey(asset));
         }
       }
       removeAsset(currentAssetIndex);
@@ -410,7 +464,7 @@ function AssetSidebar() {
             <button
               key={asset.id || index}
               class={`asset-item-vertical ${index === currentAssetIndex ? 'active' : ''}`}
-              title={asset.displayName || asset.name}
+              title={getAssetTooltip(asset)}
               onClick={() => loadAssetByIndex(index)}
             >
               <div class={`asset-preview ${asset.preview && !brokenPreviews.has(index) ? '' : 'loading'}`}>
@@ -425,9 +479,17 @@ function AssetSidebar() {
                 ) : (
                   <div class="preview-spinner" />
                 )}
-                {asset.isCached && asset.sourceType !== 'app-storage' && (
-                  <span class="asset-cache-dot" />
-                )}
+                {(() => {
+                  if (!canKeepOffline(asset)) return null;
+                  const offlineState = getAssetOfflineState(asset);
+                  if (!offlineState && !asset.isCached) return null;
+                  return (
+                    <span
+                      class={`asset-cache-dot ${offlineState || ''}`}
+                      title={OFFLINE_STATE_TITLES[offlineState] || 'Cached on this device'}
+                    />
+                  );
+                })()}
               </div>
             </button>
           ))}
@@ -453,6 +515,19 @@ function AssetSidebar() {
               <FontAwesomeIcon icon={faPlus} />
             </button>
             
+            {canKeepOffline(currentAsset) && (
+              <button
+                class={`sidebar-btn pin ${currentAssetPinned ? 'active' : ''}`}
+                onClick={handleTogglePinClick}
+                disabled={currentPinnedByCollection}
+                title={currentPinnedByCollection
+                  ? 'Kept offline with its collection'
+                  : currentAssetPinned ? 'Stop keeping this asset offline' : 'Make this asset available offline'}
+              >
+                <FontAwesomeIcon icon={faThumbtack} />
+              </button>
+            )}
+
             <button 
               class="sidebar-btn delete" 
               onClick={handleDeleteClick}
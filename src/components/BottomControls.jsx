@@ -13,6 +13,7 @@ import { resetViewWithImmersive } from '../cameraUtils';
 import { enableImmersiveMode, disableImmersiveMode, setImmersiveSensitivityMultiplier, setTouchPanEnabled, syncImmersiveBaseline } from '../immersiveMode';
 import { resetSplatManager, updateAnnotationInCache } from '../splatManager';
 import { saveAnnotation } from '../fileStorage';
+import { getAssetKey } from '../storage/index.js';
 import { initVrSupport } from '../vrMode';
 import useHasMesh from '../utils/useHasMesh';
 import useFullscreenControls from '../utils/useFullscreenControls';
@@ -207,11 +208,11 @@ function BottomControls({ onOpenSlideshowOptions }) {
     const nextAnnotation = event?.target?.value ?? '';
     setAnnotation(nextAnnotation);
 
-    const fileName = currentAsset?.baseAssetName || currentAsset?.name;
+    const assetKey = getAssetKey(currentAsset);
     const assetId = currentAsset?.cacheKey || currentAsset?.baseAssetId || currentAsset?.id;
-    if (!fileName) return;
+    if (!assetKey) return;
 
-    saveAnnotation(fileName, nextAnnotation).then((saved) => {
+    saveAnnotation(assetKey, nextAnnotation).then((saved) => {
       if (!saved) return;
       if (assetId) {
         updateAnnotationInCache(assetId, nextAnnotation);
@@ -19,6 +19,7 @@ import { faChevronDown, faEye, faEyeSlash, faSpinner, faCompressAlt } from '@for
 import { loadSplatFile, loadAssetByIndex } from '../fileLoader';
 import { captureCurrentAssetPreview, getAssetList } from '../assetManager';
 import { savePreviewBlob } from '../fileStorage';
+import { getAssetKey } from '../storage/assetKeys.js';
 import {
   applyCustomModelTransform,
   captureCustomMetadataPayload,
@@ -27,7 +28,19 @@ import {
   clearCustomMetadataViewForAsset,
   applyFullOrbitConstraints,
   restoreOrbitConstraints,
+  captureModelAlignment,
+  saveModelAlignmentForAsset,
+  saveCoordinateConventionForAsset,
 } from "../customMetadata.js";
+import {
+  COORDINATE_CONVENTIONS,
+  COORDINATE_CONVENTION_LABELS,
+  parseCustomMatrix,
+  formatCustomMatrix,
+} from '../coordinateConventions.js';
+import { importCameraViews } from '../cameraImport.js';
+import { GIZMO_MODES, attachTransformGizmo, setTransformGizmoMode, detachTransformGizmo } from '../transformGizmo.js';
+import { levelMesh, levelAllAssets, abortBatchLeveling } from '../horizonLeveling.js';
 import { enterVrSession } from '../vrMode';
 import { updateViewerAspectRatio, resize } from '../layout.js';
 
@@ -57,6 +70,12 @@ const makePreviewStorageKey = (assetName, viewId) => `${assetName}::${viewId}`;
 const makeProxyAssetId = (baseAssetId, viewId) => `${baseAssetId}::view::${viewId}`;
 const viewDisplayName = (assetName, order) => `${assetName} · View ${order + 1}`;
 
+const GIZMO_LABELS = {
+  translate: 'Move',
+  rotate: 'Rotate',
+  scale: 'Scale',
+};
+
 /** Focus mode states */
 const FOCUS_MODE = {
   IDLE: 'idle',
@@ -161,7 +180,7 @@ function CameraControls() {
   const setImmersiveMode = useStore((state) => state.setImmersiveMode);
   const immersiveSensitivity = useStore((state) => state.immersiveSensitivity);
   const setImmersiveSensitivity = useStore((state) => state.setImmersiveSensitivity);
-  const currentFileName = useStore((state) => state.fileInfo?.name);
+  const currentFileKey = useStore((state) => state.fileInfo?.storageKey || state.fileInfo?.name);
   const assets = useStore((state) => state.assets);
   const currentAssetIndex = useStore((state) => state.currentAssetIndex);
   const setAssets = useStore((state) => state.setAssets);
@@ -192,7 +211,9 @@ function CameraControls() {
   const customModelScale = useStore((state) => state.customModelScale);
   const setCustomModelScale = useStore((state) => state.setCustomModelScale);
   const customAspectRatio = useStore((state) => state.customAspectRatio);
+  const customCoordinateConvention = useStore((state) => state.customCoordinateConvention);
   const setCustomAspectRatio = useStore((state) => state.setCustomAspectRatio);
+  const setCustomCoordinateConvention = useStore((state) => state.setCustomCoordinateConvention);
   const setCustomMetadataAvailable = useStore((state) => state.setCustomMetadataAvailable);
   const setMetadataMissing = useStore((state) => state.setMetadataMissing);
   const setCustomMetadataControlsVisible = useStore((state) => state.setCustomMetadataControlsVisible);
@@ -215,6 +236,14 @@ function CameraControls() {
   const focusModeRef = useRef(focusMode);
   focusModeRef.current = focusMode;
   const [isClearingCustomMetadata, setIsClearingCustomMetadata] = useState(false);
+  const [isImportingCameras, setIsImportingCameras] = useState(false);
+  const cameraImportInputRef = useRef(null);
+  const [alignMesh, setAlignMesh] = useState(null);
+  const [alignMode, setAlignMode] = useState(GIZMO_MODES[0]);
+  const isAligningModel = Boolean(alignMesh) && alignMesh === currentMesh;
+  const [levelProgress, setLevelProgress] = useState(null); // { current, total } while leveling
+  const [customMatrixText, setCustomMatrixText] = useState('');
+  const [isEditingCustomMatrix, setIsEditingCustomMatrix] = useState(false);
 
   // Sync focus mode with custom focus state from store
   useEffect(() => {
@@ -299,8 +328,8 @@ function CameraControls() {
     }
 
     // Persist focus distance for this file
-    if (currentFileName && currentFileName !== '-') {
-      saveFocusDistance(currentFileName, hitDistance).catch(err => {
+    if (currentFileKey && currentFileKey !== '-') {
+      saveFocusDistance(currentFileKey, hitDistance).catch(err => {
         console.warn('Failed to save focus distance:', err);
       });
       const asset = assets[currentAssetIndex];
@@ -316,7 +345,7 @@ function CameraControls() {
     setTimeout(() => {
       setFocusMode(hasCustomFocus ? FOCUS_MODE.CUSTOM : FOCUS_MODE.IDLE);
     }, 1500);
-  }, [addLog, currentFileName, hasCustomFocus, assets, currentAssetIndex, stereoEnabled, setStereoEyeSep, setFocusSettingActive]);
+  }, [addLog, currentFileKey, hasCustomFocus, assets, currentAssetIndex, stereoEnabled, setStereoEyeSep, setFocusSettingActive]);
 
   /**
    * Activates focus-setting mode.
@@ -363,8 +392,8 @@ function CameraControls() {
       addLog(`Auto eye separation: ${(optimal * 1000).toFixed(0)}mm`);
     }
 
-    if (currentFileName && currentFileName !== '-') {
-      saveFocusDistance(currentFileName, hitDistance).catch(err => {
+    if (currentFileKey && currentFileKey !== '-') {
+      saveFocusDistance(currentFileKey, hitDistance).catch(err => {
         console.warn('Failed to save focus distance:', err);
       });
       const asset = assets[currentAssetIndex];
@@ -380,15 +409,15 @@ function CameraControls() {
     setTimeout(() => {
       setFocusMode(hasCustomFocus ? FOCUS_MODE.CUSTOM : FOCUS_MODE.IDLE);
     }, 1500);
-  }, [anchorActive, anchorDistance, addLog, stereoEnabled, setStereoEyeSep, currentFileName, assets, currentAssetIndex, setHasCustomFocus, setAnchorState, setFocusSettingActive, hasCustomFocus]);
+  }, [anchorActive, anchorDistance, addLog, stereoEnabled, setStereoEyeSep, currentFileKey, assets, currentAssetIndex, setHasCustomFocus, setAnchorState, setFocusSettingActive, hasCustomFocus]);
 
   /**
    * Clears custom focus distance override.
    * Removes stored focus distance and reloads the file to apply default focus.
    */
   const handleClearCustomFocus = useCallback(async () => {
-    if (currentFileName && currentFileName !== '-') {
-      const success = await clearFocusDistance(currentFileName);
+    if (currentFileKey && currentFileKey !== '-') {
+      const success = await clearFocusDistance(currentFileKey);
       if (success) {
         const asset = assets[currentAssetIndex];
         if (asset?.id) {
@@ -403,7 +432,7 @@ function CameraControls() {
         addLog('Custom focus cleared');
       }
     }
-  }, [currentFileName, addLog, assets, currentAssetIndex]);
+  }, [currentFileKey, addLog, assets, currentAssetIndex]);
 
   // Set up click listener and cursor when in focus-setting mode
   useEffect(() => {
@@ -674,12 +703,68 @@ function CameraControls() {
     const value = Number.parseFloat(e.target.value);
     if (!Number.isFinite(value)) return;
     setCustomModelScale(value);
-    // Apply scale with CV→GL flip always enabled for non-ML Sharp splats
+    // Apply scale on top of the asset's coordinate convention
     applyCustomModelTransform(currentMesh, {
       applyCoordinateFlip: true,
+      ...customCoordinateConvention,
       modelScale: value,
     });
-  }, [setCustomModelScale]);
+  }, [setCustomModelScale, customCoordinateConvention]);
+
+  const applyCoordinateConvention = useCallback(async (convention) => {
+    if (!currentFileKey || currentFileKey === '-' || !currentMesh) {
+      addLog('No active file to set coordinates for');
+      return;
+    }
+    if (isAligningModel) {
+      detachTransformGizmo(currentMesh);
+      setAlignMesh(null);
+    }
+    setCustomCoordinateConvention(convention);
+    applyCustomModelTransform(currentMesh, {
+      applyCoordinateFlip: true,
+      ...convention,
+      modelScale: customModelScale,
+    });
+    const result = await saveCoordinateConventionForAsset(currentFileKey, convention, {
+      modelScale: customModelScale,
+      aspectRatio: aspectKeyToRatio(customAspectRatio),
+    });
+    if (!result.saved) {
+      addLog('Failed to save coordinate convention');
+      return;
+    }
+    setCustomMetadataAvailable(true);
+    setMetadataMissing(false);
+    addLog(`Coordinates: ${COORDINATE_CONVENTION_LABELS[convention.convention]}`);
+  }, [currentFileKey, isAligningModel, customModelScale, customAspectRatio, addLog, setCustomCoordinateConvention, setCustomMetadataAvailable, setMetadataMissing]);
+
+  const handleCoordinateConventionChange = useCallback((e) => {
+    const convention = e.target.value;
+    if (convention === 'custom') {
+      // Edit the stored matrix (identity when there is none); applied on confirm
+      setCustomMatrixText(formatCustomMatrix(customCoordinateConvention.customMatrix)
+        || formatCustomMatrix([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]));
+      setIsEditingCustomMatrix(true);
+      return;
+    }
+    setIsEditingCustomMatrix(false);
+    applyCoordinateConvention({ convention });
+  }, [customCoordinateConvention, applyCoordinateConvention]);
+
+  useEffect(() => {
+    setIsEditingCustomMatrix(false);
+  }, [currentFileKey]);
+
+  const handleApplyCustomMatrix = useCallback(() => {
+    const customMatrix = parseCustomMatrix(customMatrixText);
+    if (!customMatrix) {
+      addLog('Custom matrix needs 16 numbers (row-major 4×4)');
+      return;
+    }
+    setIsEditingCustomMatrix(false);
+    applyCoordinateConvention({ convention: 'custom', customMatrix });
+  }, [customMatrixText, addLog, applyCoordinateConvention]);
 
   const handleCustomAspectRatioChange = useCallback((e) => {
     const value = e.target.value;
@@ -706,7 +791,7 @@ function CameraControls() {
   }, [setCustomAspectRatio]);
 
   const handleSaveCustomMetadata = useCallback(async () => {
-    if (!currentFileName || currentFileName === '-') {
+    if (!currentFileKey || currentFileKey === '-') {
       addLog('No active file to save metadata');
       return;
     }
@@ -718,11 +803,13 @@ function CameraControls() {
     }
 
     const payload = captureCustomMetadataPayload({
+      ...customCoordinateConvention,
       modelScale: customModelScale,
       aspectRatio: aspectKeyToRatio(customAspectRatio),
+      alignment: isAligningModel ? captureModelAlignment(currentMesh) : null,
     });
 
-    const result = await saveCustomMetadataViewForAsset(currentFileName, payload, {
+    const result = await saveCustomMetadataViewForAsset(currentFileKey, payload, {
       viewId: currentAsset.viewId || null,
     });
     if (!result?.saved) {
@@ -737,17 +824,17 @@ function CameraControls() {
       currentAsset.baseAssetName = getBaseAssetName(currentAsset);
       currentAsset.cacheKey = currentAsset.baseAssetId;
       currentAsset.isProxyView = Boolean(currentAsset.isProxyView);
-      currentAsset.previewStorageKey = makePreviewStorageKey(currentAsset.baseAssetName, nextViewId);
+      currentAsset.previewStorageKey = makePreviewStorageKey(getAssetKey(currentAsset), nextViewId);
     }
 
     const previewResult = await captureCurrentAssetPreview();
     if (previewResult?.blob) {
       if (currentAsset?.name) {
-        await savePreviewBlob(currentAsset.name, previewResult.blob, {
+        await savePreviewBlob(getAssetKey(currentAsset), previewResult.blob, {
           width: previewResult.width,
           height: previewResult.height,
           format: previewResult.format,
-        }, currentAsset.previewStorageKey || currentAsset.name);
+        }, currentAsset.previewStorageKey || getAssetKey(currentAsset));
       }
       if (currentAssetIndex >= 0) {
         updateAssetPreview(currentAssetIndex, currentAsset.preview);
@@ -759,10 +846,118 @@ function CameraControls() {
     setMetadataMissing(false);
     setCustomMetadataControlsVisible(false);
     addLog('Custom metadata saved');
-  }, [currentFileName, customModelScale, customAspectRatio, addLog, assets, currentAssetIndex, updateAssetPreview, setCustomMetadataAvailable, setMetadataMissing, setCustomMetadataControlsVisible, setAssets]);
+  }, [currentFileKey, customModelScale, customAspectRatio, customCoordinateConvention, isAligningModel, addLog, assets, currentAssetIndex, updateAssetPreview, setCustomMetadataAvailable, setMetadataMissing, setCustomMetadataControlsVisible, setAssets]);
+
+  // Drop the alignment gizmo when the panel closes or another asset loads
+  useEffect(() => {
+    if (!alignMesh) return undefined;
+    if (!customMetadataControlsVisible || alignMesh !== currentMesh) {
+      detachTransformGizmo(alignMesh);
+      setAlignMesh(null);
+    }
+    return undefined;
+  }, [alignMesh, customMetadataControlsVisible, currentFileKey]);
+
+  useEffect(() => () => detachTransformGizmo(), []);
+
+  const handleToggleAlignModel = useCallback(() => {
+    if (isAligningModel) {
+      detachTransformGizmo(currentMesh);
+      setAlignMesh(null);
+      return;
+    }
+    if (currentMesh && attachTransformGizmo(currentMesh, { mode: alignMode })) {
+      setAlignMesh(currentMesh);
+    }
+  }, [isAligningModel, alignMode]);
+
+  const handleAlignModeChange = useCallback((mode) => {
+    setAlignMode(mode);
+    setTransformGizmoMode(mode);
+  }, []);
+
+  const handleSaveAlignment = useCallback(async () => {
+    if (!currentFileKey || currentFileKey === '-' || !currentMesh) {
+      addLog('No active file to save alignment');
+      return;
+    }
+    const result = await saveModelAlignmentForAsset(currentFileKey, captureModelAlignment(currentMesh), {
+      modelScale: customModelScale,
+      aspectRatio: aspectKeyToRatio(customAspectRatio),
+    });
+    if (!result?.saved) {
+      addLog('Failed to save model alignment');
+      return;
+    }
+    setCustomMetadataAvailable(true);
+    setMetadataMissing(false);
+    addLog('Model alignment saved');
+  }, [currentFileKey, customModelScale, customAspectRatio, addLog, setCustomMetadataAvailable, setMetadataMissing]);
+
+  const handleLevelHorizon = useCallback(async () => {
+    if (!currentFileKey || currentFileKey === '-' || !currentMesh) {
+      addLog('No active file to level');
+      return;
+    }
+    setLevelProgress({ current: 1, total: 1 });
+    try {
+      const result = await levelMesh(currentMesh, currentFileKey, {
+        modelScale: customModelScale,
+        aspectRatio: aspectKeyToRatio(customAspectRatio),
+      });
+      if (!result.estimate) {
+        addLog('Level horizon: no ground plane found');
+      } else if (!result.leveled) {
+        addLog('Level horizon: already level');
+      } else {
+        setCustomMetadataAvailable(true);
+        setMetadataMissing(false);
+        addLog(`Leveled by ${result.estimate.tiltDegrees.toFixed(1)}° (${result.estimate.method})`);
+      }
+    } catch (err) {
+      console.warn('[CameraControls] Level horizon failed:', err);
+      addLog(`Level horizon failed: ${err.message}`);
+    } finally {
+      setLevelProgress(null);
+    }
+  }, [currentFileKey, customModelScale, customAspectRatio, addLog, setCustomMetadataAvailable, setMetadataMissing]);
+
+  const handleLevelCollection = useCallback(async () => {
+    if (levelProgress) {
+      abortBatchLeveling();
+      return;
+    }
+    setLevelProgress({ current: 0, total: 0 });
+    try {
+      const results = await levelAllAssets({
+        onProgress: (current, total) => setLevelProgress({ current, total }),
+      });
+      const leveled = results.filter((item) => item.leveled).length;
+      const failed = results.filter((item) => item.error).length;
+      addLog(`Leveled ${leveled} of ${results.length} assets${failed ? `, ${failed} failed` : ''}`);
+      if (leveled > 0 && currentAssetIndex >= 0) {
+        await loadAssetByIndex(currentAssetIndex);
+      }
+    } finally {
+      setLevelProgress(null);
+    }
+  }, [levelProgress, addLog, currentAssetIndex]);
+
+  const handleResetAlignment = useCallback(async () => {
+    if (!currentMesh) return;
+    applyCustomModelTransform(currentMesh, {
+      applyCoordinateFlip: true,
+      ...customCoordinateConvention,
+      modelScale: customModelScale,
+    });
+    if (currentFileKey && currentFileKey !== '-') {
+      await saveModelAlignmentForAsset(currentFileKey, null);
+    }
+    addLog('Model alignment reset');
+  }, [currentFileKey, customModelScale, customCoordinateConvention, addLog]);
 
   const handleSaveAndAddNewView = useCallback(async () => {
-    if (!currentFileName || currentFileName === '-') {
+    if (!currentFileKey || currentFileKey === '-') {
       addLog('No active file to save metadata');
       return;
     }
@@ -774,11 +969,12 @@ function CameraControls() {
     }
 
     const payload = captureCustomMetadataPayload({
+      ...customCoordinateConvention,
       modelScale: customModelScale,
       aspectRatio: aspectKeyToRatio(customAspectRatio),
     });
 
-    const result = await addCustomMetadataViewForAsset(currentFileName, payload, {
+    const result = await addCustomMetadataViewForAsset(currentFileKey, payload, {
       insertAfterViewId: currentAsset.viewId || null,
     });
     if (!result?.saved || !result?.viewId) {
@@ -809,7 +1005,7 @@ function CameraControls() {
       viewId: result.viewId,
       groupOrder,
       displayName: viewDisplayName(baseAssetName, groupOrder),
-      previewStorageKey: makePreviewStorageKey(baseAssetName, result.viewId),
+      previewStorageKey: makePreviewStorageKey(getAssetKey(currentAsset), result.viewId),
       cacheKey: baseAssetId,
       loaded: false,
     };
@@ -830,28 +1026,28 @@ function CameraControls() {
     const selectedAsset = refreshedAssets[nextIndex] || proxyAsset;
     const previewResult = await captureCurrentAssetPreview();
     if (previewResult?.blob && selectedAsset?.name) {
-      await savePreviewBlob(selectedAsset.name, previewResult.blob, {
+      await savePreviewBlob(getAssetKey(selectedAsset), previewResult.blob, {
         width: previewResult.width,
         height: previewResult.height,
         format: previewResult.format,
-      }, selectedAsset.previewStorageKey || selectedAsset.name);
+      }, selectedAsset.previewStorageKey || getAssetKey(selectedAsset));
 
       if (selectedAsset.preview) {
         updateAssetPreview(nextIndex, selectedAsset.preview);
       }
       setAssets([...refreshedAssets]);
     }
-  }, [currentFileName, assets, currentAssetIndex, customModelScale, customAspectRatio, setAssets, setCurrentAssetIndex, addLog, setCustomMetadataAvailable, setMetadataMissing, setCustomMetadataControlsVisible, updateAssetPreview]);
+  }, [currentFileKey, assets, currentAssetIndex, customModelScale, customAspectRatio, customCoordinateConvention, setAssets, setCurrentAssetIndex, addLog, setCustomMetadataAvailable, setMetadataMissing, setCustomMetadataControlsVisible, updateAssetPreview]);
 
   const handleClearCustomMetadata = useCallback(async () => {
-    if (!currentFileName || currentFileName === '-' || isClearingCustomMetadata) return;
+    if (!currentFileKey || currentFileKey === '-' || isClearingCustomMetadata) return;
 
     setIsClearingCustomMetadata(true);
     try {
       const currentAsset = assets[currentAssetIndex];
       if (!currentAsset) return;
 
-      const result = await clearCustomMetadataViewForAsset(currentFileName, currentAsset.viewId || null);
+      const result = await clearCustomMetadataViewForAsset(currentFileKey, currentAsset.viewId || null);
       if (!result?.cleared) {
         addLog('Failed to clear custom metadata');
         return;
@@ -890,8 +1086,8 @@ function CameraControls() {
       resize();
       addLog('Custom view reset');
 
-      if (!hasRemainingViews && currentFileName && currentFileName !== '-') {
-        const focusCleared = await clearFocusDistance(currentFileName);
+      if (!hasRemainingViews && currentFileKey && currentFileKey !== '-') {
+        const focusCleared = await clearFocusDistance(currentFileKey);
         if (focusCleared && currentAsset?.id) {
           clearFocusDistanceInCache(currentAsset.cacheKey || currentAsset.baseAssetId || currentAsset.id);
         }
@@ -901,7 +1097,71 @@ function CameraControls() {
     } finally {
       setIsClearingCustomMetadata(false);
     }
-  }, [currentFileName, isClearingCustomMetadata, addLog, assets, currentAssetIndex, setCustomMetadataAvailable, setMetadataMissing, setCustomMetadataControlsVisible, setCustomModelScale, setCustomAspectRatio, setAssets, setCurrentAssetIndex, setHasCustomFocus]);
+  }, [currentFileKey, isClearingCustomMetadata, addLog, assets, currentAssetIndex, setCustomMetadataAvailable, setMetadataMissing, setCustomMetadataControlsVisible, setCustomModelScale, setCustomAspectRatio, setAssets, setCurrentAssetIndex, setHasCustomFocus]);
+
+  const handleImportCamerasClick = useCallback(() => {
+    cameraImportInputRef.current?.click();
+  }, []);
+
+  /**
+   * Imports COLMAP / transforms.json poses as named custom views of the current asset.
+   */
+  const handleImportCameraFiles = useCallback(async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (!files.length || isImportingCameras) return;
+
+    const currentAsset = assets[currentAssetIndex];
+    if (!currentFileKey || currentFileKey === '-' || !currentAsset) {
+      addLog('No active file to import cameras into');
+      return;
+    }
+
+    setIsImportingCameras(true);
+    try {
+      const { source, views } = await importCameraViews(files, {
+        modelScale: customModelScale,
+        convention: customCoordinateConvention,
+        near: camera?.near,
+        far: camera?.far,
+      });
+
+      let insertAfterViewId = currentAsset.viewId || null;
+      let imported = 0;
+      for (const { name, payload } of views) {
+        const result = await addCustomMetadataViewForAsset(currentFileKey, payload, {
+          insertAfterViewId,
+          viewName: name,
+        });
+        if (!result?.saved || !result?.viewId) break;
+        insertAfterViewId = result.viewId;
+        imported += 1;
+      }
+
+      if (!imported) {
+        addLog('Failed to save imported cameras');
+        return;
+      }
+
+      // Reloading the base asset rebuilds its proxy view entries from the saved metadata
+      const baseAssetId = getBaseAssetId(currentAsset);
+      const baseIndex = getAssetList().findIndex((item) => getBaseAssetId(item) === baseAssetId);
+      const nextIndex = baseIndex >= 0 ? baseIndex : currentAssetIndex;
+      setCurrentAssetIndex(nextIndex);
+      await loadAssetByIndex(nextIndex);
+      setAssets([...getAssetList()]);
+
+      setCustomMetadataAvailable(true);
+      setMetadataMissing(false);
+      setCustomMetadataControlsVisible(false);
+      addLog(`Imported ${imported} ${source === 'colmap' ? 'COLMAP' : 'transforms.json'} camera${imported === 1 ? '' : 's'}`);
+    } catch (err) {
+      console.warn('[CameraControls] Camera import failed:', err);
+      addLog(`Camera import failed: ${err.message}`);
+    } finally {
+      setIsImportingCameras(false);
+    }
+  }, [currentFileKey, isImportingCameras, assets, currentAssetIndex, customModelScale, customCoordinateConvention, addLog, setAssets, setCurrentAssetIndex, setCustomMetadataAvailable, setMetadataMissing, setCustomMetadataControlsVisible]);
 
   /**
    * Resets view with immersive mode support.
@@ -1254,6 +1514,47 @@ function CameraControls() {
               </div>
             )}
 
+            <div class="control-row">
+              <span class="control-label">Coordinates</span>
+              <div class="control-track">
+                <select
+                  class="quality-select"
+                  value={isEditingCustomMatrix ? 'custom' : customCoordinateConvention.convention}
+                  onChange={handleCoordinateConventionChange}
+                  title="Axis convention the splat was exported in"
+                >
+                  {COORDINATE_CONVENTIONS.map((convention) => (
+                    <option key={convention} value={convention}>
+                      {COORDINATE_CONVENTION_LABELS[convention]}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {(isEditingCustomMatrix || customCoordinateConvention.convention === 'custom') && (
+              <div class="control-row">
+                <textarea
+                  class="custom-matrix-input"
+                  rows={4}
+                  value={isEditingCustomMatrix ? customMatrixText : formatCustomMatrix(customCoordinateConvention.customMatrix)}
+                  onFocus={() => {
+                    if (!isEditingCustomMatrix) {
+                      setCustomMatrixText(formatCustomMatrix(customCoordinateConvention.customMatrix));
+                      setIsEditingCustomMatrix(true);
+                    }
+                  }}
+                  onInput={(e) => setCustomMatrixText(e.target.value)}
+                  aria-label="Custom matrix, row-major 4×4"
+                />
+                {isEditingCustomMatrix && (
+                  <button type="button" class="secondary" onClick={handleApplyCustomMatrix}>
+                    Apply
+                  </button>
+                )}
+              </div>
+            )}
+
             <div class="control-row">
               <span class="control-label">Aspect ratio</span>
               <div class="control-track">
@@ -1297,6 +1598,83 @@ function CameraControls() {
                 Save as new view
               </button>
             )}
+
+            <div class="control-row">
+              <button
+                type="button"
+                class="secondary"
+                onClick={handleLevelHorizon}
+                disabled={!hasAssetLoaded || Boolean(levelProgress)}
+                title="Rotate the model so the detected ground plane is horizontal"
+              >
+                Level horizon
+              </button>
+              <button
+                type="button"
+                class="secondary"
+                onClick={handleLevelCollection}
+                disabled={!hasAssetLoaded || (Boolean(levelProgress) && !levelProgress.total)}
+                title="Level every asset in this collection"
+              >
+                {levelProgress?.total > 0
+                  ? `Stop (${levelProgress.current}/${levelProgress.total})`
+                  : 'Level collection'}
+              </button>
+            </div>
+
+            <button
+              class="secondary-button"
+              onClick={handleToggleAlignModel}
+              disabled={!hasAssetLoaded}
+              title="Move, rotate and scale the model on the canvas"
+            >
+              {isAligningModel ? 'Done aligning' : 'Align model'}
+            </button>
+
+            {isAligningModel && (
+              <>
+                <div class="control-row">
+                  <span class="control-label">Gizmo</span>
+                  <div style={{ display: 'flex', gap: '6px' }}>
+                    {GIZMO_MODES.map((mode) => (
+                      <button
+                        type="button"
+                        key={mode}
+                        class={alignMode === mode ? 'primary' : 'secondary'}
+                        onClick={() => handleAlignModeChange(mode)}
+                      >
+                        {GIZMO_LABELS[mode]}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                <div class="control-row">
+                  <button type="button" class="secondary" onClick={handleSaveAlignment}>
+                    Save alignment
+                  </button>
+                  <button type="button" class="secondary" onClick={handleResetAlignment}>
+                    Reset alignment
+                  </button>
+                </div>
+              </>
+            )}
+
+            <button
+              class="secondary-button"
+              onClick={handleImportCamerasClick}
+              disabled={isImportingCameras}
+              title="COLMAP cameras + images (.txt or .bin) or transforms.json"
+            >
+              {isImportingCameras ? 'Importing cameras...' : 'Import cameras'}
+            </button>
+            <input
+              ref={cameraImportInputRef}
+              type="file"
+              accept=".txt,.bin,.json"
+              multiple
+              style={{ display: 'none' }}
+              onChange={handleImportCameraFiles}
+            />
           </div>
         )}
 
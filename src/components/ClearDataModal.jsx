@@ -1,4 +1,4 @@
-import { useCallback, useMemo, useState } from 'preact/hooks';
+import { useCallback, useEffect, useMemo, useState } from 'preact/hooks';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import {
   faCloud,
@@ -8,6 +8,7 @@ import {
   faHardDrive,
   faImage,
   faLink,
+  faLock,
   faServer,
   faSpinner,
   faTrash,
@@ -19,6 +20,14 @@ import {
   clearSelectedLocalData,
   createInitialClearDataOptions,
 } from '../utils/debugTransfer.js';
+import {
+  clearCollectionCache,
+  getAssetCacheUsage,
+  getSource,
+  isStoragePersisted,
+  requestPersistentStorage,
+} from '../storage/index.js';
+import { formatBytes } from '../previewManager.js';
 import Modal from './Modal';
 import SelectableOptionItem from './SelectableOptionItem';
 
@@ -26,11 +35,15 @@ const iconByKey = {
   clearUrlCollections: faLink,
   clearSupabaseCollections: faServer,
   clearR2Collections: faServer,
+  clearS3Collections: faServer,
+  clearWebDavCollections: faServer,
   clearLocalFolderCollections: faFolder,
   clearAppStorageCollections: faHardDrive,
   clearCloudGpuSettings: faCloud,
   clearSupabaseSettings: faCog,
   clearR2Settings: faCog,
+  clearS3Settings: faCog,
+  clearWebDavSettings: faCog,
   clearViewerPrefs: faCog,
   clearFileSettings: faFolder,
   clearFilePreviews: faImage,
@@ -44,6 +57,8 @@ const clearDataSections = [
       'clearUrlCollections',
       'clearSupabaseCollections',
       'clearR2Collections',
+      'clearS3Collections',
+      'clearWebDavCollections',
       'clearLocalFolderCollections',
       'clearAppStorageCollections',
     ],
@@ -62,6 +77,8 @@ const clearDataSections = [
       'clearCloudGpuSettings',
       'clearSupabaseSettings',
       'clearR2Settings',
+      'clearS3Settings',
+      'clearWebDavSettings',
       'clearViewerPrefs',
     ],
   },
@@ -78,11 +95,108 @@ const formatSummary = (summary) => {
   return parts.length ? parts.join(', ') : 'No matching records found';
 };
 
+const getCollectionLabel = (collection) => {
+  if (!collection.sourceId) return 'Other cached files';
+  return getSource(collection.sourceId)?.name || collection.sourceName || collection.sourceId;
+};
+
+const formatCollectionUsage = (collection) => {
+  const parts = [`${collection.count} ${collection.count === 1 ? 'file' : 'files'}`, formatBytes(collection.bytes)];
+  if (collection.stored) {
+    parts.push('stored in app, never evicted');
+  } else if (collection.pinnedBytes) {
+    parts.push(`${formatBytes(collection.pinnedBytes)} pinned`);
+  }
+  return parts.join(' · ');
+};
+
+function CacheUsageSection({ usage, persisted, onClearCollection, onRequestPersist, clearingId }) {
+  if (!usage) {
+    return (
+      <div class="form-info">
+        <FontAwesomeIcon icon={faSpinner} spin />
+        {' '}Measuring cache usage...
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+      <div class="form-info" style={{ marginTop: 0 }}>
+        Asset cache: {formatBytes(usage.totalBytes)} of {formatBytes(usage.budgetBytes)} budget
+        {usage.estimate && (
+          <> · site data {formatBytes(usage.estimate.usage)} of {formatBytes(usage.estimate.quota)}</>
+        )}
+      </div>
+      {usage.collections.length === 0 && (
+        <div class="form-info" style={{ marginTop: 0 }}>No assets cached for offline use.</div>
+      )}
+      {usage.collections.map((collection) => (
+        <div
+          key={collection.sourceId || 'other'}
+          style={{ display: 'flex', alignItems: 'center', gap: '8px', justifyContent: 'space-between' }}
+        >
+          <div style={{ minWidth: 0 }}>
+            <div style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+              {getCollectionLabel(collection)}
+            </div>
+            <div style={{ fontSize: '12px', opacity: 0.7 }}>{formatCollectionUsage(collection)}</div>
+          </div>
+          {collection.sourceId && !collection.stored && (
+            <button
+              class="secondary-button"
+              onClick={() => onClearCollection(collection)}
+              disabled={clearingId != null}
+              style={{ height: '28px', padding: '0 10px', marginTop: 0, flexShrink: 0 }}
+            >
+              {clearingId === collection.sourceId ? <FontAwesomeIcon icon={faSpinner} spin /> : 'Clear'}
+            </button>
+          )}
+        </div>
+      ))}
+      {persisted === false && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', justifyContent: 'space-between' }}>
+          <div style={{ fontSize: '12px', opacity: 0.7 }}>
+            The browser may delete this site's data when the device runs low on space.
+          </div>
+          <button
+            class="secondary-button"
+            onClick={onRequestPersist}
+            style={{ height: '28px', padding: '0 10px', marginTop: 0, flexShrink: 0 }}
+          >
+            <FontAwesomeIcon icon={faLock} />
+            {' '}Keep data
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
 function ClearDataModal({ isOpen, onClose, addLog }) {
   const [clearOptions, setClearOptions] = useState(() => createInitialClearDataOptions());
   const [busy, setBusy] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
+  const [cacheUsage, setCacheUsage] = useState(null);
+  const [persisted, setPersisted] = useState(null);
+  const [clearingCollectionId, setClearingCollectionId] = useState(null);
+
+  const refreshCacheUsage = useCallback(async () => {
+    try {
+      const [usage, persistedState] = await Promise.all([getAssetCacheUsage(), isStoragePersisted()]);
+      setCacheUsage(usage);
+      setPersisted(persistedState);
+    } catch (err) {
+      addLog?.(`[Debug] Failed to read cache usage: ${err?.message || err}`);
+    }
+  }, [addLog]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setCacheUsage(null);
+    refreshCacheUsage();
+  }, [isOpen, refreshCacheUsage]);
 
   const hasSelection = useMemo(() => Object.values(clearOptions).some(Boolean), [clearOptions]);
 
@@ -110,6 +224,26 @@ function ClearDataModal({ isOpen, onClose, addLog }) {
     }));
   }, []);
 
+  const handleClearCollection = useCallback(async (collection) => {
+    if (clearingCollectionId) return;
+    setClearingCollectionId(collection.sourceId);
+    try {
+      const { removed } = await clearCollectionCache(collection.sourceId);
+      addLog?.(`[Debug] Cleared ${removed} cached assets from ${getCollectionLabel(collection)}`);
+    } catch (err) {
+      setError(err?.message || 'Failed to clear collection cache');
+    } finally {
+      setClearingCollectionId(null);
+      refreshCacheUsage();
+    }
+  }, [addLog, clearingCollectionId, refreshCacheUsage]);
+
+  const handleRequestPersist = useCallback(async () => {
+    const granted = await requestPersistentStorage();
+    setPersisted(granted);
+    addLog?.(`[Debug] Persistent storage ${granted ? 'granted' : 'not granted'}`);
+  }, [addLog]);
+
   const handleClearSelected = useCallback(async () => {
     if (!hasSelection || busy) return;
     setBusy(true);
@@ -129,8 +263,9 @@ function ClearDataModal({ isOpen, onClose, addLog }) {
       addLog?.(`[Debug] Clear data failed: ${message}`);
     } finally {
       setBusy(false);
+      refreshCacheUsage();
     }
-  }, [addLog, busy, clearOptions, hasSelection]);
+  }, [addLog, busy, clearOptions, hasSelection, refreshCacheUsage]);
 
   if (!isOpen) return null;
 
@@ -161,6 +296,18 @@ function ClearDataModal({ isOpen, onClose, addLog }) {
           paddingRight: '2px',
         }}
       >
+        <div>
+          <div class="settings-divider" style={{ margin: '4px 0 10px' }}>
+            Cache usage
+          </div>
+          <CacheUsageSection
+            usage={cacheUsage}
+            persisted={persisted}
+            onClearCollection={handleClearCollection}
+            onRequestPersist={handleRequestPersist}
+            clearingId={clearingCollectionId}
+          />
+        </div>
         {clearDataSections.map((section) => (
           <div key={section.title}>
             <div class="settings-divider" style={{ margin: '4px 0 10px' }}>
@@ -1,7 +1,7 @@
 /**
  * Connect to Storage Dialog
  *
- * Modal dialog for adding new collections backed by Local Folder, Supabase, or R2 storage.
+ * Modal dialog for adding new collections backed by Local Folder, Supabase, R2, S3-compatible, or WebDAV storage.
  */
 
 import { useState, useCallback, useEffect } from 'preact/hooks';
@@ -14,6 +14,8 @@ import AppStorageForm from './connectStorage/AppStorageForm.jsx';
 import UrlCollectionForm from './connectStorage/UrlCollectionForm.jsx';
 import SupabaseForm from './connectStorage/SupabaseForm.jsx';
 import R2Form from './connectStorage/R2Form.jsx';
+import S3Form from './connectStorage/S3Form.jsx';
+import WebDavForm from './connectStorage/WebDavForm.jsx';
 import ImportZipForm from './ImportZipForm.jsx';
 
 const isMobileUserAgent = () => {
@@ -96,6 +98,16 @@ function ConnectStorageDialog({ isOpen, onClose, onConnect, editSource, onEditCo
               selected={false}
               onSelect={setSelectedTier}
             />
+            <TierCard
+              type="s3-bucket"
+              selected={false}
+              onSelect={setSelectedTier}
+            />
+            <TierCard
+              type="webdav"
+              selected={false}
+              onSelect={setSelectedTier}
+            />
             <TierCard
               type="public-url"
               selected={false}
@@ -135,6 +147,10 @@ function ConnectStorageDialog({ isOpen, onClose, onConnect, editSource, onEditCo
         <SupabaseForm onConnect={handleConnect} onBack={handleBack} />
       ) : selectedTier === 'r2-bucket' ? (
         <R2Form onConnect={handleConnect} onBack={handleBack} />
+      ) : selectedTier === 's3-bucket' ? (
+        <S3Form onConnect={handleConnect} onBack={handleBack} />
+      ) : selectedTier === 'webdav' ? (
+        <WebDavForm onConnect={handleConnect} onBack={handleBack} />
       ) : selectedTier === 'public-url' ? (
  <UrlCollectionForm 
             onConnect={handleConnect} 
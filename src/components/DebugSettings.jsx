@@ -14,14 +14,28 @@ import { applyPreviewBackground } from '../backgroundManager.js';
 import { clearCustomMetadataForAsset } from '../customMetadata.js';
 import { requestRender, setStereoEffectEnabled } from '../viewer';
 import { formatBytes } from '../previewManager.js';
-import { clearRemovedAssets, getSource, isSourceAsset, loadAssetFile } from '../storage/index.js';
+import { clearRemovedAssets, getAssetKey, getSource, isSourceAsset, loadAssetFile } from '../storage/index.js';
+import { convertPlyToSog, getSogConversionProgress } from '../sogConverter.js';
+import { embedCustomViewsInFile } from '../viewEmbedding.js';
 import { zipSync } from 'fflate';
 import TransferDataModal from './TransferDataModal';
 import ExportChoiceModal from './ExportChoiceModal';
 import BatchPreviewModal from './BatchPreviewModal';
+import SplatHealthModal from './SplatHealthModal';
 import ClearDataModal from './ClearDataModal';
 import { useBatchPreview } from './useBatchPreview';
 
+const SOG_STEP_LABELS = {
+  read: 'Reading PLY',
+  means: 'Quantizing positions',
+  scales: 'Building scale codebook',
+  quats: 'Packing rotations',
+  sh0: 'Building color codebook',
+  shN: 'Building SH palette',
+  package: 'Packaging SOG',
+};
+
+const isPlyAsset = (asset) => (asset?.file?.name || asset?.name || asset?.path || '').toLowerCase().endsWith('.ply');
 
 function DebugSettings() {
   const showFps = useStore((state) => state.showFps);
@@ -66,6 +80,8 @@ function DebugSettings() {
   const [transferModalOpen, setTransferModalOpen] = useState(false);
   const [clearDataModalOpen, setClearDataModalOpen] = useState(false);
   const [exportModalOpen, setExportModalOpen] = useState(false);
+  const [convertModalOpen, setConvertModalOpen] = useState(false);
+  const [healthModalOpen, setHealthModalOpen] = useState(false);
 
   // Debug upload overlay simulation
   const [debugOverlayStep, setDebugOverlayStep] = useState(0);
@@ -81,6 +97,7 @@ function DebugSettings() {
     batchPreviewModalOpen,
     batchResult,
     canBatchGeneratePreviews,
+    nonProxyAssetCount,
     handleOpenBatchPreviewModal,
     handleConfirmBatchPreview,
     handleAbortBatchPreview,
@@ -110,6 +127,18 @@ function DebugSettings() {
     };
   }, [activeSourceId, assets]);
 
+  const conversionInfo = useMemo(() => {
+    const source = activeSourceId ? getSource(activeSourceId) : null;
+    const plyAssets = assets.filter((asset) => !asset?.isProxyView && isPlyAsset(asset));
+    return {
+      plyAssets,
+      totalSize: plyAssets.reduce((sum, asset) => sum + (asset?.file?.size ?? asset?.size ?? 0), 0),
+      canReplace: !!source
+        && typeof source.replaceAsset === 'function'
+        && source.getCapabilities?.().writable === true,
+    };
+  }, [activeSourceId, assets]);
+
   const refreshAssets = useCallback(() => {
     const freshAssets = getAssetList();
     const idx = getCurrentAssetIndex();
@@ -274,11 +303,11 @@ function DebugSettings() {
         
         // Also save to IndexedDB
         if (result.blob) {
-          await savePreviewBlob(asset.name, result.blob, {
+          await savePreviewBlob(getAssetKey(asset), result.blob, {
             width: result.width,
             height: result.height,
             format: result.format,
-          }, asset.previewStorageKey || asset.name);
+          }, asset.previewStorageKey || getAssetKey(asset));
           addLog(`[Debug] Preview saved to IndexedDB`);
         }
       } else {
@@ -462,18 +491,35 @@ function DebugSettings() {
     setTimeout(() => URL.revokeObjectURL(url), 1000);
   }, []);
 
-  const handleExportCurrentAsset = useCallback(async () => {
+  // Write the asset's saved custom views into the file so it opens with the
+  // same framing elsewhere; formats without view support pass through.
+  const withEmbeddedViews = useCallback(async (file, asset) => {
+    try {
+      const embedded = await embedCustomViewsInFile(file, { assetName: getAssetKey(asset) });
+      if (embedded) {
+        addLog(`[Export] Embedded saved views in ${file.name}`);
+        return embedded;
+      }
+    } catch (err) {
+      console.warn(`[Export] Failed to embed views in ${file.name}:`, err);
+      addLog(`[Export] Could not embed views in ${file.name}: ${err.message}`);
+    }
+    return file;
+  }, [addLog]);
+
+  const handleExportCurrentAsset = useCallback(async ({ optionEnabled: embedViews } = {}) => {
     if (!currentAsset) throw new Error('No current asset available');
-    const file = currentAsset.file
+    const loadedFile = currentAsset.file
       ? currentAsset.file
       : (isSourceAsset(currentAsset) ? await loadAssetFile(currentAsset) : null);
 
-    if (!file) throw new Error('Unable to load current asset file');
+    if (!loadedFile) throw new Error('Unable to load current asset file');
+    const file = embedViews ? await withEmbeddedViews(loadedFile, currentAsset) : loadedFile;
     downloadBlob(file, file.name || sanitizeFileName(currentAsset.name || 'asset'));
     addLog(`[Export] Downloaded ${file.name || currentAsset.name || 'asset'}`);
-  }, [addLog, currentAsset, downloadBlob, sanitizeFileName]);
+  }, [addLog, currentAsset, downloadBlob, sanitizeFileName, withEmbeddedViews]);
 
-  const handleExportCollection = useCallback(async () => {
+  const handleExportCollection = useCallback(async ({ optionEnabled: embedViews } = {}) => {
     if (!assets.length) throw new Error('No assets to export');
 
     const totalAssets = assets.length;
@@ -499,13 +545,14 @@ function DebugSettings() {
       for (let i = 0; i < totalAssets; i += 1) {
         const asset = assets[i];
         emitDownloadProgress(i + 1);
-        const assetFile = asset?.file
+        const loadedFile = asset?.file
           ? asset.file
           : (isSourceAsset(asset) ? await loadAssetFile(asset) : null);
 
-        if (!assetFile) {
+        if (!loadedFile) {
           throw new Error(`Unable to load asset: ${asset?.name || `#${i + 1}`}`);
         }
+        const assetFile = embedViews ? await withEmbeddedViews(loadedFile, asset) : loadedFile;
 
         const safeName = sanitizeFileName(assetFile.name || asset?.name || `asset-${i + 1}`);
         const buffer = await assetFile.arrayBuffer();
@@ -547,8 +594,130 @@ function DebugSettings() {
         setUploadState({ isUploading: false, uploadProgress: null });
       }
     }
-  }, [addLog, assets, collectionInfo.collectionName, downloadBlob, sanitizeFileName, setUploadState]);
+  }, [addLog, assets, collectionInfo.collectionName, downloadBlob, sanitizeFileName, setUploadState, withEmbeddedViews]);
+
+
+  const convertAssetToSog = useCallback(async (asset, current, total) => {
+    const file = asset?.file
+      ? asset.file
+      : (isSourceAsset(asset) ? await loadAssetFile(asset) : null);
+    if (!file) throw new Error(`Unable to load asset: ${asset?.name || `#${current}`}`);
+
+    const emitConvertProgress = (step, progress) => {
+      setUploadState({
+        isUploading: true,
+        uploadProgress: {
+          stage: 'converting',
+          convert: { fileName: file.name, current, total, step, progress },
+          total,
+        },
+      });
+    };
+    emitConvertProgress(SOG_STEP_LABELS.read, 0);
+    return convertPlyToSog(file, {
+      onProgress: (event) => emitConvertProgress(SOG_STEP_LABELS[event.stage] || '', getSogConversionProgress(event)),
+    });
+  }, [setUploadState]);
+
+  // Swap converted files into the writable source, then reload the collection
+  // so asset ids and paths pick up the new .sog names.
+  const replaceWithSog = useCallback(async (conversions) => {
+    const source = activeSourceId ? getSource(activeSourceId) : null;
+    if (!source || typeof source.replaceAsset !== 'function') {
+      throw new Error('This collection does not support replacing assets');
+    }
+
+    setUploadState({
+      isUploading: true,
+      uploadProgress: { stage: 'transferring', total: conversions.length },
+    });
+    for (const { asset, sogFile } of conversions) {
+      const result = await source.replaceAsset(asset._remoteAsset || asset, sogFile);
+      if (!result?.success) {
+        throw new Error(`Failed to replace ${asset?.name || sogFile.name}: ${result?.error || 'Unknown error'}`);
+      }
+      addLog(`[Convert] Replaced ${asset?.name || 'asset'} with ${sogFile.name}`);
+    }
+    await loadFromStorageSource(source, { preferredIndex: currentAssetIndex });
+  }, [activeSourceId, addLog, currentAssetIndex, setUploadState]);
+
+  const runConversion = useCallback(async (convert) => {
+    let succeeded = false;
+    try {
+      await convert();
+      succeeded = true;
+    } catch (err) {
+      console.error('[Convert] SOG conversion failed:', err);
+      addLog(`[Convert] Failed: ${err?.message || err}`);
+      setUploadState({
+        isUploading: true,
+        uploadProgress: {
+          stage: 'error',
+          error: {
+            message: 'SOG conversion failed',
+            detail: err?.message || 'SOG conversion failed',
+          },
+        },
+      });
+      throw err;
+    } finally {
+      if (succeeded) {
+        setUploadState({ isUploading: false, uploadProgress: null });
+      }
+    }
+  }, [addLog, setUploadState]);
+
+  const handleConvertCurrentAsset = useCallback(({ optionEnabled } = {}) => {
+    if (!currentAsset || !isPlyAsset(currentAsset)) throw new Error('Current asset is not a PLY file');
+    const replaceInPlace = optionEnabled && conversionInfo.canReplace && isSourceAsset(currentAsset);
+
+    return runConversion(async () => {
+      const sogFile = await convertAssetToSog(currentAsset, 1, 1);
+      if (replaceInPlace) {
+        await replaceWithSog([{ asset: currentAsset, sogFile }]);
+        return;
+      }
+      downloadBlob(sogFile, sogFile.name);
+      addLog(`[Convert] Downloaded ${sogFile.name} (${formatBytes(sogFile.size)})`);
+    });
+  }, [addLog, conversionInfo.canReplace, convertAssetToSog, currentAsset, downloadBlob, replaceWithSog, runConversion]);
+
+  const handleConvertCollection = useCallback(({ optionEnabled } = {}) => {
+    const { plyAssets, canReplace } = conversionInfo;
+    if (!plyAssets.length) throw new Error('No PLY assets to convert');
+    const replaceInPlace = optionEnabled && canReplace;
+
+    return runConversion(async () => {
+      const conversions = [];
+      for (let i = 0; i < plyAssets.length; i += 1) {
+        const asset = plyAssets[i];
+        const sogFile = await convertAssetToSog(asset, i + 1, plyAssets.length);
+        conversions.push({ asset, sogFile });
+      }
+
+      if (replaceInPlace) {
+        await replaceWithSog(conversions.filter(({ asset }) => isSourceAsset(asset)));
+        return;
+      }
 
+      setUploadState({
+        isUploading: true,
+        uploadProgress: { stage: 'packaging', message: 'Packaging ZIP', total: conversions.length },
+      });
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      const files = {};
+      for (const { sogFile } of conversions) {
+        files[`assets/${sanitizeFileName(sogFile.name)}`] = new Uint8Array(await sogFile.arrayBuffer());
+      }
+      // SOG bundles are already compressed zips.
+      const zipData = zipSync(files, { level: 0 });
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const safeCollectionName = sanitizeFileName(collectionInfo.collectionName, 'collection');
+      downloadBlob(new Blob([zipData], { type: 'application/zip' }), `${safeCollectionName}-sog-${stamp}.zip`);
+      addLog(`[Convert] Downloaded ${conversions.length} SOG file${conversions.length === 1 ? '' : 's'}`);
+    });
+  }, [addLog, collectionInfo.collectionName, conversionInfo, convertAssetToSog, downloadBlob, replaceWithSog, runConversion, sanitizeFileName, setUploadState]);
 
   // If fullscreen is exited while stereo is on, disable stereo to avoid misalignment
   useEffect(() => {
@@ -662,6 +831,18 @@ function DebugSettings() {
           </button>
         </div>
 
+        <div class="control-row">
+          <span class="control-label">Convert to SOG</span>
+          <button
+            type="button"
+            class="secondary"
+            onClick={() => setConvertModalOpen(true)}
+            disabled={conversionInfo.plyAssets.length === 0}
+          >
+            Convert...
+          </button>
+        </div>
+
         <div class="control-row">
           <span class="control-label">Restore removed</span>
           <button
@@ -748,6 +929,18 @@ function DebugSettings() {
           )}
         </div>
 
+        <div class="control-row">
+          <span class="control-label">Health check</span>
+          <button
+            type="button"
+            class="secondary"
+            onClick={() => setHealthModalOpen(true)}
+            disabled={!currentAsset}
+          >
+            Details...
+          </button>
+        </div>
+
         <div class="control-row">
           <span class="control-label">Transfer bundle</span>
           <button
@@ -859,6 +1052,32 @@ function DebugSettings() {
               ? `Estimate based on ${collectionInfo.sogCount} .sog file${collectionInfo.sogCount === 1 ? '' : 's'} × 11MB.`
               : '')
         }
+        optionLabel="Embed saved views"
+        optionHint="Writes each asset's active custom view into PLY and SOG files so they open with the same framing anywhere."
+      />
+      <ExportChoiceModal
+        isOpen={convertModalOpen}
+        onClose={() => setConvertModalOpen(false)}
+        onExportAsset={handleConvertCurrentAsset}
+        onExportCollection={handleConvertCollection}
+        title="Convert to SOG"
+        subtitle="Transcode PLY splats into compressed SOG bundles. Camera metadata is kept."
+        assetTitle={currentAsset?.name || 'Current image'}
+        assetSubtitle={isPlyAsset(currentAsset) ? `Size: ${formatBytes(currentAssetSize)}` : 'Not a PLY file'}
+        collectionTitle={collectionInfo.collectionName}
+        collectionSubtitle={`${conversionInfo.plyAssets.length} PLY asset${conversionInfo.plyAssets.length === 1 ? '' : 's'} · ${formatBytes(conversionInfo.totalSize)}`}
+        assetDisabled={!isPlyAsset(currentAsset)}
+        collectionDisabled={conversionInfo.plyAssets.length === 0}
+        confirmLabel="Convert"
+        busyLabel="Converting..."
+        optionLabel={conversionInfo.canReplace ? 'Replace in collection' : ''}
+        optionHint="Uploads the .sog files and removes the original PLYs from storage. Previews, metadata, scene placements and local settings are kept."
+      />
+      <SplatHealthModal
+        isOpen={healthModalOpen}
+        onClose={() => setHealthModalOpen(false)}
+        asset={currentAsset}
+        assetCount={nonProxyAssetCount}
       />
       <BatchPreviewModal
         isOpen={batchPreviewModalOpen}
@@ -1,6 +1,8 @@
 /**
  * Export Choice Modal
  * Lets the user pick between exporting current asset or the current collection.
+ * Also reused for other per-asset / per-collection actions (e.g. SOG conversion)
+ * via the label props and an optional toggle passed through to the action.
  */
 
 import { useEffect, useMemo, useState } from 'preact/hooks';
@@ -55,6 +57,10 @@ function ExportChoiceModal({
   note = '',
   assetDisabled = false,
   collectionDisabled = false,
+  confirmLabel = 'Export',
+  busyLabel = 'Exporting...',
+  optionLabel = '',
+  optionHint = '',
 }) {
   const defaultMode = useMemo(() => {
     if (!assetDisabled) return 'asset';
@@ -64,6 +70,7 @@ function ExportChoiceModal({
   const [mode, setMode] = useState(defaultMode);
   const [exportBusy, setExportBusy] = useState(false);
   const [exportError, setExportError] = useState('');
+  const [optionEnabled, setOptionEnabled] = useState(false);
 
   const handleClose = () => {
     setExportBusy(false);
@@ -76,6 +83,7 @@ function ExportChoiceModal({
     if (!isOpen) {
       setExportBusy(false);
       setExportError('');
+      setOptionEnabled(false);
     }
   }, [defaultMode, isOpen]);
 
@@ -88,7 +96,7 @@ function ExportChoiceModal({
 
     const exportAction = mode === 'asset' ? onExportAsset : onExportCollection;
     try {
-      const result = exportAction?.();
+      const result = exportAction?.({ optionEnabled: !!optionLabel && optionEnabled });
       if (result && typeof result.then === 'function') {
         result.catch((err) => {
           console.error('[ExportChoiceModal] Export failed after modal close', err);
@@ -131,6 +139,25 @@ function ExportChoiceModal({
         />
       </div>
 
+      {optionLabel && (
+        <div class="control-row" style={{ marginTop: '16px' }}>
+          <span class="control-label">{optionLabel}</span>
+          <label class="switch">
+            <input
+              type="checkbox"
+              checked={optionEnabled}
+              onChange={(event) => setOptionEnabled(event.target.checked)}
+            />
+            <span class="switch-track" aria-hidden="true" />
+          </label>
+        </div>
+      )}
+      {optionLabel && optionHint && (
+        <p class="dialog-subtitle" style={{ marginTop: '4px', color: 'var(--text-muted, #888)' }}>
+          {optionHint}
+        </p>
+      )}
+
       {note && (
         <p class="dialog-subtitle" style={{ marginTop: '12px', color: 'var(--text-muted, #888)' }}>
           {note}
@@ -158,7 +185,7 @@ function ExportChoiceModal({
           style={{ height: '36px', padding: '0 16px' }}
         >
           <FontAwesomeIcon icon={faDownload} />
-          {' '}{exportBusy ? 'Exporting...' : 'Export'}
+          {' '}{exportBusy ? busyLabel : confirmLabel}
         </button>
       </div>
     </Modal>
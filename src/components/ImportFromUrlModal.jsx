@@ -70,6 +70,8 @@ function ImportFromUrlModal({ isOpen, importUrl, onClose, addLog }) {
     if (summary.sourcesImported > 0) parts.push(`${summary.sourcesImported} collection${summary.sourcesImported === 1 ? '' : 's'}`);
     if (summary.supabaseSettingsImported) parts.push('Supabase settings');
     if (summary.r2SettingsImported) parts.push('R2 settings');
+    if (summary.s3SettingsImported) parts.push('S3 settings');
+    if (summary.webdavSettingsImported) parts.push('WebDAV settings');
     if (summary.cloudGpuSettingsImported) parts.push('Cloud GPU settings');
     if (summary.fileSettingsImported > 0) parts.push(`${summary.fileSettingsImported} file setting${summary.fileSettingsImported === 1 ? '' : 's'}`);
     if (summary.previewsImported > 0) parts.push(`${summary.previewsImported} preview${summary.previewsImported === 1 ? '' : 's'}`);
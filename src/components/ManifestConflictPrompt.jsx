@@ -0,0 +1,77 @@
+import { useEffect, useState } from 'preact/hooks';
+import { useStore } from '../store';
+import { onManifestConflict, getSource } from '../storage/index.js';
+import { loadFromStorageSource } from '../fileLoader';
+
+const MAX_LISTED_CONFLICTS = 3;
+
+const FIELD_LABELS = {
+  name: 'name',
+  caption: 'caption',
+  tags: 'tags',
+  capturedAt: 'capture date',
+  order: 'position',
+  views: 'views',
+  preview: 'preview',
+  metadata: 'metadata',
+  description: 'description',
+  cover: 'cover',
+  defaults: 'default settings',
+  items: 'layout',
+};
+
+const describeConflict = (conflict) => {
+  const field = FIELD_LABELS[conflict.field] || conflict.field;
+  return conflict.type === 'collection' ? `collection ${field}` : `${field} of ${conflict.label}`;
+};
+
+const describeConflicts = (conflicts) => {
+  const listed = conflicts.slice(0, MAX_LISTED_CONFLICTS).map(describeConflict).join(', ');
+  const more = conflicts.length - MAX_LISTED_CONFLICTS;
+  return more > 0 ? `${listed} and ${more} more` : listed;
+};
+
+/**
+ * Shown when a collection manifest write could not keep every local edit
+ * because another device changed the same fields, or when a source cannot
+ * check its writes for such changes (see storage/manifestSync.js).
+ */
+function ManifestConflictPrompt() {
+  const activeSourceId = useStore((state) => state.activeSourceId);
+  const [event, setEvent] = useState(null);
+
+  useEffect(() => onManifestConflict(setEvent), []);
+
+  if (!event) return null;
+
+  const message = event.error
+    || event.warning
+    || `${event.sourceName} was changed on another device. Kept their version of ${describeConflicts(event.conflicts)}.`;
+  const canReload = !event.warning && event.sourceId === activeSourceId && getSource(event.sourceId);
+
+  const handleReload = () => {
+    const source = getSource(event.sourceId);
+    setEvent(null);
+    if (source) loadFromStorageSource(source);
+  };
+
+  return (
+    <div class="pwa-toast" role="alert">
+      <div class="pwa-toast__content">
+        <span class="pwa-toast__message">{message}</span>
+        <div class="pwa-toast__actions">
+          {canReload && (
+            <button class="pwa-toast__button" onClick={handleReload}>
+              Reload
+            </button>
+          )}
+          <button class="pwa-toast__button pwa-toast__button--secondary" onClick={() => setEvent(null)}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ManifestConflictPrompt;
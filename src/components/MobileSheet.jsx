@@ -9,6 +9,9 @@ import { useStore } from '../store';
 import CameraControls from './CameraControls';
 import DebugSettings from './DebugSettings';
 import AnimationSettings from './AnimationSettings';
+import SplatFilterSettings from './SplatFilterSettings';
+import SplatCropSettings from './SplatCropSettings';
+import SceneComposerSettings from './SceneComposerSettings';
 import StorageSourceList from './StorageSourceList';
 import ConnectStorageDialog from './ConnectStorageDialog';
 import { getFormatAccept } from '../formats/index';
@@ -113,6 +116,9 @@ function MobileSheet() {
       <div class="mobile-sheet-content">
         <CameraControls />
         <AnimationSettings />
+        <SplatFilterSettings />
+        <SplatCropSettings />
+        <SceneComposerSettings />
         <StorageSourceList 
           onAddSource={handleOpenStorageDialog}
           onSelectSource={handleSelectSource}
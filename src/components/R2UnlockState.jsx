@@ -2,7 +2,7 @@ import { useState } from 'preact/hooks';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { faLock, faSpinner, faExclamationTriangle } from '@fortawesome/free-solid-svg-icons';
 
-function R2UnlockState({ sourceName, onUnlock, onBack }) {
+function R2UnlockState({ sourceName, providerLabel = 'R2', onUnlock, onBack }) {
   const [password, setPassword] = useState('');
   const [unlocking, setUnlocking] = useState(false);
   const [error, setError] = useState('');
@@ -34,9 +34,9 @@ function R2UnlockState({ sourceName, onUnlock, onBack }) {
           Back
         </button>
 
-        <h3>{sourceName || 'R2 collection'} is locked</h3>
+        <h3>{sourceName || `${providerLabel} collection`} is locked</h3>
         <p>
-          This collection uses encrypted R2 credentials. Enter your vault password once per browser session.
+          This collection uses encrypted {providerLabel} credentials. Enter your vault password once per browser session.
         </p>
 
         <div class="form-field" style={{ marginTop: '10px' }}>
@@ -0,0 +1,285 @@
+/**
+ * Scenes panel.
+ * Composes several assets of the current collection into one view, with a
+ * transform gizmo, visibility and opacity per asset. Scenes are saved in the
+ * collection manifest so they reopen the same way from any client.
+ */
+
+import { useCallback, useEffect, useMemo, useState } from 'preact/hooks';
+import { useStore } from '../store';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faChevronDown } from '@fortawesome/free-solid-svg-icons';
+import { getSource, supportsScenes } from '../storage/index.js';
+import {
+  GIZMO_MODES,
+  getSceneComposition,
+  onSceneCompositionChange,
+  openSceneComposition,
+  startSceneComposition,
+  addSceneItem,
+  removeSceneItem,
+  updateSceneItem,
+  selectSceneItem,
+  setSceneGizmoMode,
+  renameSceneComposition,
+  setSceneCompositionId,
+  closeSceneComposition,
+} from '../sceneComposer';
+
+const GIZMO_LABELS = {
+  translate: 'Move',
+  rotate: 'Rotate',
+  scale: 'Scale',
+};
+
+const getAssetPath = (asset) => asset?._remoteAsset?.path || asset?.path || asset?.name;
+
+function SceneComposerSettings() {
+  const assets = useStore((state) => state.assets);
+  const currentAssetIndex = useStore((state) => state.currentAssetIndex);
+  const activeSourceId = useStore((state) => state.activeSourceId);
+  const expanded = useStore((state) => state.sceneSettingsExpanded);
+  const toggleExpanded = useStore((state) => state.toggleSceneSettingsExpanded);
+  const addLog = useStore((state) => state.addLog);
+
+  const [composition, setComposition] = useState(getSceneComposition);
+  const [scenes, setScenes] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [addPath, setAddPath] = useState('');
+
+  const source = activeSourceId ? getSource(activeSourceId) : null;
+  const canSave = supportsScenes(source);
+  const currentAsset = assets[currentAssetIndex] || null;
+
+  const collectionAssets = useMemo(
+    () => assets.filter((asset) => !asset?.isProxyView),
+    [assets],
+  );
+
+  useEffect(() => onSceneCompositionChange(setComposition), []);
+
+  const refreshScenes = useCallback(async () => {
+    if (!canSave) {
+      setScenes([]);
+      return;
+    }
+    try {
+      setScenes(await source.listScenes());
+    } catch (err) {
+      console.warn('[Scenes] Failed to list scenes:', err);
+      setScenes([]);
+    }
+  }, [source, canSave]);
+
+  useEffect(() => {
+    if (expanded) refreshScenes();
+  }, [expanded, refreshScenes]);
+
+  const runTask = useCallback(async (label, task) => {
+    setBusy(true);
+    try {
+      await task();
+    } catch (err) {
+      console.warn(`[Scenes] ${label} failed:`, err);
+      addLog(`[Scenes] ${label} failed: ${err?.message || err}`);
+    } finally {
+      setBusy(false);
+    }
+  }, [addLog]);
+
+  const handleNewScene = useCallback(() => runTask('Create', async () => {
+    await startSceneComposition(`Scene ${scenes.length + 1}`, currentAsset);
+  }), [runTask, scenes.length, currentAsset]);
+
+  const handleOpenScene = useCallback((sceneDocument) => runTask('Open', async () => {
+    const snapshot = await openSceneComposition(sceneDocument, collectionAssets);
+    if (snapshot?.missing?.length) {
+      addLog(`[Scenes] Missing from this collection: ${snapshot.missing.join(', ')}`);
+    }
+  }), [runTask, collectionAssets, addLog]);
+
+  const handleDeleteScene = useCallback((sceneDocument) => runTask('Delete', async () => {
+    const result = await source.deleteScene(sceneDocument.id);
+    if (!result?.success) throw new Error(result?.error || 'Delete failed');
+    await refreshScenes();
+  }), [runTask, source, refreshScenes]);
+
+  const handleSave = useCallback(() => runTask('Save', async () => {
+    const snapshot = getSceneComposition();
+    if (!snapshot) return;
+    const result = await source.saveScene(snapshot.scene);
+    if (!result?.success) throw new Error(result?.error || 'Save failed');
+    setSceneCompositionId(result.scene.id);
+    addLog(`[Scenes] Saved "${result.scene.name}"`);
+    await refreshScenes();
+  }), [runTask, source, addLog, refreshScenes]);
+
+  const handleAddItem = useCallback(() => runTask('Add asset', async () => {
+    const asset = collectionAssets.find((item) => getAssetPath(item) === addPath);
+    if (!asset) return;
+    await addSceneItem(asset);
+    setAddPath('');
+  }), [runTask, collectionAssets, addPath]);
+
+  const handleClose = useCallback(() => {
+    closeSceneComposition();
+  }, []);
+
+  const items = composition?.scene.items || [];
+  const itemPaths = new Set(items.map((item) => item.path));
+  const addableAssets = collectionAssets.filter((asset) => !itemPaths.has(getAssetPath(asset)));
+
+  return (
+    <div class="settings-group">
+      <button
+        class="group-toggle"
+        aria-expanded={expanded}
+        onClick={toggleExpanded}
+      >
+        <span class="settings-eyebrow">Scenes</span>
+        <FontAwesomeIcon icon={faChevronDown} className="chevron" />
+      </button>
+
+      <div
+        class="group-content"
+        style={{ display: expanded ? 'flex' : 'none' }}
+      >
+        {!composition && (
+          <>
+            {scenes.length > 0 && (
+              <div class="scene-list">
+                {scenes.map((sceneDocument) => (
+                  <div class="scene-list-item" key={sceneDocument.id}>
+                    <span onClick={() => handleOpenScene(sceneDocument)} title="Open scene">
+                      {sceneDocument.name} ({sceneDocument.items.length})
+                    </span>
+                    <button type="button" class="secondary" onClick={() => handleOpenScene(sceneDocument)} disabled={busy}>
+                      Open
+                    </button>
+                    <button type="button" class="secondary" onClick={() => handleDeleteScene(sceneDocument)} disabled={busy}>
+                      Delete
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+            {!canSave && (
+              <div class="control-row">
+                <span class="control-label">Scenes are saved to Supabase, R2 or App Storage collections</span>
+              </div>
+            )}
+            <div class="control-row">
+              <button type="button" class="secondary" onClick={handleNewScene} disabled={busy || !currentAsset}>
+                New scene
+              </button>
+            </div>
+          </>
+        )}
+
+        {composition && (
+          <>
+            <div class="control-row">
+              <input
+                type="text"
+                class="scene-name-input"
+                value={composition.scene.name}
+                onInput={(e) => renameSceneComposition(e.target.value)}
+                aria-label="Scene name"
+              />
+            </div>
+
+            <div class="scene-list">
+              {items.map((item) => (
+                <div
+                  class={`scene-list-item${composition.selectedPath === item.path ? ' is-selected' : ''}`}
+                  key={item.path}
+                >
+                  <input
+                    type="checkbox"
+                    checked={item.visible}
+                    onChange={(e) => updateSceneItem(item.path, { visible: e.target.checked })}
+                    title="Visible"
+                  />
+                  <span
+                    onClick={() => selectSceneItem(composition.selectedPath === item.path ? null : item.path)}
+                    title="Select to transform"
+                  >
+                    {item.name}
+                  </span>
+                  <input
+                    type="range"
+                    min="0"
+                    max="1"
+                    step="0.01"
+                    value={item.opacity}
+                    onInput={(e) => updateSceneItem(item.path, { opacity: Number(e.target.value) })}
+                    title="Opacity"
+                  />
+                  <button type="button" class="secondary" onClick={() => removeSceneItem(item.path)}>
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+
+            <div class="control-row">
+              <span class="control-label">Gizmo</span>
+              <div style={{ display: 'flex', gap: '6px' }}>
+                {GIZMO_MODES.map((mode) => (
+                  <button
+                    type="button"
+                    key={mode}
+                    class={composition.gizmoMode === mode ? 'primary' : 'secondary'}
+                    onClick={() => setSceneGizmoMode(mode)}
+                    disabled={!composition.selectedPath}
+                  >
+                    {GIZMO_LABELS[mode]}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {addableAssets.length > 0 && (
+              <div class="control-row">
+                <div class="control-track">
+                  <select
+                    class="quality-select"
+                    value={addPath}
+                    onChange={(e) => setAddPath(e.target.value)}
+                  >
+                    <option value="">Add asset…</option>
+                    {addableAssets.map((asset) => (
+                      <option key={asset.id} value={getAssetPath(asset)}>
+                        {asset.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <button type="button" class="secondary" onClick={handleAddItem} disabled={busy || !addPath}>
+                  Add
+                </button>
+              </div>
+            )}
+
+            <div class="control-row">
+              <button
+                type="button"
+                class="secondary"
+                onClick={handleSave}
+                disabled={busy || !canSave}
+                title={canSave ? 'Save to the collection manifest' : 'This collection cannot store scenes'}
+              >
+                {busy ? 'Working...' : 'Save'}
+              </button>
+              <button type="button" class="secondary" onClick={handleClose} disabled={busy}>
+                Close
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SceneComposerSettings;
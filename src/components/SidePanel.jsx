@@ -8,6 +8,9 @@ import { useState, useCallback, useRef } from 'preact/hooks';
 import { useStore } from '../store';
 import CameraControls from './CameraControls';
 import AnimationSettings from './AnimationSettings';
+import SplatFilterSettings from './SplatFilterSettings';
+import SplatCropSettings from './SplatCropSettings';
+import SceneComposerSettings from './SceneComposerSettings';
 import DebugSettings from './DebugSettings';
 import StorageSourceList from './StorageSourceList';
 import ConnectStorageDialog from './ConnectStorageDialog';
@@ -129,6 +132,9 @@ function SidePanel() {
         {/* Settings panels */}
         <CameraControls />
         <AnimationSettings />
+        <SplatFilterSettings />
+        <SplatCropSettings />
+        <SceneComposerSettings />
         {/* Storage sources */}
         <StorageSourceList 
           onAddSource={handleOpenStorageDialog}
@@ -77,7 +77,7 @@ function SlideshowOptionsModal({ isOpen, onClose }) {
   const assets = useStore((state) => state.assets);
   const currentAssetIndex = useStore((state) => state.currentAssetIndex);
   const fileCustomAnimation = useStore((state) => state.fileCustomAnimation);
-  const currentFileName = useStore((state) => state.fileInfo?.name);
+  const currentFileKey = useStore((state) => state.fileInfo?.storageKey || state.fileInfo?.name);
 
   const setSlideModeStore = useStore((state) => state.setSlideMode);
   const setContinuousMotionSizeStore = useStore((state) => state.setContinuousMotionSize);
@@ -96,8 +96,8 @@ function SlideshowOptionsModal({ isOpen, onClose }) {
     const currentAssetId = assets?.[currentAssetIndex]?.id;
     const payload = buildCustomAnimationPayload(nextSettings);
 
-    if (currentFileName && currentFileName !== '-') {
-      saveCustomAnimationSettings(currentFileName, payload)
+    if (currentFileKey && currentFileKey !== '-') {
+      saveCustomAnimationSettings(currentFileKey, payload)
         .catch(err => {
           console.warn('Failed to save custom animation settings:', err);
         });
@@ -109,7 +109,7 @@ function SlideshowOptionsModal({ isOpen, onClose }) {
         updateCustomAnimationInCache(currentAssetId, payload);
       }
     }
-  }, [setFileCustomAnimation, currentFileName, assets, currentAssetIndex]);
+  }, [setFileCustomAnimation, currentFileKey, assets, currentAssetIndex]);
 
   const handleZoomProfileChange = useCallback((e) => {
     const zoomProfile = e.target.value;
@@ -0,0 +1,313 @@
+/**
+ * Crop panel.
+ * Edits an oriented crop box and near/far clipping planes for the current
+ * asset, previews them live, stores them per file and bakes them into a PLY.
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useState } from 'preact/hooks';
+import { useStore } from '../store';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faChevronDown } from '@fortawesome/free-solid-svg-icons';
+import { currentMesh } from '../viewer';
+import { getSplatCache, updateCropInCache } from '../splatManager';
+import { loadFileSettings, saveCropSettings } from '../fileStorage';
+import { getAssetKey, isSourceAsset, loadAssetFile } from '../storage/index.js';
+import {
+  DEFAULT_SPLAT_CROP,
+  applySplatCrop,
+  updateCropGuide,
+  estimateCropBounds,
+  makeCropBoxFromBounds,
+  computeCropMask,
+} from '../splatCrop';
+import { createFilteredFile } from '../splatFilter';
+
+const SAVE_DEBOUNCE_MS = 300;
+const SLIDER_STEPS = 200;
+const AXES = ['X', 'Y', 'Z'];
+
+const getCacheKey = (asset) => asset?.cacheKey || asset?.baseAssetId || asset?.id;
+
+const isPlyAsset = (asset) => /\.ply$/i.test(asset?.name || '');
+
+const formatValue = (value) => (Number.isFinite(value) ? value.toFixed(2) : 'Off');
+
+function CropSlider({ label, min, max, value, onChange, disabled, display }) {
+  const step = (max - min) / SLIDER_STEPS || 0.01;
+  return (
+    <div class="control-row">
+      <span class="control-label">{label}</span>
+      <div class="control-track">
+        <input
+          type="range"
+          min={min}
+          max={max}
+          step={step}
+          value={Number.isFinite(value) ? value : min}
+          disabled={disabled}
+          onInput={(e) => onChange(Number(e.target.value))}
+        />
+        <span class="control-value">{display ?? formatValue(value)}</span>
+      </div>
+    </div>
+  );
+}
+
+function SplatCropSettings() {
+  const assets = useStore((state) => state.assets);
+  const currentAssetIndex = useStore((state) => state.currentAssetIndex);
+  const expanded = useStore((state) => state.cropSettingsExpanded);
+  const toggleExpanded = useStore((state) => state.toggleCropSettingsExpanded);
+  const addLog = useStore((state) => state.addLog);
+
+  const [crop, setCrop] = useState(DEFAULT_SPLAT_CROP);
+  const [bounds, setBounds] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const saveTimeoutRef = useRef(null);
+
+  const currentAsset = assets[currentAssetIndex] || null;
+  const assetKey = getAssetKey(currentAsset);
+
+  const getEntry = useCallback(() => getSplatCache().get(getCacheKey(currentAsset)) || null, [currentAsset]);
+  const getMesh = useCallback(() => getEntry()?.mesh || currentMesh, [getEntry]);
+
+  // Load the stored crop when the asset changes
+  useEffect(() => {
+    let cancelled = false;
+    setBounds(null);
+    if (!assetKey) {
+      setCrop(DEFAULT_SPLAT_CROP);
+      return undefined;
+    }
+    const cached = getEntry()?.storedSettings?.crop;
+    if (cached) {
+      setCrop({ ...DEFAULT_SPLAT_CROP, ...cached });
+      return undefined;
+    }
+    loadFileSettings(assetKey)
+      .then((settings) => {
+        if (!cancelled) setCrop({ ...DEFAULT_SPLAT_CROP, ...(settings?.crop || {}) });
+      })
+      .catch(() => {
+        if (!cancelled) setCrop(DEFAULT_SPLAT_CROP);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [assetKey, getEntry]);
+
+  // Slider ranges come from the splat bounds, measured once the panel is open
+  useEffect(() => {
+    if (!expanded || bounds || !assetKey) return;
+    const mesh = getMesh();
+    if (mesh) setBounds(estimateCropBounds(mesh));
+  }, [expanded, bounds, assetKey, getMesh]);
+
+  // Show the box wireframe only while the panel is open
+  useEffect(() => {
+    const mesh = getMesh();
+    updateCropGuide(mesh, crop, expanded);
+    return () => updateCropGuide(mesh, crop, false);
+  }, [expanded, crop, getMesh]);
+
+  const ranges = useMemo(() => {
+    if (!bounds) return null;
+    return bounds.min.map((min, axis) => {
+      const extent = Math.max(1e-3, bounds.max[axis] - min);
+      return { min: min - extent * 0.5, max: bounds.max[axis] + extent * 0.5, extent };
+    });
+  }, [bounds]);
+
+  const updateCrop = useCallback((patch) => {
+    const next = { ...crop, ...patch };
+    setCrop(next);
+    applySplatCrop(getMesh(), next);
+    updateCropGuide(getMesh(), next, expanded);
+    updateCropInCache(getCacheKey(currentAsset), next);
+
+    clearTimeout(saveTimeoutRef.current);
+    saveTimeoutRef.current = setTimeout(() => {
+      if (assetKey) saveCropSettings(assetKey, next);
+    }, SAVE_DEBOUNCE_MS);
+  }, [crop, getMesh, expanded, currentAsset, assetKey]);
+
+  useEffect(() => () => clearTimeout(saveTimeoutRef.current), []);
+
+  const handleToggleEnabled = useCallback((e) => {
+    const enabled = e.target.checked;
+    const box = enabled && !crop.box && bounds ? makeCropBoxFromBounds(bounds) : crop.box;
+    updateCrop({ enabled, box });
+  }, [crop, bounds, updateCrop]);
+
+  const handleToggleBox = useCallback((e) => {
+    updateCrop({ box: e.target.checked && bounds ? makeCropBoxFromBounds(bounds) : null });
+  }, [bounds, updateCrop]);
+
+  const updateBoxAxis = useCallback((key, axis, value) => {
+    if (!crop.box) return;
+    const values = [...crop.box[key]];
+    values[axis] = value;
+    updateCrop({ box: { ...crop.box, [key]: values } });
+  }, [crop, updateCrop]);
+
+  const handleReset = useCallback(() => {
+    updateCrop({ ...DEFAULT_SPLAT_CROP });
+  }, [updateCrop]);
+
+  const handleExport = useCallback(async () => {
+    setExporting(true);
+    try {
+      const entry = getEntry();
+      if (entry?.streamDone) await entry.streamDone;
+      const mesh = getMesh();
+      if (!mesh) throw new Error('No splats loaded');
+
+      const { keep, kept, total } = computeCropMask(mesh, crop);
+      const file = currentAsset?.file
+        ? currentAsset.file
+        : (isSourceAsset(currentAsset) ? await loadAssetFile(currentAsset) : null);
+      if (!file) throw new Error('Unable to load the original file');
+
+      const cropped = await createFilteredFile(file, keep, { suffix: 'crop' });
+      const url = URL.createObjectURL(cropped);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = cropped.name;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      addLog(`[Crop] Downloaded ${cropped.name} (${kept.toLocaleString()} of ${total.toLocaleString()} splats)`);
+    } catch (err) {
+      console.warn('[Crop] Export failed:', err);
+      addLog(`[Crop] Export failed: ${err?.message || err}`);
+    } finally {
+      setExporting(false);
+    }
+  }, [getEntry, getMesh, crop, currentAsset, addLog]);
+
+  const disabled = !crop.enabled || !ranges;
+  const zRange = ranges?.[2];
+
+  return (
+    <div class="settings-group">
+      <button
+        class="group-toggle"
+        aria-expanded={expanded}
+        onClick={toggleExpanded}
+      >
+        <span class="settings-eyebrow">Crop</span>
+        <FontAwesomeIcon icon={faChevronDown} className="chevron" />
+      </button>
+
+      <div
+        class="group-content"
+        style={{ display: expanded ? 'flex' : 'none' }}
+      >
+        <div class="control-row">
+          <span class="control-label">Crop splats</span>
+          <label class="switch">
+            <input
+              type="checkbox"
+              checked={crop.enabled}
+              onChange={handleToggleEnabled}
+              disabled={!currentAsset || !ranges}
+            />
+            <span class="switch-track" aria-hidden="true" />
+          </label>
+        </div>
+
+        <div class="control-row">
+          <span class="control-label">Crop box</span>
+          <label class="switch">
+            <input
+              type="checkbox"
+              checked={Boolean(crop.box)}
+              onChange={handleToggleBox}
+              disabled={disabled}
+            />
+            <span class="switch-track" aria-hidden="true" />
+          </label>
+        </div>
+
+        {crop.box && ranges && (
+          <>
+            {AXES.map((axisLabel, axis) => (
+              <CropSlider
+                key={`center-${axisLabel}`}
+                label={`Center ${axisLabel}`}
+                min={ranges[axis].min}
+                max={ranges[axis].max}
+                value={crop.box.center[axis]}
+                disabled={disabled}
+                onChange={(value) => updateBoxAxis('center', axis, value)}
+              />
+            ))}
+            {AXES.map((axisLabel, axis) => (
+              <CropSlider
+                key={`size-${axisLabel}`}
+                label={`Size ${axisLabel}`}
+                min={ranges[axis].extent / SLIDER_STEPS}
+                max={ranges[axis].extent * 2}
+                value={crop.box.size[axis]}
+                disabled={disabled}
+                onChange={(value) => updateBoxAxis('size', axis, value)}
+              />
+            ))}
+            {AXES.map((axisLabel, axis) => (
+              <CropSlider
+                key={`rotation-${axisLabel}`}
+                label={`Rotate ${axisLabel}`}
+                min={-180}
+                max={180}
+                value={crop.box.rotation?.[axis] ?? 0}
+                display={`${Math.round(crop.box.rotation?.[axis] ?? 0)}°`}
+                disabled={disabled}
+                onChange={(value) => updateBoxAxis('rotation', axis, value)}
+              />
+            ))}
+          </>
+        )}
+
+        {zRange && (
+          <>
+            <CropSlider
+              label="Near plane"
+              min={zRange.min}
+              max={zRange.max}
+              value={crop.near}
+              disabled={disabled}
+              onChange={(value) => updateCrop({ near: value <= zRange.min ? null : value })}
+            />
+            <CropSlider
+              label="Far plane"
+              min={zRange.min}
+              max={zRange.max}
+              value={Number.isFinite(crop.far) ? crop.far : zRange.max}
+              display={formatValue(crop.far)}
+              disabled={disabled}
+              onChange={(value) => updateCrop({ far: value >= zRange.max ? null : value })}
+            />
+          </>
+        )}
+
+        <div class="control-row">
+          <button type="button" class="secondary" onClick={handleReset} disabled={!currentAsset}>
+            Reset
+          </button>
+          <button
+            type="button"
+            class="secondary"
+            onClick={handleExport}
+            disabled={!crop.enabled || exporting || !isPlyAsset(currentAsset)}
+            title={isPlyAsset(currentAsset) ? 'Download a PLY with the crop applied' : 'Baking is available for PLY assets'}
+          >
+            {exporting ? 'Exporting...' : 'Export cropped'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SplatCropSettings;
@@ -0,0 +1,348 @@
+/**
+ * Splat filter panel.
+ * Hides floaters and junk splats with a live preview, stores the parameters
+ * per file and saves the cleaned PLY as a download or back to the collection.
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useState } from 'preact/hooks';
+import { useStore } from '../store';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faChevronDown } from '@fortawesome/free-solid-svg-icons';
+import { currentMesh } from '../viewer';
+import { getSplatCache } from '../splatManager';
+import { loadFileSettings, saveSplatFilter } from '../fileStorage';
+import { loadFromStorageSource } from '../fileLoader';
+import { getAssetKey, getSource, isSourceAsset, loadAssetFile } from '../storage/index.js';
+import {
+  DEFAULT_SPLAT_FILTER,
+  prepareSplatFilter,
+  applySplatFilter,
+  clearSplatFilter,
+  suggestSplatFilter,
+  valueAtQuantile,
+  quantileOfValue,
+  createFilteredFile,
+} from '../splatFilter';
+
+const APPLY_DEBOUNCE_MS = 120;
+
+const getCacheKey = (asset) => asset?.cacheKey || asset?.baseAssetId || asset?.id;
+
+const isPlyAsset = (asset) => /\.ply$/i.test(asset?.name || '');
+
+const formatValue = (value) => {
+  if (!Number.isFinite(value)) return 'Off';
+  return Math.abs(value) >= 100 ? value.toFixed(0) : value.toPrecision(3);
+};
+
+function QuantileSlider({ label, samples, value, offAt, onChange, disabled }) {
+  const position = Number.isFinite(value) ? quantileOfValue(samples, value) : offAt;
+  return (
+    <div class="control-row">
+      <span class="control-label">{label}</span>
+      <div class="control-track">
+        <input
+          type="range"
+          min="0"
+          max="1"
+          step="0.001"
+          value={position}
+          disabled={disabled || !samples?.length}
+          onInput={(e) => {
+            const t = Number(e.target.value);
+            onChange(t === offAt ? null : valueAtQuantile(samples, t));
+          }}
+        />
+        <span class="control-value">{formatValue(value)}</span>
+      </div>
+    </div>
+  );
+}
+
+function SplatFilterSettings() {
+  const assets = useStore((state) => state.assets);
+  const currentAssetIndex = useStore((state) => state.currentAssetIndex);
+  const activeSourceId = useStore((state) => state.activeSourceId);
+  const expanded = useStore((state) => state.filterSettingsExpanded);
+  const toggleExpanded = useStore((state) => state.toggleFilterSettingsExpanded);
+  const addLog = useStore((state) => state.addLog);
+
+  const [params, setParams] = useState(DEFAULT_SPLAT_FILTER);
+  const [stats, setStats] = useState(null);
+  const [result, setResult] = useState(null); // { keep, kept, total }
+  const [preparing, setPreparing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const applyTimeoutRef = useRef(null);
+
+  const currentAsset = assets[currentAssetIndex] || null;
+  const assetKey = getAssetKey(currentAsset);
+
+  const source = activeSourceId ? getSource(activeSourceId) : null;
+  const canUpload = typeof source?.uploadAssets === 'function';
+
+  const getEntry = useCallback(() => getSplatCache().get(getCacheKey(currentAsset)) || null, [currentAsset]);
+
+  // Load the stored parameters when the asset changes
+  useEffect(() => {
+    let cancelled = false;
+    setStats(null);
+    setResult(null);
+    if (!assetKey) {
+      setParams(DEFAULT_SPLAT_FILTER);
+      return undefined;
+    }
+    loadFileSettings(assetKey)
+      .then((settings) => {
+        if (!cancelled) setParams({ ...DEFAULT_SPLAT_FILTER, ...(settings?.splatFilter || {}) });
+      })
+      .catch(() => {
+        if (!cancelled) setParams(DEFAULT_SPLAT_FILTER);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [assetKey]);
+
+  const ensureStats = useCallback(async () => {
+    if (stats) return stats;
+    const entry = getEntry();
+    const mesh = entry?.mesh || currentMesh;
+    if (!mesh) return null;
+    if (entry?.streamDone) await entry.streamDone;
+
+    setPreparing(true);
+    // Let the spinner paint before the full pass over the splats
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    try {
+      const prepared = prepareSplatFilter(mesh, { useCameraDepth: Boolean(entry?.cameraMetadata) });
+      setStats(prepared);
+      return prepared;
+    } finally {
+      setPreparing(false);
+    }
+  }, [stats, getEntry]);
+
+  // Live preview + persistence, debounced while dragging sliders
+  useEffect(() => {
+    if (!expanded || !assetKey) return undefined;
+    clearTimeout(applyTimeoutRef.current);
+    applyTimeoutRef.current = setTimeout(async () => {
+      const entry = getEntry();
+      const mesh = entry?.mesh || currentMesh;
+      if (!mesh) return;
+      if (!params.enabled) {
+        clearSplatFilter(mesh);
+        setResult(null);
+        return;
+      }
+      const prepared = await ensureStats();
+      if (!prepared) return;
+      setResult(applySplatFilter(mesh, params, { useCameraDepth: prepared.useCameraDepth }));
+    }, APPLY_DEBOUNCE_MS);
+    return () => clearTimeout(applyTimeoutRef.current);
+  }, [params, expanded, assetKey, getEntry, ensureStats]);
+
+  const updateParams = useCallback((patch) => {
+    const next = { ...params, ...patch };
+    setParams(next);
+    if (assetKey) saveSplatFilter(assetKey, next);
+  }, [params, assetKey]);
+
+  const handleToggleEnabled = useCallback((e) => {
+    updateParams({ enabled: e.target.checked });
+  }, [updateParams]);
+
+  const handleSuggest = useCallback(async () => {
+    const prepared = await ensureStats();
+    if (!prepared) return;
+    updateParams(suggestSplatFilter(prepared));
+  }, [ensureStats, updateParams]);
+
+  const handleReset = useCallback(() => {
+    updateParams({ ...DEFAULT_SPLAT_FILTER });
+  }, [updateParams]);
+
+  const buildCleanFile = useCallback(async () => {
+    if (!result?.keep) throw new Error('Enable the filter first');
+    const file = currentAsset?.file
+      ? currentAsset.file
+      : (isSourceAsset(currentAsset) ? await loadAssetFile(currentAsset) : null);
+    if (!file) throw new Error('Unable to load the original file');
+    return createFilteredFile(file, result.keep);
+  }, [currentAsset, result]);
+
+  const runSave = useCallback(async (save) => {
+    setSaving(true);
+    try {
+      await save();
+    } catch (err) {
+      console.warn('[SplatFilter] Save failed:', err);
+      addLog(`[SplatFilter] Save failed: ${err?.message || err}`);
+    } finally {
+      setSaving(false);
+    }
+  }, [addLog]);
+
+  const handleExport = useCallback(() => runSave(async () => {
+    const file = await buildCleanFile();
+    const url = URL.createObjectURL(file);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.name;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    addLog(`[SplatFilter] Downloaded ${file.name}`);
+  }), [runSave, buildCleanFile, addLog]);
+
+  const handleUpload = useCallback(() => runSave(async () => {
+    if (!canUpload) throw new Error('This collection does not support uploads');
+    const file = await buildCleanFile();
+    const uploadResult = await source.uploadAssets([file]);
+    if (!uploadResult?.success) {
+      throw new Error(uploadResult?.failed?.[0]?.error || uploadResult?.error || 'Upload failed');
+    }
+    addLog(`[SplatFilter] Uploaded ${file.name}`);
+    await loadFromStorageSource(source, { preferredIndex: currentAssetIndex });
+  }), [runSave, canUpload, buildCleanFile, source, addLog, currentAssetIndex]);
+
+  const summary = useMemo(() => {
+    if (preparing) return 'Analyzing splats…';
+    if (!params.enabled) return 'Filter off';
+    if (!result) return '';
+    const hidden = result.total - result.kept;
+    return `Hiding ${hidden.toLocaleString()} of ${result.total.toLocaleString()} splats`;
+  }, [preparing, params.enabled, result]);
+
+  const canSave = params.enabled && result?.keep && isPlyAsset(currentAsset) && !saving;
+
+  return (
+    <div class="settings-group">
+      <button
+        class="group-toggle"
+        aria-expanded={expanded}
+        onClick={toggleExpanded}
+      >
+        <span class="settings-eyebrow">Splat Filter</span>
+        <FontAwesomeIcon icon={faChevronDown} className="chevron" />
+      </button>
+
+      <div
+        class="group-content"
+        style={{ display: expanded ? 'flex' : 'none' }}
+      >
+        <div class="control-row">
+          <span class="control-label">Filter splats</span>
+          <label class="switch">
+            <input
+              type="checkbox"
+              checked={params.enabled}
+              onChange={handleToggleEnabled}
+              disabled={!currentAsset}
+            />
+            <span class="switch-track" aria-hidden="true" />
+          </label>
+        </div>
+
+        <div class="control-row">
+          <span class="control-label">Min opacity</span>
+          <div class="control-track">
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.01"
+              value={params.minOpacity}
+              disabled={!params.enabled}
+              onInput={(e) => updateParams({ minOpacity: Number(e.target.value) })}
+            />
+            <span class="control-value">{params.minOpacity.toFixed(2)}</span>
+          </div>
+        </div>
+
+        <QuantileSlider
+          label="Max scale"
+          samples={stats?.scaleSamples}
+          value={params.maxScale}
+          offAt={1}
+          disabled={!params.enabled}
+          onChange={(maxScale) => updateParams({ maxScale })}
+        />
+        <QuantileSlider
+          label={stats?.useCameraDepth ? 'Min depth' : 'Min distance'}
+          samples={stats?.depthSamples}
+          value={params.minDepth}
+          offAt={0}
+          disabled={!params.enabled}
+          onChange={(minDepth) => updateParams({ minDepth })}
+        />
+        <QuantileSlider
+          label={stats?.useCameraDepth ? 'Max depth' : 'Max distance'}
+          samples={stats?.depthSamples}
+          value={params.maxDepth}
+          offAt={1}
+          disabled={!params.enabled}
+          onChange={(maxDepth) => updateParams({ maxDepth })}
+        />
+
+        <div class="control-row">
+          <span class="control-label">Outliers (σ)</span>
+          <div class="control-track">
+            <input
+              type="range"
+              min="0"
+              max="4"
+              step="0.1"
+              value={params.outlierStdRatio}
+              disabled={!params.enabled}
+              onInput={(e) => updateParams({ outlierStdRatio: Number(e.target.value) })}
+            />
+            <span class="control-value">
+              {params.outlierStdRatio > 0 ? params.outlierStdRatio.toFixed(1) : 'Off'}
+            </span>
+          </div>
+        </div>
+
+        {summary && <div class="control-row"><span class="control-label">{summary}</span></div>}
+
+        <div class="control-row">
+          <button type="button" class="secondary" onClick={handleSuggest} disabled={!currentAsset || preparing}>
+            Auto
+          </button>
+          <button type="button" class="secondary" onClick={handleReset} disabled={!currentAsset}>
+            Reset
+          </button>
+        </div>
+
+        <div class="control-row">
+          <span class="control-label">Cleaned PLY</span>
+          <div style={{ display: 'flex', gap: '6px' }}>
+            <button
+              type="button"
+              class="secondary"
+              onClick={handleExport}
+              disabled={!canSave}
+              title={isPlyAsset(currentAsset) ? 'Download the filtered file' : 'Saving is available for PLY assets'}
+            >
+              {saving ? 'Saving...' : 'Export'}
+            </button>
+            {canUpload && (
+              <button
+                type="button"
+                class="secondary"
+                onClick={handleUpload}
+                disabled={!canSave}
+                title="Upload the filtered file to this collection"
+              >
+                Upload
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SplatFilterSettings;
@@ -0,0 +1,194 @@
+/**
+ * Asset details modal with the splat health check report.
+ * Checks the current asset on open; can also run the check across the collection.
+ */
+
+import { useCallback, useEffect, useState } from 'preact/hooks';
+import Modal from './Modal';
+import {
+  checkAssetHealth,
+  checkAllAssetsHealth,
+  abortBatchHealthCheck,
+  getSplatHealthReport,
+} from '../splatHealth';
+
+const STATUS_LABELS = {
+  ok: 'Healthy',
+  warning: 'Warnings',
+  error: 'Errors',
+};
+
+const formatVector = (values) => (values ? `(${values.map((v) => v.toFixed(2)).join(', ')})` : '-');
+
+const formatCount = (count, total) => {
+  if (!total) return '-';
+  const pct = (count / total) * 100;
+  return `${count.toLocaleString()} (${pct < 0.01 && count > 0 ? '<0.01' : pct.toFixed(2)}%)`;
+};
+
+function HealthStatus({ status }) {
+  return (
+    <span class={`splat-health-status is-${status}`}>
+      {STATUS_LABELS[status] || status}
+    </span>
+  );
+}
+
+function HealthIssues({ issues }) {
+  if (!issues?.length) return null;
+  return (
+    <ul class="splat-health-issues">
+      {issues.map((item) => (
+        <li key={`${item.code}-${item.message}`} class={`is-${item.severity}`}>
+          {item.message}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function HealthReport({ report }) {
+  const { numSplats, counts } = report;
+  const rows = [
+    ['Format', report.formatLabel || '-'],
+    ['Splats', numSplats.toLocaleString()],
+    ['SH degree', report.shDegree],
+    ['NaN/Inf centers', formatCount(counts.nonFiniteCenters, numSplats)],
+    ['Degenerate scales', formatCount(counts.degenerateScales, numSplats)],
+    ['Exploding scales', formatCount(counts.explodingScales, numSplats)],
+    ['Zero opacity', formatCount(counts.transparent, numSplats)],
+    ['Bounding-box outliers', formatCount(counts.outliers, numSplats)],
+    ['Bounds min', formatVector(report.bounds?.min)],
+    ['Bounds max', formatVector(report.bounds?.max)],
+    ['Camera metadata', report.hasCamera ? 'Yes' : 'No'],
+  ];
+
+  return (
+    <div class="splat-health-report">
+      <div class="splat-health-header">
+        <strong>{report.assetName}</strong>
+        <HealthStatus status={report.status} />
+      </div>
+      <HealthIssues issues={report.issues} />
+      <div class="splat-health-table">
+        {rows.map(([label, value]) => (
+          <div class="row" key={label}>
+            <span>{label}</span>
+            <span>{value}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function SplatHealthModal({ isOpen, onClose, asset, assetCount = 0 }) {
+  const [report, setReport] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState(null);
+  const [batchProgress, setBatchProgress] = useState(null); // { current, total, name }
+  const [batchResults, setBatchResults] = useState(null);
+
+  const isBatchRunning = batchProgress != null;
+
+  useEffect(() => {
+    if (!isOpen || !asset) return undefined;
+    let cancelled = false;
+    setError(null);
+    setReport(getSplatHealthReport(asset));
+    setChecking(true);
+    checkAssetHealth(asset)
+      .then((result) => {
+        if (!cancelled) setReport(result);
+      })
+      .catch((err) => {
+        console.warn('[SplatHealth] Check failed:', err);
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setChecking(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, asset]);
+
+  const handleCheckCollection = useCallback(async () => {
+    setBatchResults(null);
+    setBatchProgress({ current: 0, total: assetCount, name: '' });
+    try {
+      const results = await checkAllAssetsHealth({
+        onProgress: (current, total, name) => setBatchProgress({ current, total, name }),
+      });
+      setBatchResults(results);
+    } finally {
+      setBatchProgress(null);
+    }
+  }, [assetCount]);
+
+  const handleClose = useCallback(() => {
+    if (isBatchRunning) return;
+    setBatchResults(null);
+    onClose?.();
+  }, [isBatchRunning, onClose]);
+
+  const progressPct = batchProgress?.total
+    ? Math.round((batchProgress.current / batchProgress.total) * 100)
+    : 0;
+
+  return (
+    <Modal isOpen={isOpen} onClose={isBatchRunning ? undefined : handleClose} maxWidth={520}>
+      <h3>Asset details</h3>
+
+      {!asset && <p class="modal-note">No asset loaded.</p>}
+      {error && <p class="modal-note text-danger">Health check failed: {error}</p>}
+      {checking && !report && <p class="modal-note">Analyzing splats…</p>}
+      {report && <HealthReport report={report} />}
+
+      {isBatchRunning && (
+        <div class="batch-preview-progress">
+          <p class="modal-note" style={{ marginBottom: '8px' }}>
+            {batchProgress.current} of {batchProgress.total}: <strong>{batchProgress.name}</strong>
+          </p>
+          <div class="batch-progress-bar-track">
+            <div class="batch-progress-bar-fill" style={{ width: `${progressPct}%` }} />
+          </div>
+        </div>
+      )}
+
+      {batchResults && (
+        <div class="splat-health-batch">
+          {batchResults.map(({ asset: item, report: itemReport, error: itemError }) => (
+            <div class="splat-health-batch-item" key={item.id || item.name}>
+              <div class="splat-health-header">
+                <span>{item.name}</span>
+                {itemReport
+                  ? <HealthStatus status={itemReport.status} />
+                  : <span class="splat-health-status is-error">Failed</span>}
+              </div>
+              {itemError && <p class="text-danger">{itemError}</p>}
+              <HealthIssues issues={itemReport?.issues} />
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div class="modal-actions">
+        {isBatchRunning ? (
+          <button class="danger" onClick={abortBatchHealthCheck}>Abort</button>
+        ) : (
+          <>
+            {assetCount > 1 && (
+              <button onClick={handleCheckCollection} disabled={checking}>
+                Check collection
+              </button>
+            )}
+            <button class="modal-confirm-btn" onClick={handleClose}>Done</button>
+          </>
+        )}
+      </div>
+    </Modal>
+  );
+}
+
+export default SplatHealthModal;
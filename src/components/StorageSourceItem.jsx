@@ -21,17 +21,26 @@ import {
   faPen,
   faEllipsisVertical,
   faDatabase,
+  faServer,
+  faCloudArrowDown,
 } from '@fortawesome/free-solid-svg-icons';
 import { SupabaseIcon, CloudFlareIcon } from '../icons/customIcons';
 import {
   deleteSource,
   touchSource,
   setDefaultSource,
-  cacheCollectionAssets,
   syncCollectionCache,
   clearCollectionCache,
   loadCollectionManifest,
   getRemovedAssetNames,
+  getAssetKey,
+  pinCollection,
+  unpinCollection,
+  refreshPinnedCollection,
+  retryFailedDownloads,
+  getCollectionOfflineStatus,
+  onOfflineDownloadsChange,
+  loadAssetPreview,
 } from '../storage/index.js';
 import { resetSplatManager } from '../splatManager';
 import { clearBackground } from '../backgroundManager';
@@ -47,6 +56,8 @@ const TYPE_ICONS = {
   'app-storage': faDatabase,
   'supabase-storage': 'supabase',
   'r2-bucket': 'cloudflare',
+  's3-bucket': faCloud,
+  webdav: faServer,
   'public-url': faLink,
 };
 
@@ -55,9 +66,23 @@ const TYPE_LABELS = {
   'app-storage': 'App',
   'supabase-storage': 'Supabase',
   'r2-bucket': 'R2',
+  's3-bucket': 'S3',
+  webdav: 'WebDAV',
   'public-url': 'URL',
 };
 
+const BUCKET_SOURCE_TYPES = ['r2-bucket', 's3-bucket'];
+// Manifest-backed remote stores with upload, rescan and remote delete (besides Supabase)
+const MANAGED_REMOTE_TYPES = [...BUCKET_SOURCE_TYPES, 'webdav'];
+
+const getOfflineBadgeTitle = (offline) => {
+  if (offline.failed > 0) {
+    return `${offline.failed} offline download(s) failed${offline.lastError ? `: ${offline.lastError}` : ''}`;
+  }
+  if (offline.pending > 0) return `Downloading for offline use: ${offline.pending} left`;
+  return 'Available offline';
+};
+
 const formatEta = (seconds) => {
   const remaining = Math.max(0, Math.ceil(seconds));
   const mins = Math.floor(remaining / 60);
@@ -90,6 +115,8 @@ function StorageSourceItem({
   const [removeCache, setRemoveCache] = useState(false);
   const [removeRemote, setRemoveRemote] = useState(false);
   const [removeSource, setRemoveSource] = useState(true);
+  const [offline, setOffline] = useState(() => getCollectionOfflineStatus(source.id));
+  const [coverPreview, setCoverPreview] = useState(null);
 
   const activeSourceId = useStore((state) => state.activeSourceId);
   const clearActiveSource = useStore((state) => state.clearActiveSource);
@@ -101,14 +128,17 @@ function StorageSourceItem({
   const allowImages = true;
   const cacheEnabled = source.type !== 'app-storage' && source.type !== 'local-folder';
   const actionButtonStyle = { minWidth: listOnly ? '100px' : '80px' };
-  const r2Permissions = source.type === 'r2-bucket'
+  const isBucketSource = BUCKET_SOURCE_TYPES.includes(source.type);
+  const isManagedRemote = MANAGED_REMOTE_TYPES.includes(source.type);
+  const remoteLabel = TYPE_LABELS[source.type];
+  const bucketPermissions = isBucketSource
     ? (source?.config?.config?.permissions || { canRead: true, canWrite: true, canDelete: true })
     : null;
-  const canUploadForSource = source.type === 'r2-bucket'
-    ? r2Permissions?.canWrite
+  const canUploadForSource = isBucketSource
+    ? bucketPermissions?.canWrite
     : true;
-  const canDeleteForSource = source.type === 'r2-bucket'
-    ? r2Permissions?.canDelete
+  const canDeleteForSource = isBucketSource
+    ? bucketPermissions?.canDelete
     : true;
   const showRefreshAction = true;
   const showEditAction = source.type === 'public-url';
@@ -132,7 +162,7 @@ function StorageSourceItem({
         if (asset?.sourceId !== source.id) return;
         if (removedSet.has(asset?.name)) return;
         totalForSource += 1;
-        const next = cachedSet.has(asset.name);
+        const next = cachedSet.has(getAssetKey(asset));
         if (asset.isCached !== next) {
           asset.isCached = next;
           changed = true;
@@ -149,7 +179,7 @@ function StorageSourceItem({
           totalForSource = visibleAssets.length;
           cachedForSource = cachedSet.size === 0
             ? visibleAssets.length
-            : visibleAssets.filter((asset) => cachedSet.has(asset?.name)).length;
+            : visibleAssets.filter((asset) => cachedSet.has(getAssetKey({ sourceId: source.id, path: asset?.path || asset?.name }))).length;
           if (!source.isConnected()) {
             setAssetCount(totalForSource);
           }
@@ -183,7 +213,7 @@ function StorageSourceItem({
         if (asset?.sourceId !== source.id) return;
         if (removedSet.has(asset?.name)) return;
         totalForSource += 1;
-        if (cachedSet.has(asset.name)) cachedForSource += 1;
+        if (cachedSet.has(getAssetKey(asset))) cachedForSource += 1;
       });
 
       if (totalForSource === 0) {
@@ -193,7 +223,7 @@ function StorageSourceItem({
           totalForSource = visibleAssets.length;
           cachedForSource = cachedSet.size === 0
             ? visibleAssets.length
-            : visibleAssets.filter((asset) => cachedSet.has(asset?.name)).length;
+            : visibleAssets.filter((asset) => cachedSet.has(getAssetKey({ sourceId: source.id, path: asset?.path || asset?.name }))).length;
           if (!source.isConnected()) {
             setAssetCount(totalForSource);
           }
@@ -209,7 +239,7 @@ function StorageSourceItem({
   const refreshAssets = useCallback(async () => {
     setIsLoading(true);
     try {
-      if ((source.type === 'supabase-storage' || source.type === 'r2-bucket') && typeof source.rescan === 'function') {
+      if ((source.type === 'supabase-storage' || isManagedRemote) && typeof source.rescan === 'function') {
         const applied = await source.rescan({ applyChanges: true });
         if (!applied?.success) {
           setStatus('error');
@@ -230,6 +260,9 @@ function StorageSourceItem({
       syncCollectionCache(source, visibleAssets)
         .then(() => refreshCacheFlagsForSource())
         .catch((err) => console.warn('[Storage] Cache sync failed', err));
+      // New or changed files of a pinned collection go to the offline queue
+      refreshPinnedCollection(source, visibleAssets)
+        .catch((err) => console.warn('[Storage] Offline queue refresh failed', err));
       return true;
     } catch (err) {
       console.error('Refresh failed:', err);
@@ -259,31 +292,46 @@ function StorageSourceItem({
     onStatus: setStatus,
   });
 
-  const handleCacheAll = useCallback(async (e) => {
+  const handleToggleOffline = useCallback(async (e) => {
     if (!cacheEnabled) return;
     e.stopPropagation();
+    if (offline.failed > 0) {
+      await retryFailedDownloads(source.id);
+      return;
+    }
     setIsLoading(true);
     try {
-      if (!source.isConnected()) {
-        const connectOptions = source.type === 'local-folder' ? false : { refreshManifest: true };
-        const result = await source.connect(connectOptions);
-        if (!result.success) {
-          setStatus('error');
-          return;
-        }
+      if (offline.pinned) {
+        await unpinCollection(source.id);
+      } else {
+        await pinCollection(source);
+        setStatus('connected');
+        setAssetCount(source.getAssets().length);
       }
-
-      const assets = await source.listAssets();
-      setAssetCount(assets.length);
-      await cacheCollectionAssets(source, assets);
       await refreshCacheFlagsForSource();
     } catch (err) {
-      console.error('Cache all failed:', err);
+      console.error('Offline pin failed:', err);
       setStatus('error');
     } finally {
       setIsLoading(false);
     }
-  }, [refreshCacheFlagsForSource, source, cacheEnabled]);
+  }, [cacheEnabled, offline.failed, offline.pinned, refreshCacheFlagsForSource, source]);
+
+  // Track the background offline queue for this collection
+  useEffect(() => {
+    if (!cacheEnabled) return undefined;
+    setOffline(getCollectionOfflineStatus(source.id));
+    let lastPending = null;
+    return onOfflineDownloadsChange((sourceId) => {
+      if (sourceId && sourceId !== source.id) return;
+      const next = getCollectionOfflineStatus(source.id);
+      setOffline(next);
+      if (lastPending !== null && next.pending < lastPending) {
+        refreshCacheFlagsForSource();
+      }
+      lastPending = next.pending;
+    });
+  }, [cacheEnabled, refreshCacheFlagsForSource, source.id]);
 
   // Check connection status on mount
   useEffect(() => {
@@ -395,6 +443,29 @@ function StorageSourceItem({
     updateCachedCount();
   }, [updateCachedCount, assetCount]);
 
+  // The manifest cover names an asset or its preview; show that asset's preview
+  const { coverAssetPath } = source.getCollectionSettings();
+  useEffect(() => {
+    const coverAsset = coverAssetPath
+      ? source.getAssets().find((asset) => asset.path === coverAssetPath)
+      : null;
+    if (!coverAsset) {
+      setCoverPreview(null);
+      return undefined;
+    }
+    let cancelled = false;
+    loadAssetPreview({ ...coverAsset, _remoteAsset: coverAsset })
+      .then((preview) => {
+        if (!cancelled) setCoverPreview(preview);
+      })
+      .catch(() => {
+        if (!cancelled) setCoverPreview(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [source, coverAssetPath, assetCount]);
+
 
 
   const handleReconnect = useCallback(async (e) => {
@@ -515,7 +586,7 @@ function StorageSourceItem({
 
   const handleConfirmRemove = useCallback(async () => {
     const shouldRemoveCache = removeCache && cachedCount > 0;
-    const canRemoveRemote = source.type === 'supabase-storage' || source.type === 'r2-bucket' || source.type === 'app-storage';
+    const canRemoveRemote = source.type === 'supabase-storage' || isManagedRemote || source.type === 'app-storage';
     const shouldRemoveRemote = removeRemote && canRemoveRemote;
     const shouldRemoveSource = removeSource;
 
@@ -633,6 +704,9 @@ function StorageSourceItem({
     onEditSource?.(source);
   }, [onEditSource, source, showEditAction]);
 
+  // Read on render; the manifest is loaded by the time assets are counted
+  const collectionDescription = source.getCollectionSettings().description;
+
   return (
     <>
       <input
@@ -650,10 +724,16 @@ function StorageSourceItem({
       >
         <div style={{ display: 'flex', alignItems: 'center', width: '100%', minHeight: '32px' }}>
           <div style={{ flex: 1, display: 'flex', alignItems: 'center', minWidth: 0, paddingLeft: '4px', paddingRight: '0px' }}>
+            {coverPreview && <img class="source-cover" src={coverPreview} alt="" />}
             <div class="source-info" style={{ flex: 1 }}>
               <div class="source-name">
                 <span class="source-name-text">{source.name}</span>
               </div>
+              {collectionDescription && (
+                <div class="source-description" title={collectionDescription}>
+                  {collectionDescription}
+                </div>
+              )}
               <div class="source-meta">
                 {TYPE_ICONS[source.type] === 'supabase' ? (
                   <SupabaseIcon size={10} className="source-type-icon" />
@@ -671,6 +751,17 @@ function StorageSourceItem({
                     {assetCount}
                   </span>
                 )}
+                {cacheEnabled && offline.pinned && (
+                  <span
+                    class={`source-offline-badge ${offline.failed > 0 ? 'failed' : offline.pending > 0 ? 'pending' : 'ready'}`}
+                    title={getOfflineBadgeTitle(offline)}
+                  >
+                    <FontAwesomeIcon
+                      icon={offline.failed > 0 ? faExclamationTriangle : offline.pending > 0 ? faCloudArrowDown : faCheck}
+                    />
+                    {offline.pending > 0 && <span>{offline.pending}</span>}
+                  </span>
+                )}
               </div>
             </div>
 
@@ -780,7 +871,7 @@ function StorageSourceItem({
               <button
                 class="source-action-btn"
                 onClick={handleUploadClick}
-                title={source.type === 'supabase-storage' ? 'Upload files to Supabase' : source.type === 'r2-bucket' ? 'Upload files to R2' : 'Convert images with Cloud GPU'}
+                title={source.type === 'supabase-storage' ? 'Upload files to Supabase' : isManagedRemote ? `Upload files to ${remoteLabel}` : 'Convert images with Cloud GPU'}
                 style={actionButtonStyle}
               >
                 <FontAwesomeIcon icon={faUpload} />
@@ -789,13 +880,15 @@ function StorageSourceItem({
             )}
             {cacheEnabled && (
               <button
-                class="source-action-btn"
-                onClick={handleCacheAll}
-                title="Cache all assets locally"
+                class={`source-action-btn ${offline.pinned ? 'pinned' : ''}`}
+                onClick={handleToggleOffline}
+                title={offline.failed > 0
+                  ? 'Retry failed offline downloads'
+                  : offline.pinned ? 'Stop keeping this collection offline' : 'Download all assets and keep them available offline'}
                 style={actionButtonStyle}
               >
-                <FontAwesomeIcon icon={faDatabase} />
-                <span>Cache</span>
+                <FontAwesomeIcon icon={offline.failed > 0 ? faSync : offline.pinned ? faCheck : faCloudArrowDown} />
+                <span>{offline.failed > 0 ? 'Retry' : 'Offline'}</span>
                 {cachedCount > 0 && (
                   <span style={{ marginLeft: 'auto', opacity: 0.75, fontVariantNumeric: 'tabular-nums' }}>
                     {cachedCount}/{assetCount}
@@ -828,7 +921,7 @@ function StorageSourceItem({
           const isAppStorage = source.type === 'app-storage';
           const isUrlCollection = source.type === 'public-url';
           const isSupabase = source.type === 'supabase-storage';
-          const isR2 = source.type === 'r2-bucket';
+          const isManaged = isManagedRemote;
 
           if (isLocalCollection) {
             return (
@@ -870,15 +963,15 @@ function StorageSourceItem({
             );
           }
 
-          if (isR2 && removeRemote) {
+          if (isManaged && removeRemote) {
             return (
               <p class="modal-note">
-                Selected items will be deleted from the R2 collection and removed from the list.
+                Selected items will be deleted from the {remoteLabel} collection and removed from the list.
               </p>
             );
           }
 
-          if (isSupabase || isR2) {
+          if (isSupabase || isManaged) {
             return (
               <p class="modal-note">
                 Removing here only disconnects the collection; files remain in storage unless selected below.
@@ -923,7 +1016,7 @@ function StorageSourceItem({
           </div>
         )}
 
-        {(source.type === 'supabase-storage' || (source.type === 'r2-bucket' && canDeleteForSource) || source.type === 'app-storage') && (
+        {(source.type === 'supabase-storage' || (isManagedRemote && canDeleteForSource) || source.type === 'app-storage') && (
           <div class="modal-checkbox">
             <label>
               <input
@@ -933,15 +1026,15 @@ function StorageSourceItem({
               />
               {source.type === 'supabase-storage'
                 ? 'Delete from Supabase storage'
-                : source.type === 'r2-bucket'
-                  ? 'Delete from R2 storage'
+                : isManagedRemote
+                  ? `Delete from ${remoteLabel} storage`
                   : 'Delete from app storage'}
             </label>
             <div class="modal-subnote">
               {source.type === 'supabase-storage'
                 ? 'Removes files and manifest entries from the linked Supabase collection.'
-                : source.type === 'r2-bucket'
-                  ? 'Removes files and manifest entries from the linked R2 collection.'
+                : isManagedRemote
+                  ? `Removes files and manifest entries from the linked ${remoteLabel} collection.`
                   : 'Removes files stored inside the app for this collection.'}
             </div>
           </div>
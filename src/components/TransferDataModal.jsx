@@ -25,11 +25,28 @@ import { validateImportUrl, buildShareLink } from '../utils/importFromUrl.js';
 import { getSource } from '../storage/index.js';
 import { buildTransferBundle, buildTransferJson } from '../utils/debugTransfer.js';
 import { loadR2Settings } from '../storage/r2Settings.js';
+import { loadS3Settings } from '../storage/s3Settings.js';
+import { loadWebDavSettings } from '../storage/webdavSettings.js';
 import { loadCloudGpuSettings } from '../storage/cloudGpuSettings.js';
 import Modal from './Modal';
 import SelectableOptionItem from './SelectableOptionItem';
 import ImportZipForm from './ImportZipForm.jsx';
 
+// Credentials each remote source type keeps in its connection settings
+const CREDENTIAL_SETTINGS = {
+  'r2-bucket': { label: 'R2', load: loadR2Settings, rawField: 'secretAccessKey', encryptedField: 'secretAccessKeyEncrypted' },
+  's3-bucket': { label: 'S3', load: loadS3Settings, rawField: 'secretAccessKey', encryptedField: 'secretAccessKeyEncrypted' },
+  webdav: { label: 'WebDAV', load: loadWebDavSettings, rawField: 'secret', encryptedField: 'secretEncrypted' },
+};
+
+// Connection data offered when exporting the current collection, by source type
+const CONNECTION_DATA_OPTIONS = {
+  'supabase-storage': { title: 'Supabase connection data', subtitle: 'Saved Supabase URL/key and bucket settings' },
+  'r2-bucket': { title: 'R2 connection data', subtitle: 'Saved R2 credentials and endpoint settings' },
+  's3-bucket': { title: 'S3 connection data', subtitle: 'Saved S3 credentials, endpoint and region' },
+  webdav: { title: 'WebDAV connection data', subtitle: 'Saved WebDAV server URL and credentials' },
+};
+
 /**
  * Tier-style card for landing page options (Import / Export)
  */
@@ -64,7 +81,8 @@ function TransferTierCard({ type, icon, title, description, onSelect, disabled =
 function ExportPage({ onBack, onClose, addLog, exportMode = 'all-data', scopeContext = null }) {
   const isCurrentCollectionMode = exportMode === 'current-collection';
   const activeSourceType = scopeContext?.activeSourceType || null;
-  const hasConnectionOption = activeSourceType === 'r2-bucket' || activeSourceType === 'supabase-storage';
+  const connectionOption = CONNECTION_DATA_OPTIONS[activeSourceType] || null;
+  const hasConnectionOption = Boolean(connectionOption);
 
   const buildExportFileName = useCallback(() => {
     const now = new Date();
@@ -107,6 +125,10 @@ function ExportPage({ onBack, onClose, addLog, exportMode = 'all-data', scopeCon
       includeSupabaseSettings: true,
       includeR2Collections: true,
       includeR2Settings: true,
+      includeS3Collections: true,
+      includeS3Settings: true,
+      includeWebDavCollections: true,
+      includeWebDavSettings: true,
       includeFilePreviews: true,
       includeFileSettings: true,
     };
@@ -141,16 +163,20 @@ function ExportPage({ onBack, onClose, addLog, exportMode = 'all-data', scopeCon
       segments.push(`${exposureType} ${serviceLabel} key`);
     };
 
+    const addCredentialSegment = (sourceType) => {
+      const credential = CREDENTIAL_SETTINGS[sourceType];
+      if (!credential) return;
+      addSegment(credential.label, getExposureType(credential.load(), credential.rawField, credential.encryptedField));
+    };
+
     if (isCurrentCollectionMode) {
-      if (transferOptions.includeConnectionData && activeSourceType === 'r2-bucket') {
-        const r2Settings = loadR2Settings();
-        addSegment('R2', getExposureType(r2Settings, 'secretAccessKey', 'secretAccessKeyEncrypted'));
+      if (transferOptions.includeConnectionData) {
+        addCredentialSegment(activeSourceType);
       }
     } else {
-      if (transferOptions.includeR2Settings) {
-        const r2Settings = loadR2Settings();
-        addSegment('R2', getExposureType(r2Settings, 'secretAccessKey', 'secretAccessKeyEncrypted'));
-      }
+      if (transferOptions.includeR2Settings) addCredentialSegment('r2-bucket');
+      if (transferOptions.includeS3Settings) addCredentialSegment('s3-bucket');
+      if (transferOptions.includeWebDavSettings) addCredentialSegment('webdav');
 
       if (transferOptions.includeCloudGpuSettings) {
         const cloudGpuSettings = loadCloudGpuSettings();
@@ -165,17 +191,18 @@ function ExportPage({ onBack, onClose, addLog, exportMode = 'all-data', scopeCon
 
   const hasRawCredentialShare = useMemo(() => {
     const hasRawField = (settings, rawKeyField) => Boolean(String(settings?.[rawKeyField] || '').trim());
+    const hasRawCredential = (sourceType) => {
+      const credential = CREDENTIAL_SETTINGS[sourceType];
+      return Boolean(credential && hasRawField(credential.load(), credential.rawField));
+    };
 
     if (isCurrentCollectionMode) {
-      if (transferOptions.includeConnectionData && activeSourceType === 'r2-bucket') {
-        return hasRawField(loadR2Settings(), 'secretAccessKey');
-      }
-      return false;
+      return Boolean(transferOptions.includeConnectionData && hasRawCredential(activeSourceType));
     }
 
-    if (transferOptions.includeR2Settings && hasRawField(loadR2Settings(), 'secretAccessKey')) {
-      return true;
-    }
+    if (transferOptions.includeR2Settings && hasRawCredential('r2-bucket')) return true;
+    if (transferOptions.includeS3Settings && hasRawCredential('s3-bucket')) return true;
+    if (transferOptions.includeWebDavSettings && hasRawCredential('webdav')) return true;
 
     if (transferOptions.includeCloudGpuSettings && hasRawField(loadCloudGpuSettings(), 'apiKey')) {
       return true;
@@ -307,11 +334,8 @@ function ExportPage({ onBack, onClose, addLog, exportMode = 'all-data', scopeCon
           ? [
               {
                 key: 'includeConnectionData',
-                title: activeSourceType === 'r2-bucket' ? 'R2 connection data' : 'Supabase connection data',
-                subtitle:
-                  activeSourceType === 'r2-bucket'
-                    ? 'Saved R2 credentials and endpoint settings'
-                    : 'Saved Supabase URL/key and bucket settings',
+                title: connectionOption.title,
+                subtitle: connectionOption.subtitle,
                 icon: faCog,
               },
             ]
@@ -366,6 +390,30 @@ function ExportPage({ onBack, onClose, addLog, exportMode = 'all-data', scopeCon
           subtitle: 'Saved R2 credentials and public URL',
           icon: faCog,
         },
+        {
+          key: 'includeS3Collections',
+          title: 'S3 collections',
+          subtitle: 'Saved S3-compatible bucket connections',
+          icon: faServer,
+        },
+        {
+          key: 'includeS3Settings',
+          title: 'S3 settings',
+          subtitle: 'Saved S3 credentials, endpoint and region',
+          icon: faCog,
+        },
+        {
+          key: 'includeWebDavCollections',
+          title: 'WebDAV collections',
+          subtitle: 'Saved WebDAV server connections',
+          icon: faServer,
+        },
+        {
+          key: 'includeWebDavSettings',
+          title: 'WebDAV settings',
+          subtitle: 'Saved WebDAV server URL and credentials',
+          icon: faCog,
+        },
         {
           key: 'includeFilePreviews',
           title: 'File previews',
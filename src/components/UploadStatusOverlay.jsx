@@ -7,11 +7,14 @@
  *   warmup       → "GPU warm-up" + bar + countdown
  *   processing   → "Processing image X of Y" + bar + countdown
  *   transferring → "Transferring X files to storage" + spinner, no bar
+ *   streaming    → "Streaming <file>" + byte progress bar (large PLY Range loads)
+ *   converting   → "Converting <file> to SOG" / "Converting X of Y to SOG" + bar
  */
 
 import { useEffect, useMemo, useRef, useState } from 'preact/hooks';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { faChevronRight } from '@fortawesome/free-solid-svg-icons';
+import { formatBytes } from '../previewManager.js';
 
 const ALLOW_UPLOAD_OVERLAY_DEBUG = false;
 
@@ -489,6 +492,45 @@ function UploadStatusOverlay({ isUploading, uploadProgress, variant = 'default',
       };
     }
 
+    // Streaming stage: bytes received so far for a progressively loaded splat
+    if (stage === 'streaming') {
+      const stream = effectiveUploadProgress?.stream || {};
+      const loaded = Math.max(0, Number(stream.loaded) || 0);
+      const total = Math.max(0, Number(stream.total) || 0);
+      return {
+        stageLabel: `Streaming ${stream.fileName || 'splats'}`,
+        showSpinner: false,
+        showErrorIcon: false,
+        showBar: true,
+        etaLabel: total > 0 ? `${formatBytes(loaded)} of ${formatBytes(total)}` : formatBytes(loaded),
+        progressPercent: total > 0 ? Math.min(100, Math.round((loaded / total) * 100)) : 0,
+        messageLabel: '',
+        showCancel: false,
+        cancelPending: false,
+      };
+    }
+
+    // Converting stage: PLY -> SOG transcode, one bar per file
+    if (stage === 'converting') {
+      const convert = effectiveUploadProgress?.convert || {};
+      const totalConverts = Math.max(1, Number(convert.total) || 1);
+      const currentConvert = Math.max(1, Math.min(totalConverts, Number(convert.current) || 1));
+      const fraction = Math.max(0, Math.min(1, Number(convert.progress) || 0));
+      return {
+        stageLabel: totalConverts > 1
+          ? `Converting ${currentConvert} of ${totalConverts} to SOG`
+          : `Converting ${convert.fileName || 'splats'} to SOG`,
+        showSpinner: false,
+        showErrorIcon: false,
+        showBar: true,
+        etaLabel: convert.step || '',
+        progressPercent: Math.round(fraction * 100),
+        messageLabel: '',
+        showCancel: false,
+        cancelPending: false,
+      };
+    }
+
     if (stage === 'downloading' || phase === 'downloading_results') {
       const totalDownloads = Math.max(1, Number(download?.total) || Number(timer?.totalFiles) || Number(totalFiles) || 1);
       const currentDownload = Math.max(1, Math.min(totalDownloads, Number(download?.current) || Number(timer?.currentFile) || 1));
@@ -29,7 +29,7 @@ import { loadFromStorageSource, loadNextAsset, loadPrevAsset, resize } from '../
 import { resetSplatManager } from '../splatManager';
 import { clearBackground } from '../backgroundManager';
 import { getSource } from '../storage/index.js';
-import { loadR2Settings } from '../storage/r2Settings.js';
+import { isVaultLockedSource } from '../storage/sourceLock.js';
 import { unlockCredentialVault } from '../storage/credentialVault.js';
 import { registerTapListener } from '../utils/tapDetector';
 import ViewerEmptyState from './ViewerEmptyState.jsx';
@@ -40,6 +40,13 @@ import R2UnlockState from './R2UnlockState.jsx';
 /** Tags that should not trigger keyboard shortcuts */
 const INPUT_TAGS = new Set(['INPUT', 'TEXTAREA', 'SELECT', 'BUTTON']);
 
+// Provider names shown on the vault unlock screen
+const LOCKED_SOURCE_LABELS = {
+  'r2-bucket': 'R2',
+  's3-bucket': 'S3',
+  webdav: 'WebDAV',
+};
+
 /**
  * Checks if an event target is an input element.
  * @param {EventTarget} target - Event target to check
@@ -66,6 +73,8 @@ function Viewer({ viewerReady, dropOverlay }) {
   const isUploading = useStore((state) => state.isUploading);
   const uploadProgress = useStore((state) => state.uploadProgress);
   const setUploadState = useStore((state) => state.setUploadState);
+  const streamProgress = useStore((state) => state.streamProgress);
+  const setStreamProgress = useStore((state) => state.setStreamProgress);
   const isLoading = useStore((state) => state.isLoading);
   const assets = useStore((state) => state.assets);
   const currentAssetIndex = useStore((state) => state.currentAssetIndex);
@@ -93,18 +102,19 @@ function Viewer({ viewerReady, dropOverlay }) {
 
   const showEmptyState = Boolean(activeSourceId) && assets.length === 0 && !isLoading;
   const activeSource = activeSourceId ? getSource(activeSourceId) : null;
-  const r2BaseSettings = activeSource?.type === 'r2-bucket' ? loadR2Settings() : null;
-  const requiresR2Unlock = Boolean(
-    showEmptyState
-    && activeSource?.type === 'r2-bucket'
-    && r2BaseSettings?.requiresPassword
-    && r2BaseSettings?.accountId === activeSource?.config?.config?.accountId
-    && r2BaseSettings?.bucket === activeSource?.config?.config?.bucket
-  );
+  const requiresR2Unlock = showEmptyState && isVaultLockedSource(activeSource);
+
+  // A running upload owns the overlay; streaming progress fills in otherwise
+  const overlayIsUploading = isUploading || Boolean(streamProgress);
+  const overlayProgress = isUploading ? uploadProgress : streamProgress;
 
   const handleDismissUploadError = useCallback(() => {
-    setUploadState({ isUploading: false, uploadProgress: null });
-  }, [setUploadState]);
+    if (isUploading) {
+      setUploadState({ isUploading: false, uploadProgress: null });
+    } else {
+      setStreamProgress(null);
+    }
+  }, [isUploading, setUploadState, setStreamProgress]);
 
   const handleOpenCustomMetadataEditor = useCallback(() => {
     setCustomMetadataControlsVisible(true);
@@ -497,6 +507,7 @@ function Viewer({ viewerReady, dropOverlay }) {
       {requiresR2Unlock && (
         <R2UnlockState
           sourceName={activeSource?.name}
+          providerLabel={LOCKED_SOURCE_LABELS[activeSource?.type]}
           onUnlock={handleUnlockR2Collection}
           onBack={handleGoHomeFromR2Lock}
         />
@@ -516,8 +527,8 @@ function Viewer({ viewerReady, dropOverlay }) {
       )}
       {!showEmptyState && (
         <UploadStatusOverlay
-          isUploading={isUploading}
-          uploadProgress={uploadProgress}
+          isUploading={overlayIsUploading}
+          uploadProgress={overlayProgress}
           onDismiss={handleDismissUploadError}
         />
       )}
@@ -0,0 +1,741 @@
+import { useState, useCallback, useMemo } from 'preact/hooks';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faTimes,
+  faCheck,
+  faSpinner,
+  faLock,
+} from '@fortawesome/free-solid-svg-icons';
+import {
+  registerSource,
+  saveSource,
+  getSourcesArray,
+} from '../../storage/index.js';
+import {
+  encryptCredentialValue,
+  getVaultSecretIds,
+  hasVaultPassword,
+  isVaultUnlocked,
+  unlockCredentialVault,
+} from '../../storage/credentialVault.js';
+import {
+  CollectionPicker,
+  FaqItem,
+  FormMessage,
+  VaultPasswordField,
+  slugifyCollectionName,
+  useQueuedUploadFiles,
+} from './SharedSections.jsx';
+
+const VAULT_PASSWORD_MISMATCH_ERROR = 'Password does not match the existing vault password.';
+const DEFAULT_PERMISSIONS = { canRead: true, canWrite: false, canDelete: false };
+
+/**
+ * @typedef {Object} S3ProviderField
+ * @property {string} key - Settings key
+ * @property {string} label
+ * @property {'text' | 'checkbox'} [type]
+ * @property {string} [placeholder]
+ * @property {string} [hint]
+ * @property {boolean} [required]
+ * @property {*} [defaultValue]
+ */
+
+/**
+ * @typedef {Object} S3Provider
+ * @property {string} label - Short name, e.g. "R2"
+ * @property {string} title - Heading of the settings step
+ * @property {string} sourceType
+ * @property {string} vaultSecretId - Key of getVaultSecretIds()
+ * @property {string} consoleName - Where the bucket is made public, for the read-only hint
+ * @property {string} requiredSummary - Required settings, for the save error
+ * @property {string} fillFieldsError - Shown when testing with required settings missing
+ * @property {S3ProviderField[]} fields - Endpoint settings besides key, secret and bucket
+ * @property {(values: Object) => Object} normalizeFields
+ * @property {(settings: Object, config: Object) => boolean} isSameBucket
+ * @property {() => Object | null} loadSettings
+ * @property {(settings: Object) => void} saveSettings
+ * @property {(config: Object) => import('../../storage/AssetSource.js').AssetSource} createSource
+ * @property {(settings: Object) => Promise<Object>} listCollections
+ * @property {(settings: Object) => Promise<Object>} testConnection
+ * @property {{ question: string, steps: import('preact').ComponentChildren }[]} faq
+ * @property {import('preact').ComponentChildren} links
+ */
+
+const readFields = (provider, settings) => Object.fromEntries(provider.fields.map((field) => [
+  field.key,
+  settings?.[field.key] ?? (field.type === 'checkbox' ? field.defaultValue : ''),
+]));
+
+/**
+ * Connect form shared by the S3-compatible bucket sources (R2, S3).
+ * @param {{ provider: S3Provider, onConnect: Function, onBack: Function, onClose?: Function }} props
+ */
+function S3CompatibleForm({ provider, onConnect, onBack, onClose }) {
+  const queueFiles = useQueuedUploadFiles();
+
+  const initialSettings = useMemo(
+    () => provider.loadSettings() || {
+      ...readFields(provider, null),
+      accessKeyId: '',
+      secretAccessKey: '',
+      bucket: '',
+      permissions: DEFAULT_PERMISSIONS,
+    },
+    [provider]
+  );
+  const hasRequiredFields = (settings) => provider.fields
+    .every((field) => !field.required || String(settings[field.key] ?? '').trim());
+  const hasInitialDetectedPermissions = Boolean(
+    hasRequiredFields(initialSettings) &&
+    initialSettings.accessKeyId &&
+    initialSettings.secretAccessKey &&
+    initialSettings.bucket &&
+    initialSettings.permissions
+  );
+  const [savedSettings, setSavedSettings] = useState(initialSettings);
+  const [fieldValues, setFieldValues] = useState(() => readFields(provider, initialSettings));
+  const [accessKeyId, setAccessKeyId] = useState(initialSettings.accessKeyId);
+  const [secretAccessKey, setSecretAccessKey] = useState(initialSettings.secretAccessKey);
+  const [bucket, setBucket] = useState(initialSettings.bucket);
+  const [permissions, setPermissions] = useState({ canRead: true, ...(initialSettings.permissions || { canWrite: false, canDelete: false }) });
+  const [hasDetectedPermissions, setHasDetectedPermissions] = useState(hasInitialDetectedPermissions);
+  const [collectionName, setCollectionName] = useState('');
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+  const [messageType, setMessageType] = useState('error'); // 'error' | 'info'
+  const [hasManifest, setHasManifest] = useState(null);
+  const [uploadExisting, setUploadExisting] = useState(false);
+  const [encryptSecretKey, setEncryptSecretKey] = useState(Boolean(initialSettings.secretAccessKeyEncrypted));
+  const [unlockPasswordInput, setUnlockPasswordInput] = useState('');
+  const [unlockingVault, setUnlockingVault] = useState(false);
+  const [vaultPasswordExists, setVaultPasswordExists] = useState(() => hasVaultPassword());
+
+  const [existingCollections, setExistingCollections] = useState([]);
+  const [loadingCollections, setLoadingCollections] = useState(false);
+  const [showExisting, setShowExisting] = useState(false);
+  const [showConfig, setShowConfig] = useState(false);
+  const [selectedExisting, setSelectedExisting] = useState(null);
+
+  const setFieldValue = useCallback((key, value) => {
+    setFieldValues((current) => ({ ...current, [key]: value }));
+  }, []);
+
+  const persistSourceConfig = useCallback(async (source) => {
+    const payload = source.toJSON();
+    if (encryptSecretKey && payload?.config) {
+      payload.config.secretAccessKey = '';
+      payload.config.secretAccessKeyEncrypted = savedSettings.secretAccessKeyEncrypted || null;
+    }
+    await saveSource(payload);
+  }, [encryptSecretKey, savedSettings.secretAccessKeyEncrypted]);
+
+  const hasWritePermission = permissions.canWrite;
+  const hasEncryptedStoredKey = Boolean(savedSettings?.secretAccessKeyEncrypted || savedSettings?.isEncrypted);
+  const passwordLocked = Boolean(savedSettings?.requiresPassword && !secretAccessKey.trim());
+  const vaultLockedForConfigChanges = Boolean(hasEncryptedStoredKey && vaultPasswordExists && !isVaultUnlocked());
+  const showVaultPasswordInput = Boolean(
+    !isVaultUnlocked() && (
+      passwordLocked ||
+      encryptSecretKey ||
+      Boolean(savedSettings?.secretAccessKeyEncrypted)
+    )
+  );
+
+  const isConfigured = Boolean(
+    savedSettings?.permissions?.canRead &&
+    hasRequiredFields(savedSettings) &&
+    savedSettings.accessKeyId && savedSettings.secretAccessKey && savedSettings.bucket
+  );
+  const trimmedSettings = useMemo(() => ({
+    ...provider.normalizeFields(fieldValues),
+    accessKeyId: accessKeyId.trim(),
+    secretAccessKey: secretAccessKey.trim(),
+    bucket: bucket.trim(),
+    permissions: { ...permissions, canRead: true },
+  }), [provider, fieldValues, accessKeyId, secretAccessKey, bucket, permissions]);
+  const trimmedSaved = useMemo(() => ({
+    ...provider.normalizeFields(readFields(provider, savedSettings)),
+    accessKeyId: savedSettings.accessKeyId?.trim?.() || '',
+    secretAccessKey: savedSettings.secretAccessKey?.trim?.() || '',
+    bucket: savedSettings.bucket?.trim?.() || '',
+    permissions: savedSettings.permissions || DEFAULT_PERMISSIONS,
+  }), [provider, savedSettings]);
+  const canTestConnection = Boolean(
+    hasRequiredFields(trimmedSettings) &&
+    trimmedSettings.accessKeyId &&
+    trimmedSettings.secretAccessKey &&
+    trimmedSettings.bucket
+  );
+  const isSettingsReady = Boolean(trimmedSettings.permissions.canRead && canTestConnection);
+  const settingsChanged =
+    provider.fields.some((field) => trimmedSettings[field.key] !== trimmedSaved[field.key]) ||
+    trimmedSettings.accessKeyId !== trimmedSaved.accessKeyId ||
+    trimmedSettings.secretAccessKey !== trimmedSaved.secretAccessKey ||
+    trimmedSettings.bucket !== trimmedSaved.bucket ||
+    trimmedSettings.permissions.canRead !== trimmedSaved.permissions.canRead ||
+    trimmedSettings.permissions.canWrite !== trimmedSaved.permissions.canWrite ||
+    trimmedSettings.permissions.canDelete !== trimmedSaved.permissions.canDelete ||
+    Boolean(encryptSecretKey) !== Boolean(savedSettings.secretAccessKeyEncrypted);
+
+  const loadExistingCollections = useCallback(async () => {
+    if (!isConfigured) return;
+
+    setLoadingCollections(true);
+    setMessageType('error');
+    setError(null);
+
+    const result = await provider.listCollections(trimmedSettings);
+
+    setLoadingCollections(false);
+
+    if (result.success) {
+      setExistingCollections(result.collections);
+    } else {
+      setMessageType('error');
+      setError(result.error);
+    }
+  }, [provider, isConfigured, trimmedSettings]);
+
+  const handleTestConnection = useCallback(async () => {
+    if (!trimmedSettings.permissions.canRead) {
+      setMessageType('error');
+      setError('Read permission is required.');
+      return;
+    }
+    if (!canTestConnection) {
+      setMessageType('error');
+      setError(provider.fillFieldsError);
+      return;
+    }
+
+    setStatus('testing');
+    setMessageType('error');
+    setError(null);
+
+    const testResult = await provider.testConnection(trimmedSettings);
+
+    const probeErrorText = testResult.probeErrors?.length
+      ? ` ${testResult.probeErrors.join(' · ')}`
+      : '';
+
+    if (testResult.permissions) {
+      setPermissions({ canRead: true, ...testResult.permissions });
+      setHasDetectedPermissions(true);
+    } else {
+      setPermissions(DEFAULT_PERMISSIONS);
+      setHasDetectedPermissions(false);
+    }
+
+    if (!testResult.success) {
+      setMessageType('error');
+      setError(`Connection failed: ${testResult.error}${probeErrorText}`);
+    } else if (!testResult.permissions?.canWrite) {
+      setMessageType('info');
+      setError('Read-only connection. API credentials are still needed to read collection manifests. For public assets you can use a URL List connection instead and enter asset addresses directly.');
+    } else {
+      if (!testResult.permissions?.canDelete) {
+        setMessageType('error');
+        setError(`Connected, but delete permission is missing.${probeErrorText}`);
+      } else if (probeErrorText) {
+        setMessageType('error');
+        setError(`Connection test completed with warnings.${probeErrorText}`);
+      }
+    }
+    setStatus('idle');
+  }, [provider, canTestConnection, trimmedSettings]);
+
+  const handleSaveSettings = useCallback(async () => {
+    if (!isSettingsReady) {
+      setMessageType('error');
+      setError(`Read + ${provider.requiredSummary} are required.`);
+      return;
+    }
+
+    let nextSecretAccessKey = trimmedSettings.secretAccessKey;
+    let nextEncryptedSecret = null;
+    const providedPassword = unlockPasswordInput.trim();
+
+    if (encryptSecretKey) {
+      if (!providedPassword && !isVaultUnlocked()) {
+        setMessageType('error');
+        setError(vaultPasswordExists
+          ? 'Vault key already set. Enter vault password above.'
+          : 'Create a vault password to encrypt the key.');
+        return;
+      }
+
+      if (vaultPasswordExists && !isVaultUnlocked()) {
+        const unlockResult = await unlockCredentialVault(providedPassword);
+        if (!unlockResult.success) {
+          setMessageType('error');
+          setError(unlockResult.error || (vaultPasswordExists ? VAULT_PASSWORD_MISMATCH_ERROR : 'Unable to unlock encrypted keys.'));
+          return;
+        }
+      }
+
+      try {
+        nextEncryptedSecret = await encryptCredentialValue(
+          getVaultSecretIds()[provider.vaultSecretId],
+          trimmedSettings.secretAccessKey,
+          providedPassword || undefined
+        );
+        setVaultPasswordExists(hasVaultPassword());
+      } catch (err) {
+        setMessageType('error');
+        setError(err?.message || `Failed to encrypt the ${provider.label} key.`);
+        return;
+      }
+    } else if (savedSettings?.secretAccessKeyEncrypted && !isVaultUnlocked()) {
+      if (!providedPassword) {
+        setMessageType('error');
+        setError('Enter vault password above to disable encryption.');
+        return;
+      }
+
+      const unlockResult = await unlockCredentialVault(providedPassword);
+      if (!unlockResult.success) {
+        setMessageType('error');
+        setError(unlockResult.error || (vaultPasswordExists ? VAULT_PASSWORD_MISMATCH_ERROR : 'Unable to unlock encrypted keys.'));
+        return;
+      }
+
+      const unlockedSettings = provider.loadSettings();
+      nextSecretAccessKey = trimmedSettings.secretAccessKey || unlockedSettings?.secretAccessKey || '';
+      if (!nextSecretAccessKey) {
+        setMessageType('error');
+        setError('Unable to decrypt secret key.');
+        return;
+      }
+
+      setSecretAccessKey(nextSecretAccessKey);
+    }
+
+    const payload = {
+      ...provider.normalizeFields(fieldValues),
+      accessKeyId: trimmedSettings.accessKeyId,
+      secretAccessKey: encryptSecretKey ? '' : nextSecretAccessKey,
+      secretAccessKeyEncrypted: nextEncryptedSecret || null,
+      bucket: trimmedSettings.bucket,
+      permissions: trimmedSettings.permissions,
+    };
+
+    if (!payload.secretAccessKeyEncrypted) {
+      delete payload.secretAccessKeyEncrypted;
+    }
+
+    provider.saveSettings(payload);
+    setSavedSettings({
+      ...payload,
+      secretAccessKey: nextSecretAccessKey,
+      requiresPassword: false,
+      isEncrypted: Boolean(payload.secretAccessKeyEncrypted),
+    });
+
+    // Update permissions on any already-registered sources in this bucket
+    const activeSources = getSourcesArray();
+    for (const src of activeSources) {
+      if (
+        src.type === provider.sourceType &&
+        provider.isSameBucket(trimmedSettings, src.config?.config)
+      ) {
+        src.config.config.permissions = { ...trimmedSettings.permissions };
+        src.config.config.accessKeyId = trimmedSettings.accessKeyId;
+        src.config.config.secretAccessKey = nextSecretAccessKey;
+        try { await persistSourceConfig(src); } catch (e) { console.warn(`[${provider.label}Form] Failed to persist source update`, e); }
+      }
+    }
+
+    setUnlockPasswordInput('');
+
+    setHasDetectedPermissions(true);
+    setStatus('idle');
+    setMessageType('error');
+    setError(null);
+    await loadExistingCollections();
+  }, [provider, encryptSecretKey, fieldValues, isSettingsReady, loadExistingCollections, persistSourceConfig, savedSettings?.secretAccessKeyEncrypted, trimmedSettings, unlockPasswordInput, vaultPasswordExists]);
+
+  const handleUnlockVault = useCallback(async () => {
+    const password = unlockPasswordInput.trim();
+    if (!password) {
+      setMessageType('error');
+      setError('Enter vault password to unlock encrypted keys.');
+      return;
+    }
+
+    setUnlockingVault(true);
+    setMessageType('error');
+    setError(null);
+    const result = await unlockCredentialVault(password);
+    setUnlockingVault(false);
+
+    if (!result.success) {
+      setMessageType('error');
+      setError(result.error || (vaultPasswordExists ? VAULT_PASSWORD_MISMATCH_ERROR : 'Unable to unlock encrypted keys.'));
+      return;
+    }
+
+    const unlocked = provider.loadSettings();
+    if (unlocked) {
+      setSavedSettings(unlocked);
+      setFieldValues(readFields(provider, unlocked));
+      setAccessKeyId(unlocked.accessKeyId || '');
+      setSecretAccessKey(unlocked.secretAccessKey || '');
+      setBucket(unlocked.bucket || '');
+      setPermissions({ canRead: true, ...(unlocked.permissions || { canWrite: false, canDelete: false }) });
+      setEncryptSecretKey(Boolean(unlocked.secretAccessKeyEncrypted));
+    }
+
+    setUnlockPasswordInput('');
+    setVaultPasswordExists(hasVaultPassword());
+  }, [provider, unlockPasswordInput, vaultPasswordExists]);
+
+  const handleChooseExisting = useCallback((collection) => {
+    setSelectedExisting(collection);
+    setHasManifest(null);
+    setStatus('idle');
+    setMessageType('error');
+    setError(null);
+  }, []);
+
+  const connectCollection = useCallback(async ({ collectionId, name }, connectOptions) => {
+    setStatus('connecting');
+    setMessageType('error');
+    setError(null);
+
+    try {
+      const source = provider.createSource({
+        ...trimmedSettings,
+        collectionId,
+        collectionName: name,
+      });
+
+      const result = await source.connect(connectOptions);
+
+      if (result.success) {
+        setHasManifest(source.config.config.hasManifest);
+        registerSource(source);
+        await persistSourceConfig(source);
+        return source;
+      }
+
+      setMessageType('error');
+      setError(result.error || 'Failed to connect');
+      setStatus('error');
+    } catch (err) {
+      setMessageType('error');
+      setError(err.message);
+      setStatus('error');
+    }
+    return null;
+  }, [provider, persistSourceConfig, trimmedSettings]);
+
+  const handleConnectSelected = useCallback(async () => {
+    if (!selectedExisting) return;
+    const source = await connectCollection(
+      { collectionId: selectedExisting.id, name: selectedExisting.name },
+      { refreshManifest: false, verifyUpload: false }
+    );
+    if (!source) return;
+    setStatus('success');
+    setTimeout(() => onClose?.(), 500);
+  }, [connectCollection, onClose, selectedExisting]);
+
+  const handleConnectAndSwitch = useCallback(async () => {
+    if (!selectedExisting) return;
+    const source = await connectCollection({ collectionId: selectedExisting.id, name: selectedExisting.name });
+    if (!source) return;
+    setStatus('success');
+    setTimeout(() => onConnect(source), 500);
+  }, [connectCollection, onConnect, selectedExisting]);
+
+  const handleCreateNew = useCallback(async () => {
+    if (!isConfigured) {
+      setMessageType('error');
+      setError(`Configure ${provider.label} first.`);
+      return;
+    }
+
+    const collectionId = slugifyCollectionName(collectionName.trim()) || `collection-${Date.now()}`;
+    const source = await connectCollection({ collectionId, name: collectionName.trim() || undefined });
+    if (!source) return;
+
+    if (hasWritePermission && uploadExisting && queueFiles.length > 0) {
+      setStatus('uploading');
+      const uploadResult = await source.uploadAssets(queueFiles);
+      if (!uploadResult.success) {
+        const firstError = uploadResult.failed?.[0]?.error;
+        setMessageType('error');
+        setError(firstError ? `Some uploads failed: ${firstError}` : 'Some uploads failed.');
+      }
+    }
+
+    setStatus('success');
+    setTimeout(() => onConnect(source), 500);
+  }, [provider, isConfigured, collectionName, connectCollection, onConnect, hasWritePermission, uploadExisting, queueFiles]);
+
+  const vaultPasswordField = showVaultPasswordInput && (
+    <VaultPasswordField
+      value={unlockPasswordInput}
+      onInput={setUnlockPasswordInput}
+      onUnlock={handleUnlockVault}
+      unlocking={unlockingVault}
+      hint="Shared with Cloud GPU encryption."
+    />
+  );
+
+  const permissionsField = (
+    <div class="form-field">
+      <label>Detected permissions</label>
+      {hasDetectedPermissions ? (
+        <div class="permissions-inline">
+          <span class={`permission-pill ${permissions.canRead ? 'is-allowed' : 'is-denied'}`}>
+            <FontAwesomeIcon icon={permissions.canRead ? faCheck : faTimes} />
+            {' '}Read
+          </span>
+          <span class={`permission-pill ${permissions.canWrite ? 'is-allowed' : 'is-denied'}`}>
+            <FontAwesomeIcon icon={permissions.canWrite ? faCheck : faTimes} />
+            {' '}Write
+          </span>
+          <span class={`permission-pill ${permissions.canDelete ? 'is-allowed' : 'is-denied'}`}>
+            <FontAwesomeIcon icon={permissions.canDelete ? faCheck : faTimes} />
+            {' '}Delete
+          </span>
+        </div>
+      ) : (
+        <span class="field-hint" style={{ fontStyle: 'italic' }}>
+          Read-only option: If you prefer read-only access, make the bucket public in your {provider.consoleName}, then use the URL List connection and enter asset URLs there.
+        </span>
+      )}
+    </div>
+  );
+
+  const configFields = (
+    <>
+      {provider.fields.map((field) => (
+        <div class="form-field" key={field.key}>
+          {field.type === 'checkbox' ? (
+            <label class="checkbox-inline" style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+              <input
+                type="checkbox"
+                checked={fieldValues[field.key]}
+                onChange={(e) => setFieldValue(field.key, e.target.checked)}
+              />
+              <span>{field.label}</span>
+            </label>
+          ) : (
+            <>
+              <label>{field.label}</label>
+              <input
+                type="text"
+                placeholder={field.placeholder}
+                value={fieldValues[field.key]}
+                onInput={(e) => setFieldValue(field.key, e.target.value)}
+              />
+            </>
+          )}
+          {field.hint && <span class="field-hint">{field.hint}</span>}
+        </div>
+      ))}
+
+      <div class="form-field">
+        <label>Access key ID</label>
+        <input
+          type="text"
+          placeholder={`${provider.label} access key ID`}
+          value={accessKeyId}
+          onInput={(e) => setAccessKeyId(e.target.value)}
+        />
+      </div>
+
+      <div class="form-field">
+        <label>Secret access key</label>
+        <input
+          type="password"
+          placeholder={`${provider.label} secret access key`}
+          value={secretAccessKey}
+          onInput={(e) => setSecretAccessKey(e.target.value)}
+        />
+      </div>
+
+      <div class="form-field">
+        <label class="checkbox-inline" style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <input
+            type="checkbox"
+            checked={encryptSecretKey}
+            disabled={vaultLockedForConfigChanges}
+            onChange={(e) => setEncryptSecretKey(e.target.checked)}
+          />
+          <span>
+            Encrypt key
+          </span>
+        </label>
+        <span class="field-hint">
+          {vaultLockedForConfigChanges ? 'Vault key already set. Unlock above to change encryption.' : (vaultPasswordExists ? 'Vault key already set.' : 'No vault key set yet.')}
+        </span>
+      </div>
+
+      <div class="form-field">
+        <label>Bucket name</label>
+        <input
+          type="text"
+          placeholder="splat-assets"
+          value={bucket}
+          onInput={(e) => setBucket(e.target.value)}
+        />
+      </div>
+    </>
+  );
+
+  if (!isConfigured) {
+    return (
+      <div class="storage-form">
+        <button class="back-button" onClick={onBack}>
+          {'Back'}
+        </button>
+
+        <h3>{provider.title}</h3>
+        <p class="dialog-subtitle">Enter your {provider.label} settings, then test to discover read/write/delete permissions automatically.</p>
+
+        {passwordLocked && (
+          <div class="form-notice" style={{ marginTop: '12px' }}>
+            <FontAwesomeIcon icon={faLock} style={{ marginTop: '2px', flexShrink: 0 }} />
+            {' '}This {provider.label} secret is encrypted. Unlock once per browser session.
+          </div>
+        )}
+
+        {vaultPasswordField}
+
+        <div style={{ marginTop: '12px' }}>
+          {permissionsField}
+        </div>
+
+        <div class="config-grid" style={{ marginTop: '16px' }}>
+          {configFields}
+        </div>
+
+        <FormMessage error={error} messageType={messageType} />
+
+        <div class="form-actions" style={{ marginTop: '16px', display: 'flex', gap: '8px' }}>
+          <button
+            class="secondary-button"
+            onClick={handleTestConnection}
+            disabled={status === 'testing' || !canTestConnection}
+            style={{ marginTop: '0px' }}
+          >
+            {status === 'testing' ? (
+              <>
+                <FontAwesomeIcon icon={faSpinner} spin />
+                {' '}Testing...
+              </>
+            ) : (
+              'Test Connection'
+            )}
+          </button>
+
+          <button
+            class="primary-button"
+            onClick={handleSaveSettings}
+            disabled={status === 'testing' || !isSettingsReady}
+            style={{ marginTop: '0px' }}
+          >
+            Save {provider.label} settings
+          </button>
+        </div>
+
+        <div class="faq-section" style={{ marginTop: '24px' }}>
+          {provider.faq.map(({ question, steps }) => (
+            <FaqItem key={question} question={question}>
+              <ol class="faq-steps">
+                {steps}
+              </ol>
+            </FaqItem>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div class="storage-form">
+      <button class="back-button" onClick={onBack}>
+        {'Back'}
+      </button>
+
+      <h3>{provider.label} Collection</h3>
+
+      {vaultPasswordField}
+
+      <div class="form-section">
+        <div class="form-row">
+          <div>
+            <strong>{provider.label} settings</strong>
+            <div class="field-hint">
+              Using bucket <em>{bucket}</em>
+            </div>
+          </div>
+          <button class="link-button" onClick={() => setShowConfig(!showConfig)}>
+            {showConfig ? 'Hide config' : 'Edit config'}
+          </button>
+        </div>
+
+        {showConfig && (
+          <div class="config-grid">
+            {permissionsField}
+
+            {configFields}
+
+            <button
+              class="secondary-button"
+              onClick={handleTestConnection}
+              disabled={status === 'testing' || !canTestConnection}
+            >
+              {status === 'testing' ? 'Testing...' : 'Test Connection'}
+            </button>
+
+            <button
+              class="secondary-button"
+              onClick={handleSaveSettings}
+              disabled={status === 'testing' || !isSettingsReady || !settingsChanged}
+            >
+              Save {provider.label} settings
+            </button>
+          </div>
+        )}
+      </div>
+
+      <CollectionPicker
+        status={status}
+        error={error}
+        messageType={messageType}
+        hasManifest={hasManifest}
+        showExisting={showExisting}
+        onToggleExisting={() => {
+          if (!showExisting) loadExistingCollections();
+          setShowExisting(!showExisting);
+        }}
+        loadingCollections={loadingCollections}
+        existingCollections={existingCollections}
+        scanningLabel="Scanning bucket..."
+        emptyLabel="No existing collections found in this bucket."
+        selectedExisting={selectedExisting}
+        onSelectExisting={handleChooseExisting}
+        onConnectSelected={handleConnectSelected}
+        onConnectAndSwitch={handleConnectAndSwitch}
+        collectionName={collectionName}
+        onCollectionNameInput={setCollectionName}
+        queueCount={queueFiles.length}
+        canUploadQueue={hasWritePermission}
+        uploadExisting={uploadExisting}
+        onUploadExistingChange={setUploadExisting}
+        onCreateNew={handleCreateNew}
+      />
+
+      <p class="form-note" style={{ marginTop: '16px' }}>
+        {provider.links}
+      </p>
+    </div>
+  );
+}
+
+export default S3CompatibleForm;
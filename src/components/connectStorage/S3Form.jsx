@@ -0,0 +1,73 @@
+import { createS3BucketSource } from '../../storage/index.js';
+import { loadS3Settings, saveS3Settings, isSameS3Bucket } from '../../storage/s3Settings.js';
+import { listExistingS3Collections, testS3Connection } from '../../storage/s3Api.js';
+import { normalizeS3Endpoint, DEFAULT_S3_REGION } from '../../storage/s3Client.js';
+import S3CompatibleForm from './S3CompatibleForm.jsx';
+
+const S3_PROVIDER = {
+  label: 'S3',
+  title: 'Connect to S3-compatible storage',
+  sourceType: 's3-bucket',
+  vaultSecretId: 's3',
+  consoleName: "provider's console",
+  requiredSummary: 'key/bucket',
+  fillFieldsError: 'Fill access key, secret, and bucket.',
+  fields: [
+    { key: 'endpoint', label: 'Endpoint URL', placeholder: 'http://localhost:9000', hint: 'Leave empty for AWS S3.' },
+    { key: 'region', label: 'Region', placeholder: DEFAULT_S3_REGION },
+    {
+      key: 'forcePathStyle',
+      label: 'Path-style addressing',
+      type: 'checkbox',
+      defaultValue: true,
+      hint: 'Needed for MinIO and most self-hosted endpoints.',
+    },
+  ],
+  normalizeFields: ({ endpoint, region, forcePathStyle }) => ({
+    endpoint: normalizeS3Endpoint(endpoint),
+    region: region?.trim?.() || '',
+    forcePathStyle: forcePathStyle !== false,
+  }),
+  isSameBucket: isSameS3Bucket,
+  loadSettings: loadS3Settings,
+  saveSettings: saveS3Settings,
+  createSource: createS3BucketSource,
+  listCollections: listExistingS3Collections,
+  testConnection: testS3Connection,
+  faq: [
+    {
+      question: 'Which services work?',
+      steps: (
+        <>
+          <li>Any S3-compatible API: AWS S3, MinIO, Backblaze B2, Wasabi and others</li>
+          <li>Enter the provider's <strong>endpoint URL</strong> and <strong>region</strong></li>
+          <li>Leave the endpoint empty for AWS S3</li>
+        </>
+      ),
+    },
+    {
+      question: 'Connection fails from the browser?',
+      steps: (
+        <>
+          <li>Allow this site's origin in the bucket's <strong>CORS</strong> rules</li>
+          <li>Allow GET, PUT, HEAD and DELETE, and expose the <code>ETag</code> header</li>
+          <li>For MinIO, keep <strong>Path-style addressing</strong> on</li>
+          <li>Grant read/list permissions, plus write/delete if you want uploads/removal</li>
+        </>
+      ),
+    },
+  ],
+  links: (
+    <>
+      <a href="https://docs.aws.amazon.com/AmazonS3/latest/userguide/cors.html" target="_blank" rel="noreferrer noopener">S3 CORS docs</a>
+      {' · '}
+      <a href="https://min.io/docs/minio/linux/index.html" target="_blank" rel="noreferrer noopener">MinIO docs</a>
+    </>
+  ),
+};
+
+function S3Form(props) {
+  return <S3CompatibleForm provider={S3_PROVIDER} {...props} />;
+}
+
+export default S3Form;
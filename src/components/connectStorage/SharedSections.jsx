@@ -1,11 +1,18 @@
-import { useState } from 'preact/hooks';
+import { useState, useMemo } from 'preact/hooks';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import {
   faChevronRight,
   faChevronDown,
   faQuestion,
   faFolderOpen,
+  faTimes,
+  faCheck,
+  faSpinner,
+  faExclamationTriangle,
+  faInfoCircle,
 } from '@fortawesome/free-solid-svg-icons';
+import { getAssetList } from '../../assetManager.js';
+import { getSupportedExtensions } from '../../formats/index.js';
 
 export function FaqItem({ question, children }) {
   const [expanded, setExpanded] = useState(false);
@@ -57,3 +64,264 @@ export function ExistingCollectionItem({ collection, onSelect, isLoading, select
     </button>
   );
 }
+
+export const slugifyCollectionName = (value) => {
+  const slug = value
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return slug || 'collection';
+};
+
+/**
+ * Files in the current queue that a new collection can upload right away.
+ * @returns {File[]}
+ */
+export function useQueuedUploadFiles() {
+  return useMemo(() => {
+    const supportedExtensions = getSupportedExtensions();
+    return getAssetList()
+      .filter((asset) => asset?.file && asset?.file?.name)
+      .filter((asset) => {
+        const ext = asset.file.name.toLowerCase().match(/\.[^.]+$/)?.[0] || '';
+        return supportedExtensions.includes(ext);
+      })
+      .map((asset) => asset.file);
+  }, []);
+}
+
+export function FormMessage({ error, messageType = 'error' }) {
+  if (!error) return null;
+  return (
+    <div class={messageType === 'info' ? 'form-notice' : 'form-error'}>
+      <FontAwesomeIcon icon={messageType === 'info' ? faInfoCircle : faExclamationTriangle} style={{ marginTop: '2px', flexShrink: 0 }} />
+      {' '}{error}
+    </div>
+  );
+}
+
+export function VaultPasswordField({ value, onInput, onUnlock, unlocking, placeholder = 'Vault password', hint }) {
+  return (
+    <div class="form-field" style={{ marginTop: '12px' }}>
+      <label>Vault password</label>
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+        <input
+          type="password"
+          placeholder={placeholder}
+          value={value}
+          onInput={(e) => onInput(e.target.value)}
+          style={{ flex: '2 1 0' }}
+        />
+        <button
+          class="secondary-button"
+          onClick={onUnlock}
+          disabled={unlocking || !value.trim()}
+          style={{ marginTop: 0, flex: '1 1 0' }}
+        >
+          {unlocking ? (
+            <>
+              <FontAwesomeIcon icon={faSpinner} spin />
+              {' '}Unlocking
+            </>
+          ) : (
+            'Unlock'
+          )}
+        </button>
+      </div>
+      {hint && (
+        <span class="field-hint" style={{ marginTop: '6px', display: 'block' }}>
+          {hint}
+        </span>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Collection step of the remote storage forms: browse and connect an
+ * existing collection folder, or create a new one (optionally uploading the
+ * current queue).
+ */
+export function CollectionPicker({
+  status,
+  error,
+  messageType,
+  hasManifest,
+  showExisting,
+  onToggleExisting,
+  loadingCollections,
+  existingCollections,
+  scanningLabel,
+  emptyLabel,
+  selectedExisting,
+  onSelectExisting,
+  onConnectSelected,
+  onConnectAndSwitch,
+  collectionName,
+  onCollectionNameInput,
+  queueCount,
+  canUploadQueue,
+  uploadExisting,
+  onUploadExistingChange,
+  onCreateNew,
+}) {
+  return (
+    <>
+      <div class="form-section" style={{ marginTop: '16px' }}>
+        <div class="form-row">
+          <div>
+            <strong>
+              <FontAwesomeIcon icon={faFolderOpen} style={{ marginRight: '8px' }} />
+              Add Existing Folder
+            </strong>
+          </div>
+          <button class="link-button" onClick={onToggleExisting}>
+            {showExisting ? 'Hide' : 'Browse'}
+          </button>
+        </div>
+
+        {showExisting && (
+          <div class="existing-collections-list">
+            {loadingCollections ? (
+              <div class="collections-loading">
+                <FontAwesomeIcon icon={faSpinner} spin />
+                {' '}{scanningLabel}
+              </div>
+            ) : existingCollections.length === 0 ? (
+              <div class="collections-empty">
+                {emptyLabel}
+              </div>
+            ) : (
+              existingCollections.map((col) => (
+                <ExistingCollectionItem
+                  key={col.id}
+                  collection={col}
+                  onSelect={onSelectExisting}
+                  isLoading={status === 'connecting'}
+                  selected={selectedExisting?.id === col.id}
+                />
+              ))
+            )}
+          </div>
+        )}
+      </div>
+
+      {selectedExisting && (
+        <div class="form-section existing-selection-review" style={{ position: 'relative' }}>
+          <button
+            class="modal-close selection-close"
+            title="Clear selected collection"
+            onClick={() => onSelectExisting(null)}
+            disabled={status === 'connecting'}
+            style={{ position: 'absolute', top: '8px', right: '8px' }}
+          >
+            <FontAwesomeIcon icon={faTimes} />
+          </button>
+
+          <div class="form-row">
+            <div>
+              <strong>Selected collection</strong>
+              <div class="field-hint">
+                {selectedExisting.name} ({selectedExisting.id}) · {selectedExisting.assetCount} asset{selectedExisting.assetCount !== 1 ? 's' : ''}
+                {selectedExisting.hasManifest && ' · manifest detected'}
+              </div>
+            </div>
+          </div>
+
+          <div class="form-actions" style={{ marginTop: '16px', gap: '8px', display: 'flex' }}>
+            <button
+              class="secondary-button"
+              style={{ marginTop: '0px' }}
+              onClick={onConnectAndSwitch}
+              disabled={status === 'connecting'}
+            >
+              Switch to new collection
+            </button>
+            <button
+              class="primary-button"
+              onClick={onConnectSelected}
+              disabled={status === 'connecting'}
+            >
+              {status === 'connecting' ? (
+                <>
+                  <FontAwesomeIcon icon={faSpinner} spin />
+                  {' '}Connecting...
+                </>
+              ) : (
+                'Done'
+              )}
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div class="form-divider">
+        <span>or create new</span>
+      </div>
+
+      <div class="form-field">
+        <label>Collection name</label>
+        <input
+          type="text"
+          placeholder="My splat gallery"
+          value={collectionName}
+          onInput={(e) => onCollectionNameInput(e.target.value)}
+        />
+        <span class="field-hint">
+          Will be stored under collections/{slugifyCollectionName(collectionName)}/
+        </span>
+      </div>
+
+      {canUploadQueue && queueCount > 0 && (
+        <div class="form-field">
+          <label class="checkbox-inline">
+            <input
+              type="checkbox"
+              checked={uploadExisting}
+              onChange={(e) => onUploadExistingChange(e.target.checked)}
+            />
+            Upload current images ({queueCount})
+          </label>
+          <span class="field-hint">Uploads start right after the collection is created.</span>
+        </div>
+      )}
+
+      <FormMessage error={error} messageType={messageType} />
+
+      {status === 'success' && hasManifest !== null && (
+        <div class={`form-success ${hasManifest ? '' : 'warning'}`}>
+          <FontAwesomeIcon icon={hasManifest ? faCheck : faExclamationTriangle} />
+          {' '}
+          {hasManifest
+            ? 'Found manifest.json - loading is manifest-first'
+            : 'Manifest was created for you'}
+        </div>
+      )}
+
+      <button
+        class="primary-button"
+        onClick={onCreateNew}
+        disabled={status === 'connecting' || status === 'uploading'}
+      >
+        {status === 'connecting' ? (
+          <>
+            <FontAwesomeIcon icon={faSpinner} spin />
+            {' '}Creating collection...
+          </>
+        ) : status === 'uploading' ? (
+          <>
+            <FontAwesomeIcon icon={faSpinner} spin />
+            {' '}Uploading...
+          </>
+        ) : status === 'success' ? (
+          <>
+            <FontAwesomeIcon icon={faCheck} />
+            {' '}Connected!
+          </>
+        ) : (
+          'Create New Collection'
+        )}
+      </button>
+    </>
+  );
+}
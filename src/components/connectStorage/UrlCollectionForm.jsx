@@ -10,6 +10,12 @@ import {
   registerSource,
   saveSource,
 } from '../../storage/index.js';
+import { getSupportedExtensions } from '../../formats/index.js';
+
+// Subfolder levels followed when "Include subfolders" is checked
+const LISTING_SUBFOLDER_DEPTH = 3;
+
+const getInitialMode = (source) => (source?.config?.config?.crawlListing ? 'listing' : 'urls');
 
 function UrlCollectionForm({ onConnect, onBack, initialSource, editMode = false, onSaveEdit }) {
   const initialUrlText = useMemo(() => {
@@ -19,6 +25,13 @@ function UrlCollectionForm({ onConnect, onBack, initialSource, editMode = false,
     return '';
   }, [editMode, initialSource]);
   const [urlText, setUrlText] = useState(initialUrlText);
+  const [mode, setMode] = useState(editMode ? getInitialMode(initialSource) : 'urls');
+  const [listingUrl, setListingUrl] = useState(
+    editMode && initialSource?.config?.config?.crawlListing ? initialSource.config.config.baseUrl : ''
+  );
+  const [includeSubfolders, setIncludeSubfolders] = useState(
+    editMode ? (initialSource?.config?.config?.crawlDepth || 0) > 0 : false
+  );
   const [collectionName, setCollectionName] = useState(
     editMode ? (initialSource?.name || initialSource?.config?.name || '') : ''
   );
@@ -28,6 +41,9 @@ function UrlCollectionForm({ onConnect, onBack, initialSource, editMode = false,
   useEffect(() => {
     if (editMode && initialSource) {
       setUrlText(initialSource?.config?.config?.assetPaths?.length ? initialSource.config.config.assetPaths.join('\n') : '');
+      setMode(getInitialMode(initialSource));
+      setListingUrl(initialSource?.config?.config?.crawlListing ? initialSource.config.config.baseUrl : '');
+      setIncludeSubfolders((initialSource?.config?.config?.crawlDepth || 0) > 0);
       setCollectionName(initialSource?.name || initialSource?.config?.name || '');
       setStatus('idle');
       setError(null);
@@ -49,7 +65,81 @@ function UrlCollectionForm({ onConnect, onBack, initialSource, editMode = false,
     return nonEmpty.length > 0 && nonEmpty.every(u => isValidUrl(u));
   }, [urlText, isValidUrl]);
 
+  const canSubmit = mode === 'listing' ? isValidUrl(listingUrl) : allUrlsValid;
+
+  const handleConnectListing = useCallback(async () => {
+    const baseUrl = listingUrl.trim();
+    if (!isValidUrl(baseUrl)) {
+      setError('Enter an http/https folder URL');
+      return;
+    }
+
+    const crawlDepth = includeSubfolders ? LISTING_SUBFOLDER_DEPTH : 0;
+    setStatus('connecting');
+    setError(null);
+
+    try {
+      if (editMode && initialSource) {
+        const updatedName = collectionName.trim() || initialSource.name;
+        initialSource.name = updatedName;
+        initialSource.config.name = updatedName;
+        Object.assign(initialSource.config.config, {
+          baseUrl,
+          manifestUrl: '',
+          assetPaths: [],
+          crawlListing: true,
+          crawlDepth,
+          customName: Boolean(collectionName.trim()),
+        });
+
+        // Re-crawl so the asset list reflects the new folder
+        const result = await initialSource.connect();
+        if (!result.success) {
+          setError(result.error || 'Failed to read directory listing');
+          setStatus('error');
+          return;
+        }
+        registerSource(initialSource);
+        await initialSource.listAssets();
+
+        setStatus('success');
+        const finish = onSaveEdit || onConnect;
+        if (finish) {
+          setTimeout(() => finish(initialSource), 300);
+        }
+        return;
+      }
+
+      const source = createPublicUrlSource({
+        baseUrl,
+        crawlListing: true,
+        crawlDepth,
+        name: collectionName.trim() || undefined,
+      });
+
+      const result = await source.connect();
+
+      if (result.success) {
+        registerSource(source);
+        await saveSource(source.toJSON());
+        setStatus('success');
+        setTimeout(() => onConnect(source), 500);
+      } else {
+        setError(result.error || 'Failed to read directory listing');
+        setStatus('error');
+      }
+    } catch (err) {
+      setError(err.message);
+      setStatus('error');
+    }
+  }, [listingUrl, includeSubfolders, collectionName, onConnect, editMode, initialSource, onSaveEdit, isValidUrl]);
+
   const handleConnect = useCallback(async () => {
+    if (mode === 'listing') {
+      await handleConnectListing();
+      return;
+    }
+
     const cleaned = urlText.split(/\r?\n/).map((u) => u.trim()).filter(Boolean);
     if (cleaned.length === 0) {
       setError('Add at least one URL');
@@ -79,6 +169,13 @@ function UrlCollectionForm({ onConnect, onBack, initialSource, editMode = false,
         initialSource.config.config.assetPaths = cleaned;
         initialSource.config.config.customName = Boolean(collectionName.trim());
 
+        if (initialSource.config.config.crawlListing) {
+          // Switching away from a crawled folder: drop its synthetic manifest
+          initialSource.config.config.crawlListing = false;
+          initialSource.config.config.baseUrl = '';
+          await initialSource.connect();
+        }
+
         await saveSource(initialSource.toJSON());
         registerSource(initialSource);
         await initialSource.listAssets();
@@ -111,7 +208,7 @@ function UrlCollectionForm({ onConnect, onBack, initialSource, editMode = false,
       setError(err.message);
       setStatus('error');
     }
-  }, [urlText, collectionName, onConnect, editMode, initialSource, onSaveEdit]);
+  }, [mode, handleConnectListing, urlText, collectionName, onConnect, editMode, initialSource, onSaveEdit]);
 
   return (
     <div class="storage-form">
@@ -127,7 +224,7 @@ function UrlCollectionForm({ onConnect, onBack, initialSource, editMode = false,
         <ul class="feature-list bullet-list">
           <>
             <li>No setup or credentials required</li>
-            <li>Direct HTTP/HTTPS links only, read-only</li>
+            <li>Direct HTTP/HTTPS links or a folder index page, read-only</li>
             <li>Best for quick demos or hosted files</li>
           </>
         </ul>
@@ -144,18 +241,56 @@ function UrlCollectionForm({ onConnect, onBack, initialSource, editMode = false,
       </div>
 
       <div class="form-field">
-        <label>Asset URLs</label>
-        <textarea
-          rows={8}
-          placeholder={'https://example.com/scene-1.sog\nhttps://example.com/scene-2.ply'}
-          value={urlText}
-          onInput={(e) => setUrlText(e.target.value)}
-        />
-        <span class="field-hint">
-          One URL per line. Only direct http/https links to .sog/.ply files are accepted.
-        </span>
+        <label>Source</label>
+        <select value={mode} onChange={(e) => { setMode(e.target.value); setError(null); }}>
+          <option value="urls">List of asset URLs</option>
+          <option value="listing">Folder with a directory listing</option>
+        </select>
       </div>
 
+      {mode === 'listing' ? (
+        <>
+          <div class="form-field">
+            <label>Folder URL</label>
+            <input
+              type="url"
+              placeholder="https://files.example.com/splats/"
+              value={listingUrl}
+              onInput={(e) => setListingUrl(e.target.value)}
+            />
+            <span class="field-hint">
+              A folder whose index page lists its files (nginx autoindex, Apache, Caddy, python -m http.server).
+              {' '}{getSupportedExtensions().join('/')} files are picked up with matching preview images and .meta.json files.
+            </span>
+          </div>
+
+          <div class="form-field">
+            <label class="checkbox-inline" style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+              <input
+                type="checkbox"
+                checked={includeSubfolders}
+                onChange={(e) => setIncludeSubfolders(e.target.checked)}
+              />
+              <span>Include subfolders</span>
+            </label>
+            <span class="field-hint">Follows up to {LISTING_SUBFOLDER_DEPTH} levels of subfolders.</span>
+          </div>
+        </>
+      ) : (
+        <div class="form-field">
+          <label>Asset URLs</label>
+          <textarea
+            rows={8}
+            placeholder={'https://example.com/scene-1.sog\nhttps://example.com/scene-2.ply'}
+            value={urlText}
+            onInput={(e) => setUrlText(e.target.value)}
+          />
+          <span class="field-hint">
+            One URL per line. Only direct http/https links to {getSupportedExtensions().join('/')} files are accepted.
+          </span>
+        </div>
+      )}
+
       {error && (
         <div class="form-error">
           <FontAwesomeIcon icon={faExclamationTriangle} />
@@ -166,7 +301,7 @@ function UrlCollectionForm({ onConnect, onBack, initialSource, editMode = false,
       <button
         class="primary-button"
         onClick={handleConnect}
-        disabled={status === 'connecting' || !allUrlsValid}
+        disabled={status === 'connecting' || !canSubmit}
       >
         {status === 'connecting' ? (
           <>
@@ -0,0 +1,504 @@
+import { useState, useCallback, useMemo } from 'preact/hooks';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faSpinner, faLock } from '@fortawesome/free-solid-svg-icons';
+import {
+  createWebDavSource,
+  registerSource,
+  saveSource,
+  getSourcesArray,
+} from '../../storage/index.js';
+import { loadWebDavSettings, saveWebDavSettings, isSameWebDavServer } from '../../storage/webdavSettings.js';
+import { listExistingWebDavCollections, testWebDavConnection } from '../../storage/webdavApi.js';
+import { normalizeWebDavUrl } from '../../storage/webdavClient.js';
+import {
+  encryptCredentialValue,
+  getVaultSecretIds,
+  hasVaultPassword,
+  isVaultUnlocked,
+  unlockCredentialVault,
+} from '../../storage/credentialVault.js';
+import {
+  CollectionPicker,
+  FaqItem,
+  FormMessage,
+  VaultPasswordField,
+  slugifyCollectionName,
+  useQueuedUploadFiles,
+} from './SharedSections.jsx';
+
+const VAULT_PASSWORD_MISMATCH_ERROR = 'Password does not match the existing vault password.';
+
+function WebDavForm({ onConnect, onBack, onClose }) {
+  const queueFiles = useQueuedUploadFiles();
+
+  const initialSettings = useMemo(
+    () => loadWebDavSettings() || { url: '', authType: 'basic', username: '', secret: '' },
+    []
+  );
+  const [savedSettings, setSavedSettings] = useState(initialSettings);
+  const [url, setUrl] = useState(initialSettings.url);
+  const [authType, setAuthType] = useState(initialSettings.authType || 'basic');
+  const [username, setUsername] = useState(initialSettings.username || '');
+  const [secret, setSecret] = useState(initialSettings.secret || '');
+  const [encryptSecret, setEncryptSecret] = useState(Boolean(initialSettings.secretEncrypted));
+  const [unlockPasswordInput, setUnlockPasswordInput] = useState('');
+  const [unlockingVault, setUnlockingVault] = useState(false);
+  const [vaultPasswordExists, setVaultPasswordExists] = useState(() => hasVaultPassword());
+  const [collectionName, setCollectionName] = useState('');
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+  const [hasManifest, setHasManifest] = useState(null);
+  const [uploadExisting, setUploadExisting] = useState(false);
+
+  const [existingCollections, setExistingCollections] = useState([]);
+  const [loadingCollections, setLoadingCollections] = useState(false);
+  const [showExisting, setShowExisting] = useState(false);
+  const [showWebDavConfig, setShowWebDavConfig] = useState(false);
+  const [selectedExisting, setSelectedExisting] = useState(null);
+
+  const passwordLocked = Boolean(savedSettings?.requiresPassword && !secret);
+  const showVaultPasswordInput = Boolean(
+    !isVaultUnlocked() && (passwordLocked || encryptSecret || Boolean(savedSettings?.secretEncrypted))
+  );
+
+  const webdavConfigured = Boolean(savedSettings.url && !savedSettings.requiresPassword);
+  const trimmedSettings = useMemo(() => ({
+    url: normalizeWebDavUrl(url),
+    authType,
+    username: authType === 'basic' ? username.trim() : '',
+    secret: authType === 'none' ? '' : secret,
+  }), [url, authType, username, secret]);
+  const isSettingsReady = Boolean(
+    trimmedSettings.url &&
+    (authType !== 'basic' || trimmedSettings.username) &&
+    (authType !== 'bearer' || trimmedSettings.secret)
+  );
+  const settingsChanged =
+    trimmedSettings.url !== normalizeWebDavUrl(savedSettings.url) ||
+    trimmedSettings.authType !== (savedSettings.authType || 'basic') ||
+    trimmedSettings.username !== (savedSettings.username || '') ||
+    trimmedSettings.secret !== (savedSettings.secret || '') ||
+    Boolean(encryptSecret) !== Boolean(savedSettings.secretEncrypted);
+
+  const persistSourceConfig = useCallback(async (source) => {
+    const payload = source.toJSON();
+    if (encryptSecret && payload?.config) {
+      payload.config.secret = '';
+    }
+    await saveSource(payload);
+  }, [encryptSecret]);
+
+  const loadExistingCollections = useCallback(async (settings = trimmedSettings) => {
+    setLoadingCollections(true);
+    setError(null);
+
+    const result = await listExistingWebDavCollections(settings);
+
+    setLoadingCollections(false);
+
+    if (result.success) {
+      setExistingCollections(result.collections);
+    } else {
+      setError(result.error);
+    }
+  }, [trimmedSettings]);
+
+  const handleSaveSettings = useCallback(async () => {
+    if (!isSettingsReady) {
+      setError(authType === 'bearer' ? 'Fill server URL and token.' : 'Fill server URL and username.');
+      return;
+    }
+
+    setStatus('testing');
+    setError(null);
+
+    const testResult = await testWebDavConnection(trimmedSettings);
+    if (!testResult.success) {
+      setError(`Connection failed: ${testResult.error}`);
+      setStatus('idle');
+      return;
+    }
+
+    let secretEncrypted = null;
+    const providedPassword = unlockPasswordInput.trim();
+
+    if (encryptSecret && trimmedSettings.secret) {
+      if (!providedPassword && !isVaultUnlocked()) {
+        setError(vaultPasswordExists
+          ? 'Vault key already set. Enter vault password above.'
+          : 'Create a vault password to encrypt the secret.');
+        setStatus('idle');
+        return;
+      }
+
+      if (vaultPasswordExists && !isVaultUnlocked()) {
+        const unlockResult = await unlockCredentialVault(providedPassword);
+        if (!unlockResult.success) {
+          setError(unlockResult.error || VAULT_PASSWORD_MISMATCH_ERROR);
+          setStatus('idle');
+          return;
+        }
+      }
+
+      try {
+        secretEncrypted = await encryptCredentialValue(
+          getVaultSecretIds().webdav,
+          trimmedSettings.secret,
+          providedPassword || undefined
+        );
+        setVaultPasswordExists(hasVaultPassword());
+      } catch (err) {
+        setError(err?.message || 'Failed to encrypt the WebDAV secret.');
+        setStatus('idle');
+        return;
+      }
+    }
+
+    const payload = {
+      url: trimmedSettings.url,
+      authType: trimmedSettings.authType,
+      username: trimmedSettings.username,
+      secret: secretEncrypted ? '' : trimmedSettings.secret,
+      ...(secretEncrypted ? { secretEncrypted } : {}),
+    };
+    saveWebDavSettings(payload);
+    setSavedSettings({
+      ...payload,
+      secret: trimmedSettings.secret,
+      requiresPassword: false,
+      isEncrypted: Boolean(secretEncrypted),
+    });
+
+    // Keep already-registered collections on this server in sync with the new credentials
+    for (const src of getSourcesArray()) {
+      if (src.type === 'webdav' && isSameWebDavServer(trimmedSettings, src.config?.config)) {
+        src.config.config.authType = trimmedSettings.authType;
+        src.config.config.secret = trimmedSettings.secret;
+        try {
+          const sourcePayload = src.toJSON();
+          if (secretEncrypted) sourcePayload.config.secret = '';
+          await saveSource(sourcePayload);
+        } catch (e) {
+          console.warn('[WebDavForm] Failed to persist source update', e);
+        }
+      }
+    }
+
+    setUnlockPasswordInput('');
+    setStatus('idle');
+    setError(null);
+    await loadExistingCollections(trimmedSettings);
+  }, [authType, encryptSecret, isSettingsReady, loadExistingCollections, trimmedSettings, unlockPasswordInput, vaultPasswordExists]);
+
+  const handleUnlockVault = useCallback(async () => {
+    const password = unlockPasswordInput.trim();
+    if (!password) {
+      setError('Enter vault password to unlock encrypted keys.');
+      return;
+    }
+
+    setUnlockingVault(true);
+    setError(null);
+    const result = await unlockCredentialVault(password);
+    setUnlockingVault(false);
+
+    if (!result.success) {
+      setError(result.error || (vaultPasswordExists ? VAULT_PASSWORD_MISMATCH_ERROR : 'Unable to unlock encrypted keys.'));
+      return;
+    }
+
+    const unlocked = loadWebDavSettings();
+    if (unlocked) {
+      setSavedSettings(unlocked);
+      setUrl(unlocked.url || '');
+      setAuthType(unlocked.authType || 'basic');
+      setUsername(unlocked.username || '');
+      setSecret(unlocked.secret || '');
+      setEncryptSecret(Boolean(unlocked.secretEncrypted));
+    }
+
+    setUnlockPasswordInput('');
+    setVaultPasswordExists(hasVaultPassword());
+  }, [unlockPasswordInput, vaultPasswordExists]);
+
+  const handleChooseExisting = useCallback((collection) => {
+    setSelectedExisting(collection);
+    setHasManifest(null);
+    setStatus('idle');
+    setError(null);
+  }, []);
+
+  const connectCollection = useCallback(async ({ collectionId, name }, onDone) => {
+    setStatus('connecting');
+    setError(null);
+
+    try {
+      const source = createWebDavSource({
+        ...trimmedSettings,
+        collectionId,
+        collectionName: name,
+      });
+
+      const result = await source.connect({ refreshManifest: false, verifyUpload: false });
+
+      if (result.success) {
+        setHasManifest(source.config.config.hasManifest);
+        registerSource(source);
+        await persistSourceConfig(source);
+        return source;
+      }
+
+      setError(result.error || 'Failed to connect');
+      setStatus('error');
+    } catch (err) {
+      setError(err.message);
+      setStatus('error');
+    }
+    return null;
+  }, [persistSourceConfig, trimmedSettings]);
+
+  const handleConnectSelected = useCallback(async () => {
+    if (!selectedExisting) return;
+    const source = await connectCollection({ collectionId: selectedExisting.id, name: selectedExisting.name });
+    if (!source) return;
+    setStatus('success');
+    setTimeout(() => onClose?.(), 500);
+  }, [connectCollection, onClose, selectedExisting]);
+
+  const handleConnectAndSwitch = useCallback(async () => {
+    if (!selectedExisting) return;
+    const source = await connectCollection({ collectionId: selectedExisting.id, name: selectedExisting.name });
+    if (!source) return;
+    setStatus('success');
+    setTimeout(() => onConnect(source), 500);
+  }, [connectCollection, onConnect, selectedExisting]);
+
+  const handleCreateNew = useCallback(async () => {
+    if (!webdavConfigured) {
+      setError('Configure WebDAV first.');
+      return;
+    }
+
+    const collectionId = slugifyCollectionName(collectionName.trim()) || `collection-${Date.now()}`;
+    const source = await connectCollection({ collectionId, name: collectionName.trim() || undefined });
+    if (!source) return;
+
+    if (uploadExisting && queueFiles.length > 0) {
+      setStatus('uploading');
+      const uploadResult = await source.uploadAssets(queueFiles);
+      if (!uploadResult.success) {
+        const firstError = uploadResult.failed?.[0]?.error || uploadResult.error;
+        setError(firstError ? `Some uploads failed: ${firstError}` : 'Some uploads failed.');
+      }
+    }
+
+    setStatus('success');
+    setTimeout(() => onConnect(source), 500);
+  }, [webdavConfigured, collectionName, connectCollection, onConnect, uploadExisting, queueFiles]);
+
+  const vaultPasswordField = showVaultPasswordInput && (
+    <VaultPasswordField
+      value={unlockPasswordInput}
+      onInput={setUnlockPasswordInput}
+      onUnlock={handleUnlockVault}
+      unlocking={unlockingVault}
+      hint="Shared with R2 and Cloud GPU encryption."
+    />
+  );
+
+  const configFields = (
+    <>
+      <div class="form-field">
+        <label>WebDAV folder URL</label>
+        <input
+          type="url"
+          placeholder="https://nas.local/remote.php/dav/files/me/splats"
+          value={url}
+          onInput={(e) => setUrl(e.target.value)}
+        />
+        <span class="field-hint">Collections are stored under collections/ in this folder.</span>
+      </div>
+
+      <div class="form-field">
+        <label>Authentication</label>
+        <select value={authType} onChange={(e) => setAuthType(e.target.value)}>
+          <option value="basic">Username and password (Basic)</option>
+          <option value="bearer">Token (Bearer)</option>
+          <option value="none">None</option>
+        </select>
+      </div>
+
+      {authType === 'basic' && (
+        <div class="form-field">
+          <label>Username</label>
+          <input
+            type="text"
+            placeholder="nas-user"
+            value={username}
+            onInput={(e) => setUsername(e.target.value)}
+          />
+        </div>
+      )}
+
+      {authType !== 'none' && (
+        <div class="form-field">
+          <label>{authType === 'bearer' ? 'Token' : 'Password or app password'}</label>
+          <input
+            type="password"
+            placeholder={authType === 'bearer' ? 'Bearer token' : 'Password'}
+            value={secret}
+            onInput={(e) => setSecret(e.target.value)}
+          />
+        </div>
+      )}
+
+      {authType !== 'none' && (
+        <div class="form-field">
+          <label class="checkbox-inline" style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+            <input
+              type="checkbox"
+              checked={encryptSecret}
+              onChange={(e) => setEncryptSecret(e.target.checked)}
+            />
+            <span>Encrypt {authType === 'bearer' ? 'token' : 'password'}</span>
+          </label>
+          <span class="field-hint">
+            {vaultPasswordExists ? 'Vault key already set.' : 'No vault key set yet.'}
+          </span>
+        </div>
+      )}
+    </>
+  );
+
+  if (!webdavConfigured) {
+    return (
+      <div class="storage-form">
+        <button class="back-button" onClick={onBack}>
+          {'Back'}
+        </button>
+
+        <h3>Connect to WebDAV</h3>
+        <p class="dialog-subtitle">Enter your NAS or WebDAV server folder and credentials.</p>
+
+        {passwordLocked && (
+          <div class="form-notice" style={{ marginTop: '12px' }}>
+            <FontAwesomeIcon icon={faLock} style={{ marginTop: '2px', flexShrink: 0 }} />
+            {' '}This WebDAV secret is encrypted. Unlock once per browser session.
+          </div>
+        )}
+
+        {vaultPasswordField}
+
+        <div class="config-grid" style={{ marginTop: '16px' }}>
+          {configFields}
+        </div>
+
+        <FormMessage error={error} />
+
+        <button
+          class="primary-button"
+          onClick={handleSaveSettings}
+          disabled={status === 'testing' || !isSettingsReady}
+          style={{ marginTop: '16px' }}
+        >
+          {status === 'testing' ? (
+            <>
+              <FontAwesomeIcon icon={faSpinner} spin />
+              {' '}Testing connection...
+            </>
+          ) : (
+            'Connect to WebDAV'
+          )}
+        </button>
+
+        <div class="faq-section" style={{ marginTop: '24px' }}>
+          <FaqItem question="Where do I find the WebDAV URL?">
+            <ol class="faq-steps">
+              <li><strong>Nextcloud</strong>: Files → Settings → WebDAV, then append the folder path</li>
+              <li><strong>Synology</strong>: enable <strong>WebDAV Server</strong> in Package Center and use <code>https://nas:5006/share/folder</code></li>
+              <li>Use an app password when the account has two-factor login</li>
+            </ol>
+          </FaqItem>
+
+          <FaqItem question="Connection fails from the browser?">
+            <ol class="faq-steps">
+              <li>The server must allow this site's origin (<strong>CORS</strong>)</li>
+              <li>Allow PROPFIND, MKCOL, GET, PUT and DELETE plus the <code>Authorization</code>, <code>Depth</code> and <code>Range</code> headers</li>
+              <li>Serve the NAS over HTTPS when this app is served over HTTPS</li>
+            </ol>
+          </FaqItem>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div class="storage-form">
+      <button class="back-button" onClick={onBack}>
+        {'Back'}
+      </button>
+
+      <h3>WebDAV Collection</h3>
+
+      {vaultPasswordField}
+
+      <div class="form-section">
+        <div class="form-row">
+          <div>
+            <strong>WebDAV settings</strong>
+            <div class="field-hint">
+              Using <em>{savedSettings.url}</em>
+            </div>
+          </div>
+          <button class="link-button" onClick={() => setShowWebDavConfig(!showWebDavConfig)}>
+            {showWebDavConfig ? 'Hide config' : 'Edit config'}
+          </button>
+        </div>
+
+        {showWebDavConfig && (
+          <div class="config-grid">
+            {configFields}
+
+            <button
+              class="secondary-button"
+              onClick={handleSaveSettings}
+              disabled={status === 'testing' || !isSettingsReady || !settingsChanged}
+            >
+              Save WebDAV settings
+            </button>
+          </div>
+        )}
+      </div>
+
+      <CollectionPicker
+        status={status}
+        error={error}
+        hasManifest={hasManifest}
+        showExisting={showExisting}
+        onToggleExisting={() => {
+          setShowExisting(!showExisting);
+          if (!showExisting && existingCollections.length === 0) {
+            loadExistingCollections();
+          }
+        }}
+        loadingCollections={loadingCollections}
+        existingCollections={existingCollections}
+        scanningLabel="Scanning server..."
+        emptyLabel="No existing collections found in this folder."
+        selectedExisting={selectedExisting}
+        onSelectExisting={handleChooseExisting}
+        onConnectSelected={handleConnectSelected}
+        onConnectAndSwitch={handleConnectAndSwitch}
+        collectionName={collectionName}
+        onCollectionNameInput={setCollectionName}
+        queueCount={queueFiles.length}
+        canUploadQueue
+        uploadExisting={uploadExisting}
+        onUploadExistingChange={setUploadExisting}
+        onCreateNew={handleCreateNew}
+      />
+    </div>
+  );
+}
+
+export default WebDavForm;
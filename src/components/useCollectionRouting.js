@@ -2,7 +2,7 @@ import { useCallback, useEffect, useRef } from 'preact/hooks';
 import { useStore } from '../store';
 import { loadFromStorageSource } from '../fileLoader';
 import { getSource, getSourcesArray } from '../storage/index.js';
-import { loadR2Settings } from '../storage/r2Settings.js';
+import { isVaultLockedSource } from '../storage/sourceLock.js';
 import { resetLandingView } from '../utils/resetLandingView.js';
 
 const normalizeBasePath = (value) => {
@@ -165,17 +165,13 @@ export const useCollectionRouting = ({
       return;
     }
 
-    const r2Settings = loadR2Settings();
-    const isR2Locked = matchedSource?.type === 'r2-bucket'
-      && Boolean(r2Settings?.requiresPassword)
-      && r2Settings?.accountId === matchedSource?.config?.config?.accountId
-      && r2Settings?.bucket === matchedSource?.config?.config?.bucket;
+    const isLocked = isVaultLockedSource(matchedSource);
 
     try {
       routeSyncInFlightRef.current = true;
       setLandingVisible(false);
 
-      if (isR2Locked) {
+      if (isLocked) {
         const state = useStore.getState();
         state.setAssets([]);
         state.setCurrentAssetIndex(-1);
@@ -37,6 +37,11 @@ const SUPABASE_RESCAN_ATTEMPTS = 6;
 const R2_RESCAN_INTERVAL_MS = 500;
 const R2_RESCAN_ATTEMPTS = 6;
 
+// S3-compatible sources (R2 and generic S3) share upload and permission handling
+const BUCKET_SOURCE_TYPES = ['r2-bucket', 's3-bucket'];
+const isBucketSourceType = (type) => BUCKET_SOURCE_TYPES.includes(type);
+const getBucketLabel = (type) => (type === 's3-bucket' ? 'S3' : 'R2');
+
 const generateJobId = () => {
   const cryptoObj = typeof globalThis !== 'undefined' ? globalThis.crypto : null;
   if (cryptoObj?.randomUUID) return cryptoObj.randomUUID();
@@ -62,12 +67,12 @@ const getLocalFileKey = (file) => {
 };
 
 const waitForRemoteRescan = async (source, { expectedMin = 1 } = {}) => {
-  if (!source || !['supabase-storage', 'r2-bucket'].includes(source?.type) || typeof source?.rescan !== 'function') {
+  if (!source || !['supabase-storage', ...BUCKET_SOURCE_TYPES].includes(source?.type) || typeof source?.rescan !== 'function') {
     return false;
   }
 
-  const attempts = source?.type === 'r2-bucket' ? R2_RESCAN_ATTEMPTS : SUPABASE_RESCAN_ATTEMPTS;
-  const interval = source?.type === 'r2-bucket' ? R2_RESCAN_INTERVAL_MS : SUPABASE_RESCAN_INTERVAL_MS;
+  const attempts = isBucketSourceType(source?.type) ? R2_RESCAN_ATTEMPTS : SUPABASE_RESCAN_ATTEMPTS;
+  const interval = isBucketSourceType(source?.type) ? R2_RESCAN_INTERVAL_MS : SUPABASE_RESCAN_INTERVAL_MS;
 
   for (let attempt = 0; attempt < attempts; attempt += 1) {
     try {
@@ -115,14 +120,27 @@ const getCollectionUploadCopy = (source) => {
     };
   }
 
-  if (type === 'r2-bucket') {
+  if (isBucketSourceType(type)) {
+    const label = getBucketLabel(type);
+    return {
+      title: `Upload to ${label}`,
+      subtitle: `Choose what you want to upload to "${collectionName}".`,
+      assetTitle: '3dgs asset upload',
+      assetSubtitle: `Uploads supported 3DGS models to ${label} storage.`,
+      imageTitle: 'Images to convert',
+      imageSubtitle: `Sends images to cloud GPU and uploads the results to ${label}.`,
+      note: '',
+    };
+  }
+
+  if (type === 'webdav') {
     return {
-      title: 'Upload to R2',
+      title: 'Upload to WebDAV',
       subtitle: `Choose what you want to upload to "${collectionName}".`,
       assetTitle: '3dgs asset upload',
-      assetSubtitle: 'Uploads supported 3DGS models to R2 storage.',
+      assetSubtitle: 'Uploads supported 3DGS models to the WebDAV server.',
       imageTitle: 'Images to convert',
-      imageSubtitle: 'Sends images to cloud GPU and uploads the results to R2.',
+      imageSubtitle: 'Sends images to cloud GPU and uploads the results to the WebDAV server.',
       note: '',
     };
   }
@@ -170,7 +188,7 @@ const getCollectionPrefix = (source) => {
 
 const sourceCanWrite = (source) => {
   if (!source) return true;
-  if (source.type !== 'r2-bucket') return true;
+  if (!isBucketSourceType(source.type)) return true;
   const permissions = source?.config?.config?.permissions || {};
   return permissions.canWrite === true;
 };
@@ -281,15 +299,15 @@ export function useCollectionUploadFlow({
 
     const type = resolvedSource?.type;
 
-    if (type === 'r2-bucket' && !sourceCanWrite(resolvedSource)) {
+    if (isBucketSourceType(type) && !sourceCanWrite(resolvedSource)) {
       onStatus?.('error');
-      reportError('Upload is disabled for this R2 source (write permission is off).');
+      reportError(`Upload is disabled for this ${getBucketLabel(type)} source (write permission is off).`);
       return;
     }
 
     onLoadingChange?.(true);
     try {
-      if ((type === 'supabase-storage' || type === 'r2-bucket') && typeof resolvedSource?.uploadAssets === 'function') {
+      if ((type === 'supabase-storage' || type === 'webdav' || isBucketSourceType(type)) && typeof resolvedSource?.uploadAssets === 'function') {
         const result = await resolvedSource.uploadAssets(valid);
         if (!result?.success) {
           onStatus?.('error');
@@ -338,14 +356,15 @@ export function useCollectionUploadFlow({
     const cloudGpuSettings = loadCloudGpuSettings();
     const cloudGpuShowDetailedStatus = cloudGpuSettings?.showDetailedStatus !== false;
 
-    if (type === 'r2-bucket' && !sourceCanWrite(resolvedSource)) {
+    if (isBucketSourceType(type) && !sourceCanWrite(resolvedSource)) {
       onStatus?.('error');
-      reportError('Upload is disabled for this R2 source (write permission is off).');
+      reportError(`Upload is disabled for this ${getBucketLabel(type)} source (write permission is off).`);
       return;
     }
-    const prefix = type === 'supabase-storage' || type === 'r2-bucket' ? getCollectionPrefix(resolvedSource) : undefined;
-    const returnMode = type === 'supabase-storage' || type === 'r2-bucket' ? undefined : 'direct';
-    const downloadMode = type === 'app-storage' || (!resolvedSource && !prepareOnly) || prepareOnly ? 'store' : undefined;
+    const prefix = type === 'supabase-storage' || isBucketSourceType(type) ? getCollectionPrefix(resolvedSource) : undefined;
+    const returnMode = type === 'supabase-storage' || isBucketSourceType(type) ? undefined : 'direct';
+    // The cloud GPU backend cannot write to WebDAV, so results come back here and are uploaded like app-storage imports
+    const downloadMode = type === 'app-storage' || type === 'webdav' || (!resolvedSource && !prepareOnly) || prepareOnly ? 'store' : undefined;
     const imageBatches = [imageFiles];
     const totalBatches = imageBatches.length;
 
@@ -361,6 +380,18 @@ export function useCollectionUploadFlow({
         s3SecretAccessKey: cfg?.secretAccessKey,
         s3Bucket: cfg?.bucket,
       });
+    } else if (type === 's3-bucket') {
+      const cfg = resolvedSource?.config?.config;
+      // No endpoint means AWS; the backend resolves it from the region
+      cloudStorageTarget = 's3';
+      cloudAccessString = JSON.stringify({
+        ...(cfg?.endpoint ? { s3Endpoint: cfg.endpoint } : {}),
+        s3Region: cfg?.region,
+        s3ForcePathStyle: cfg?.forcePathStyle !== false,
+        s3AccessKeyId: cfg?.accessKeyId,
+        s3SecretAccessKey: cfg?.secretAccessKey,
+        s3Bucket: cfg?.bucket,
+      });
     } else if (type === 'supabase-storage') {
       const cfg = resolvedSource?.config?.config;
       cloudStorageTarget = 'supabase';
@@ -486,7 +517,7 @@ export function useCollectionUploadFlow({
               }
             }
 
-            const hasIncrementalFiles = (type === 'supabase-storage' || type === 'r2-bucket')
+            const hasIncrementalFiles = (type === 'supabase-storage' || isBucketSourceType(type))
               && Array.isArray(progress?.newFiles)
               && progress.newFiles.length > 0;
             if (hasIncrementalFiles && !incrementalRefreshInFlight) {
@@ -568,7 +599,21 @@ export function useCollectionUploadFlow({
           continue;
         }
 
-        if ((type === 'supabase-storage' || type === 'r2-bucket') && batchSuccessCount > 0) {
+        if (type === 'webdav' && batchStoredFiles.length > 0 && typeof resolvedSource?.uploadAssets === 'function') {
+          const uploadResult = await resolvedSource.uploadAssets(batchStoredFiles);
+          if (!uploadResult?.success) {
+            onStatus?.('error');
+            reportError(uploadResult?.error || uploadResult?.failed?.[0]?.error || 'Failed to upload converted files');
+          } else {
+            await onRefreshAssets?.();
+          }
+          await onAssetsUpdated?.({ mode: 'images', source: resolvedSource, files: batchStoredFiles });
+          const addedCount = uploadResult?.uploaded?.length ?? batchStoredFiles.length;
+          scheduleAutoReload(resolvedSource, getPreferredIndex(addedCount));
+          continue;
+        }
+
+        if ((type === 'supabase-storage' || isBucketSourceType(type)) && batchSuccessCount > 0) {
           await onRefreshAssets?.();
           await onAssetsUpdated?.({ mode: 'images', source: resolvedSource, files: batchFiles });
           const addedCount = batchSuccessCount || batchFiles.length;
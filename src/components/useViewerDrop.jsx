@@ -127,7 +127,7 @@ export function useViewerDrop({ activeSourceId, setStatus, handleAssets, handleI
       }
 
       if (splatFiles.length > 0 && imageFiles.length > 0) {
-        setStatus('Drop either splat files (.ply/.sog) or images, not both.');
+        setStatus(`Drop either splat files (${SUPPORTED_EXTENSIONS.join('/')}) or images, not both.`);
         return;
       }
 
@@ -198,7 +198,7 @@ export function useViewerDrop({ activeSourceId, setStatus, handleAssets, handleI
       })()}
       detail={(() => {
         if (!pendingDrop) return null;
-        const isCloud = ['supabase-storage', 'r2-bucket'].includes(pendingDrop.source?.type);
+        const isCloud = ['supabase-storage', 'r2-bucket', 's3-bucket', 'webdav'].includes(pendingDrop.source?.type);
         if (pendingDrop.mode === 'images') {
           return isCloud
             ? 'Results will be uploaded to the active cloud collection.'
@@ -209,7 +209,7 @@ export function useViewerDrop({ activeSourceId, setStatus, handleAssets, handleI
       actions={(() => {
         if (!pendingDrop) return [];
         const sourceType = pendingDrop.source?.type;
-        const isCloud = ['supabase-storage', 'r2-bucket'].includes(sourceType);
+        const isCloud = ['supabase-storage', 'r2-bucket', 's3-bucket', 'webdav'].includes(sourceType);
         const isAppStorage = sourceType === 'app-storage';
         const isUrl = sourceType === 'public-url';
 
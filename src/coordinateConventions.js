@@ -0,0 +1,110 @@
+/**
+ * Coordinate convention presets
+ * Maps a splat's source axes into the viewer's three.js frame (Y-up, -Z
+ * forward). Non-ML Sharp splats used to always get the OpenCV flip; capture
+ * tools that write Y-up or Z-up scenes need a different base transform.
+ */
+
+import { THREE } from "./viewer.js";
+import { makeAxisFlipCvToGl } from "./cameraUtils.js";
+
+export const COORDINATE_CONVENTIONS = ["opencv", "opengl", "z-up", "custom"];
+export const DEFAULT_COORDINATE_CONVENTION = "opencv";
+
+export const COORDINATE_CONVENTION_LABELS = {
+  opencv: "OpenCV (Y down, Z forward)",
+  opengl: "OpenGL (Y up)",
+  "z-up": "Z up (right-handed)",
+  custom: "Custom matrix",
+};
+
+// Header comment patterns, checked in order; first match wins
+const COMMENT_HINTS = [
+  { convention: "z-up", pattern: /\bz[\s_-]?up\b|\bblender\b|\bnerfstudio\b/i },
+  { convention: "opengl", pattern: /\by[\s_-]?up\b|\bopengl\b|\bthree\.?js\b/i },
+  { convention: "opencv", pattern: /\by[\s_-]?down\b|\bopencv\b|\bcolmap\b/i },
+];
+
+const isMatrixArray = (value) => (
+  Array.isArray(value) && value.length === 16 && value.every((n) => Number.isFinite(Number(n)))
+);
+
+/**
+ * Validate a 4x4 matrix given as 16 row-major numbers.
+ * @returns {number[] | null}
+ */
+export const normalizeCustomMatrix = (value) => (isMatrixArray(value) ? value.map(Number) : null);
+
+/**
+ * Parse user input ("1 0 0 0, 0 1 0 0, ...") into a row-major matrix.
+ * @param {string} text
+ * @returns {number[] | null}
+ */
+export const parseCustomMatrix = (text) => {
+  if (typeof text !== "string") return null;
+  const values = text.split(/[\s,;[\]]+/).filter(Boolean).map(Number);
+  return normalizeCustomMatrix(values);
+};
+
+export const formatCustomMatrix = (matrix) => {
+  const values = normalizeCustomMatrix(matrix);
+  if (!values) return "";
+  return [0, 4, 8, 12].map((row) => values.slice(row, row + 4).join(" ")).join("\n");
+};
+
+/**
+ * Convention stored in a view's model block, or null when none was chosen.
+ * @param {Object} [model]
+ * @returns {{ convention: string, customMatrix?: number[] } | null}
+ */
+export const normalizeCoordinateConvention = (model) => {
+  const convention = model?.convention;
+  if (!COORDINATE_CONVENTIONS.includes(convention)) return null;
+  if (convention !== "custom") return { convention };
+  const customMatrix = normalizeCustomMatrix(model.customMatrix);
+  return customMatrix ? { convention, customMatrix } : null;
+};
+
+/**
+ * Guess the convention from PLY header comments.
+ * @param {string[]} [comments]
+ * @returns {string | null}
+ */
+export const guessCoordinateConvention = (comments) => {
+  if (!Array.isArray(comments) || comments.length === 0) return null;
+  const text = comments.join("\n");
+  return COMMENT_HINTS.find(({ pattern }) => pattern.test(text))?.convention ?? null;
+};
+
+/**
+ * Effective convention for a model block: an explicit choice, then the
+ * header guess, then the OpenCV default.
+ * @param {Object} [model]
+ * @param {string | null} [guess]
+ * @returns {{ convention: string, customMatrix?: number[] }}
+ */
+export const resolveCoordinateConvention = (model, guess = null) => (
+  normalizeCoordinateConvention(model)
+  ?? { convention: COORDINATE_CONVENTIONS.includes(guess) && guess !== "custom" ? guess : DEFAULT_COORDINATE_CONVENTION }
+);
+
+/**
+ * Base transform from the source axes into viewer space.
+ * @param {{ convention: string, customMatrix?: number[] }} resolved
+ * @returns {THREE.Matrix4}
+ */
+export const makeConventionMatrix = ({ convention, customMatrix } = {}) => {
+  switch (convention) {
+    case "opengl":
+      return new THREE.Matrix4();
+    case "z-up":
+      // (x, y, z) → (x, z, -y)
+      return new THREE.Matrix4().set(1, 0, 0, 0, 0, 0, 1, 0, 0, -1, 0, 0, 0, 0, 0, 1);
+    case "custom": {
+      const values = normalizeCustomMatrix(customMatrix);
+      return values ? new THREE.Matrix4().set(...values) : new THREE.Matrix4();
+    }
+    default:
+      return makeAxisFlipCvToGl();
+  }
+};
@@ -4,18 +4,25 @@
  */
 
 import {
+  THREE,
   camera,
   controls,
   requestRender,
   updateDollyZoomBaselineFromCamera,
 } from "./viewer.js";
 import { makeAxisFlipCvToGl } from "./cameraUtils.js";
+import {
+  makeConventionMatrix,
+  normalizeCoordinateConvention,
+  resolveCoordinateConvention,
+} from "./coordinateConventions.js";
 import {
   saveCustomMetadata,
   loadCustomMetadata,
   clearCustomMetadata,
 } from "./fileStorage.js";
 import { useStore } from "./store.js";
+import { getAssetKey } from "./storage/assetKeys.js";
 
 const CUSTOM_METADATA_VERSION = 3;
 const MIN_MODEL_SCALE = 0.1;
@@ -34,6 +41,24 @@ const clampScale = (value) => {
   return Math.max(MIN_MODEL_SCALE, Math.min(MAX_MODEL_SCALE, num));
 };
 
+const isNumberArray = (value, length) => (
+  Array.isArray(value) && value.length === length && value.every((n) => Number.isFinite(Number(n)))
+);
+
+/**
+ * Manual alignment from the transform gizmo: the mesh's full local transform
+ * (position, quaternion, uniform scale). Returns null when absent or invalid.
+ */
+const normalizeModelAlignment = (model) => {
+  if (!isNumberArray(model?.position, 3) || !isNumberArray(model?.quaternion, 4)) return null;
+  const scale = Number(model.scale);
+  return {
+    position: model.position.map(Number),
+    quaternion: model.quaternion.map(Number),
+    scale: Number.isFinite(scale) && scale > 0 ? scale : DEFAULT_MODEL_SCALE,
+  };
+};
+
 const normalizeAspectRatio = (value) => {
   if (value === null) return DEFAULT_ASPECT_RATIO;
   const num = Number(value);
@@ -98,7 +123,10 @@ export const applyModelScale = (mesh, scale) => {
 };
 
 /**
- * Apply full custom transform: flip + scale
+ * Apply full custom transform: coordinate convention + scale.
+ * `applyCoordinateFlip` gates the convention transform (ML Sharp meshes are
+ * flipped by applyMetadataCamera instead); `convention` picks the preset,
+ * falling back to the guess from the PLY header stored on the mesh.
  */
 export const applyCustomModelTransform = (mesh, overrides = {}) => {
   if (!mesh) return;
@@ -107,28 +135,83 @@ export const applyCustomModelTransform = (mesh, overrides = {}) => {
   const baseMatrix = mesh.userData.__customBaseMatrix;
   if (!baseMatrix) return;
 
-  // Reset to base
-  mesh.matrix.copy(baseMatrix);
-  mesh.matrix.decompose(mesh.position, mesh.quaternion, mesh.scale);
-
-  // Apply CV→GL flip if requested
-  if (overrides.applyCoordinateFlip) {
-    const cvToGl = makeAxisFlipCvToGl();
-    mesh.applyMatrix4(cvToGl);
-    mesh.userData.__cvToThreeApplied = true;
+  // Same composition as buildModelMatrix, so a custom matrix keeps its own
+  // scale and mirroring under the model scale. A saved gizmo alignment
+  // replaces the base pose entirely.
+  const applyCoordinateFlip = Boolean(overrides.applyCoordinateFlip);
+  const modelMatrix = buildModelMatrix({ ...overrides, applyCoordinateFlip }, mesh.userData.coordinateConventionGuess);
+  if (normalizeModelAlignment(overrides)) {
+    mesh.matrix.copy(modelMatrix);
   } else {
-    mesh.userData.__cvToThreeApplied = false;
+    mesh.matrix.multiplyMatrices(modelMatrix, baseMatrix);
   }
-
-  // Apply scale
-  const scale = clampScale(overrides.modelScale ?? DEFAULT_MODEL_SCALE);
-  mesh.scale.setScalar(scale);
+  mesh.matrix.decompose(mesh.position, mesh.quaternion, mesh.scale);
+  mesh.userData.__cvToThreeApplied = applyCoordinateFlip;
 
   mesh.updateMatrix();
   mesh.updateMatrixWorld(true);
   requestRender();
 };
 
+/**
+ * Apply an asset's stored model transform (coordinate convention, alignment,
+ * scale) from its selected custom view. Non-ML Sharp splats always get a
+ * convention transform (CV→GL unless the view or the PLY header says
+ * otherwise); ML Sharp meshes are only touched when a custom view is saved.
+ * @param {THREE.Object3D} mesh
+ * @param {{ cameraMetadata?: Object | null, view?: Object | null }} options
+ * @returns {Object} The model overrides that were resolved
+ */
+export const applyAssetModelTransform = (mesh, { cameraMetadata, view }) => {
+  const shouldApplyFlip = !cameraMetadata?.intrinsics;
+  const modelOverrides = {
+    ...(view?.model ?? {}),
+    applyCoordinateFlip: shouldApplyFlip,
+    modelScale: view?.model?.modelScale ?? 1,
+  };
+  if (shouldApplyFlip || view?.cameraPose) {
+    applyCustomModelTransform(mesh, modelOverrides);
+  }
+  return modelOverrides;
+};
+
+/**
+ * Mesh transform described by a custom view's model block, as applied by
+ * applyCustomModelTransform to a freshly loaded mesh.
+ * @param {Object} [model] - { applyCoordinateFlip, convention?, customMatrix?, modelScale, position?, quaternion?, scale? }
+ * @param {string | null} [conventionGuess] - Header guess used when the model has no convention
+ * @returns {THREE.Matrix4}
+ */
+export const buildModelMatrix = (model = {}, conventionGuess = null) => {
+  const alignment = normalizeModelAlignment(model);
+  if (alignment) {
+    return new THREE.Matrix4().compose(
+      new THREE.Vector3().fromArray(alignment.position),
+      new THREE.Quaternion().fromArray(alignment.quaternion),
+      new THREE.Vector3().setScalar(alignment.scale),
+    );
+  }
+  const matrix = model.applyCoordinateFlip !== false
+    ? makeConventionMatrix(resolveCoordinateConvention(model, conventionGuess))
+    : new THREE.Matrix4();
+  const scale = clampScale(model.modelScale ?? DEFAULT_MODEL_SCALE);
+  return matrix.multiply(new THREE.Matrix4().makeScale(scale, scale, scale));
+};
+
+/**
+ * Capture the mesh's current local transform as a model alignment.
+ * @param {THREE.Object3D} mesh
+ * @returns {{ position: number[], quaternion: number[], scale: number } | null}
+ */
+export const captureModelAlignment = (mesh) => {
+  if (!mesh) return null;
+  return {
+    position: mesh.position.toArray(),
+    quaternion: mesh.quaternion.toArray(),
+    scale: mesh.scale.x,
+  };
+};
+
 /**
  * Capture current camera pose for saving
  * 
@@ -198,10 +281,11 @@ export const applyCameraPose = (pose) => {
 /**
  * Capture complete custom metadata payload for persistence
  * Note: applyCoordinateFlip defaults to true since non-ML Sharp splats
- * always need the CV→GL transform applied.
+ * always need a convention transform applied; `overrides.convention`
+ * records which one.
  */
 export const captureCustomMetadataPayload = (overrides = {}) => {
-  const pose = captureCameraPose();
+  const pose = overrides.cameraPose ?? captureCameraPose();
   if (!pose) return null;
 
   return {
@@ -212,7 +296,9 @@ export const captureCustomMetadataPayload = (overrides = {}) => {
     },
     model: {
       applyCoordinateFlip: true, // Always apply for non-ML Sharp splats
+      ...(normalizeCoordinateConvention(overrides) ?? {}),
       modelScale: clampScale(overrides.modelScale ?? DEFAULT_MODEL_SCALE),
+      ...(normalizeModelAlignment(overrides.alignment) ?? {}),
     },
     savedAt: Date.now(),
   };
@@ -233,7 +319,9 @@ const normalizeViewRecord = (view, fallbackId) => {
     },
     model: {
       applyCoordinateFlip: view?.model?.applyCoordinateFlip !== false,
+      ...(normalizeCoordinateConvention(view?.model) ?? {}),
       modelScale: clampScale(view?.model?.modelScale ?? DEFAULT_MODEL_SCALE),
+      ...(normalizeModelAlignment(view?.model) ?? {}),
     },
     savedAt: Number.isFinite(view.savedAt) ? view.savedAt : Date.now(),
   };
@@ -287,6 +375,22 @@ const normalizeLegacyMetadata = (metadata) => {
   return null;
 };
 
+/**
+ * Model-level settings (convention, alignment) are shared by all views, so a
+ * new view without its own takes them from the existing ones.
+ */
+const inheritModelAlignment = (payload, views) => {
+  const inherited = {};
+  if (!normalizeCoordinateConvention(payload?.model)) {
+    Object.assign(inherited, views.map((view) => normalizeCoordinateConvention(view.model)).find(Boolean));
+  }
+  if (!normalizeModelAlignment(payload?.model)) {
+    Object.assign(inherited, views.map((view) => normalizeModelAlignment(view.model)).find(Boolean));
+  }
+  if (Object.keys(inherited).length === 0) return payload;
+  return { ...payload, model: { ...(payload?.model || {}), ...inherited } };
+};
+
 const writeNormalizedMetadata = async (assetName, metadata) => {
   if (!assetName) return false;
   if (!metadata) return clearCustomMetadata(assetName);
@@ -363,6 +467,33 @@ export const loadCustomMetadataForAsset = async (assetName) => {
   return normalizeLegacyMetadata(raw);
 };
 
+/**
+ * Saved views of an asset and the one it opens with: the proxy view's own
+ * view, otherwise the first saved view.
+ * @returns {Promise<{ metadata: Object | null, views: Object[], selectedView: Object | null }>}
+ */
+export const resolveAssetView = async (asset) => {
+  const assetKey = getAssetKey(asset);
+  if (!assetKey) return { metadata: null, views: [], selectedView: null };
+  const metadata = await loadCustomMetadataForAsset(assetKey);
+  const views = metadata?.views ?? [];
+  let selectedView = null;
+  if (views.length > 0) {
+    if (asset?.isProxyView && asset?.viewId) {
+      selectedView = views.find((view) => view.id === asset.viewId) || null;
+    } else {
+      // Base asset should always represent the first saved custom view.
+      selectedView = views[0] || null;
+    }
+
+    if (!selectedView) {
+      selectedView = views.find((view) => view.id === metadata?.activeViewId) || views[0];
+    }
+  }
+
+  return { metadata, views, selectedView };
+};
+
 export const listCustomViewsForAsset = async (assetName) => {
   const metadata = await loadCustomMetadataForAsset(assetName);
   return metadata?.views ?? [];
@@ -406,7 +537,7 @@ export const saveCustomMetadataViewForAsset = async (assetName, payload, options
       : (requestedViewId || views[0]?.id || DEFAULT_VIEW_ID);
 
     const nextView = normalizeViewRecord({
-      ...payload,
+      ...inheritModelAlignment(payload, views),
       id: targetId,
       name: options?.viewName ?? payload?.name ?? views[existingIndex]?.name ?? null,
       savedAt: Date.now(),
@@ -453,7 +584,7 @@ export const addCustomMetadataViewForAsset = async (assetName, payload, options
     const nextViewNumber = insertIndex + 1;
 
     const nextView = normalizeViewRecord({
-      ...payload,
+      ...inheritModelAlignment(payload, views),
       id: nextViewId,
       name: options?.viewName || `View ${nextViewNumber}`,
       savedAt: Date.now(),
@@ -480,6 +611,76 @@ export const addCustomMetadataViewForAsset = async (assetName, payload, options
   };
 };
 
+/**
+ * Store a gizmo alignment in the model block of every view of an asset
+ * (the alignment belongs to the model, not to a camera view).
+ * Pass null to remove it. Creates a first view from the current camera
+ * when the asset has none yet.
+ * @param {string} assetName
+ * @param {{ position: number[], quaternion: number[], scale: number } | null} alignment
+ * @param {{ aspectRatio?: number | null, modelScale?: number, cameraPose?: Object }} [overrides] - Used for a new first view
+ */
+export const saveModelAlignmentForAsset = async (assetName, alignment, overrides = {}) => {
+  if (!assetName) return { saved: false, metadata: null };
+  const normalizedAlignment = normalizeModelAlignment(alignment);
+
+  const record = await loadCustomMetadata(assetName);
+  const nextMetadata = updateMetadataViews(record, (normalized) => {
+    if (normalized.views.length === 0) {
+      if (!normalizedAlignment) return normalized;
+      const payload = captureCustomMetadataPayload({ ...overrides, alignment: normalizedAlignment });
+      const firstView = normalizeViewRecord(payload, DEFAULT_VIEW_ID);
+      return firstView ? { ...normalized, views: [firstView], activeViewId: firstView.id } : normalized;
+    }
+
+    const views = normalized.views.map((view) => {
+      const { position, quaternion, scale, ...model } = view.model;
+      return {
+        ...view,
+        model: normalizedAlignment ? { ...model, ...normalizedAlignment } : model,
+      };
+    });
+    return { ...normalized, views };
+  });
+
+  if (!nextMetadata) return { saved: false, metadata: null };
+  const saved = await writeNormalizedMetadata(assetName, nextMetadata);
+  return { saved, metadata: nextMetadata };
+};
+
+/**
+ * Store a coordinate convention in the model block of every view of an asset.
+ * A saved alignment was made relative to the previous convention, so it is
+ * dropped. Creates a first view from the current camera when the asset has
+ * none yet.
+ * @param {string} assetName
+ * @param {{ convention: string, customMatrix?: number[] }} convention
+ * @param {{ aspectRatio?: number | null, modelScale?: number, cameraPose?: Object }} [overrides] - Used for a new first view
+ */
+export const saveCoordinateConventionForAsset = async (assetName, convention, overrides = {}) => {
+  const normalizedConvention = normalizeCoordinateConvention(convention);
+  if (!assetName || !normalizedConvention) return { saved: false, metadata: null };
+
+  const record = await loadCustomMetadata(assetName);
+  const nextMetadata = updateMetadataViews(record, (normalized) => {
+    if (normalized.views.length === 0) {
+      const payload = captureCustomMetadataPayload({ ...overrides, ...normalizedConvention });
+      const firstView = normalizeViewRecord(payload, DEFAULT_VIEW_ID);
+      return firstView ? { ...normalized, views: [firstView], activeViewId: firstView.id } : normalized;
+    }
+
+    const views = normalized.views.map((view) => {
+      const { position, quaternion, scale, convention: _convention, customMatrix, ...model } = view.model;
+      return { ...view, model: { ...model, ...normalizedConvention } };
+    });
+    return { ...normalized, views };
+  });
+
+  if (!nextMetadata) return { saved: false, metadata: null };
+  const saved = await writeNormalizedMetadata(assetName, nextMetadata);
+  return { saved, metadata: nextMetadata };
+};
+
 /**
  * Clear custom metadata for an asset
  */
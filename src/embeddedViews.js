@@ -0,0 +1,70 @@
+/**
+ * Custom views embedded in exported splat files (written by viewEmbedding.js).
+ *
+ * Views travel under a neutral `radia_views` key that no camera reader
+ * interprets, so a file without an ML-Sharp camera of its own still loads
+ * with its usual coordinate convention:
+ *   PLY → one header comment: `comment radia_views <JSON>`
+ *   SOG → meta.json `radia_views`
+ * Both hold the view list, with `active: true` on the selected view.
+ *
+ * Kept free of viewer imports so the decode worker can read it.
+ */
+
+export const EMBEDDED_VIEWS_KEY = "radia_views";
+
+const COMMENT_PREFIX = `${EMBEDDED_VIEWS_KEY} `;
+// Spark only reads the first 64KB of a PLY for its header
+const MAX_COMMENT_BYTES = 32 * 1024;
+
+/**
+ * @param {Object[]} views - Custom view records
+ * @param {string} activeViewId
+ * @returns {Object[]} Views in the embedded list format
+ */
+export const toEmbeddedViewList = (views, activeViewId) => (
+  views.map((view) => ({ ...view, active: view.id === activeViewId }))
+);
+
+/**
+ * Custom metadata ({ activeViewId, views }) from an embedded view list.
+ * @param {unknown} list
+ * @returns {{ activeViewId: string, views: Object[] } | null}
+ */
+export const parseEmbeddedViews = (list) => {
+  if (!Array.isArray(list)) return null;
+  const entries = list
+    .filter((view) => view && typeof view === "object" && view.cameraPose)
+    .map(({ active, ...view }, idx) => ({ active, view: { ...view, id: view.id || `view-${idx + 1}` } }));
+  if (entries.length === 0) return null;
+  const activeEntry = entries.find((entry) => entry.active) ?? entries[0];
+  return { activeViewId: activeEntry.view.id, views: entries.map((entry) => entry.view) };
+};
+
+export const isEmbeddedViewsComment = (comment) => typeof comment === "string" && comment.startsWith(COMMENT_PREFIX);
+
+/**
+ * @param {string[]} [comments] - PLY header comments
+ * @returns {{ activeViewId: string, views: Object[] } | null}
+ */
+export const readEmbeddedViewsFromComments = (comments) => {
+  const comment = (comments ?? []).find(isEmbeddedViewsComment);
+  if (!comment) return null;
+  try {
+    return parseEmbeddedViews(JSON.parse(comment.slice(COMMENT_PREFIX.length)));
+  } catch (err) {
+    console.warn("[EmbeddedViews] Ignoring malformed radia_views comment", err);
+    return null;
+  }
+};
+
+/**
+ * PLY header comment text for an embedded view list, or null when it would
+ * not fit in the header.
+ * @param {Object[]} list
+ * @returns {string | null}
+ */
+export const formatEmbeddedViewsComment = (list) => {
+  const comment = `${COMMENT_PREFIX}${JSON.stringify(list)}`;
+  return new TextEncoder().encode(comment).byteLength <= MAX_COMMENT_BYTES ? comment : null;
+};
@@ -22,6 +22,7 @@ import {
 } from "./viewer.js";
 import { applyPreviewBackground, crossFadePreviewBackground, fadeOutBackground, captureAndApplyBackground, clearBackground, hasBackgroundForPreview } from "./backgroundManager.js";
 import { savePreviewBlob, listCachedFileNames } from "./fileStorage.js";
+import { getAssetKey } from "./storage/assetKeys.js";
 import {
   fitViewToMesh,
   applyMetadataCamera,
@@ -32,11 +33,16 @@ import {
 } from "./cameraUtils.js";
 import {
   loadCustomMetadataForAsset,
+  resolveAssetView,
+  applyAssetModelTransform,
   applyCustomModelTransform,
   applyCameraPose,
   applyFullOrbitConstraints,
   restoreOrbitConstraints,
 } from "./customMetadata.js";
+import { resolveCoordinateConvention } from "./coordinateConventions.js";
+import { applySplatCrop } from "./splatCrop.js";
+import { closeSceneComposition } from "./sceneComposer.js";
 import {
   slideOutAnimation,
   slideInAnimation,
@@ -256,7 +262,7 @@ const buildProxyViewAsset = (baseAsset, view, order) => {
     viewId: view.id,
     groupOrder: order,
     displayName: getViewDisplayName(baseName, view, order),
-    previewStorageKey: makePreviewStorageKey(baseName, view.id),
+    previewStorageKey: makePreviewStorageKey(getAssetKey(baseAsset), view.id),
     cacheKey: baseId,
     loaded: false,
     // Clear inherited preview so hydrateAssetPreviewFromStorage can load the
@@ -279,8 +285,8 @@ const ensureBaseAssetViewFields = (asset, view, order = 0) => {
     ? getViewDisplayName(baseName, view, order)
     : baseName;
   asset.previewStorageKey = view?.id
-    ? makePreviewStorageKey(baseName, view.id)
-    : baseName;
+    ? makePreviewStorageKey(getAssetKey(asset), view.id)
+    : getAssetKey(asset);
   asset.cacheKey = asset.baseAssetId;
 };
 
@@ -373,42 +379,20 @@ const syncProxyViewsForAssetList = async (store, { onlyBaseIds } = {}) => {
     const baseAssetId = getBaseAssetId(asset);
     if (baseIdFilter && !baseIdFilter.has(baseAssetId)) continue;
 
-    const assetName = getBaseAssetName(asset);
-    if (!assetName) continue;
+    const assetKey = getAssetKey(asset);
+    if (!assetKey) continue;
 
     try {
       // eslint-disable-next-line no-await-in-loop
-      const metadata = await loadCustomMetadataForAsset(assetName);
+      const metadata = await loadCustomMetadataForAsset(assetKey);
       const views = metadata?.views ?? [];
       if (!views.length) continue;
       // eslint-disable-next-line no-await-in-loop
       await syncAssetProxyViews({ store, currentAsset: asset, views });
     } catch (err) {
-      console.warn(`[FileLoader] Failed to sync proxy views for ${assetName}:`, err);
-    }
-  }
-};
-
-const resolveAssetView = async (asset) => {
-  const assetName = getBaseAssetName(asset);
-  if (!assetName) return { metadata: null, views: [], selectedView: null };
-  const metadata = await loadCustomMetadataForAsset(assetName);
-  const views = metadata?.views ?? [];
-  let selectedView = null;
-  if (views.length > 0) {
-    if (asset?.isProxyView && asset?.viewId) {
-      selectedView = views.find((view) => view.id === asset.viewId) || null;
-    } else {
-      // Base asset should always represent the first saved custom view.
-      selectedView = views[0] || null;
-    }
-
-    if (!selectedView) {
-      selectedView = views.find((view) => view.id === metadata?.activeViewId) || views[0];
+      console.warn(`[FileLoader] Failed to sync proxy views for ${assetKey}:`, err);
     }
   }
-
-  return { metadata, views, selectedView };
 };
 
 const getSlideModeForStore = (store, { slideDirection, customAnimationSettings } = {}) => {
@@ -500,6 +484,38 @@ const syncStoredAnnotation = (annotation, store) => {
   store.setAnnotation(typeof normalized === 'string' ? normalized : DEFAULT_FILE_ANNOTATION);
 };
 
+const getAssetCacheKey = (asset) => asset?.cacheKey || getBaseAssetId(asset) || asset?.id;
+
+// Byte-level overlay for large PLYs that stream in with Range requests.
+// Only the asset on screen drives it; uploads keep their own progress state.
+const reportStreamingProgress = (asset, event) => {
+  const store = getStoreState();
+  const currentAsset = getAssetByIndex(getCurrentAssetIndex());
+  const isCurrent = !currentAsset || getAssetCacheKey(currentAsset) === getAssetCacheKey(asset);
+  const isComplete = event.stage === 'download' && event.loaded >= event.total;
+  if (!isCurrent || isComplete) {
+    if (store.streamProgress) store.setStreamProgress(null);
+    return;
+  }
+
+  if (event.stage === 'error') {
+    store.setStreamProgress({
+      stage: 'error',
+      error: { message: `Streaming ${asset.name} stopped, downloading the whole file`, detail: event.message },
+    });
+    // The partial mesh was dropped (splatManager discardFailedStream); load it again in one piece
+    if (event.fallback) {
+      loadSplatFile(asset).catch((err) => console.warn(`Failed to reload ${asset.name}:`, err));
+    }
+    return;
+  }
+
+  store.setStreamProgress({
+    stage: 'streaming',
+    stream: { fileName: asset.name, loaded: event.loaded, total: event.total },
+  });
+};
+
 const refreshSparkForCurrentView = (reason = 'unspecified') => {
   if (!spark?.update) return;
 
@@ -551,6 +567,9 @@ export const loadSplatFile = async (assetOrFile, options = {}) => {
 
   await hydrateAssetPreviewFromStorage(asset);
 
+  // Navigating to a single asset leaves scene composition
+  closeSceneComposition();
+
   // Cancel any in-flight slide transitions before starting a new load
   // This prevents race conditions where previous animation state corrupts the new load
   cleanupSlideTransitionState();
@@ -576,7 +595,18 @@ export const loadSplatFile = async (assetOrFile, options = {}) => {
   }
 
   // Preload entry early (reused later to avoid duplicate loads)
-  const entryPromise = ensureSplatEntry(asset);
+  const entryPromise = ensureSplatEntry(asset, {
+    onProgress: (event) => {
+      const { stage, progress } = event;
+      if (stage === "download" || stage === "error") {
+        reportStreamingProgress(asset, event);
+      } else if (stage === "decode") {
+        store.setStatus(`Decoding splats... ${Math.round((progress ?? 0) * 100)}%`);
+      } else {
+        store.setStatus("Reading splat metadata...");
+      }
+    },
+  });
   let aspectApplied = false;
   
   // For transitions (slides or random asset clicks), start fade/slide-out and entry prep in parallel
@@ -607,7 +637,7 @@ export const loadSplatFile = async (assetOrFile, options = {}) => {
     preloadedEntry = entry;
   }
   
-  store.setFileInfo({ name: asset.name });
+  store.setFileInfo({ name: asset.name, storageKey: getAssetKey(asset) });
 
   const wasImmersiveModeActive = immersiveActive;
   if (wasImmersiveModeActive) {
@@ -711,19 +741,14 @@ export const loadSplatFile = async (assetOrFile, options = {}) => {
       });
     }
 
-    // For non-ML Sharp splats, always apply CV→GL coordinate flip
-    // This is the same transform ML Sharp files get automatically
-    const shouldApplyFlip = !cameraMetadata?.intrinsics;
-    const modelOverrides = {
-      applyCoordinateFlip: shouldApplyFlip,
-      modelScale: selectedView?.model?.modelScale ?? 1,
-    };
+    const modelOverrides = applyAssetModelTransform(entry.mesh, { cameraMetadata, view: selectedView });
 
-    if (shouldApplyFlip || hasCustomMetadata) {
-      applyCustomModelTransform(entry.mesh, modelOverrides);
-    }
+    applySplatCrop(entry.mesh, storedSettings?.crop ?? null);
 
     store.setCustomModelScale(modelOverrides.modelScale);
+    store.setCustomCoordinateConvention(
+      resolveCoordinateConvention(modelOverrides, entry.mesh.userData.coordinateConventionGuess),
+    );
 
     const metadataMissing = !cameraMetadata?.intrinsics && customViews.length === 0;
     store.setMetadataMissing(metadataMissing);
@@ -1054,11 +1079,11 @@ export const loadSplatFile = async (assetOrFile, options = {}) => {
                     }
                   }
                   
-                  await savePreviewBlob(asset.name, previewResult.blob, {
+                  await savePreviewBlob(getAssetKey(asset), previewResult.blob, {
                     width: previewResult.width,
                     height: previewResult.height,
                     format: previewResult.format,
-                  }, asset.previewStorageKey || asset.name).catch((err) => {
+                  }, asset.previewStorageKey || getAssetKey(asset)).catch((err) => {
                     console.warn('Failed to save preview:', err);
                   });
                 })
@@ -1080,6 +1105,7 @@ export const loadSplatFile = async (assetOrFile, options = {}) => {
 
     store.setFileInfo({
       name: asset.name,
+      storageKey: getAssetKey(asset),
       size: formatBytes(asset.file?.size ?? asset.size),
       splatCount: entry.mesh?.packedSplats?.numSplats ?? "-",
       loadTime: `${loadMs.toFixed(1)} ms`,
@@ -1443,10 +1469,14 @@ const navigateWithinLoadedBaseAsset = async (asset, options = {}) => {
 
   // Apply model transform instantly
   applyCustomModelTransform(currentMesh, {
+    ...(selectedView?.model ?? {}),
     applyCoordinateFlip: true,
     modelScale: selectedView?.model?.modelScale ?? 1,
   });
   store.setCustomModelScale(selectedView?.model?.modelScale ?? 1);
+  store.setCustomCoordinateConvention(
+    resolveCoordinateConvention(selectedView?.model, currentMesh?.userData.coordinateConventionGuess),
+  );
 
   // Apply aspect ratio instantly – bypass the CSS transition so the viewer
   // snaps to the new size rather than animating width/height.
@@ -1493,6 +1523,7 @@ const navigateWithinLoadedBaseAsset = async (asset, options = {}) => {
   store.setCustomMetadataControlsVisible(false);
   store.setFileInfo({
     name: getBaseAssetName(asset),
+    storageKey: getAssetKey(asset),
     size: formatBytes(asset.file?.size ?? asset.size),
   });
   store.setStatus(`Loaded ${getBaseAssetName(asset)} view`);
@@ -1553,11 +1584,15 @@ export const buildContinuousHandoff = async (asset, { slideMode: _slideMode } =
       // Model transform
       if (currentMesh) {
         applyCustomModelTransform(currentMesh, {
+          ...(selectedView?.model ?? {}),
           applyCoordinateFlip: true,
           modelScale: selectedView?.model?.modelScale ?? 1,
         });
       }
       applyStore.setCustomModelScale(selectedView?.model?.modelScale ?? 1);
+      applyStore.setCustomCoordinateConvention(
+        resolveCoordinateConvention(selectedView?.model, currentMesh?.userData.coordinateConventionGuess),
+      );
 
       // Aspect ratio – instant, no CSS transition
       const customAspectRatio = selectedView?.view?.aspectRatio ?? null;
@@ -1579,6 +1614,7 @@ export const buildContinuousHandoff = async (asset, { slideMode: _slideMode } =
       applyStore.setCustomMetadataControlsVisible(false);
       applyStore.setFileInfo({
         name: getBaseAssetName(asset),
+        storageKey: getAssetKey(asset),
         size: formatBytes(asset.file?.size ?? asset.size),
       });
       applyStore.setStatus(`Loaded ${getBaseAssetName(asset)} view`);
@@ -1671,6 +1707,8 @@ export const loadFromStorageSource = async (source, options = {}) => {
 
     // Record the active collection for UI highlighting
     store.setActiveSourceId(source.id);
+    // Collection default animation/slideshow settings (manifest v2)
+    store.applyCollectionDefaults(source.getCollectionSettings().defaults);
     
     if (adaptedAssets.length === 0) {
       store.setStatus(`No supported assets found in ${source.name}`);
@@ -1709,7 +1747,7 @@ export const loadFromStorageSource = async (source, options = {}) => {
       const cachedNames = await listCachedFileNames();
       const cachedSet = new Set(cachedNames);
       result.assets.forEach((asset) => {
-        asset.isCached = cachedSet.has(asset.name);
+        asset.isCached = cachedSet.has(getAssetKey(asset));
       });
     } catch (err) {
       console.warn('[FileLoader] Failed to hydrate cache flags', err);
@@ -1763,6 +1801,7 @@ export const loadFromStorageSource = async (source, options = {}) => {
     console.error('Failed to load from storage source:', error);
     store.setStatus(`Failed to load from ${source.name}: ${error.message}`);
     store.clearActiveSource();
+    store.applyCollectionDefaults(null);
   } finally {
     store.setIsLoading(false);
   }
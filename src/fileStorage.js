@@ -2,6 +2,8 @@
  * File-based persistent storage module using IndexedDB.
  * Stores per-file settings (animation, focus distance) and binary preview blobs.
  * Preview images are persisted as Blobs (WebP preferred) to avoid base64 bloat.
+ * Records are keyed by asset key (source id + path, or the file name for local
+ * files); see storage/assetKeys.js.
  */
 
 /** Database name */
@@ -22,7 +24,7 @@ const PREVIEW_VERSION = 1;
 /**
  * File settings schema.
  * @typedef {Object} FileSettings
- * @property {string} fileName - Original file name (used as key)
+ * @property {string} fileName - Asset key (file name for local files, source id + path for source assets)
  * @property {number} version - Schema version for migration
  * @property {number} lastModified - Timestamp of last update
  * @property {AnimationSettings} [animation] - Load animation preferences
@@ -31,6 +33,8 @@ const PREVIEW_VERSION = 1;
  * @property {number} [focusDistance] - Optional user-set focus distance override
  * @property {CustomCameraMetadata} [customMetadata] - Optional user-set camera metadata override
  * @property {boolean} [isCached] - Whether this file is cached in IndexedDB
+ * @property {Object} [splatFilter] - Floater / opacity / scale filter parameters (see splatFilter.js)
+ * @property {Object} [crop] - Crop box and near/far clipping planes (see splatCrop.js)
  */
 
 /**
@@ -243,6 +247,26 @@ export const saveCustomMetadata = async (fileName, customMetadata) => {
   return await saveFileSettings(fileName, { customMetadata });
 };
 
+/**
+ * Saves splat filter parameters for a file.
+ * @param {string} fileName - File name
+ * @param {Object} splatFilter - Filter parameters
+ * @returns {Promise<boolean>} Success status
+ */
+export const saveSplatFilter = async (fileName, splatFilter) => {
+  return await saveFileSettings(fileName, { splatFilter });
+};
+
+/**
+ * Saves crop box / clipping plane settings for a file.
+ * @param {string} fileName - File name
+ * @param {Object} crop - Crop settings
+ * @returns {Promise<boolean>} Success status
+ */
+export const saveCropSettings = async (fileName, crop) => {
+  return await saveFileSettings(fileName, { crop });
+};
+
 /**
  * Saves cached status for a file.
  * @param {string} fileName - File name
@@ -393,7 +417,7 @@ export const listAllFileSettings = async () => {
 };
 
 /**
- * Lists all file names marked as cached.
+ * Lists all asset keys marked as cached.
  * @returns {Promise<string[]>}
  */
 export const listCachedFileNames = async () => {
@@ -548,6 +572,64 @@ export const deletePreviewBlob = async (fileName, storageKey = null) => {
   }
 };
 
+/**
+ * Copies settings and preview blobs (including per-view previews) from one key
+ * to another, skipping keys that already hold a versioned record. Used to
+ * carry name-keyed records over to source-scoped asset keys; the originals are
+ * kept because local files with that name still resolve to them.
+ * @param {string} fromKey - Legacy key (file name)
+ * @param {string} toKey - Asset key
+ * @returns {Promise<number>} Number of records copied
+ */
+export const copyFileRecords = async (fromKey, toKey) => {
+  if (!fromKey || !toKey || fromKey === toKey) return 0;
+  try {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_NAME, PREVIEW_STORE_NAME], 'readwrite');
+      const settingsStore = transaction.objectStore(STORE_NAME);
+      const previewStore = transaction.objectStore(PREVIEW_STORE_NAME);
+      let copied = 0;
+
+      const copyIfMissing = (store, record, targetKey) => {
+        const existingRequest = store.get(targetKey);
+        existingRequest.onsuccess = () => {
+          if (existingRequest.result?.version) return;
+          store.put({ ...record, fileName: targetKey });
+          copied += 1;
+        };
+      };
+
+      const settingsRequest = settingsStore.get(fromKey);
+      settingsRequest.onsuccess = () => {
+        if (settingsRequest.result) {
+          copyIfMissing(settingsStore, settingsRequest.result, toKey);
+        }
+      };
+
+      // Base preview plus per-view previews stored as `${key}::${viewId}`
+      const viewPrefix = `${fromKey}::`;
+      const previewRequest = previewStore.openCursor(IDBKeyRange.bound(fromKey, `${viewPrefix}\uffff`));
+      previewRequest.onsuccess = () => {
+        const cursor = previewRequest.result;
+        if (!cursor) return;
+        const key = String(cursor.key);
+        if (key === fromKey || key.startsWith(viewPrefix)) {
+          copyIfMissing(previewStore, cursor.value, `${toKey}${key.slice(fromKey.length)}`);
+        }
+        cursor.continue();
+      };
+
+      transaction.oncomplete = () => resolve(copied);
+      transaction.onerror = () => reject(new Error(`Failed to copy records from ${fromKey}`));
+    });
+  } catch (error) {
+    console.error(`Failed to copy records from ${fromKey}:`, error);
+    return 0;
+  }
+};
+
 /**
  * Clears all stored preview blobs.
  */
@@ -1,7 +1,9 @@
 import { plyFormat } from "./ply.js";
 import { sogFormat } from "./sog.js";
+import { splatFormat } from "./splat.js";
+import { spzFormat } from "./spz.js";
 
-const formats = [plyFormat, sogFormat];
+const formats = [plyFormat, sogFormat, spzFormat, splatFormat];
 
 const getExtension = (fileName) => {
   const dotIndex = fileName.lastIndexOf(".");
@@ -11,12 +13,47 @@ const getExtension = (fileName) => {
 
 const uniq = (items) => [...new Set(items)];
 
-export const getFormatHandler = (file) => {
-  const extension = getExtension(file?.name ?? "");
+const getFormatByExtension = (fileName) => {
+  const extension = getExtension(fileName ?? "");
   if (!extension) return null;
   return formats.find((format) => format.extensions.includes(extension)) ?? null;
 };
 
+/**
+ * Sniff the format from the leading bytes of a file.
+ * Formats flagged `heuristicDetect` have no magic number (.splat has no header
+ * at all) and are only consulted when `includeHeuristic` is set.
+ */
+export const detectFormatHandler = (bytes, { includeHeuristic = false } = {}) => {
+  if (!bytes?.byteLength) return null;
+  return formats.find((format) => {
+    if (format.heuristicDetect && !includeHeuristic) return false;
+    try {
+      return format.detect?.(bytes) === true;
+    } catch (error) {
+      console.warn(`[Formats] ${format.id} detection failed`, error);
+      return false;
+    }
+  }) ?? null;
+};
+
+/**
+ * Resolve the handler for a file. When bytes are provided a magic-number match
+ * wins, since remote/cached blobs can arrive misnamed or without an extension.
+ * Order: magic number, then file extension, then heuristic detection.
+ */
+export const getFormatHandler = (file, bytes) => {
+  if (!bytes) return getFormatByExtension(file?.name);
+  return detectFormatHandler(bytes)
+    ?? getFormatByExtension(file?.name)
+    ?? detectFormatHandler(bytes, { includeHeuristic: true });
+};
+
+/**
+ * Handler by id, e.g. the `formatId` a decode worker already resolved.
+ */
+export const getFormatHandlerById = (id) => formats.find((format) => format.id === id) ?? null;
+
 export const getSupportedExtensions = () =>
   uniq(formats.flatMap((format) => format.extensions.map((ext) => `.${ext}`)));
 
@@ -0,0 +1,36 @@
+import { PackedSplats, SplatMesh, unpackSplats } from "@sparkjsdev/spark";
+
+/**
+ * Decode a splat file into Spark's packed GPU layout.
+ * Spark transfers the input buffer to its own decode worker, so a copy is
+ * handed over and `bytes` stays usable for saving and metadata reads.
+ *
+ * @param {Uint8Array} bytes
+ * @param {string} fileType SplatFileType value
+ * @returns {Promise<{ packedArray: Uint32Array, numSplats: number, extra: Object | undefined }>}
+ */
+export const decodePackedSplats = async (bytes, fileType) => {
+  const { packedArray, numSplats, extra } = await unpackSplats({
+    input: bytes.slice(),
+    fileType,
+  });
+  return { packedArray, numSplats, extra };
+};
+
+/**
+ * Build a SplatMesh from a decodePackedSplats result, or let Spark decode the
+ * raw bytes when nothing was decoded up front.
+ */
+export const createSplatMesh = async ({ file, bytes, decoded, fileType }) => {
+  const mesh = decoded
+    ? new SplatMesh({
+      packedSplats: new PackedSplats({
+        packedArray: decoded.packedArray,
+        numSplats: decoded.numSplats,
+        extra: decoded.extra,
+      }),
+    })
+    : new SplatMesh({ fileBytes: bytes, fileType, fileName: file?.name });
+  await mesh.initialized;
+  return mesh;
+};
@@ -1,20 +1,33 @@
-import { SplatMesh, SplatFileType } from "@sparkjsdev/spark";
-import { readPlyCamera } from "../plyCamera.js";
+import { SplatFileType } from "@sparkjsdev/spark";
+import { createSplatMesh, decodePackedSplats } from "./packedSplats.js";
+import { readPlyCamera, readPlyHeaderComments } from "../plyCamera.js";
+import { readEmbeddedViewsFromComments } from "../embeddedViews.js";
+
+// "ply" followed by LF or CRLF
+const isPlyHeader = (bytes) =>
+  bytes.byteLength >= 4 &&
+  bytes[0] === 0x70 &&
+  bytes[1] === 0x6c &&
+  bytes[2] === 0x79 &&
+  (bytes[3] === 0x0a || (bytes[3] === 0x0d && bytes[4] === 0x0a));
 
 export const plyFormat = {
   id: "ply",
   label: "PLY",
   extensions: ["ply"],
-  async loadData({ file, bytes }) {
-    const mesh = new SplatMesh({
-      fileBytes: bytes,
-      fileType: SplatFileType.PLY,
-      fileName: file?.name,
-    });
-    await mesh.initialized;
-    return mesh;
+  detect(bytes) {
+    return isPlyHeader(bytes);
+  },
+  async decodeData({ bytes }) {
+    return decodePackedSplats(bytes, SplatFileType.PLY);
+  },
+  async loadData({ file, bytes, decoded }) {
+    return createSplatMesh({ file, bytes, decoded, fileType: SplatFileType.PLY });
   },
   async loadMetadata({ bytes }) {
     return readPlyCamera(bytes);
   },
+  async loadEmbeddedViews({ bytes }) {
+    return readEmbeddedViewsFromComments(await readPlyHeaderComments(bytes));
+  },
 };
\ No newline at end of file
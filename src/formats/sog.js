@@ -1,5 +1,7 @@
-import { SplatMesh, SplatFileType } from "@sparkjsdev/spark";
+import { SplatFileType } from "@sparkjsdev/spark";
 import { buildCameraMetadata } from "../cameraMetadata.js";
+import { EMBEDDED_VIEWS_KEY, parseEmbeddedViews } from "../embeddedViews.js";
+import { createSplatMesh, decodePackedSplats } from "./packedSplats.js";
 
 const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
 const ZIP_CENTRAL_DIR_HEADER = 0x02014b50;
@@ -100,6 +102,12 @@ const readSogMetaJson = async (bytes) => {
   }
 };
 
+const isZipArchive = (bytes) => {
+  if (bytes.byteLength < 4) return false;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return view.getUint32(0, true) === ZIP_LOCAL_FILE_HEADER;
+};
+
 const readSogMetadata = async (bytes) => {
   const meta = await readSogMetaJson(bytes);
   if (!meta || typeof meta !== "object") return null;
@@ -112,16 +120,21 @@ export const sogFormat = {
   id: "sog",
   label: "SOG",
   extensions: ["sog"],
-  async loadData({ file, bytes }) {
-    const mesh = new SplatMesh({
-      fileBytes: bytes,
-      fileType: SplatFileType.PCSOGSZIP,
-      fileName: file?.name,
-    });
-    await mesh.initialized;
-    return mesh;
+  detect(bytes) {
+    // Any zip could match the local header, so also require the SOG meta.json.
+    return isZipArchive(bytes) && findZipEntry(bytes, "meta.json") !== null;
+  },
+  async decodeData({ bytes }) {
+    return decodePackedSplats(bytes, SplatFileType.PCSOGSZIP);
+  },
+  async loadData({ file, bytes, decoded }) {
+    return createSplatMesh({ file, bytes, decoded, fileType: SplatFileType.PCSOGSZIP });
   },
   async loadMetadata({ bytes }) {
     return readSogMetadata(bytes);
   },
+  async loadEmbeddedViews({ bytes }) {
+    const meta = await readSogMetaJson(bytes);
+    return parseEmbeddedViews(meta?.[EMBEDDED_VIEWS_KEY]);
+  },
 };
\ No newline at end of file
@@ -0,0 +1,440 @@
+/**
+ * SOG (v2) bundle writer.
+ *
+ * Produces the zip layout read by Spark's SOG loader and readSogMetadata:
+ *   meta.json          - version, count, codebooks, ranges and optional sharp_metadata
+ *   means_l/u.webp     - 16-bit log-encoded positions split into low/high bytes
+ *   scales.webp        - per-axis indices into a 256-entry log-scale codebook
+ *   quats.webp         - smallest-three quaternion, alpha = 252 + dropped component
+ *   sh0.webp           - DC color codebook indices + opacity in alpha
+ *   shN_centroids.webp - higher-order SH palette (64 entries per texture row)
+ *   shN_labels.webp    - per-splat palette index in R/G
+ */
+
+import { unzipSync, zipSync } from "fflate";
+import { encodeWebpLossless } from "./webpLossless.js";
+
+const SH_C0 = 0.28209479177387814;
+const SQRT1_2 = Math.SQRT1_2;
+const CODEBOOK_SIZE = 256;
+const KMEANS_SAMPLE_LIMIT = 1 << 18;
+const KMEANS_ITERATIONS = 12;
+const MAX_SH_PALETTE_SIZE = 65536;
+const SH_PALETTE_ROW_ENTRIES = 64;
+const SH_PALETTE_ENTRY_PIXELS = 15; // degree-3 coefficient count; readers stride by this for every band count
+const SH_COEFFS_FOR_DEGREE = { 1: 3, 2: 8, 3: 15 };
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder("utf-8");
+
+// Textures are padded to multiples of 4, as written by splat-transform.
+const getTextureSize = (count) => {
+  const width = Math.max(4, Math.ceil(Math.sqrt(count) / 4) * 4);
+  const height = Math.max(4, Math.ceil(count / width / 4) * 4);
+  return { width, height };
+};
+
+const encodeTexture = (name, rgba, width, height) => ({
+  name,
+  bytes: encodeWebpLossless(rgba, width, height),
+});
+
+/**
+ * 1D k-means over a (sampled) set of values. Returns a sorted codebook.
+ * @param {Float32Array} values
+ * @param {number} size
+ * @returns {Float32Array}
+ */
+const buildCodebook = (values, size = CODEBOOK_SIZE) => {
+  const step = Math.max(1, Math.floor(values.length / KMEANS_SAMPLE_LIMIT));
+  const sample = new Float32Array(Math.ceil(values.length / step));
+  for (let i = 0, j = 0; i < values.length; i += step, j += 1) {
+    sample[j] = values[i];
+  }
+  sample.sort();
+
+  const n = sample.length;
+  const centroids = new Float64Array(size);
+  if (n === 0) return new Float32Array(size);
+  for (let c = 0; c < size; c += 1) {
+    centroids[c] = sample[Math.min(n - 1, Math.floor(((c + 0.5) * n) / size))];
+  }
+
+  const sums = new Float64Array(size);
+  const counts = new Uint32Array(size);
+  for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration += 1) {
+    sums.fill(0);
+    counts.fill(0);
+    // The sample is sorted, so cluster boundaries are the centroid midpoints.
+    let c = 0;
+    for (let i = 0; i < n; i += 1) {
+      const value = sample[i];
+      while (c < size - 1 && (centroids[c] + centroids[c + 1]) / 2 < value) c += 1;
+      sums[c] += value;
+      counts[c] += 1;
+    }
+    for (let k = 0; k < size; k += 1) {
+      if (counts[k] > 0) centroids[k] = sums[k] / counts[k];
+    }
+    centroids.sort();
+  }
+
+  return Float32Array.from(centroids);
+};
+
+// Index of the nearest entry in a sorted codebook.
+const nearestIndex = (codebook, value) => {
+  let low = 0;
+  let high = codebook.length - 1;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (codebook[mid] < value) low = mid + 1;
+    else high = mid;
+  }
+  if (low > 0 && value - codebook[low - 1] <= codebook[low] - value) return low - 1;
+  return low;
+};
+
+const clampByte = (value) => Math.max(0, Math.min(255, Math.round(value)));
+
+const encodeMeans = (positions, count, width, height) => {
+  const logValue = (v) => Math.sign(v) * Math.log(Math.abs(v) + 1);
+  const mins = [Infinity, Infinity, Infinity];
+  const maxs = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < count; i += 1) {
+    for (let axis = 0; axis < 3; axis += 1) {
+      const value = logValue(positions[i * 3 + axis]);
+      if (value < mins[axis]) mins[axis] = value;
+      if (value > maxs[axis]) maxs[axis] = value;
+    }
+  }
+  if (count === 0) {
+    mins.fill(0);
+    maxs.fill(0);
+  }
+
+  const low = new Uint8Array(width * height * 4);
+  const high = new Uint8Array(width * height * 4);
+  for (let i = 0; i < count; i += 1) {
+    for (let axis = 0; axis < 3; axis += 1) {
+      const range = maxs[axis] - mins[axis];
+      const t = range > 0 ? (logValue(positions[i * 3 + axis]) - mins[axis]) / range : 0;
+      const quantized = Math.max(0, Math.min(65535, Math.round(t * 65535)));
+      low[i * 4 + axis] = quantized & 0xff;
+      high[i * 4 + axis] = quantized >> 8;
+    }
+    low[i * 4 + 3] = 255;
+    high[i * 4 + 3] = 255;
+  }
+
+  return {
+    meta: { mins, maxs, files: ["means_l.webp", "means_u.webp"] },
+    textures: [
+      encodeTexture("means_l.webp", low, width, height),
+      encodeTexture("means_u.webp", high, width, height),
+    ],
+  };
+};
+
+const encodeScales = (scales, count, width, height) => {
+  const logScales = new Float32Array(count * 3);
+  for (let i = 0; i < count * 3; i += 1) {
+    logScales[i] = Math.log(Math.max(scales[i], 1e-12));
+  }
+  const codebook = buildCodebook(logScales);
+
+  const rgba = new Uint8Array(width * height * 4);
+  for (let i = 0; i < count; i += 1) {
+    for (let axis = 0; axis < 3; axis += 1) {
+      rgba[i * 4 + axis] = nearestIndex(codebook, logScales[i * 3 + axis]);
+    }
+    rgba[i * 4 + 3] = 255;
+  }
+
+  return {
+    meta: { codebook: Array.from(codebook), files: ["scales.webp"] },
+    textures: [encodeTexture("scales.webp", rgba, width, height)],
+  };
+};
+
+const encodeQuats = (quats, count, width, height) => {
+  const rgba = new Uint8Array(width * height * 4);
+  const components = new Float64Array(4);
+  for (let i = 0; i < count; i += 1) {
+    // w, x, y, z order, matching the decoder's component index.
+    components[0] = quats[i * 4 + 3];
+    components[1] = quats[i * 4];
+    components[2] = quats[i * 4 + 1];
+    components[3] = quats[i * 4 + 2];
+    const length = Math.hypot(components[0], components[1], components[2], components[3]) || 1;
+
+    let largest = 0;
+    for (let k = 1; k < 4; k += 1) {
+      if (Math.abs(components[k]) > Math.abs(components[largest])) largest = k;
+    }
+    // q and -q are the same rotation; keep the dropped component positive.
+    const sign = components[largest] < 0 ? -1 : 1;
+
+    let channel = 0;
+    for (let k = 0; k < 4; k += 1) {
+      if (k === largest) continue;
+      const value = (sign * components[k]) / length;
+      rgba[i * 4 + channel] = clampByte((value * SQRT1_2 + 0.5) * 255);
+      channel += 1;
+    }
+    rgba[i * 4 + 3] = 252 + largest;
+  }
+
+  return {
+    meta: { files: ["quats.webp"] },
+    textures: [encodeTexture("quats.webp", rgba, width, height)],
+  };
+};
+
+const encodeSh0 = (colors, opacities, count, width, height) => {
+  const dc = new Float32Array(count * 3);
+  for (let i = 0; i < count * 3; i += 1) {
+    dc[i] = (colors[i] - 0.5) / SH_C0;
+  }
+  const codebook = buildCodebook(dc);
+
+  const rgba = new Uint8Array(width * height * 4);
+  for (let i = 0; i < count; i += 1) {
+    for (let channel = 0; channel < 3; channel += 1) {
+      rgba[i * 4 + channel] = nearestIndex(codebook, dc[i * 3 + channel]);
+    }
+    rgba[i * 4 + 3] = clampByte(opacities[i] * 255);
+  }
+
+  return {
+    meta: { codebook: Array.from(codebook), files: ["sh0.webp"] },
+    textures: [encodeTexture("sh0.webp", rgba, width, height)],
+  };
+};
+
+// Hoare quickselect: reorders order[start, end) so order[nth] holds the
+// nth-smallest value along `dim` with smaller values before it.
+const selectNth = (order, start, end, nth, values, dims, dim) => {
+  let left = start;
+  let right = end - 1;
+  while (right > left) {
+    const pivot = values[order[(left + right) >> 1] * dims + dim];
+    let i = left;
+    let j = right;
+    while (i <= j) {
+      while (values[order[i] * dims + dim] < pivot) i += 1;
+      while (values[order[j] * dims + dim] > pivot) j -= 1;
+      if (i <= j) {
+        const swap = order[i];
+        order[i] = order[j];
+        order[j] = swap;
+        i += 1;
+        j -= 1;
+      }
+    }
+    if (nth <= j) right = j;
+    else if (nth >= i) left = i;
+    else return;
+  }
+};
+
+const widestDimension = (order, start, end, values, dims) => {
+  let bestDim = 0;
+  let bestRange = -1;
+  for (let dim = 0; dim < dims; dim += 1) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = start; i < end; i += 1) {
+      const value = values[order[i] * dims + dim];
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+    if (max - min > bestRange) {
+      bestRange = max - min;
+      bestDim = dim;
+    }
+  }
+  return bestDim;
+};
+
+/**
+ * Median-cut palette over per-splat SH vectors.
+ * @returns {{ centroids: Float32Array, labels: Uint16Array, size: number }}
+ */
+const buildShPalette = (values, count, dims, paletteSize, onProgress) => {
+  const order = new Uint32Array(count);
+  for (let i = 0; i < count; i += 1) order[i] = i;
+
+  let ranges = [[0, count]];
+  const levels = Math.max(1, Math.ceil(Math.log2(paletteSize)));
+  for (let level = 0; ranges.length < paletteSize; level += 1) {
+    const next = [];
+    let didSplit = false;
+    for (let r = 0; r < ranges.length; r += 1) {
+      const [start, end] = ranges[r];
+      const freeSlots = paletteSize - next.length - (ranges.length - r);
+      if (end - start < 2 || freeSlots <= 0) {
+        next.push(ranges[r]);
+        continue;
+      }
+      const dim = widestDimension(order, start, end, values, dims);
+      const mid = (start + end) >> 1;
+      selectNth(order, start, end, mid, values, dims, dim);
+      next.push([start, mid], [mid, end]);
+      didSplit = true;
+    }
+    ranges = next;
+    onProgress?.(Math.min(1, (level + 1) / levels));
+    if (!didSplit) break;
+  }
+
+  const centroids = new Float32Array(ranges.length * dims);
+  const labels = new Uint16Array(count);
+  const sums = new Float64Array(dims);
+  ranges.forEach(([start, end], label) => {
+    sums.fill(0);
+    for (let i = start; i < end; i += 1) {
+      const index = order[i];
+      labels[index] = label;
+      for (let d = 0; d < dims; d += 1) sums[d] += values[index * dims + d];
+    }
+    const size = Math.max(1, end - start);
+    for (let d = 0; d < dims; d += 1) centroids[label * dims + d] = sums[d] / size;
+  });
+
+  return { centroids, labels, size: ranges.length };
+};
+
+const getShPaletteSize = (count) => {
+  const target = 2 ** Math.floor(Math.log2(Math.max(1, count / 1024))) * 1024;
+  return Math.max(1, Math.min(MAX_SH_PALETTE_SIZE, count, target));
+};
+
+const encodeShN = (sh, shDegree, count, width, height, onProgress) => {
+  const coeffs = SH_COEFFS_FOR_DEGREE[shDegree];
+  const dims = coeffs * 3;
+  const palette = buildShPalette(sh, count, dims, getShPaletteSize(count), onProgress);
+  const codebook = buildCodebook(palette.centroids);
+
+  // Each palette entry starts every 15 pixels, 64 entries per row.
+  const centroidWidth = SH_PALETTE_ROW_ENTRIES * SH_PALETTE_ENTRY_PIXELS;
+  const centroidHeight = Math.ceil(palette.size / SH_PALETTE_ROW_ENTRIES);
+  const centroidPixels = new Uint8Array(centroidWidth * centroidHeight * 4);
+  for (let entry = 0; entry < palette.size; entry += 1) {
+    const row = Math.floor(entry / SH_PALETTE_ROW_ENTRIES);
+    const column = (entry % SH_PALETTE_ROW_ENTRIES) * SH_PALETTE_ENTRY_PIXELS;
+    for (let k = 0; k < coeffs; k += 1) {
+      const pixel = (row * centroidWidth + column + k) * 4;
+      for (let channel = 0; channel < 3; channel += 1) {
+        centroidPixels[pixel + channel] = nearestIndex(codebook, palette.centroids[entry * dims + k * 3 + channel]);
+      }
+      centroidPixels[pixel + 3] = 255;
+    }
+  }
+
+  const labelPixels = new Uint8Array(width * height * 4);
+  for (let i = 0; i < count; i += 1) {
+    labelPixels[i * 4] = palette.labels[i] & 0xff;
+    labelPixels[i * 4 + 1] = palette.labels[i] >> 8;
+    labelPixels[i * 4 + 3] = 255;
+  }
+
+  return {
+    meta: {
+      count: palette.size,
+      bands: shDegree,
+      codebook: Array.from(codebook),
+      files: ["shN_centroids.webp", "shN_labels.webp"],
+    },
+    textures: [
+      encodeTexture("shN_centroids.webp", centroidPixels, centroidWidth, centroidHeight),
+      encodeTexture("shN_labels.webp", labelPixels, width, height),
+    ],
+  };
+};
+
+/**
+ * Encode splats as a SOG zip bundle.
+ *
+ * @param {Object} splats
+ * @param {number} splats.numSplats
+ * @param {Float32Array} splats.positions - xyz per splat
+ * @param {Float32Array} splats.scales - linear xyz scale per splat
+ * @param {Float32Array} splats.quaternions - xyzw per splat
+ * @param {Float32Array} splats.opacities - 0..1 per splat
+ * @param {Float32Array} splats.colors - rgb per splat (0.5 + SH_C0 * f_dc)
+ * @param {number} [splats.shDegree] - 0..3
+ * @param {Float32Array} [splats.sh] - coefficient-major RGB triplets per splat
+ * @param {Object} [options]
+ * @param {Object | null} [options.sharpMetadata] - raw ML-Sharp camera elements
+ * @param {(event: { stage: string, progress: number }) => void} [options.onProgress]
+ * @returns {Uint8Array} zip bytes
+ */
+export const encodeSog = (splats, { sharpMetadata = null, onProgress } = {}) => {
+  const { numSplats: count, positions, scales, quaternions, opacities, colors } = splats;
+  const shDegree = splats.sh ? splats.shDegree ?? 0 : 0;
+  const { width, height } = getTextureSize(count);
+  const report = (stage, progress) => onProgress?.({ stage, progress });
+
+  report("means", 0);
+  const means = encodeMeans(positions, count, width, height);
+  report("scales", 0);
+  const scaleData = encodeScales(scales, count, width, height);
+  report("quats", 0);
+  const quats = encodeQuats(quaternions, count, width, height);
+  report("sh0", 0);
+  const sh0 = encodeSh0(colors, opacities, count, width, height);
+
+  let shN = null;
+  if (shDegree > 0 && count > 0) {
+    report("shN", 0);
+    shN = encodeShN(splats.sh, shDegree, count, width, height, (progress) => report("shN", progress));
+  }
+
+  const meta = {
+    version: 2,
+    count,
+    means: means.meta,
+    scales: scaleData.meta,
+    quats: quats.meta,
+    sh0: sh0.meta,
+    ...(shN ? { shN: shN.meta } : {}),
+    ...(sharpMetadata ? { sharp_metadata: sharpMetadata } : {}),
+  };
+
+  report("package", 0);
+  // WebP payloads are already compressed; store them as-is.
+  const files = { "meta.json": [textEncoder.encode(JSON.stringify(meta)), { level: 6 }] };
+  [means, scaleData, quats, sh0, shN].forEach((part) => {
+    part?.textures.forEach(({ name, bytes }) => {
+      files[name] = [bytes, { level: 0 }];
+    });
+  });
+  const zipped = zipSync(files);
+  report("package", 1);
+  return zipped;
+};
+
+/**
+ * Merge fields into an existing SOG bundle's meta.json, keeping every other
+ * entry as-is.
+ * @param {Uint8Array} bytes - SOG zip
+ * @param {Object} updates - top-level meta.json fields to set
+ * @returns {Uint8Array} zip bytes
+ */
+export const updateSogMetadata = (bytes, updates) => {
+  const entries = unzipSync(bytes);
+  const metaName = Object.keys(entries).find((name) => name.split(/[\\/]/).pop().toLowerCase() === "meta.json");
+  if (!metaName) {
+    throw new Error("SOG bundle has no meta.json");
+  }
+
+  const meta = { ...JSON.parse(textDecoder.decode(entries[metaName])), ...updates };
+  const files = {};
+  Object.entries(entries).forEach(([name, data]) => {
+    files[name] = name === metaName
+      ? [textEncoder.encode(JSON.stringify(meta)), { level: 6 }]
+      : [data, { level: 0 }];
+  });
+  return zipSync(files);
+};
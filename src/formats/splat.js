@@ -0,0 +1,47 @@
+import { SplatFileType } from "@sparkjsdev/spark";
+import { createSplatMesh, decodePackedSplats } from "./packedSplats.js";
+
+// antimatter15 .splat rows are 32 bytes each:
+// position (3 x float32), scale (3 x float32), rgba (4 x uint8), rotation wxyz (4 x uint8).
+const SPLAT_ROW_BYTES = 32;
+
+const assertSplatRows = (bytes) => {
+  if (!bytes?.byteLength || bytes.byteLength % SPLAT_ROW_BYTES !== 0) {
+    throw new Error(
+      `Invalid .splat file: ${bytes?.byteLength ?? 0} bytes is not a multiple of ${SPLAT_ROW_BYTES}`,
+    );
+  }
+};
+
+// Headerless, so detection is a heuristic: whole rows whose first center and
+// scale are finite. Only used when neither magic bytes nor extension match.
+const looksLikeSplatRows = (bytes) => {
+  if (bytes.byteLength < SPLAT_ROW_BYTES || bytes.byteLength % SPLAT_ROW_BYTES !== 0) return false;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, SPLAT_ROW_BYTES);
+  for (let offset = 0; offset < 24; offset += 4) {
+    if (!Number.isFinite(view.getFloat32(offset, true))) return false;
+  }
+  return true;
+};
+
+export const splatFormat = {
+  id: "splat",
+  label: "SPLAT",
+  extensions: ["splat"],
+  heuristicDetect: true,
+  detect(bytes) {
+    return looksLikeSplatRows(bytes);
+  },
+  async decodeData({ bytes }) {
+    assertSplatRows(bytes);
+    return decodePackedSplats(bytes, SplatFileType.SPLAT);
+  },
+  async loadData({ file, bytes, decoded }) {
+    if (!decoded) assertSplatRows(bytes);
+    return createSplatMesh({ file, bytes, decoded, fileType: SplatFileType.SPLAT });
+  },
+  async loadMetadata() {
+    // Raw .splat rows carry no header, so there is no camera data to read.
+    return null;
+  },
+};
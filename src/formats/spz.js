@@ -0,0 +1,71 @@
+import { SplatFileType } from "@sparkjsdev/spark";
+import { Gunzip } from "fflate";
+import { createSplatMesh, decodePackedSplats } from "./packedSplats.js";
+
+const SPZ_MAGIC = 0x5053474e; // "NGSP"
+const SPZ_HEADER_SIZE = 16;
+
+// Incompressible data is stored in blocks of up to 64KB, so two blocks' worth
+// of input always yields the header.
+const HEADER_INPUT_LIMIT = 128 * 1024;
+const HEADER_INPUT_CHUNK = 16 * 1024;
+
+const isGzip = (bytes) => bytes.byteLength >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+
+// Inflate only until `byteCount` bytes are available so the header can be
+// checked synchronously without decompressing the whole splat payload.
+const gunzipPrefix = (bytes, byteCount) => {
+  const prefix = new Uint8Array(byteCount);
+  let filled = 0;
+  const gunzip = new Gunzip((chunk) => {
+    const take = Math.min(chunk.byteLength, byteCount - filled);
+    prefix.set(chunk.subarray(0, take), filled);
+    filled += take;
+  });
+  const inputEnd = Math.min(bytes.byteLength, HEADER_INPUT_LIMIT);
+  for (let offset = 0; offset < inputEnd && filled < byteCount; offset += HEADER_INPUT_CHUNK) {
+    const end = Math.min(offset + HEADER_INPUT_CHUNK, inputEnd);
+    gunzip.push(bytes.subarray(offset, end), end === bytes.byteLength);
+  }
+  return prefix.subarray(0, filled);
+};
+
+const hasSpzMagic = (bytes) => {
+  if (!isGzip(bytes)) return false;
+  let header;
+  try {
+    header = gunzipPrefix(bytes, SPZ_HEADER_SIZE);
+  } catch {
+    return false;
+  }
+  return header.byteLength >= 4
+    && new DataView(header.buffer, header.byteOffset, header.byteLength).getUint32(0, true) === SPZ_MAGIC;
+};
+
+const assertSpzHeader = (bytes) => {
+  if (!hasSpzMagic(bytes)) {
+    throw new Error("Invalid .spz file: missing NGSP header");
+  }
+};
+
+export const spzFormat = {
+  id: "spz",
+  label: "SPZ",
+  extensions: ["spz"],
+  detect(bytes) {
+    // A gzip stream is only claimed when it inflates to the NGSP header
+    return hasSpzMagic(bytes);
+  },
+  async decodeData({ bytes }) {
+    assertSpzHeader(bytes);
+    return decodePackedSplats(bytes, SplatFileType.SPZ);
+  },
+  async loadData({ file, bytes, decoded }) {
+    if (!decoded) assertSpzHeader(bytes);
+    return createSplatMesh({ file, bytes, decoded, fileType: SplatFileType.SPZ });
+  },
+  async loadMetadata() {
+    // The SPZ header only describes the splat payload; there is no camera data to read.
+    return null;
+  },
+};
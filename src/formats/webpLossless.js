@@ -0,0 +1,274 @@
+/**
+ * Minimal WebP lossless (VP8L) encoder for SOG textures.
+ *
+ * SOG packs quantized splat data into RGBA pixels, including the alpha
+ * channel, so the textures must round-trip exactly. Canvas encoders
+ * premultiply alpha and may pick lossy compression, so we write VP8L
+ * directly: no transforms, no color cache, literal-only prefix codes.
+ */
+
+const VP8L_SIGNATURE = 0x2f;
+const MAX_DIMENSION = 16384;
+const MAX_CODE_LENGTH = 15;
+const MAX_CODE_LENGTH_CODE_LENGTH = 7;
+const GREEN_ALPHABET_SIZE = 256 + 24; // literals + backward-reference length prefixes
+const CHANNEL_ALPHABET_SIZE = 256;
+const CODE_LENGTH_CODE_ORDER = [17, 18, 0, 1, 2, 3, 4, 5, 16, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15];
+
+class BitWriter {
+  constructor(capacity) {
+    this.bytes = new Uint8Array(Math.max(64, capacity));
+    this.length = 0;
+    this.acc = 0;
+    this.accBits = 0;
+  }
+
+  // Bits are packed LSB-first; numBits must be <= 16.
+  writeBits(value, numBits) {
+    this.acc |= value << this.accBits;
+    this.accBits += numBits;
+    while (this.accBits >= 8) {
+      this.pushByte(this.acc & 0xff);
+      this.acc >>>= 8;
+      this.accBits -= 8;
+    }
+  }
+
+  pushByte(byte) {
+    if (this.length === this.bytes.length) {
+      const grown = new Uint8Array(this.bytes.length * 2);
+      grown.set(this.bytes);
+      this.bytes = grown;
+    }
+    this.bytes[this.length] = byte;
+    this.length += 1;
+  }
+
+  finish() {
+    if (this.accBits > 0) {
+      this.pushByte(this.acc & 0xff);
+      this.acc = 0;
+      this.accBits = 0;
+    }
+    return this.bytes.subarray(0, this.length);
+  }
+}
+
+// Plain Huffman code lengths from symbol counts (0 for unused symbols).
+const huffmanLengths = (counts) => {
+  const lengths = new Uint8Array(counts.length);
+  const leaves = [];
+  counts.forEach((count, symbol) => {
+    if (count > 0) leaves.push({ count, symbol, left: null, right: null });
+  });
+  if (leaves.length === 0) return lengths;
+  if (leaves.length === 1) {
+    lengths[leaves[0].symbol] = 1;
+    return lengths;
+  }
+
+  // Two-queue construction over leaves sorted by count.
+  leaves.sort((a, b) => a.count - b.count || a.symbol - b.symbol);
+  const merged = [];
+  let leafIndex = 0;
+  let mergedIndex = 0;
+  const takeSmallest = () => {
+    if (leafIndex < leaves.length && (mergedIndex >= merged.length || leaves[leafIndex].count <= merged[mergedIndex].count)) {
+      return leaves[leafIndex++];
+    }
+    return merged[mergedIndex++];
+  };
+  for (let remaining = leaves.length; remaining > 1; remaining -= 1) {
+    const left = takeSmallest();
+    const right = takeSmallest();
+    merged.push({ count: left.count + right.count, symbol: -1, left, right });
+  }
+
+  const stack = [{ node: merged[merged.length - 1], depth: 0 }];
+  while (stack.length) {
+    const { node, depth } = stack.pop();
+    if (node.symbol >= 0) {
+      lengths[node.symbol] = depth;
+    } else {
+      stack.push({ node: node.left, depth: depth + 1 }, { node: node.right, depth: depth + 1 });
+    }
+  }
+  return lengths;
+};
+
+// Flatten the count distribution until the longest code fits maxLength.
+const limitedCodeLengths = (counts, maxLength) => {
+  let adjusted = Array.from(counts);
+  for (;;) {
+    const lengths = huffmanLengths(adjusted);
+    if (lengths.every((length) => length <= maxLength)) return lengths;
+    adjusted = adjusted.map((count) => (count > 0 ? (count >> 1) + 1 : 0));
+  }
+};
+
+const reverseBits = (code, length) => {
+  let reversed = 0;
+  for (let i = 0; i < length; i += 1) {
+    reversed = (reversed << 1) | ((code >> i) & 1);
+  }
+  return reversed;
+};
+
+// Canonical (DEFLATE-style) codes, bit-reversed for LSB-first writing.
+const canonicalCodes = (lengths) => {
+  const codes = new Uint16Array(lengths.length);
+  const lengthCounts = new Uint16Array(MAX_CODE_LENGTH + 1);
+  lengths.forEach((length) => {
+    if (length > 0) lengthCounts[length] += 1;
+  });
+  const nextCode = new Uint16Array(MAX_CODE_LENGTH + 1);
+  let code = 0;
+  for (let bits = 1; bits <= MAX_CODE_LENGTH; bits += 1) {
+    code = (code + lengthCounts[bits - 1]) << 1;
+    nextCode[bits] = code;
+  }
+  lengths.forEach((length, symbol) => {
+    if (length > 0) {
+      codes[symbol] = reverseBits(nextCode[length], length);
+      nextCode[length] += 1;
+    }
+  });
+  return codes;
+};
+
+const countUsed = (lengths) => lengths.reduce((sum, length) => sum + (length > 0 ? 1 : 0), 0);
+
+/**
+ * Write one prefix code to the header and return { lengths, codes } for
+ * encoding symbols. A code with a single used symbol takes zero bits per symbol.
+ */
+const writePrefixCode = (writer, counts) => {
+  const used = [];
+  counts.forEach((count, symbol) => {
+    if (count > 0) used.push(symbol);
+  });
+
+  if (used.length <= 2 && used.every((symbol) => symbol < 256)) {
+    const symbols = used.length ? used : [0];
+    writer.writeBits(1, 1); // simple code
+    writer.writeBits(symbols.length - 1, 1);
+    if (symbols[0] < 2) {
+      writer.writeBits(0, 1);
+      writer.writeBits(symbols[0], 1);
+    } else {
+      writer.writeBits(1, 1);
+      writer.writeBits(symbols[0], 8);
+    }
+    if (symbols.length === 2) {
+      writer.writeBits(symbols[1], 8);
+    }
+    const lengths = new Uint8Array(counts.length);
+    if (symbols.length === 2) {
+      lengths[symbols[0]] = 1;
+      lengths[symbols[1]] = 1;
+    }
+    return { lengths, codes: canonicalCodes(lengths) };
+  }
+
+  const lengths = limitedCodeLengths(counts, MAX_CODE_LENGTH);
+
+  // Code lengths are sent as literal 0..15 symbols of the code-length code.
+  const codeLengthCounts = new Array(19).fill(0);
+  lengths.forEach((length) => {
+    codeLengthCounts[length] += 1;
+  });
+  const codeLengthLengths = limitedCodeLengths(codeLengthCounts, MAX_CODE_LENGTH_CODE_LENGTH);
+  const codeLengthCodes = canonicalCodes(codeLengthLengths);
+  const singleCodeLength = countUsed(codeLengthLengths) === 1;
+
+  let numCodes = CODE_LENGTH_CODE_ORDER.length;
+  while (numCodes > 4 && codeLengthLengths[CODE_LENGTH_CODE_ORDER[numCodes - 1]] === 0) {
+    numCodes -= 1;
+  }
+
+  writer.writeBits(0, 1); // normal code
+  writer.writeBits(numCodes - 4, 4);
+  for (let i = 0; i < numCodes; i += 1) {
+    writer.writeBits(codeLengthLengths[CODE_LENGTH_CODE_ORDER[i]], 3);
+  }
+  writer.writeBits(0, 1); // max_symbol = alphabet size
+  lengths.forEach((length) => {
+    if (!singleCodeLength) {
+      writer.writeBits(codeLengthCodes[length], codeLengthLengths[length]);
+    }
+  });
+
+  return { lengths, codes: canonicalCodes(lengths) };
+};
+
+const writeRiff = (vp8l) => {
+  const padding = vp8l.byteLength & 1;
+  const out = new Uint8Array(20 + vp8l.byteLength + padding);
+  const view = new DataView(out.buffer);
+  out.set([0x52, 0x49, 0x46, 0x46], 0); // RIFF
+  view.setUint32(4, out.byteLength - 8, true);
+  out.set([0x57, 0x45, 0x42, 0x50], 8); // WEBP
+  out.set([0x56, 0x50, 0x38, 0x4c], 12); // VP8L
+  view.setUint32(16, vp8l.byteLength, true);
+  out.set(vp8l, 20);
+  return out;
+};
+
+/**
+ * Encode RGBA pixels as a lossless WebP file.
+ * @param {Uint8Array} rgba - width * height * 4 bytes, row-major from the top
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint8Array}
+ */
+export const encodeWebpLossless = (rgba, width, height) => {
+  if (width < 1 || height < 1 || width > MAX_DIMENSION || height > MAX_DIMENSION) {
+    throw new Error(`WebP dimensions out of range: ${width}x${height}`);
+  }
+  const numPixels = width * height;
+  if (rgba.length < numPixels * 4) {
+    throw new Error("WebP pixel buffer is smaller than width * height * 4");
+  }
+
+  const green = new Uint32Array(GREEN_ALPHABET_SIZE);
+  const red = new Uint32Array(CHANNEL_ALPHABET_SIZE);
+  const blue = new Uint32Array(CHANNEL_ALPHABET_SIZE);
+  const alpha = new Uint32Array(CHANNEL_ALPHABET_SIZE);
+  let hasAlpha = false;
+  for (let i = 0; i < numPixels * 4; i += 4) {
+    red[rgba[i]] += 1;
+    green[rgba[i + 1]] += 1;
+    blue[rgba[i + 2]] += 1;
+    alpha[rgba[i + 3]] += 1;
+    if (rgba[i + 3] !== 255) hasAlpha = true;
+  }
+
+  const writer = new BitWriter(numPixels * 4 + 1024);
+  writer.writeBits(VP8L_SIGNATURE, 8);
+  writer.writeBits(width - 1, 14);
+  writer.writeBits(height - 1, 14);
+  writer.writeBits(hasAlpha ? 1 : 0, 1);
+  writer.writeBits(0, 3); // version
+  writer.writeBits(0, 1); // no transforms
+  writer.writeBits(0, 1); // no color cache
+  writer.writeBits(0, 1); // no meta prefix codes
+
+  const greenCode = writePrefixCode(writer, green);
+  const redCode = writePrefixCode(writer, red);
+  const blueCode = writePrefixCode(writer, blue);
+  const alphaCode = writePrefixCode(writer, alpha);
+  writePrefixCode(writer, new Uint32Array(40)); // distance codes (unused)
+
+  for (let i = 0; i < numPixels * 4; i += 4) {
+    const g = rgba[i + 1];
+    const r = rgba[i];
+    const b = rgba[i + 2];
+    const a = rgba[i + 3];
+    writer.writeBits(greenCode.codes[g], greenCode.lengths[g]);
+    writer.writeBits(redCode.codes[r], redCode.lengths[r]);
+    writer.writeBits(blueCode.codes[b], blueCode.lengths[b]);
+    writer.writeBits(alphaCode.codes[a], alphaCode.lengths[a]);
+  }
+
+  return writeRiff(writer.finish());
+};
@@ -0,0 +1,345 @@
+/**
+ * Horizon leveling.
+ *
+ * Estimates the dominant ground plane of a splat scene and rotates the model
+ * so its normal points along +Y, which is the axis OrbitControls and
+ * applyCameraRangeDegrees orbit around. The ground is found with a RANSAC
+ * plane fit over a sample of splat centers (refined by least squares on the
+ * inliers); when no plane stands out, the axis of least variance (PCA) is used.
+ * Only planes within MAX_TILT_DEGREES of the current up axis are considered,
+ * so walls are not mistaken for the floor.
+ *
+ * The correction is stored as the per-asset model alignment in custom
+ * metadata (position / quaternion / scale), rotating about the scene centroid.
+ */
+
+import { THREE, camera } from "./viewer.js";
+import { ensureSplatEntry, getSplatCache, retainOnlySplats } from "./splatManager.js";
+import { getAssetList } from "./assetManager.js";
+import {
+  buildModelMatrix,
+  captureModelAlignment,
+  applyCustomModelTransform,
+  loadCustomMetadataForAsset,
+  saveModelAlignmentForAsset,
+} from "./customMetadata.js";
+import { getAssetKey } from "./storage/assetKeys.js";
+
+const MAX_SAMPLES = 20_000;
+const MIN_OPACITY = 0.1;
+const RANSAC_ITERATIONS = 300;
+const RANSAC_THRESHOLD_FACTOR = 0.02; // of the median distance to the centroid
+const MIN_INLIER_RATIO = 0.05;
+const MAX_TILT_DEGREES = 45;
+const MIN_CORRECTION_DEGREES = 0.5;
+
+const WORLD_UP = new THREE.Vector3(0, 1, 0);
+
+let batchLevelAborted = false;
+
+const getCacheKey = (asset) => asset?.cacheKey || asset?.baseAssetId || asset?.id;
+
+/**
+ * Sample visible splat centers in world space (under `modelMatrix`).
+ */
+const sampleCenters = (mesh, modelMatrix, maxSamples) => {
+  const packedSplats = mesh?.packedSplats;
+  const numSplats = packedSplats?.numSplats ?? 0;
+  const step = Math.max(1, Math.floor(numSplats / maxSamples));
+  const points = [];
+  for (let i = 0; i < numSplats; i += step) {
+    const { center, opacity } = packedSplats.getSplat(i);
+    if (opacity < MIN_OPACITY) continue;
+    if (!Number.isFinite(center.x) || !Number.isFinite(center.y) || !Number.isFinite(center.z)) continue;
+    points.push(center.clone().applyMatrix4(modelMatrix));
+  }
+  return points;
+};
+
+const median = (values) => {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+const centroidOf = (points) => {
+  const centroid = new THREE.Vector3();
+  points.forEach((point) => centroid.add(point));
+  return centroid.divideScalar(Math.max(1, points.length));
+};
+
+/**
+ * Eigenvector of the smallest eigenvalue of the points' covariance
+ * (cyclic Jacobi on the symmetric 3×3 matrix).
+ */
+const leastVarianceAxis = (points, centroid) => {
+  const a = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  const d = new THREE.Vector3();
+  points.forEach((point) => {
+    d.subVectors(point, centroid);
+    const v = [d.x, d.y, d.z];
+    for (let r = 0; r < 3; r += 1) {
+      for (let c = r; c < 3; c += 1) a[r][c] += v[r] * v[c];
+    }
+  });
+  a[1][0] = a[0][1];
+  a[2][0] = a[0][2];
+  a[2][1] = a[1][2];
+
+  const vectors = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+  for (let sweep = 0; sweep < 32; sweep += 1) {
+    const offDiagonal = Math.abs(a[0][1]) + Math.abs(a[0][2]) + Math.abs(a[1][2]);
+    if (offDiagonal < 1e-12) break;
+    for (let p = 0; p < 2; p += 1) {
+      for (let q = p + 1; q < 3; q += 1) {
+        if (Math.abs(a[p][q]) < 1e-15) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const cos = 1 / Math.sqrt(t * t + 1);
+        const sin = t * cos;
+        for (let k = 0; k < 3; k += 1) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = cos * akp - sin * akq;
+          a[k][q] = sin * akp + cos * akq;
+        }
+        for (let k = 0; k < 3; k += 1) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = cos * apk - sin * aqk;
+          a[q][k] = sin * apk + cos * aqk;
+        }
+        for (let k = 0; k < 3; k += 1) {
+          const vkp = vectors[k][p];
+          const vkq = vectors[k][q];
+          vectors[k][p] = cos * vkp - sin * vkq;
+          vectors[k][q] = sin * vkp + cos * vkq;
+        }
+      }
+    }
+  }
+
+  let smallest = 0;
+  for (let i = 1; i < 3; i += 1) {
+    if (a[i][i] < a[smallest][smallest]) smallest = i;
+  }
+  return new THREE.Vector3(vectors[0][smallest], vectors[1][smallest], vectors[2][smallest]).normalize();
+};
+
+const ransacGroundPlane = (points, threshold, minUpDot) => {
+  const normal = new THREE.Vector3();
+  const ab = new THREE.Vector3();
+  const ac = new THREE.Vector3();
+  let best = null;
+
+  for (let iteration = 0; iteration < RANSAC_ITERATIONS; iteration += 1) {
+    const a = points[Math.floor(Math.random() * points.length)];
+    const b = points[Math.floor(Math.random() * points.length)];
+    const c = points[Math.floor(Math.random() * points.length)];
+    normal.crossVectors(ab.subVectors(b, a), ac.subVectors(c, a));
+    if (normal.lengthSq() < 1e-12) continue;
+    normal.normalize();
+    if (Math.abs(normal.dot(WORLD_UP)) < minUpDot) continue;
+
+    const offset = normal.dot(a);
+    let inliers = 0;
+    for (let i = 0; i < points.length; i += 1) {
+      if (Math.abs(normal.dot(points[i]) - offset) <= threshold) inliers += 1;
+    }
+    if (!best || inliers > best.inliers) {
+      best = { normal: normal.clone(), offset, inliers };
+    }
+  }
+  return best;
+};
+
+/**
+ * Estimate the scene's up direction in world space.
+ * @param {Object} mesh - SplatMesh
+ * @param {{ modelMatrix?: THREE.Matrix4, maxSamples?: number }} [options]
+ *   `modelMatrix` places the splats in world space (defaults to the mesh's own matrix)
+ * @returns {{ up: THREE.Vector3, centroid: THREE.Vector3, method: 'ransac' | 'pca',
+ *   inlierRatio: number | null, tiltDegrees: number } | null}
+ */
+export const estimateUpVector = (mesh, { modelMatrix, maxSamples = MAX_SAMPLES } = {}) => {
+  if (!mesh?.packedSplats) return null;
+  if (!modelMatrix) {
+    mesh.updateMatrix();
+    modelMatrix = mesh.matrix;
+  }
+  const points = sampleCenters(mesh, modelMatrix, maxSamples);
+  if (points.length < 3) return null;
+
+  const centroid = centroidOf(points);
+  const spread = median(points.map((point) => point.distanceTo(centroid)));
+  const minUpDot = Math.cos(THREE.MathUtils.degToRad(MAX_TILT_DEGREES));
+
+  let up = null;
+  let method = "pca";
+  let inlierRatio = null;
+
+  const plane = ransacGroundPlane(points, Math.max(1e-6, spread * RANSAC_THRESHOLD_FACTOR), minUpDot);
+  if (plane && plane.inliers / points.length >= MIN_INLIER_RATIO) {
+    const threshold = spread * RANSAC_THRESHOLD_FACTOR;
+    const inliers = points.filter((point) => Math.abs(plane.normal.dot(point) - plane.offset) <= threshold);
+    const ground = centroidOf(inliers);
+    up = leastVarianceAxis(inliers, ground);
+    // Most of the scene sits above the ground
+    const d = new THREE.Vector3();
+    const above = points.filter((point) => up.dot(d.subVectors(point, ground)) > 0).length;
+    if (above < points.length / 2) up.negate();
+    method = "ransac";
+    inlierRatio = plane.inliers / points.length;
+  } else {
+    const axis = leastVarianceAxis(points, centroid);
+    if (Math.abs(axis.dot(WORLD_UP)) < minUpDot) return null;
+    up = axis.dot(WORLD_UP) < 0 ? axis.negate() : axis;
+  }
+
+  const tiltDegrees = THREE.MathUtils.radToDeg(up.angleTo(WORLD_UP));
+  return { up, centroid, method, inlierRatio, tiltDegrees };
+};
+
+/**
+ * Model alignment that turns `estimate.up` into +Y, pivoting about the centroid.
+ * @param {THREE.Matrix4} modelMatrix - Current mesh transform
+ * @param {{ up: THREE.Vector3, centroid: THREE.Vector3 }} estimate
+ * @returns {{ position: number[], quaternion: number[], scale: number }}
+ */
+export const computeLevelingAlignment = (modelMatrix, estimate) => {
+  const rotation = new THREE.Quaternion().setFromUnitVectors(estimate.up, WORLD_UP);
+  const pivot = estimate.centroid;
+  const leveled = new THREE.Matrix4()
+    .makeTranslation(pivot.x, pivot.y, pivot.z)
+    .multiply(new THREE.Matrix4().makeRotationFromQuaternion(rotation))
+    .multiply(new THREE.Matrix4().makeTranslation(-pivot.x, -pivot.y, -pivot.z))
+    .multiply(modelMatrix);
+
+  const position = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+  const scale = new THREE.Vector3();
+  leveled.decompose(position, quaternion, scale);
+  return { position: position.toArray(), quaternion: quaternion.toArray(), scale: scale.x };
+};
+
+/**
+ * Camera pose framing a leveled model, like fitViewToMesh, for assets that
+ * get their first custom view from a batch run.
+ */
+const buildFitCameraPose = (mesh, alignment) => {
+  const box = mesh.getBoundingBox?.();
+  if (!box) return null;
+  const matrix = buildModelMatrix(alignment);
+  const worldBox = box.clone().applyMatrix4(matrix);
+  const size = worldBox.getSize(new THREE.Vector3());
+  const center = worldBox.getCenter(new THREE.Vector3());
+  const fov = camera?.fov ?? 50;
+  const radius = Math.max(Math.max(size.x, size.y) * 0.5, 0.5);
+  const distance = radius / Math.tan((fov * Math.PI) / 360);
+  return {
+    position: center.clone().add(new THREE.Vector3(0, 0, distance)).toArray(),
+    target: center.toArray(),
+    up: [0, 1, 0],
+    distance,
+    fov,
+    near: Math.max(0.01, radius * 0.01),
+    far: Math.max(distance * 4, Math.max(size.z, radius) * 8),
+    zoom: 1,
+  };
+};
+
+/**
+ * Level the mesh on screen and store the correction for its asset.
+ * @param {Object} mesh - Active SplatMesh
+ * @param {string} assetName - Key the custom metadata is stored under
+ * @param {{ modelScale?: number, aspectRatio?: number | null }} [overrides] - For a new first view
+ * @returns {Promise<{ leveled: boolean, estimate: Object | null, saved?: boolean }>}
+ */
+export const levelMesh = async (mesh, assetName, overrides = {}) => {
+  const estimate = estimateUpVector(mesh);
+  if (!estimate || estimate.tiltDegrees < MIN_CORRECTION_DEGREES) {
+    return { leveled: false, estimate };
+  }
+
+  mesh.updateMatrix();
+  const alignment = computeLevelingAlignment(mesh.matrix, estimate);
+  applyCustomModelTransform(mesh, { applyCoordinateFlip: true, ...alignment });
+  const { saved } = await saveModelAlignmentForAsset(assetName, captureModelAlignment(mesh), overrides);
+  return { leveled: true, estimate, saved };
+};
+
+/**
+ * Estimate and store the leveling correction for one asset without making
+ * it the active asset. Assets with ML-Sharp camera metadata are skipped:
+ * their orientation comes from the capture camera.
+ * @returns {Promise<{ leveled: boolean, skipped?: string, estimate?: Object | null }>}
+ */
+export const levelAsset = async (asset) => {
+  const entry = await ensureSplatEntry(asset);
+  if (!entry) throw new Error(`Unable to load ${asset.name}`);
+  if (entry.streamDone) await entry.streamDone;
+  if (entry.cameraMetadata?.intrinsics) {
+    return { leveled: false, skipped: "Has camera metadata" };
+  }
+
+  const assetKey = getAssetKey(asset);
+  const metadata = await loadCustomMetadataForAsset(assetKey);
+  const firstView = metadata?.views?.[0] ?? null;
+  const modelMatrix = buildModelMatrix(
+    firstView?.model ?? { applyCoordinateFlip: true },
+    entry.mesh.userData.coordinateConventionGuess,
+  );
+
+  const estimate = estimateUpVector(entry.mesh, { modelMatrix });
+  if (!estimate) return { leveled: false, skipped: "No ground plane found", estimate };
+  if (estimate.tiltDegrees < MIN_CORRECTION_DEGREES) {
+    return { leveled: false, skipped: "Already level", estimate };
+  }
+
+  const alignment = computeLevelingAlignment(modelMatrix, estimate);
+  const cameraPose = firstView ? undefined : buildFitCameraPose(entry.mesh, alignment);
+  const { saved } = await saveModelAlignmentForAsset(assetKey, alignment, { cameraPose });
+  if (!saved) throw new Error("Failed to save model alignment");
+
+  // Keep an on-screen mesh in sync with what was saved
+  if (entry.mesh.visible) {
+    applyCustomModelTransform(entry.mesh, { applyCoordinateFlip: true, ...alignment });
+  }
+  return { leveled: true, estimate };
+};
+
+/**
+ * Level every (non-proxy) asset in the collection.
+ * Splats loaded only for the run are released again.
+ */
+export const levelAllAssets = async ({ onProgress, onComplete } = {}) => {
+  const assets = getAssetList().filter((asset) => !asset?.isProxyView);
+  const results = [];
+  batchLevelAborted = false;
+
+  for (let i = 0; i < assets.length; i++) {
+    if (batchLevelAborted) break;
+    const asset = assets[i];
+    onProgress?.(i + 1, assets.length, asset.name);
+
+    const cacheKey = getCacheKey(asset);
+    const wasCached = getSplatCache().has(cacheKey);
+    try {
+      results.push({ asset, ...(await levelAsset(asset)) });
+    } catch (err) {
+      console.warn(`[HorizonLeveling] Failed to level ${asset.name}:`, err);
+      results.push({ asset, leveled: false, error: err.message });
+    }
+
+    if (!wasCached) {
+      retainOnlySplats(new Set([...getSplatCache().keys()].filter((key) => key !== cacheKey)));
+    }
+  }
+
+  onComplete?.(results);
+  return results;
+};
+
+export const abortBatchLeveling = () => {
+  batchLevelAborted = true;
+};
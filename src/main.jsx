@@ -8,7 +8,7 @@ import App from './components/App';
 import './style.css';
 
 // Initialize storage sources from IndexedDB on startup
-import { initializeSources } from './storage/index.js';
+import { initializeSources, startOfflineDownloads } from './storage/index.js';
 
 // Initialize storage sources first, then render the app
 const startApp = async () => {
@@ -21,6 +21,9 @@ const startApp = async () => {
     console.warn('[Storage] Failed to restore sources:', err);
   }
 
+  // Resume "available offline" downloads in the background
+  startOfflineDownloads();
+
   // Render the Preact app after sources are loaded
   render(<App />, document.getElementById('app'));
 };
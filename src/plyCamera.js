@@ -1,7 +1,7 @@
 import { PlyReader } from "@sparkjsdev/spark";
 import { buildCameraMetadata } from "./cameraMetadata.js";
 
-const FIELD_BYTES = {
+export const FIELD_BYTES = {
   char: 1,
   uchar: 1,
   short: 2,
@@ -12,7 +12,7 @@ const FIELD_BYTES = {
   double: 8,
 };
 
-const readScalar = (dataView, offset, type, littleEndian) => {
+export const readScalar = (dataView, offset, type, littleEndian) => {
   switch (type) {
     case "char":
       return dataView.getInt8(offset);
@@ -99,7 +99,7 @@ const computeElementStrideInfo = (element, dataView, elementOffset, littleEndian
   return { stride: first.stride, constant: true };
 };
 
-const skipElement = (element, dataView, elementOffset, littleEndian) => {
+export const skipElement = (element, dataView, elementOffset, littleEndian) => {
   if (element.count <= 0) return elementOffset;
 
   const properties = Object.entries(element.properties);
@@ -127,7 +127,7 @@ const skipElement = (element, dataView, elementOffset, littleEndian) => {
   return offset;
 };
 
-const readSinglePropertyElement = (element, dataView, elementOffset, littleEndian) => {
+export const readSinglePropertyElement = (element, dataView, elementOffset, littleEndian) => {
   const properties = Object.entries(element.properties);
   if (properties.length !== 1) return null;
 
@@ -149,18 +149,49 @@ const readSinglePropertyElement = (element, dataView, elementOffset, littleEndia
   return { propertyName, values, nextOffset: offset };
 };
 
-export const readPlyCamera = async (fileBytes) => {
-  const ply = new PlyReader({ fileBytes });
+// The format line follows "ply" directly, so the first bytes always contain it.
+const PLY_FORMAT_PATTERN = /^format\s+(\S+)/m;
+const PLY_FORMAT_PROBE_BYTES = 1024;
+
+// PlyReader builds its DataView from the start of the underlying buffer, so a
+// view that starts mid-buffer is copied before parsing.
+const atBufferStart = (fileBytes) => (fileBytes.byteOffset === 0 ? fileBytes : fileBytes.slice());
+
+/**
+ * Parse a PLY header for rewriting. ASCII PLYs are rejected up front because
+ * skipElement walks binary rows. Offsets into `data` plus `headerLength` index
+ * the returned `bytes`, which may be a copy of `fileBytes`.
+ * @param {Uint8Array} fileBytes
+ * @param {string} unsupportedMessage - Error message for non-binary files
+ * @returns {Promise<{ ply: PlyReader, bytes: Uint8Array, headerLength: number }>}
+ */
+export const readBinaryPlyHeader = async (fileBytes, unsupportedMessage) => {
+  const probe = new TextDecoder().decode(fileBytes.subarray(0, PLY_FORMAT_PROBE_BYTES));
+  if (!PLY_FORMAT_PATTERN.exec(probe)?.[1].startsWith("binary_")) {
+    const err = new Error(unsupportedMessage);
+    err.code = "UNSUPPORTED_FORMAT";
+    throw err;
+  }
+  const bytes = atBufferStart(fileBytes);
+  const ply = new PlyReader({ fileBytes: bytes });
+  await ply.parseHeader();
+  return { ply, bytes, headerLength: ply.data.byteOffset };
+};
+
+// ML-Sharp camera elements stored next to the vertex data.
+export const PLY_CAMERA_ELEMENTS = new Set(["intrinsic", "extrinsic", "image_size", "color_space"]);
+
+const readPlyCameraElements = async (fileBytes) => {
+  const ply = new PlyReader({ fileBytes: atBufferStart(fileBytes) });
   await ply.parseHeader();
 
   if (!ply.data) return null;
 
-  const wanted = new Set(["intrinsic", "extrinsic", "image_size", "color_space"]);
   const raw = {};
 
   let offset = 0;
   for (const [elementName, element] of Object.entries(ply.elements)) {
-    if (wanted.has(elementName)) {
+    if (PLY_CAMERA_ELEMENTS.has(elementName)) {
       const read = readSinglePropertyElement(element, ply.data, offset, ply.littleEndian);
       if (read) {
         raw[elementName] = read.values;
@@ -172,8 +203,134 @@ export const readPlyCamera = async (fileBytes) => {
     offset = skipElement(element, ply.data, offset, ply.littleEndian);
   }
 
+  return { raw, comments: ply.comments ?? [] };
+};
+
+export const readPlyCamera = async (fileBytes) => {
+  const elements = await readPlyCameraElements(fileBytes);
+  if (!elements) return null;
+
   return buildCameraMetadata({
-    ...raw,
-    headerComments: ply.comments ?? [],
+    ...elements.raw,
+    headerComments: elements.comments,
   });
 };
+
+/**
+ * Header comments of any PLY, with or without camera elements.
+ * @returns {Promise<string[]>}
+ */
+export const readPlyHeaderComments = async (fileBytes) => {
+  const ply = new PlyReader({ fileBytes });
+  await ply.parseHeader();
+  return ply.comments ?? [];
+};
+
+/**
+ * Raw ML-Sharp camera elements in the shape SOG stores as meta.json
+ * `sharp_metadata`, or null when the PLY has no intrinsics.
+ */
+export const readPlySharpMetadata = async (fileBytes) => {
+  const elements = await readPlyCameraElements(fileBytes);
+  if (!elements?.raw.intrinsic) return null;
+  return elements.raw;
+};
+
+// Property types ML-Sharp uses for its camera elements.
+const PLY_CAMERA_PROPERTY_TYPES = {
+  intrinsic: "float",
+  extrinsic: "float",
+  image_size: "uint",
+  color_space: "uchar",
+};
+
+const writeScalar = (dataView, offset, type, value, littleEndian) => {
+  switch (type) {
+    case "uchar":
+      dataView.setUint8(offset, value);
+      break;
+    case "uint":
+      dataView.setUint32(offset, value, littleEndian);
+      break;
+    case "float":
+      dataView.setFloat32(offset, value, littleEndian);
+      break;
+    default:
+      throw new Error(`Unsupported PLY field type: ${type}`);
+  }
+};
+
+/**
+ * Rewrite a binary PLY with the given ML-Sharp camera elements and header
+ * comments. Existing elements of the same name are dropped; the new ones are
+ * appended after the remaining elements, which are copied through
+ * byte-for-byte. Pass `{}` as `raw` to change only the comments.
+ * @param {Uint8Array} fileBytes
+ * @param {{ intrinsic?: number[], extrinsic?: number[], image_size?: number[], color_space?: number[] }} raw
+ * @param {Object} [options]
+ * @param {(comment: string) => boolean} [options.dropComment] - Existing comments to remove
+ * @param {string[]} [options.addComments] - Comments written after the format line
+ * @returns {Promise<Uint8Array>}
+ */
+export const writePlyCamera = async (fileBytes, raw, { dropComment, addComments = [] } = {}) => {
+  const { ply, bytes, headerLength } = await readBinaryPlyHeader(
+    fileBytes,
+    "Only binary PLY files can store camera data",
+  );
+  const replaced = Object.keys(raw).filter((name) => PLY_CAMERA_ELEMENTS.has(name) && Array.isArray(raw[name]));
+  const replacedSet = new Set(replaced);
+
+  const keptRanges = [];
+  let offset = 0;
+  for (const [elementName, element] of Object.entries(ply.elements)) {
+    const nextOffset = skipElement(element, ply.data, offset, ply.littleEndian);
+    if (!replacedSet.has(elementName)) {
+      keptRanges.push([headerLength + offset, headerLength + nextOffset]);
+    }
+    offset = nextOffset;
+  }
+
+  const headerLines = [];
+  let skipping = false;
+  for (const line of ply.header.trim().split("\n")) {
+    const fields = line.trim().split(" ");
+    if (fields[0] === "end_header") break;
+    if (fields[0] === "element") skipping = replacedSet.has(fields[1]);
+    if (skipping) continue;
+    if (fields[0] === "comment" && dropComment?.(line.trim().slice("comment ".length))) continue;
+    headerLines.push(line.trim());
+    if (fields[0] === "format") {
+      addComments.forEach((comment) => headerLines.push(`comment ${comment}`));
+    }
+  }
+  for (const name of replaced) {
+    headerLines.push(`element ${name} ${raw[name].length}`, `property ${PLY_CAMERA_PROPERTY_TYPES[name]} ${name}`);
+  }
+  headerLines.push("end_header");
+  const header = new TextEncoder().encode(`${headerLines.join("\n")}\n`);
+
+  const keptBytes = keptRanges.reduce((sum, [start, end]) => sum + (end - start), 0);
+  const cameraBytes = replaced.reduce(
+    (sum, name) => sum + raw[name].length * FIELD_BYTES[PLY_CAMERA_PROPERTY_TYPES[name]],
+    0,
+  );
+  const out = new Uint8Array(header.byteLength + keptBytes + cameraBytes);
+  out.set(header, 0);
+
+  let writeOffset = header.byteLength;
+  for (const [start, end] of keptRanges) {
+    out.set(bytes.subarray(start, end), writeOffset);
+    writeOffset += end - start;
+  }
+
+  const view = new DataView(out.buffer);
+  for (const name of replaced) {
+    const type = PLY_CAMERA_PROPERTY_TYPES[name];
+    for (const value of raw[name]) {
+      writeScalar(view, writeOffset, type, value, ply.littleEndian);
+      writeOffset += FIELD_BYTES[type];
+    }
+  }
+
+  return out;
+};
@@ -0,0 +1,367 @@
+/**
+ * PLY Stream Loader
+ * Progressive loading of large plain 3DGS PLY files from storage sources that
+ * support HTTP Range requests. The header is fetched first, a SplatMesh sized
+ * for the full splat count is created right away and vertex rows are decoded
+ * into it as each range arrives, so the scene fills in while downloading.
+ *
+ * Compressed PLYs, files with list properties and servers that ignore Range
+ * are not streamed; callers fall back to a regular whole-file download.
+ */
+
+import { PlyReader, PackedSplats, SplatMesh, setPackedSplat, utils } from "@sparkjsdev/spark";
+import { FIELD_BYTES, PLY_CAMERA_ELEMENTS, readSinglePropertyElement } from "./plyCamera.js";
+import { buildCameraMetadata } from "./cameraMetadata.js";
+
+/** Files smaller than this are downloaded whole. */
+export const STREAMING_MIN_BYTES = 64 * 1024 * 1024;
+
+// Spark's PlyReader assumes the text header fits in the first 64KB.
+const HEADER_RANGE_BYTES = 65536;
+const RANGE_CHUNK_BYTES = 8 * 1024 * 1024;
+const MAX_CAMERA_TAIL_BYTES = 1024 * 1024;
+const MAX_RANGE_RETRIES = 3;
+// Every publish re-uploads the packed splat texture, so keep them sparse.
+const PUBLISH_INTERVAL_MS = 500;
+const PROGRESS_INTERVAL_MS = 100;
+
+const NUM_F_REST_TO_SH_DEGREE = { 0: 0, 9: 1, 24: 2, 45: 3 };
+
+const parseContentRangeTotal = (response) => {
+  const match = /\/(\d+)\s*$/.exec(response.headers.get("Content-Range") || "");
+  return match ? Number(match[1]) : null;
+};
+
+// SuperSplat compressed layout; Spark decodes it from the whole file
+const isCompressedPly = (ply) => Boolean(ply.elements.chunk && ply.elements.vertex?.properties?.packed_position);
+
+const getRowLayout = (element) => {
+  const offsets = {};
+  let stride = 0;
+  for (const [name, property] of Object.entries(element.properties)) {
+    if (property.isList) return null;
+    offsets[name] = { offset: stride, type: property.type };
+    stride += FIELD_BYTES[property.type];
+  }
+  return { offsets, stride };
+};
+
+/**
+ * Work out byte offsets for every element. Streaming needs fixed-size rows
+ * throughout so the vertex block and camera elements can be located from the
+ * header alone.
+ */
+const getStreamLayout = (ply, headerLength) => {
+  const vertex = ply.elements.vertex;
+  if (!vertex?.properties?.x || !vertex.properties.y || !vertex.properties.z) return null;
+
+  const elements = [];
+  let offset = headerLength;
+  for (const element of Object.values(ply.elements)) {
+    const rowLayout = getRowLayout(element);
+    if (!rowLayout) return null;
+    elements.push({ element, offset, rowLayout });
+    offset += element.count * rowLayout.stride;
+  }
+
+  const vertexInfo = elements.find((info) => info.element === vertex);
+  return {
+    elements,
+    vertexStart: vertexInfo.offset,
+    vertexEnd: vertexInfo.offset + vertex.count * vertexInfo.rowLayout.stride,
+    vertexLayout: vertexInfo.rowLayout,
+    expectedBytes: offset,
+  };
+};
+
+const countFRest = (properties) => {
+  let count = 0;
+  while (properties[`f_rest_${count}`]) count += 1;
+  return count;
+};
+
+const createShBuffers = (shDegree, maxSplats) => {
+  const extra = {};
+  if (shDegree >= 1) extra.sh1 = new Uint32Array(maxSplats * 2);
+  if (shDegree >= 2) extra.sh2 = new Uint32Array(maxSplats * 4);
+  if (shDegree >= 3) extra.sh3 = new Uint32Array(maxSplats * 4);
+  return extra;
+};
+
+/**
+ * Decode a run of whole vertex rows with Spark's own PlyReader, so activation
+ * functions and SH ordering match a whole-file load. The reader is given the
+ * header it already parsed with the vertex count cut down to this run.
+ */
+const createVertexDecoder = ({ ply, packedArray, extra }) => {
+  const vertex = ply.elements.vertex;
+  let firstIndex = 0;
+  const onSplat = (index, ...splat) => setPackedSplat(packedArray, firstIndex + index, ...splat);
+  const onSh = (index, sh1, sh2, sh3) => {
+    if (sh1) utils.encodeSh1Rgb(extra.sh1, firstIndex + index, sh1);
+    if (sh2) utils.encodeSh2Rgb(extra.sh2, firstIndex + index, sh2);
+    if (sh3) utils.encodeSh3Rgb(extra.sh3, firstIndex + index, sh3);
+  };
+
+  return (view, rowCount, index) => {
+    const reader = new PlyReader({ fileBytes: new Uint8Array(0) });
+    reader.littleEndian = ply.littleEndian;
+    reader.elements = { vertex: { ...vertex, count: rowCount } };
+    reader.data = view;
+    firstIndex = index;
+    reader.parseSplats(onSplat, onSh);
+  };
+};
+
+// Feeds sequential byte chunks through the vertex decoder, carrying partial rows across chunk boundaries.
+const createRowConsumer = ({ vertexStart, vertexEnd, stride, decodeRows }) => {
+  const carry = new Uint8Array(stride);
+  const carryView = new DataView(carry.buffer);
+  let carryBytes = 0;
+  let rows = 0;
+
+  return {
+    get rows() {
+      return rows;
+    },
+    push(chunk, chunkStart) {
+      const start = Math.max(chunkStart, vertexStart);
+      const end = Math.min(chunkStart + chunk.byteLength, vertexEnd);
+      if (end <= start) return;
+      let bytes = chunk.subarray(start - chunkStart, end - chunkStart);
+
+      if (carryBytes > 0) {
+        const take = Math.min(stride - carryBytes, bytes.byteLength);
+        carry.set(bytes.subarray(0, take), carryBytes);
+        carryBytes += take;
+        bytes = bytes.subarray(take);
+        if (carryBytes < stride) return;
+        decodeRows(carryView, 1, rows);
+        rows += 1;
+        carryBytes = 0;
+      }
+
+      const fullRows = Math.floor(bytes.byteLength / stride);
+      if (fullRows > 0) {
+        decodeRows(new DataView(bytes.buffer, bytes.byteOffset, fullRows * stride), fullRows, rows);
+        rows += fullRows;
+      }
+      const remainder = bytes.byteLength - fullRows * stride;
+      if (remainder > 0) {
+        carry.set(bytes.subarray(fullRows * stride));
+        carryBytes = remainder;
+      }
+    },
+  };
+};
+
+/**
+ * Read [start, end) through one or more Range requests, resuming from the
+ * last received byte when a request fails part-way.
+ */
+const readRange = async ({ source, remoteAsset, start, end, signal, onBytes }) => {
+  let offset = start;
+  let failures = 0;
+  while (offset < end) {
+    try {
+      const response = await source.fetchAssetRange(remoteAsset, offset, end - 1, { signal });
+      if (response.status !== 206) {
+        response.body?.cancel().catch(() => {});
+        const err = new Error(`Range request returned ${response.status}`);
+        err.code = "RANGE_UNSUPPORTED";
+        throw err;
+      }
+      const reader = response.body.getReader();
+      while (offset < end) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        const bytes = value.byteLength > end - offset ? value.subarray(0, end - offset) : value;
+        onBytes(bytes, offset);
+        offset += bytes.byteLength;
+        failures = 0;
+      }
+      if (offset < end) {
+        throw new Error(`Range response ended at byte ${offset} of ${end}`);
+      }
+      reader.cancel().catch(() => {});
+    } catch (err) {
+      if (signal?.aborted || err?.code === "RANGE_UNSUPPORTED") throw err;
+      failures += 1;
+      if (failures > MAX_RANGE_RETRIES) throw err;
+      console.warn(`[PlyStream] Range request failed at byte ${offset}, retrying (${failures}/${MAX_RANGE_RETRIES})`, err);
+    }
+  }
+};
+
+const readRangeBytes = async (options) => {
+  const bytes = new Uint8Array(options.end - options.start);
+  await readRange({
+    ...options,
+    onBytes: (chunk, offset) => bytes.set(chunk, offset - options.start),
+  });
+  return bytes;
+};
+
+const readStreamCamera = async ({ ply, layout, headerBytes, totalBytes, fetchOptions }) => {
+  const cameraElements = layout.elements.filter(({ element }) => PLY_CAMERA_ELEMENTS.has(element.name));
+  const tailBytes = totalBytes - layout.vertexEnd;
+  const needsTail = cameraElements.some(({ offset }) => offset >= layout.vertexEnd);
+
+  let tail = null;
+  if (needsTail && tailBytes > 0 && tailBytes <= MAX_CAMERA_TAIL_BYTES) {
+    tail = await readRangeBytes({ ...fetchOptions, start: layout.vertexEnd, end: totalBytes });
+  }
+
+  const regions = [
+    { start: 0, bytes: headerBytes },
+    tail && { start: layout.vertexEnd, bytes: tail },
+  ].filter(Boolean);
+
+  const raw = {};
+  for (const { element, offset, rowLayout } of cameraElements) {
+    const size = element.count * rowLayout.stride;
+    const region = regions.find(({ start, bytes }) => offset >= start && offset + size <= start + bytes.byteLength);
+    if (!region) continue;
+    const view = new DataView(region.bytes.buffer, region.bytes.byteOffset, region.bytes.byteLength);
+    const read = readSinglePropertyElement(element, view, offset - region.start, ply.littleEndian);
+    if (read) raw[element.name] = read.values;
+  }
+
+  return buildCameraMetadata({
+    ...raw,
+    headerComments: ply.comments ?? [],
+  });
+};
+
+/**
+ * Start streaming a PLY asset into a SplatMesh.
+ * Resolves once the first range has been decoded, or null when the asset
+ * cannot be streamed (caller should download it whole instead).
+ *
+ * @param {Object} options
+ * @param {import('./storage/AssetSource.js').AssetSource} options.source - Source implementing fetchAssetRange()
+ * @param {import('./storage/types.js').RemoteAssetDescriptor} options.remoteAsset
+ * @param {string} options.fileName
+ * @param {AbortSignal} [options.signal]
+ * @param {(event: { stage: 'download', loaded: number, total: number }) => void} [options.onProgress]
+ * @returns {Promise<{ mesh: SplatMesh, cameraMetadata: Object | null, totalBytes: number, done: Promise<File> } | null>}
+ *   `done` resolves with the complete file once every range has arrived and
+ *   rejects when a later range fails, leaving `mesh` partially filled
+ */
+export const openPlyStream = async ({ source, remoteAsset, fileName, signal, onProgress }) => {
+  const fetchOptions = { source, remoteAsset, signal };
+
+  const headerResponse = await source.fetchAssetRange(remoteAsset, 0, HEADER_RANGE_BYTES - 1, { signal });
+  const totalBytes = headerResponse.status === 206 ? parseContentRangeTotal(headerResponse) : null;
+  if (!totalBytes || totalBytes < STREAMING_MIN_BYTES) {
+    headerResponse.body?.cancel().catch(() => {});
+    return null;
+  }
+  const headerBytes = new Uint8Array(await headerResponse.arrayBuffer());
+
+  const ply = new PlyReader({ fileBytes: headerBytes });
+  try {
+    await ply.parseHeader();
+  } catch (err) {
+    console.warn(`[PlyStream] Could not parse PLY header for ${fileName}, downloading whole file`, err);
+    return null;
+  }
+  if (isCompressedPly(ply)) return null;
+
+  const layout = getStreamLayout(ply, ply.data.byteOffset);
+  if (!layout || layout.expectedBytes > totalBytes || layout.vertexEnd <= headerBytes.byteLength) {
+    return null;
+  }
+
+  const shDegree = NUM_F_REST_TO_SH_DEGREE[countFRest(ply.elements.vertex.properties)];
+  if (shDegree == null) return null;
+
+  let cameraMetadata = null;
+  try {
+    cameraMetadata = await readStreamCamera({ ply, layout, headerBytes, totalBytes, fetchOptions });
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    console.warn(`[PlyStream] Failed to read camera metadata for ${fileName}:`, err);
+  }
+
+  const numSplats = ply.elements.vertex.count;
+  const { maxSplats } = utils.getTextureSize(numSplats);
+  const packedArray = new Uint32Array(maxSplats * 4);
+  const extra = createShBuffers(shDegree, maxSplats);
+  const packedSplats = new PackedSplats({ packedArray, numSplats: 0, extra });
+  const mesh = new SplatMesh({ packedSplats });
+
+  // Release the mesh on any failure before it is handed over; after that a
+  // rejected `done` is the caller's to clean up
+  try {
+    await mesh.initialized;
+
+    const consumer = createRowConsumer({
+      vertexStart: layout.vertexStart,
+      vertexEnd: layout.vertexEnd,
+      stride: layout.vertexLayout.stride,
+      decodeRows: createVertexDecoder({ ply, packedArray, extra }),
+    });
+
+    let publishedRows = 0;
+    let lastPublish = 0;
+    let lastProgress = 0;
+    const publish = () => {
+      if (consumer.rows === publishedRows) return;
+      publishedRows = consumer.rows;
+      packedSplats.numSplats = publishedRows;
+      packedSplats.needsUpdate = true;
+      ["sh1Texture", "sh2Texture", "sh3Texture"].forEach((key) => {
+        if (packedSplats.extra[key]?.value) packedSplats.extra[key].value.needsUpdate = true;
+      });
+      mesh.numSplats = publishedRows;
+      mesh.updateVersion();
+      lastPublish = performance.now();
+    };
+
+    const parts = [headerBytes];
+    let loaded = headerBytes.byteLength;
+    consumer.push(headerBytes, 0);
+    onProgress?.({ stage: "download", loaded, total: totalBytes });
+
+    let resolveFirstRange;
+    const firstRange = new Promise((resolve) => {
+      resolveFirstRange = resolve;
+    });
+
+    const streamRemaining = async () => {
+      for (let start = headerBytes.byteLength; start < totalBytes; start += RANGE_CHUNK_BYTES) {
+        await readRange({
+          ...fetchOptions,
+          start,
+          end: Math.min(totalBytes, start + RANGE_CHUNK_BYTES),
+          onBytes: (bytes, offset) => {
+            parts.push(bytes);
+            consumer.push(bytes, offset);
+            loaded = offset + bytes.byteLength;
+            const now = performance.now();
+            if (now - lastPublish >= PUBLISH_INTERVAL_MS) publish();
+            if (now - lastProgress >= PROGRESS_INTERVAL_MS) {
+              lastProgress = now;
+              onProgress?.({ stage: "download", loaded, total: totalBytes });
+            }
+          },
+        });
+        if (start === headerBytes.byteLength) {
+          publish();
+          resolveFirstRange();
+        }
+      }
+      publish();
+      onProgress?.({ stage: "download", loaded: totalBytes, total: totalBytes });
+      return new File(parts, fileName);
+    };
+
+    const done = streamRemaining();
+    await Promise.race([firstRange, done]);
+    return { mesh, cameraMetadata, headerComments: ply.comments ?? [], totalBytes, done };
+  } catch (err) {
+    mesh.dispose();
+    throw err;
+  }
+};
@@ -2,6 +2,7 @@
  * Preview management: hydration, encoding, capture registration.
  */
 import { loadPreviewBlob } from "./fileStorage.js";
+import { getAssetKey } from "./storage/assetKeys.js";
 import { setCapturePreviewFn } from "./assetManager.js";
 import { scene, renderer, composer, currentMesh, forceRenderNow, THREE, bgImageUrl } from "./viewer.js";
 
@@ -36,10 +37,11 @@ export const replacePreviewUrl = (asset, url) => {
 
 export const hydrateAssetPreviewFromStorage = async (asset) => {
   if (!asset || asset.preview) return null;
-  const preferredKey = asset.previewStorageKey || asset.name;
-  let storedPreview = await loadPreviewBlob(asset.name, preferredKey);
-  if (!storedPreview && preferredKey !== asset.name) {
-    storedPreview = await loadPreviewBlob(asset.name, asset.name);
+  const assetKey = getAssetKey(asset);
+  const preferredKey = asset.previewStorageKey || assetKey;
+  let storedPreview = await loadPreviewBlob(assetKey, preferredKey);
+  if (!storedPreview && preferredKey !== assetKey) {
+    storedPreview = await loadPreviewBlob(assetKey, assetKey);
   }
   if (storedPreview?.blob) {
     const objectUrl = URL.createObjectURL(storedPreview.blob);
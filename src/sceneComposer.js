@@ -0,0 +1,321 @@
+/**
+ * Scene composition
+ * Shows several assets of the current collection together. Each mesh is
+ * wrapped in a placement group carrying the scene transform, so the per-asset
+ * model transform (CV→GL flip, custom scale) on the mesh itself stays intact.
+ * Layouts are stored as scene documents in the collection manifest.
+ */
+
+import { scene, currentMesh, spark, THREE, requestRender } from "./viewer.js";
+import { ensureSplatEntry, getSplatCache, getSplatGroup, pinSplats } from "./splatManager.js";
+import { applyAssetModelTransform, resolveAssetView } from "./customMetadata.js";
+import { makeAxisFlipCvToGl } from "./cameraUtils.js";
+import { normalizeSceneDocument, normalizeSceneItem } from "./storage/sceneDocuments.js";
+import { GIZMO_MODES, attachTransformGizmo, detachTransformGizmo, getTransformGizmoTarget } from "./transformGizmo.js";
+
+export { GIZMO_MODES };
+
+const getAssetPath = (asset) => asset?._remoteAsset?.path || asset?.path || asset?.name;
+
+let composition = null; // { scene, placements: Map<path, placement>, selectedPath, gizmoMode }
+const listeners = new Set();
+
+const notify = () => {
+  const snapshot = getSceneComposition();
+  listeners.forEach((listener) => {
+    try {
+      listener(snapshot);
+    } catch (err) {
+      console.warn("[SceneComposer] Listener failed", err);
+    }
+  });
+};
+
+/**
+ * Subscribe to composition changes.
+ * @param {(snapshot: Object | null) => void} listener
+ * @returns {() => void} Unsubscribe
+ */
+export const onSceneCompositionChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const isSceneCompositionActive = () => composition !== null;
+
+/**
+ * Current composition state (scene document + selection), or null.
+ */
+export const getSceneComposition = () => {
+  if (!composition) return null;
+  return {
+    scene: {
+      ...composition.scene,
+      items: [...composition.placements.values()].map((placement) => ({ ...placement.item })),
+    },
+    selectedPath: composition.selectedPath,
+    gizmoMode: composition.gizmoMode,
+    missing: [...composition.missing],
+  };
+};
+
+/**
+ * Find the collection asset an item refers to (manifest path first, then file name).
+ */
+export const findAssetForSceneItem = (assets, item) => {
+  const candidates = (assets || []).filter((asset) => !asset?.isProxyView);
+  return candidates.find((asset) => getAssetPath(asset) === item.path)
+    || candidates.find((asset) => asset?.name === item.name)
+    || null;
+};
+
+/**
+ * Bring a mesh into viewer (GL) space with the asset's stored model transform
+ * (convention, alignment, scale), the same way loadSplatFile does.
+ */
+const ensureViewerSpace = async (entry, asset) => {
+  const { mesh } = entry;
+  if (mesh.userData.__cvToThreeApplied) return;
+  const { selectedView } = await resolveAssetView(asset);
+  if (entry.cameraMetadata?.intrinsics && !selectedView?.cameraPose) {
+    mesh.applyMatrix4(makeAxisFlipCvToGl());
+    mesh.userData.__cvToThreeApplied = true;
+    mesh.updateMatrixWorld(true);
+  } else {
+    applyAssetModelTransform(mesh, { cameraMetadata: entry.cameraMetadata, view: selectedView });
+  }
+};
+
+const applyPlacement = (placement) => {
+  const { group, mesh, item } = placement;
+  group.position.fromArray(item.position);
+  group.rotation.set(...item.rotation.map((deg) => THREE.MathUtils.degToRad(deg)), "XYZ");
+  group.scale.setScalar(item.scale);
+  group.updateMatrixWorld(true);
+  mesh.visible = item.visible;
+  mesh.opacity = item.opacity;
+  requestRender();
+};
+
+const readPlacement = (placement) => {
+  const { group, item } = placement;
+  item.position = group.position.toArray();
+  item.rotation = [group.rotation.x, group.rotation.y, group.rotation.z].map((rad) => THREE.MathUtils.radToDeg(rad));
+  item.scale = group.scale.x;
+};
+
+const placeEntry = async (entry, asset, item) => {
+  await ensureViewerSpace(entry, asset);
+  const group = new THREE.Group();
+  group.name = `ScenePlacement:${item.name}`;
+  getSplatGroup().add(group);
+  group.add(entry.mesh);
+  const placement = { key: entry.id, mesh: entry.mesh, group, item };
+  applyPlacement(placement);
+  return placement;
+};
+
+const unplace = (placement) => {
+  const { group, mesh } = placement;
+  // Entries trimmed from the cache while composed were already disposed
+  if (getSplatCache().get(placement.key)?.mesh === mesh) {
+    getSplatGroup().add(mesh);
+    mesh.opacity = 1;
+    mesh.visible = mesh === currentMesh;
+  }
+  group.removeFromParent();
+};
+
+const updatePins = () => {
+  pinSplats(new Set(composition ? [...composition.placements.values()].map((placement) => placement.key) : []));
+};
+
+const releaseGizmo = () => {
+  const target = getTransformGizmoTarget();
+  if (target && composition && [...composition.placements.values()].some((placement) => placement.group === target)) {
+    detachTransformGizmo(target);
+  }
+};
+
+const attachGizmo = () => {
+  const placement = composition?.placements.get(composition.selectedPath);
+  if (!placement) {
+    releaseGizmo();
+    return;
+  }
+  attachTransformGizmo(placement.group, {
+    mode: composition.gizmoMode,
+    onChange: () => {
+      readPlacement(placement);
+      notify();
+    },
+  });
+};
+
+const loadPlacement = async (asset, item, { onProgress } = {}) => {
+  const entry = await ensureSplatEntry(asset, { onProgress });
+  if (!entry) throw new Error(`Unable to load ${asset.name}`);
+  return placeEntry(entry, asset, item);
+};
+
+/**
+ * Show a scene document, replacing any open composition.
+ * Assets that cannot be found or loaded are reported in `missing`.
+ * @param {Object} sceneDocument
+ * @param {Object[]} assets - Current collection assets
+ * @param {{ onProgress?: (current: number, total: number, name: string) => void }} [options]
+ * @returns {Promise<Object>} Composition snapshot
+ */
+export const openSceneComposition = async (sceneDocument, assets, { onProgress } = {}) => {
+  closeSceneComposition({ silent: true });
+  const normalized = normalizeSceneDocument(sceneDocument);
+  if (!normalized) throw new Error("Invalid scene document");
+  const { items, ...sceneInfo } = normalized;
+
+  composition = {
+    scene: sceneInfo,
+    placements: new Map(),
+    selectedPath: null,
+    gizmoMode: GIZMO_MODES[0],
+    missing: [],
+  };
+  const current = composition;
+
+  // Only scene items are shown while composing
+  getSplatCache().forEach((entry) => {
+    entry.mesh.visible = false;
+  });
+
+  for (let i = 0; i < items.length; i += 1) {
+    const item = items[i];
+    onProgress?.(i + 1, items.length, item.name);
+    const asset = findAssetForSceneItem(assets, item);
+    if (!asset) {
+      current.missing.push(item.name);
+      continue;
+    }
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const placement = await loadPlacement(asset, item);
+      if (composition !== current) {
+        unplace(placement);
+        return null;
+      }
+      current.placements.set(item.path, placement);
+      updatePins();
+    } catch (err) {
+      console.warn(`[SceneComposer] Failed to load ${item.name}:`, err);
+      current.missing.push(item.name);
+    }
+  }
+
+  spark?.update?.({ scene });
+  requestRender();
+  notify();
+  return getSceneComposition();
+};
+
+/**
+ * Start an empty composition seeded with the given asset.
+ */
+export const startSceneComposition = async (name, asset) => {
+  const item = asset ? normalizeSceneItem({ path: getAssetPath(asset), name: asset.name }) : null;
+  return openSceneComposition({ name, items: item ? [item] : [] }, asset ? [asset] : []);
+};
+
+/**
+ * Add an asset to the open composition at the origin.
+ */
+export const addSceneItem = async (asset) => {
+  if (!composition || !asset) return null;
+  const path = getAssetPath(asset);
+  if (composition.placements.has(path)) return composition.placements.get(path).item;
+  const current = composition;
+  const item = normalizeSceneItem({ path, name: asset.name });
+  const placement = await loadPlacement(asset, item);
+  if (composition !== current) {
+    unplace(placement);
+    return null;
+  }
+  current.placements.set(path, placement);
+  current.selectedPath = path;
+  updatePins();
+  attachGizmo();
+  spark?.update?.({ scene });
+  notify();
+  return item;
+};
+
+export const removeSceneItem = (path) => {
+  const placement = composition?.placements.get(path);
+  if (!placement) return;
+  if (composition.selectedPath === path) {
+    composition.selectedPath = null;
+    detachTransformGizmo(placement.group);
+  }
+  unplace(placement);
+  placement.mesh.visible = false;
+  composition.placements.delete(path);
+  updatePins();
+  requestRender();
+  notify();
+};
+
+/**
+ * Patch an item's transform, visibility or opacity.
+ * @param {string} path
+ * @param {Partial<import('./storage/sceneDocuments.js').SceneItem>} patch
+ */
+export const updateSceneItem = (path, patch) => {
+  const placement = composition?.placements.get(path);
+  if (!placement) return;
+  placement.item = normalizeSceneItem({ ...placement.item, ...patch });
+  applyPlacement(placement);
+  notify();
+};
+
+/**
+ * Select the item the transform gizmo is attached to (null to detach).
+ */
+export const selectSceneItem = (path) => {
+  if (!composition) return;
+  composition.selectedPath = composition.placements.has(path) ? path : null;
+  attachGizmo();
+  notify();
+};
+
+export const setSceneGizmoMode = (mode) => {
+  if (!composition || !GIZMO_MODES.includes(mode)) return;
+  composition.gizmoMode = mode;
+  attachGizmo();
+  notify();
+};
+
+export const renameSceneComposition = (name) => {
+  if (!composition) return;
+  composition.scene.name = name;
+  notify();
+};
+
+/**
+ * Record the id assigned when the scene was first saved.
+ */
+export const setSceneCompositionId = (id) => {
+  if (!composition || !id) return;
+  composition.scene.id = id;
+  notify();
+};
+
+/**
+ * Leave composition mode and restore the single-asset view.
+ * @param {{ silent?: boolean }} [options]
+ */
+export const closeSceneComposition = ({ silent = false } = {}) => {
+  if (!composition) return;
+  releaseGizmo();
+  composition.placements.forEach(unplace);
+  composition = null;
+  updatePins();
+  requestRender();
+  if (!silent) notify();
+};
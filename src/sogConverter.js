@@ -0,0 +1,85 @@
+/**
+ * SOG Converter
+ * Main-thread entry point for PLY -> SOG conversion. Each conversion runs in
+ * its own sogTranscodeWorker.js (encoding is CPU-bound and can take several
+ * seconds on large scenes); falls back to the main thread when workers are
+ * unavailable.
+ */
+
+import { transcodePlyToSog } from "./sogTranscoder.js";
+
+let workersUnavailable = typeof Worker === "undefined";
+
+const transcodeInWorker = (buffer, onProgress) =>
+  new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./sogTranscodeWorker.js", import.meta.url), {
+      type: "module",
+      name: "sog-transcode",
+    });
+    const finish = (callback, value) => {
+      worker.terminate();
+      callback(value);
+    };
+    worker.onmessage = ({ data }) => {
+      if (data?.type === "progress") {
+        onProgress?.({ stage: data.stage, progress: data.progress });
+      } else if (data?.type === "result") {
+        finish(resolve, new Uint8Array(data.buffer));
+      } else {
+        const error = new Error(data?.message || "SOG conversion failed");
+        if (data?.code) error.code = data.code;
+        finish(reject, error);
+      }
+    };
+    worker.onerror = (event) => {
+      console.warn("[SogConverter] Worker failed, falling back to main thread", event?.message ?? event);
+      event?.preventDefault?.();
+      workersUnavailable = true;
+      const error = new Error(event?.message || "SOG transcode worker failed");
+      error.workerFailed = true;
+      finish(reject, error);
+    };
+    worker.postMessage({ buffer }, [buffer]);
+  });
+
+// Encoder stages in the order transcodePlyToSog reports them.
+const CONVERSION_STEPS = ["read", "means", "scales", "quats", "sh0", "shN", "package"];
+
+/**
+ * Map a transcoder progress event onto 0..1 for the whole conversion.
+ * @param {{ stage: string, progress: number }} event
+ * @returns {number}
+ */
+export const getSogConversionProgress = ({ stage, progress }) => {
+  const step = CONVERSION_STEPS.indexOf(stage);
+  if (step < 0) return 0;
+  return Math.min(1, (step + Math.max(0, Math.min(1, progress || 0))) / CONVERSION_STEPS.length);
+};
+
+export const getSogFileName = (fileName) => `${(fileName || "splat").replace(/\.[^./\\]+$/, "")}.sog`;
+
+/**
+ * Convert a PLY file into a SOG bundle, carrying ML-Sharp camera elements over
+ * as meta.json `sharp_metadata`.
+ *
+ * @param {File} file
+ * @param {Object} [options]
+ * @param {(event: { stage: string, progress: number }) => void} [options.onProgress]
+ * @returns {Promise<File>} `<name>.sog`
+ */
+export const convertPlyToSog = async (file, { onProgress } = {}) => {
+  let bytes = null;
+  if (!workersUnavailable) {
+    try {
+      bytes = await transcodeInWorker(await file.arrayBuffer(), onProgress);
+    } catch (err) {
+      if (!err?.workerFailed) throw err;
+    }
+  }
+  if (!bytes) {
+    // The buffer handed to a failed worker is detached, so read the file again.
+    bytes = await transcodePlyToSog(new Uint8Array(await file.arrayBuffer()), { onProgress });
+  }
+
+  return new File([bytes], getSogFileName(file.name), { type: "application/zip" });
+};
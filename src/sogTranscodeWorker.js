@@ -0,0 +1,30 @@
+/**
+ * SOG transcode worker.
+ * Runs PLY -> SOG conversion (k-means codebooks, SH palette, WebP encoding)
+ * off the main thread. Spawned per conversion by sogConverter.js.
+ *
+ * Request:  { buffer }                          (buffer is transferred in)
+ * Progress: { type: 'progress', stage, progress }
+ * Result:   { type: 'result', buffer }          (SOG zip, transferred back)
+ * Error:    { type: 'error', message, code }
+ */
+
+import { transcodePlyToSog } from "./sogTranscoder.js";
+
+const handleTranscode = async ({ buffer }) => {
+  const sog = await transcodePlyToSog(new Uint8Array(buffer), {
+    onProgress: ({ stage, progress }) => self.postMessage({ type: "progress", stage, progress }),
+  });
+  const result = sog.byteOffset === 0 && sog.byteLength === sog.buffer.byteLength ? sog.buffer : sog.slice().buffer;
+  self.postMessage({ type: "result", buffer: result }, [result]);
+};
+
+self.onmessage = (event) => {
+  handleTranscode(event.data).catch((err) => {
+    self.postMessage({
+      type: "error",
+      message: err?.message ?? String(err),
+      code: err?.code,
+    });
+  });
+};
@@ -0,0 +1,97 @@
+/**
+ * PLY -> SOG transcoding.
+ * Reads splats with Spark's PlyReader (plain and compressed PLY layouts),
+ * carries ML-Sharp camera elements over as `sharp_metadata`, and encodes the
+ * result with formats/sogWriter.js. Worker-safe: no DOM or three.js access.
+ */
+
+import { PlyReader } from "@sparkjsdev/spark";
+import { plyFormat } from "./formats/ply.js";
+import { encodeSog } from "./formats/sogWriter.js";
+import { readPlySharpMetadata } from "./plyCamera.js";
+
+const SH_COEFFS_FOR_DEGREE = { 0: 0, 1: 3, 2: 8, 3: 15 };
+const PROGRESS_INTERVAL = 65536;
+
+/**
+ * Read every splat of a PLY into flat float arrays.
+ * @param {Uint8Array} bytes
+ * @param {{ onProgress?: (fraction: number) => void }} [options]
+ */
+export const readPlySplats = async (bytes, { onProgress } = {}) => {
+  const ply = new PlyReader({ fileBytes: bytes });
+  await ply.parseHeader();
+
+  const numSplats = ply.elements.vertex?.count ?? 0;
+  const positions = new Float32Array(numSplats * 3);
+  const scales = new Float32Array(numSplats * 3);
+  const quaternions = new Float32Array(numSplats * 4);
+  const opacities = new Float32Array(numSplats);
+  const colors = new Float32Array(numSplats * 3);
+  let shDegree = 0;
+  let sh = null;
+
+  ply.parseSplats(
+    (index, x, y, z, scaleX, scaleY, scaleZ, quatX, quatY, quatZ, quatW, opacity, r, g, b) => {
+      if (onProgress && index % PROGRESS_INTERVAL === 0) {
+        onProgress(index / numSplats);
+      }
+      const i3 = index * 3;
+      const i4 = index * 4;
+      positions[i3] = x;
+      positions[i3 + 1] = y;
+      positions[i3 + 2] = z;
+      scales[i3] = scaleX;
+      scales[i3 + 1] = scaleY;
+      scales[i3 + 2] = scaleZ;
+      quaternions[i4] = quatX;
+      quaternions[i4 + 1] = quatY;
+      quaternions[i4 + 2] = quatZ;
+      quaternions[i4 + 3] = quatW;
+      opacities[index] = opacity;
+      colors[i3] = r;
+      colors[i3 + 1] = g;
+      colors[i3 + 2] = b;
+    },
+    (index, sh1, sh2, sh3) => {
+      if (!sh) {
+        shDegree = sh3 ? 3 : sh2 ? 2 : 1;
+        sh = new Float32Array(numSplats * SH_COEFFS_FOR_DEGREE[shDegree] * 3);
+      }
+      const stride = SH_COEFFS_FOR_DEGREE[shDegree] * 3;
+      sh.set(sh1, index * stride);
+      if (sh2) sh.set(sh2, index * stride + 9);
+      if (sh3) sh.set(sh3, index * stride + 24);
+    },
+  );
+
+  onProgress?.(1);
+  return { numSplats, positions, scales, quaternions, opacities, colors, shDegree, sh };
+};
+
+/**
+ * Transcode PLY bytes into a SOG zip bundle.
+ * @param {Uint8Array} bytes
+ * @param {{ onProgress?: (event: { stage: string, progress: number }) => void }} [options]
+ * @returns {Promise<Uint8Array>}
+ */
+export const transcodePlyToSog = async (bytes, { onProgress } = {}) => {
+  if (!plyFormat.detect(bytes)) {
+    const err = new Error("Only PLY files can be converted to SOG");
+    err.code = "UNSUPPORTED_FORMAT";
+    throw err;
+  }
+
+  const splats = await readPlySplats(bytes, {
+    onProgress: (progress) => onProgress?.({ stage: "read", progress }),
+  });
+
+  let sharpMetadata = null;
+  try {
+    sharpMetadata = await readPlySharpMetadata(bytes);
+  } catch (err) {
+    console.warn("[SogTranscoder] Failed to read camera elements:", err);
+  }
+
+  return encodeSog(splats, { sharpMetadata, onProgress });
+};
@@ -0,0 +1,191 @@
+/**
+ * Crop box and near/far clipping planes for splat meshes.
+ *
+ * Cropping is done at render time with Spark SplatEdits parented to the mesh,
+ * so the region is expressed in the splat file's own coordinates and follows
+ * any model transform (CV→GL flip, custom scale). Each constraint is its own
+ * edit that multiplies opacity by zero on the rejected side:
+ *   box  - oriented box (center, full size, XYZ rotation in degrees), hides outside
+ *   near - plane at local z = near, hides z < near
+ *   far  - plane at local z = far, hides z > far
+ * For ML-Sharp files local +z is the capture camera's viewing direction.
+ */
+
+import { SplatEdit, SplatEditSdf, SplatEditSdfType, SplatEditRgbaBlendMode } from "@sparkjsdev/spark";
+import { THREE, requestRender } from "./viewer.js";
+import { sampleCenterBounds } from "./utils/splatStats.js";
+
+export const DEFAULT_SPLAT_CROP = {
+  enabled: false,
+  box: null, // { center: [x, y, z], size: [x, y, z], rotation: [x, y, z] }
+  near: null,
+  far: null,
+};
+
+const CROP_USERDATA_KEY = "__splatCrop";
+const CROP_GUIDE_COLOR = 0x6c8cff;
+const BOUNDS_SAMPLES = 50_000;
+
+const makeHideEdit = (name, sdf, { invert = false } = {}) => {
+  const edit = new SplatEdit({
+    name,
+    rgbaBlendMode: SplatEditRgbaBlendMode.MULTIPLY,
+    invert,
+  });
+  sdf.opacity = 0;
+  sdf.color.setRGB(1, 1, 1);
+  edit.add(sdf);
+  return edit;
+};
+
+const toEuler = (rotation) => new THREE.Euler(
+  ...(rotation ?? [0, 0, 0]).map((deg) => THREE.MathUtils.degToRad(deg || 0)),
+  "XYZ",
+);
+
+const hasBox = (crop) => Array.isArray(crop?.box?.center) && Array.isArray(crop?.box?.size);
+
+const buildCropObjects = (crop) => {
+  const objects = [];
+
+  if (hasBox(crop)) {
+    // SDF box sizes are half extents (carried in the object's scale)
+    const sdf = new SplatEditSdf({ type: SplatEditSdfType.BOX, radius: 0 });
+    sdf.position.fromArray(crop.box.center);
+    sdf.rotation.copy(toEuler(crop.box.rotation));
+    sdf.scale.fromArray(crop.box.size).multiplyScalar(0.5);
+    objects.push(makeHideEdit("crop-box", sdf, { invert: true }));
+  }
+
+  // Plane SDFs hide their local z < 0 half-space
+  if (Number.isFinite(crop?.near)) {
+    const sdf = new SplatEditSdf({ type: SplatEditSdfType.PLANE });
+    sdf.position.set(0, 0, crop.near);
+    objects.push(makeHideEdit("crop-near", sdf));
+  }
+  if (Number.isFinite(crop?.far)) {
+    const sdf = new SplatEditSdf({ type: SplatEditSdfType.PLANE });
+    sdf.position.set(0, 0, crop.far);
+    sdf.rotation.set(Math.PI, 0, 0);
+    objects.push(makeHideEdit("crop-far", sdf));
+  }
+
+  return objects;
+};
+
+const getCropState = (mesh) => {
+  if (!mesh.userData[CROP_USERDATA_KEY]) {
+    mesh.userData[CROP_USERDATA_KEY] = { edits: [], guide: null };
+  }
+  return mesh.userData[CROP_USERDATA_KEY];
+};
+
+const removeEdits = (mesh, state) => {
+  state.edits.forEach((edit) => mesh.remove(edit));
+  state.edits = [];
+};
+
+/**
+ * Apply (or replace) the crop on a mesh. Passing a disabled or empty crop clears it.
+ * @param {Object} mesh - SplatMesh
+ * @param {Object | null} crop
+ */
+export const applySplatCrop = (mesh, crop) => {
+  if (!mesh) return;
+  const state = getCropState(mesh);
+  removeEdits(mesh, state);
+  if (crop?.enabled) {
+    state.edits = buildCropObjects(crop);
+    state.edits.forEach((edit) => mesh.add(edit));
+  }
+  updateCropGuide(mesh, crop);
+  requestRender();
+};
+
+export const clearSplatCrop = (mesh) => applySplatCrop(mesh, null);
+
+/**
+ * Show a wireframe of the crop box while it is being edited.
+ * @param {Object} mesh
+ * @param {Object | null} crop
+ * @param {boolean} [visible]
+ */
+export const updateCropGuide = (mesh, crop, visible) => {
+  if (!mesh) return;
+  const state = getCropState(mesh);
+  if (!state.guide) {
+    state.guide = new THREE.LineSegments(
+      new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1)),
+      new THREE.LineBasicMaterial({ color: CROP_GUIDE_COLOR, transparent: true, opacity: 0.8 }),
+    );
+    state.guide.name = "crop-guide";
+    state.guide.visible = false;
+    mesh.add(state.guide);
+  }
+  const { guide } = state;
+  if (typeof visible === "boolean") guide.userData.requested = visible;
+  guide.visible = Boolean(guide.userData.requested && crop?.enabled && hasBox(crop));
+  if (hasBox(crop)) {
+    guide.position.fromArray(crop.box.center);
+    guide.rotation.copy(toEuler(crop.box.rotation));
+    guide.scale.fromArray(crop.box.size);
+  }
+  requestRender();
+};
+
+/**
+ * Robust local-space bounds of a mesh (1st–99th percentile per axis),
+ * used to seed the crop box and slider ranges.
+ * @returns {{ min: number[], max: number[] } | null}
+ */
+export const estimateCropBounds = (mesh) => sampleCenterBounds(mesh?.packedSplats, BOUNDS_SAMPLES);
+
+/**
+ * Crop box covering the given bounds.
+ * @param {{ min: number[], max: number[] }} bounds
+ */
+export const makeCropBoxFromBounds = (bounds) => ({
+  center: bounds.min.map((min, axis) => (min + bounds.max[axis]) / 2),
+  size: bounds.min.map((min, axis) => Math.max(1e-3, bounds.max[axis] - min)),
+  rotation: [0, 0, 0],
+});
+
+/**
+ * Keep mask for baking: 1 for every splat inside the crop region.
+ * @param {Object} mesh - SplatMesh
+ * @param {Object} crop
+ * @returns {{ keep: Uint8Array, kept: number, total: number }}
+ */
+export const computeCropMask = (mesh, crop) => {
+  const packedSplats = mesh.packedSplats;
+  const numSplats = packedSplats?.numSplats ?? 0;
+  const keep = new Uint8Array(numSplats);
+  const boxInverse = hasBox(crop)
+    ? new THREE.Matrix4()
+      .compose(
+        new THREE.Vector3().fromArray(crop.box.center),
+        new THREE.Quaternion().setFromEuler(toEuler(crop.box.rotation)),
+        new THREE.Vector3(1, 1, 1),
+      )
+      .invert()
+    : null;
+  const halfSize = hasBox(crop) ? crop.box.size.map((value) => value / 2) : null;
+  const local = new THREE.Vector3();
+  const hasNear = Number.isFinite(crop?.near);
+  const hasFar = Number.isFinite(crop?.far);
+
+  let kept = 0;
+  packedSplats.forEachSplat((index, center) => {
+    if (crop?.enabled) {
+      if (hasNear && center.z < crop.near) return;
+      if (hasFar && center.z > crop.far) return;
+      if (boxInverse) {
+        local.copy(center).applyMatrix4(boxInverse);
+        if (Math.abs(local.x) > halfSize[0] || Math.abs(local.y) > halfSize[1] || Math.abs(local.z) > halfSize[2]) return;
+      }
+    }
+    keep[index] = 1;
+    kept += 1;
+  });
+  return { keep, kept, total: numSplats };
+};
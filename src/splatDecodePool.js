@@ -0,0 +1,179 @@
+/**
+ * Splat Decode Pool
+ * Small pool of splatDecodeWorker.js instances used by splatManager to parse
+ * metadata and decode splats without blocking the main thread (e.g. while
+ * neighbor assets are preloaded during a slideshow).
+ * Falls back to decoding on the main thread when workers are unavailable.
+ */
+
+import { getFormatHandler } from "./formats/index.js";
+
+const MAX_WORKERS = 3;
+
+const workers = [];
+const idleWorkers = [];
+const queue = [];
+const pending = new Map();
+let nextTaskId = 1;
+let workersUnavailable = typeof Worker === "undefined";
+
+const getPoolSize = () => {
+  const cores = typeof navigator !== "undefined" ? navigator.hardwareConcurrency || 2 : 2;
+  return Math.max(1, Math.min(MAX_WORKERS, cores - 1));
+};
+
+const createWorker = () => {
+  const worker = new Worker(new URL("./splatDecodeWorker.js", import.meta.url), {
+    type: "module",
+    name: "splat-decode",
+  });
+  worker.onmessage = (event) => handleWorkerMessage(worker, event.data);
+  worker.onerror = (event) => {
+    // Module load failures surface here; stop using workers for this session.
+    console.warn("[SplatDecodePool] Worker failed, falling back to main thread", event?.message ?? event);
+    event?.preventDefault?.();
+    workersUnavailable = true;
+    failWorkerTask(worker, new Error(event?.message || "Splat decode worker failed"));
+  };
+  worker.currentTaskId = null;
+  workers.push(worker);
+  return worker;
+};
+
+const acquireWorker = () => {
+  if (idleWorkers.length) return idleWorkers.pop();
+  if (workers.length < getPoolSize()) return createWorker();
+  return null;
+};
+
+const releaseWorker = (worker) => {
+  worker.currentTaskId = null;
+  if (workersUnavailable) {
+    worker.terminate();
+    workers.splice(workers.indexOf(worker), 1);
+    return;
+  }
+  idleWorkers.push(worker);
+  pumpQueue();
+};
+
+const failWorkerTask = (worker, error) => {
+  const task = pending.get(worker.currentTaskId);
+  if (task) {
+    pending.delete(task.id);
+    error.workerFailed = true;
+    task.reject(error);
+  }
+  releaseWorker(worker);
+};
+
+const handleWorkerMessage = (worker, message) => {
+  const task = pending.get(message?.id);
+  if (!task) return;
+
+  if (message.type === "progress") {
+    task.onProgress?.({ stage: message.stage, progress: message.progress });
+    return;
+  }
+
+  pending.delete(task.id);
+  if (message.type === "result") {
+    task.resolve({
+      formatId: message.formatId,
+      cameraMetadata: message.cameraMetadata ?? null,
+      embeddedViews: message.embeddedViews ?? null,
+      decoded: message.decoded ?? null,
+      bytes: new Uint8Array(message.buffer),
+    });
+  } else {
+    const error = new Error(message.message || "Splat decode failed");
+    if (message.code) error.code = message.code;
+    task.reject(error);
+  }
+  releaseWorker(worker);
+};
+
+const pumpQueue = () => {
+  if (workersUnavailable) {
+    queue.splice(0).forEach((task) => {
+      const error = new Error("Splat decode workers unavailable");
+      error.workerFailed = true;
+      task.reject(error);
+    });
+    return;
+  }
+  while (queue.length) {
+    const worker = acquireWorker();
+    if (!worker) return;
+    const task = queue.shift();
+    worker.currentTaskId = task.id;
+    pending.set(task.id, task);
+    worker.postMessage(
+      { id: task.id, fileName: task.fileName, buffer: task.buffer },
+      [task.buffer],
+    );
+  }
+};
+
+const decodeInWorker = (fileName, buffer, onProgress) =>
+  new Promise((resolve, reject) => {
+    queue.push({ id: nextTaskId++, fileName, buffer, onProgress, resolve, reject });
+    pumpQueue();
+  });
+
+const decodeOnMainThread = async (file, bytes, onProgress) => {
+  const formatHandler = getFormatHandler(file, bytes);
+  if (!formatHandler) {
+    const err = new Error(`Unsupported file: ${file?.name}`);
+    err.code = "UNSUPPORTED_FORMAT";
+    throw err;
+  }
+
+  onProgress?.({ stage: "metadata", progress: 0 });
+  let cameraMetadata = null;
+  try {
+    cameraMetadata = await formatHandler.loadMetadata({ file, bytes });
+  } catch (err) {
+    console.warn(`[SplatDecodePool] Failed to parse metadata for ${file?.name}:`, err);
+  }
+
+  let embeddedViews = null;
+  if (typeof formatHandler.loadEmbeddedViews === "function") {
+    try {
+      embeddedViews = await formatHandler.loadEmbeddedViews({ file, bytes });
+    } catch (err) {
+      console.warn(`[SplatDecodePool] Failed to read embedded views for ${file?.name}:`, err);
+    }
+  }
+
+  let decoded = null;
+  if (typeof formatHandler.decodeData === "function") {
+    onProgress?.({ stage: "decode", progress: 0 });
+    decoded = await formatHandler.decodeData({ bytes });
+    onProgress?.({ stage: "decode", progress: 1 });
+  }
+
+  return { formatId: formatHandler.id, cameraMetadata, embeddedViews, decoded, bytes };
+};
+
+/**
+ * Detect the format, read camera metadata and embedded views, and decode the
+ * splats into Spark's packed layout for a file.
+ * The file's bytes are transferred to a worker and handed back in the result.
+ *
+ * @param {File} file
+ * @param {Object} [options]
+ * @param {(event: { stage: 'metadata' | 'decode', progress: number }) => void} [options.onProgress]
+ * @returns {Promise<{ formatId: string, cameraMetadata: Object | null, embeddedViews: Object | null, decoded: Object | null, bytes: Uint8Array }>}
+ */
+export const decodeSplatFile = async (file, { onProgress } = {}) => {
+  if (!workersUnavailable) {
+    try {
+      return await decodeInWorker(file.name, await file.arrayBuffer(), onProgress);
+    } catch (err) {
+      if (!err?.workerFailed) throw err;
+    }
+  }
+  // The buffer handed to a failed worker is detached, so read the file again.
+  return decodeOnMainThread(file, new Uint8Array(await file.arrayBuffer()), onProgress);
+};
@@ -0,0 +1,83 @@
+/**
+ * Splat decode worker.
+ * Runs format detection, camera metadata extraction (PLY header walk, SOG zip
+ * directory + meta.json inflate, SPZ header inflate) and splat decoding into
+ * Spark's packed layout off the main thread, so the main thread only uploads
+ * the packed arrays. Spawned and scheduled by splatDecodePool.js.
+ *
+ * Request:  { id, fileName, buffer }                       (buffer is transferred in)
+ * Progress: { id, type: 'progress', stage, progress }
+ * Result:   { id, type: 'result', formatId, cameraMetadata, embeddedViews, decoded, buffer }
+ *           (decoded is { packedArray, numSplats, extra }; buffer and decoded
+ *           typed arrays are transferred back)
+ * Error:    { id, type: 'error', message, code }
+ */
+
+import { getFormatHandler } from "./formats/index.js";
+
+const collectTransferables = (buffer, decoded) => {
+  const transfer = [buffer];
+  if (decoded?.packedArray) transfer.push(decoded.packedArray.buffer);
+  Object.values(decoded?.extra ?? {}).forEach((value) => {
+    if (ArrayBuffer.isView(value)) transfer.push(value.buffer);
+  });
+  return transfer;
+};
+
+const handleDecode = async ({ id, fileName, buffer }) => {
+  const post = (message, transfer) => self.postMessage({ id, ...message }, transfer ?? []);
+  const reportProgress = (stage, progress) => post({ type: "progress", stage, progress });
+
+  const bytes = new Uint8Array(buffer);
+  const formatHandler = getFormatHandler({ name: fileName }, bytes);
+  if (!formatHandler) {
+    post({ type: "error", message: `Unsupported file: ${fileName}`, code: "UNSUPPORTED_FORMAT" }, [buffer]);
+    return;
+  }
+
+  reportProgress("metadata", 0);
+  let cameraMetadata = null;
+  try {
+    cameraMetadata = await formatHandler.loadMetadata({ bytes });
+  } catch (err) {
+    console.warn(`[SplatDecodeWorker] Failed to parse metadata for ${fileName}:`, err);
+  }
+
+  let embeddedViews = null;
+  if (typeof formatHandler.loadEmbeddedViews === "function") {
+    try {
+      embeddedViews = await formatHandler.loadEmbeddedViews({ bytes });
+    } catch (err) {
+      console.warn(`[SplatDecodeWorker] Failed to read embedded views for ${fileName}:`, err);
+    }
+  }
+
+  let decoded = null;
+  if (typeof formatHandler.decodeData === "function") {
+    reportProgress("decode", 0);
+    try {
+      decoded = await formatHandler.decodeData({ bytes });
+    } catch (err) {
+      // Spark decodes in nested workers; leave decoding to loadData on the main thread if that fails here.
+      console.warn(`[SplatDecodeWorker] Failed to decode ${fileName}, deferring to main thread:`, err);
+    }
+    reportProgress("decode", 1);
+  }
+
+  post(
+    { type: "result", formatId: formatHandler.id, cameraMetadata, embeddedViews, decoded, buffer },
+    collectTransferables(buffer, decoded),
+  );
+};
+
+self.onmessage = (event) => {
+  const request = event.data;
+  handleDecode(request).catch((err) => {
+    self.postMessage({
+      id: request?.id,
+      type: "error",
+      message: err?.message ?? String(err),
+      code: err?.code,
+    });
+  });
+};
@@ -0,0 +1,363 @@
+/**
+ * Splat filtering: hide floaters and junk splats, then save the cleaned file.
+ *
+ * Filters run on the CPU copy of the splats (`packedSplats.packedArray`) by
+ * zeroing the opacity byte of rejected splats, so the preview is live and fully
+ * reversible — the original opacities are kept per mesh. Criteria:
+ *   minOpacity      - hide splats fainter than this (0..1)
+ *   maxScale        - hide splats whose largest axis exceeds this (scene units)
+ *   minDepth/maxDepth - depth window; ML-Sharp scenes use camera z (as in
+ *                     computeMlSharpDepthFocus), others distance from the median center
+ *   outlierStdRatio - statistical outlier test on local density: hide splats whose
+ *                     log neighbour count is more than this many std devs below the mean
+ *
+ * Saving copies the kept vertex rows of the original PLY byte-for-byte, so
+ * SH coefficients and extra properties survive untouched.
+ */
+
+import { sampleMlSharpDepths } from "./cameraUtils.js";
+import { readBinaryPlyHeader, skipElement } from "./plyCamera.js";
+import { requestRender } from "./viewer.js";
+import { quantileSorted } from "./utils/splatStats.js";
+
+export const DEFAULT_SPLAT_FILTER = {
+  enabled: false,
+  minOpacity: 0,
+  maxScale: null,
+  minDepth: null,
+  maxDepth: null,
+  outlierStdRatio: 0,
+};
+
+const MAX_STAT_SAMPLES = 50_000;
+const TARGET_SPLATS_PER_CELL = 8;
+const GRID_LIMIT = 1 << 16; // cell indices are clamped to ±GRID_LIMIT so keys stay exact
+const GRID_SPAN = GRID_LIMIT * 2;
+
+// mesh → { alphas, depths, maxScales, logDensity, densityMean, densityStd, depthSamples, scaleSamples, useCameraDepth }
+const filterStates = new WeakMap();
+
+/**
+ * Map a 0..1 slider position to a value from a sorted sample, and back.
+ */
+export const valueAtQuantile = (sorted, t) => quantileSorted(sorted ?? [], t);
+
+export const quantileOfValue = (sorted, value) => {
+  if (!sorted?.length || !Number.isFinite(value)) return 1;
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] < value) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo / Math.max(1, sorted.length - 1);
+};
+
+const sampleSorted = (values, count) => {
+  const step = Math.max(1, Math.floor(count / MAX_STAT_SAMPLES));
+  const sample = [];
+  for (let i = 0; i < count; i += step) {
+    if (Number.isFinite(values[i])) sample.push(values[i]);
+  }
+  return sample.sort((a, b) => a - b);
+};
+
+/**
+ * Neighbour counts on a uniform grid sized for ~TARGET_SPLATS_PER_CELL splats
+ * per occupied cell; each splat gets the count over its 3×3×3 neighbourhood.
+ */
+const computeLogDensity = (positions, numSplats) => {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  const axisSamples = [[], [], []];
+  const step = Math.max(1, Math.floor(numSplats / MAX_STAT_SAMPLES));
+  for (let i = 0; i < numSplats; i += step) {
+    for (let axis = 0; axis < 3; axis++) {
+      const value = positions[i * 3 + axis];
+      if (Number.isFinite(value)) axisSamples[axis].push(value);
+    }
+  }
+  axisSamples.forEach((values, axis) => {
+    values.sort((a, b) => a - b);
+    min[axis] = quantileSorted(values, 0.01);
+    max[axis] = quantileSorted(values, 0.99);
+  });
+
+  const volume = Math.max(1e-12, (max[0] - min[0]) * (max[1] - min[1]) * (max[2] - min[2]));
+  const cellSize = Math.cbrt((volume * TARGET_SPLATS_PER_CELL) / Math.max(1, numSplats * 0.98)) || 1;
+  const cellIndex = (value, axis) => {
+    const index = Math.floor((value - min[axis]) / cellSize);
+    return Math.max(-GRID_LIMIT, Math.min(GRID_LIMIT - 1, index)) + GRID_LIMIT;
+  };
+  const keyOf = (ix, iy, iz) => ix + iy * GRID_SPAN + iz * GRID_SPAN * GRID_SPAN;
+
+  const cellKeys = new Float64Array(numSplats).fill(NaN);
+  const counts = new Map();
+  for (let i = 0; i < numSplats; i++) {
+    const x = positions[i * 3];
+    const y = positions[i * 3 + 1];
+    const z = positions[i * 3 + 2];
+    if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) continue;
+    const key = keyOf(cellIndex(x, 0), cellIndex(y, 1), cellIndex(z, 2));
+    cellKeys[i] = key;
+    counts.set(key, (counts.get(key) ?? 0) + 1);
+  }
+
+  const neighbourhood = new Map();
+  counts.forEach((_, key) => {
+    const ix = key % GRID_SPAN;
+    const iy = Math.floor(key / GRID_SPAN) % GRID_SPAN;
+    const iz = Math.floor(key / (GRID_SPAN * GRID_SPAN));
+    let sum = 0;
+    for (let dz = -1; dz <= 1; dz++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          sum += counts.get(keyOf(ix + dx, iy + dy, iz + dz)) ?? 0;
+        }
+      }
+    }
+    neighbourhood.set(key, Math.log(sum));
+  });
+
+  const logDensity = new Float32Array(numSplats).fill(NaN);
+  let sum = 0;
+  let sumSq = 0;
+  let n = 0;
+  for (let i = 0; i < numSplats; i++) {
+    if (Number.isNaN(cellKeys[i])) continue;
+    const value = neighbourhood.get(cellKeys[i]);
+    logDensity[i] = value;
+    sum += value;
+    sumSq += value * value;
+    n += 1;
+  }
+  const densityMean = n ? sum / n : 0;
+  const densityStd = n ? Math.sqrt(Math.max(0, sumSq / n - densityMean * densityMean)) : 0;
+  return { logDensity, densityMean, densityStd };
+};
+
+/**
+ * Per-mesh filter inputs, computed once (one pass over all splats).
+ * @param {Object} mesh - SplatMesh
+ * @param {Object} [options]
+ * @param {boolean} [options.useCameraDepth] - depth is camera z (ML-Sharp) instead of distance from center
+ */
+export const prepareSplatFilter = (mesh, { useCameraDepth = false } = {}) => {
+  const packedSplats = mesh?.packedSplats;
+  const numSplats = packedSplats?.numSplats ?? 0;
+  if (!numSplats || !packedSplats.packedArray) return null;
+
+  const cached = filterStates.get(mesh);
+  if (cached && cached.numSplats === numSplats && cached.useCameraDepth === useCameraDepth) return cached;
+
+  const packedArray = packedSplats.packedArray;
+  const alphas = cached?.numSplats === numSplats ? cached.alphas : new Uint8Array(numSplats);
+  if (alphas !== cached?.alphas) {
+    for (let i = 0; i < numSplats; i++) alphas[i] = packedArray[i * 4] >>> 24;
+  }
+
+  const positions = new Float32Array(numSplats * 3);
+  const maxScales = new Float32Array(numSplats);
+  packedSplats.forEachSplat((index, center, scales) => {
+    positions[index * 3] = center.x;
+    positions[index * 3 + 1] = center.y;
+    positions[index * 3 + 2] = center.z;
+    maxScales[index] = Math.max(scales.x, scales.y, scales.z);
+  });
+
+  const depths = new Float32Array(numSplats);
+  if (useCameraDepth) {
+    for (let i = 0; i < numSplats; i++) depths[i] = positions[i * 3 + 2];
+  } else {
+    const median = [0, 1, 2].map((axis) => {
+      const values = [];
+      const step = Math.max(1, Math.floor(numSplats / MAX_STAT_SAMPLES));
+      for (let i = 0; i < numSplats; i += step) values.push(positions[i * 3 + axis]);
+      return quantileSorted(values.filter(Number.isFinite).sort((a, b) => a - b), 0.5);
+    });
+    for (let i = 0; i < numSplats; i++) {
+      depths[i] = Math.hypot(
+        positions[i * 3] - median[0],
+        positions[i * 3 + 1] - median[1],
+        positions[i * 3 + 2] - median[2],
+      );
+    }
+  }
+
+  const state = {
+    numSplats,
+    useCameraDepth,
+    alphas,
+    depths,
+    maxScales,
+    ...computeLogDensity(positions, numSplats),
+    depthSamples: useCameraDepth
+      ? sampleMlSharpDepths(mesh, { maxSamples: MAX_STAT_SAMPLES }).allDepths.sort((a, b) => a - b)
+      : sampleSorted(depths, numSplats),
+    scaleSamples: sampleSorted(maxScales, numSplats),
+  };
+  filterStates.set(mesh, state);
+  return state;
+};
+
+const writeAlphas = (mesh, state, keep) => {
+  const packedSplats = mesh.packedSplats;
+  const packedArray = packedSplats.packedArray;
+  for (let i = 0; i < state.numSplats; i++) {
+    const alpha = keep && !keep[i] ? 0 : state.alphas[i];
+    packedArray[i * 4] = (packedArray[i * 4] & 0x00ffffff) | (alpha << 24);
+  }
+  packedSplats.needsUpdate = true;
+  mesh.updateVersion?.();
+  requestRender();
+};
+
+/**
+ * Compute which splats pass the filter.
+ * @returns {{ keep: Uint8Array, kept: number, total: number }}
+ */
+export const computeSplatFilterMask = (state, params) => {
+  const { minOpacity = 0, maxScale, minDepth, maxDepth, outlierStdRatio = 0 } = params ?? {};
+  const minAlpha = Math.round(Math.max(0, minOpacity) * 255);
+  const hasMaxScale = Number.isFinite(maxScale);
+  const hasMinDepth = Number.isFinite(minDepth);
+  const hasMaxDepth = Number.isFinite(maxDepth);
+  const densityCutoff = outlierStdRatio > 0 && state.densityStd > 0
+    ? state.densityMean - outlierStdRatio * state.densityStd
+    : -Infinity;
+
+  const keep = new Uint8Array(state.numSplats);
+  let kept = 0;
+  for (let i = 0; i < state.numSplats; i++) {
+    const depth = state.depths[i];
+    const pass = state.alphas[i] >= minAlpha
+      && !(hasMaxScale && state.maxScales[i] > maxScale)
+      && !(hasMinDepth && !(depth >= minDepth))
+      && !(hasMaxDepth && !(depth <= maxDepth))
+      && !(state.logDensity[i] < densityCutoff);
+    if (pass) {
+      keep[i] = 1;
+      kept += 1;
+    }
+  }
+  return { keep, kept, total: state.numSplats };
+};
+
+/**
+ * Preview a filter on a loaded mesh (rejected splats are made transparent).
+ * @returns {{ keep: Uint8Array, kept: number, total: number } | null}
+ */
+export const applySplatFilter = (mesh, params, options = {}) => {
+  const state = prepareSplatFilter(mesh, options);
+  if (!state) return null;
+  const result = computeSplatFilterMask(state, params);
+  writeAlphas(mesh, state, result.keep);
+  return result;
+};
+
+/** Restore the original opacities of a filtered mesh. */
+export const clearSplatFilter = (mesh) => {
+  const state = mesh ? filterStates.get(mesh) : null;
+  if (!state || mesh.packedSplats?.numSplats !== state.numSplats) return;
+  writeAlphas(mesh, state, null);
+};
+
+/**
+ * Starting point for ML-Sharp style cleanup: drop near-invisible splats, the
+ * largest blobs, the far tail of the depth distribution and sparse floaters.
+ */
+export const suggestSplatFilter = (state) => ({
+  ...DEFAULT_SPLAT_FILTER,
+  enabled: true,
+  minOpacity: 0.05,
+  maxScale: quantileSorted(state.scaleSamples, 0.999),
+  minDepth: quantileSorted(state.depthSamples, 0.002),
+  maxDepth: quantileSorted(state.depthSamples, 0.98),
+  outlierStdRatio: 2.5,
+});
+
+/**
+ * Write a copy of a binary PLY that keeps only the vertex rows in `keep`.
+ * Other elements (e.g. ML-Sharp camera data) are copied unchanged.
+ * @param {Uint8Array} fileBytes
+ * @param {Uint8Array} keep - 1 per vertex row to keep
+ * @returns {Promise<Uint8Array>}
+ */
+export const writeFilteredPly = async (fileBytes, keep) => {
+  const { ply, bytes, headerLength } = await readBinaryPlyHeader(
+    fileBytes,
+    "Only uncompressed binary PLY files can be filtered",
+  );
+  const vertex = ply.elements.vertex;
+  const hasListProperties = Object.values(vertex?.properties ?? {}).some((property) => property.isList);
+  // Compressed PLYs quantize vertices against 256-splat chunks, so rows cannot be dropped independently
+  if (!vertex || hasListProperties || ply.elements.chunk) {
+    const err = new Error("Only uncompressed binary PLY files can be filtered");
+    err.code = "UNSUPPORTED_FORMAT";
+    throw err;
+  }
+  if (keep.length !== vertex.count) {
+    throw new Error(`Filter covers ${keep.length} splats but the file has ${vertex.count}`);
+  }
+
+  const ranges = [];
+  let offset = 0;
+  let vertexStart = 0;
+  let stride = 0;
+  for (const [elementName, element] of Object.entries(ply.elements)) {
+    const nextOffset = skipElement(element, ply.data, offset, ply.littleEndian);
+    if (elementName === "vertex") {
+      vertexStart = headerLength + offset;
+      stride = (nextOffset - offset) / element.count;
+      ranges.push(null);
+    } else {
+      ranges.push([headerLength + offset, headerLength + nextOffset]);
+    }
+    offset = nextOffset;
+  }
+
+  const kept = keep.reduce((sum, value) => sum + (value ? 1 : 0), 0);
+  const headerLines = [];
+  for (const line of ply.header.trim().split("\n")) {
+    const fields = line.trim().split(" ");
+    if (fields[0] === "end_header") break;
+    headerLines.push(fields[0] === "element" && fields[1] === "vertex" ? `element vertex ${kept}` : line.trim());
+  }
+  headerLines.push("end_header");
+  const header = new TextEncoder().encode(`${headerLines.join("\n")}\n`);
+
+  const otherBytes = ranges.reduce((sum, range) => sum + (range ? range[1] - range[0] : 0), 0);
+  const out = new Uint8Array(header.byteLength + kept * stride + otherBytes);
+  out.set(header, 0);
+  let writeOffset = header.byteLength;
+  for (const range of ranges) {
+    if (range) {
+      out.set(bytes.subarray(range[0], range[1]), writeOffset);
+      writeOffset += range[1] - range[0];
+      continue;
+    }
+    for (let i = 0; i < keep.length; i++) {
+      if (!keep[i]) continue;
+      const start = vertexStart + i * stride;
+      out.set(bytes.subarray(start, start + stride), writeOffset);
+      writeOffset += stride;
+    }
+  }
+  return out;
+};
+
+/**
+ * Build the cleaned file for an asset.
+ * @param {File} file - original PLY
+ * @param {Uint8Array} keep - mask from applySplatFilter (or computeCropMask)
+ * @param {Object} [options]
+ * @param {string} [options.suffix='clean'] - appended to the base name
+ * @returns {Promise<File>} `<name>-<suffix>.ply`
+ */
+export const createFilteredFile = async (file, keep, { suffix = "clean" } = {}) => {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const output = await writeFilteredPly(bytes, keep);
+  const baseName = file.name.replace(/\.[^./\\]+$/, "");
+  return new File([output], `${baseName}-${suffix}.ply`, { type: "application/octet-stream" });
+};
@@ -0,0 +1,255 @@
+/**
+ * Splat health check.
+ *
+ * Scans `mesh.packedSplats` for data that renders as noise or not at all
+ * (non-finite centers, degenerate / exploding scales, fully transparent
+ * splats, far-flung outliers) and sanity-checks ML-Sharp camera metadata.
+ * Reports are cached per asset so the details view and batch runs share them.
+ */
+
+import { THREE } from "./viewer.js";
+import { ensureSplatEntry, getSplatCache, retainOnlySplats } from "./splatManager.js";
+import { getAssetList } from "./assetManager.js";
+import { sampleCenterBounds } from "./utils/splatStats.js";
+
+const MIN_VISIBLE_OPACITY = 1 / 255;
+const ROBUST_QUANTILE = 0.01;
+const OUTLIER_RANGE_FACTOR = 1; // how many robust extents outside the robust box counts as an outlier
+const DEGENERATE_SCALE_FACTOR = 1e-6; // relative to the robust diagonal
+const EXPLODING_SCALE_FACTOR = 0.25;
+const ORTHONORMAL_TOLERANCE = 1e-3;
+const PRINCIPAL_POINT_TOLERANCE = 0.1; // fraction of image size
+const FOCAL_ASPECT_TOLERANCE = 0.05;
+
+const reports = new Map();
+let batchHealthAborted = false;
+
+const getCacheKey = (asset) => asset?.cacheKey || asset?.baseAssetId || asset?.id;
+
+const issue = (severity, code, message) => ({ severity, code, message });
+
+const formatPercent = (fraction) => `${(fraction * 100).toFixed(fraction < 0.01 ? 2 : 1)}%`;
+
+const getShDegree = (packedSplats) => {
+  const extra = packedSplats?.extra ?? {};
+  if (extra.sh3) return 3;
+  if (extra.sh2) return 2;
+  if (extra.sh1) return 1;
+  return 0;
+};
+
+/**
+ * Per-axis robust bounds from a strided sample of centers.
+ * @returns {{ min: THREE.Vector3, max: THREE.Vector3 } | null}
+ */
+const sampleRobustBounds = (packedSplats, maxSamples) => {
+  const bounds = sampleCenterBounds(packedSplats, maxSamples, ROBUST_QUANTILE);
+  if (!bounds) return null;
+  return {
+    min: new THREE.Vector3().fromArray(bounds.min),
+    max: new THREE.Vector3().fromArray(bounds.max),
+  };
+};
+
+/**
+ * Check ML-Sharp camera metadata (as built by buildCameraMetadata) for
+ * intrinsics that disagree with the image size and non-rigid extrinsics.
+ * @param {Object | null} cameraMetadata
+ * @returns {Array<{ severity: 'error' | 'warning', code: string, message: string }>}
+ */
+export const checkCameraMetadata = (cameraMetadata) => {
+  if (!cameraMetadata) return [];
+  const issues = [];
+  const { fx, fy, cx, cy, imageWidth, imageHeight } = cameraMetadata.intrinsics ?? {};
+
+  if (!(imageWidth > 0) || !(imageHeight > 0)) {
+    issues.push(issue("error", "CAMERA_IMAGE_SIZE", `Invalid image_size ${imageWidth}×${imageHeight}`));
+  }
+  if (!(fx > 0) || !(fy > 0) || !Number.isFinite(fx) || !Number.isFinite(fy)) {
+    issues.push(issue("error", "CAMERA_FOCAL", `Invalid focal length fx=${fx}, fy=${fy}`));
+  } else if (Math.abs(fx / fy - 1) > FOCAL_ASPECT_TOLERANCE) {
+    issues.push(issue("warning", "CAMERA_FOCAL_ASPECT", `fx and fy differ by ${formatPercent(Math.abs(fx / fy - 1))} (non-square pixels?)`));
+  }
+
+  if (imageWidth > 0 && imageHeight > 0 && Number.isFinite(cx) && Number.isFinite(cy)) {
+    if (cx < 0 || cx > imageWidth || cy < 0 || cy > imageHeight) {
+      issues.push(issue("error", "CAMERA_PRINCIPAL_POINT", `Principal point (${cx.toFixed(1)}, ${cy.toFixed(1)}) lies outside the ${imageWidth}×${imageHeight} image`));
+    } else if (
+      Math.abs(cx / imageWidth - 0.5) > PRINCIPAL_POINT_TOLERANCE ||
+      Math.abs(cy / imageHeight - 0.5) > PRINCIPAL_POINT_TOLERANCE
+    ) {
+      issues.push(issue("warning", "CAMERA_PRINCIPAL_POINT", `Principal point (${cx.toFixed(1)}, ${cy.toFixed(1)}) is far from the image center; intrinsics may be for a different image_size`));
+    }
+  }
+
+  const m = cameraMetadata.extrinsicCv;
+  if (!Array.isArray(m) || m.length !== 16 || m.some((value) => !Number.isFinite(value))) {
+    issues.push(issue("error", "CAMERA_EXTRINSIC", "Extrinsic matrix is missing or contains non-finite values"));
+    return issues;
+  }
+
+  const rotation = new THREE.Matrix3().set(m[0], m[1], m[2], m[4], m[5], m[6], m[8], m[9], m[10]);
+  const gram = rotation.clone().transpose().multiply(rotation).elements;
+  const orthoError = Math.max(...gram.map((value, index) => Math.abs(value - (index % 4 === 0 ? 1 : 0))));
+  if (orthoError > ORTHONORMAL_TOLERANCE) {
+    issues.push(issue("error", "CAMERA_ROTATION", `Extrinsic rotation is not orthonormal (max |RᵀR − I| = ${orthoError.toExponential(2)})`));
+  } else if (rotation.determinant() < 0) {
+    issues.push(issue("error", "CAMERA_ROTATION", "Extrinsic rotation is a reflection (det < 0)"));
+  }
+
+  return issues;
+};
+
+/**
+ * Analyze a loaded splat mesh.
+ * @param {Object} mesh - SplatMesh with packedSplats
+ * @param {Object} [options]
+ * @param {Object | null} [options.cameraMetadata]
+ * @param {number} [options.maxSamples=100000] - centers sampled for the robust bounds
+ * @returns {Object} report with counts, bounds, `issues` and an overall `status` ('ok' | 'warning' | 'error')
+ */
+export const analyzeSplatHealth = (mesh, { cameraMetadata = null, maxSamples = 100_000 } = {}) => {
+  const packedSplats = mesh?.packedSplats;
+  const numSplats = packedSplats?.numSplats ?? 0;
+  const counts = { nonFiniteCenters: 0, degenerateScales: 0, explodingScales: 0, transparent: 0, outliers: 0 };
+  const issues = [];
+  let bounds = null;
+  let robustBounds = null;
+
+  if (!numSplats) {
+    issues.push(issue("error", "EMPTY", "The file contains no splats"));
+  } else {
+    robustBounds = sampleRobustBounds(packedSplats, maxSamples);
+    const robustSize = robustBounds ? robustBounds.max.clone().sub(robustBounds.min) : new THREE.Vector3();
+    const diagonal = robustSize.length() || 1;
+    const outlierMin = robustBounds?.min.clone().addScaledVector(robustSize, -OUTLIER_RANGE_FACTOR);
+    const outlierMax = robustBounds?.max.clone().addScaledVector(robustSize, OUTLIER_RANGE_FACTOR);
+    const box = new THREE.Box3();
+
+    packedSplats.forEachSplat((index, center, scales, quaternion, opacity) => {
+      if (!Number.isFinite(center.x) || !Number.isFinite(center.y) || !Number.isFinite(center.z)) {
+        counts.nonFiniteCenters += 1;
+      } else {
+        box.expandByPoint(center);
+        if (outlierMin && (center.x < outlierMin.x || center.y < outlierMin.y || center.z < outlierMin.z ||
+          center.x > outlierMax.x || center.y > outlierMax.y || center.z > outlierMax.z)) {
+          counts.outliers += 1;
+        }
+      }
+
+      const maxScale = Math.max(scales.x, scales.y, scales.z);
+      if (!Number.isFinite(maxScale) || maxScale < diagonal * DEGENERATE_SCALE_FACTOR) {
+        counts.degenerateScales += 1;
+      } else if (maxScale > diagonal * EXPLODING_SCALE_FACTOR) {
+        counts.explodingScales += 1;
+      }
+
+      if (!(opacity >= MIN_VISIBLE_OPACITY)) counts.transparent += 1;
+    });
+
+    bounds = box.isEmpty() ? null : { min: box.min.toArray(), max: box.max.toArray() };
+
+    const fraction = (count) => count / numSplats;
+    if (counts.nonFiniteCenters) {
+      issues.push(issue("error", "NON_FINITE_CENTERS", `${counts.nonFiniteCenters.toLocaleString()} splats have NaN/Inf centers`));
+    }
+    if (counts.transparent === numSplats) {
+      issues.push(issue("error", "ALL_TRANSPARENT", "Every splat has zero opacity"));
+    } else if (fraction(counts.transparent) > 0.5) {
+      issues.push(issue("warning", "MOSTLY_TRANSPARENT", `${formatPercent(fraction(counts.transparent))} of splats have zero opacity`));
+    }
+    if (fraction(counts.degenerateScales) > 0.01) {
+      issues.push(issue("warning", "DEGENERATE_SCALES", `${formatPercent(fraction(counts.degenerateScales))} of splats have zero or non-finite scale`));
+    }
+    if (fraction(counts.explodingScales) > 0.001) {
+      issues.push(issue("warning", "EXPLODING_SCALES", `${counts.explodingScales.toLocaleString()} splats are larger than a quarter of the scene`));
+    }
+    if (fraction(counts.outliers) > 0.01) {
+      issues.push(issue("warning", "OUTLIERS", `${formatPercent(fraction(counts.outliers))} of splats lie far outside the main bounding box`));
+    }
+  }
+
+  issues.push(...checkCameraMetadata(cameraMetadata));
+
+  const status = issues.some((entry) => entry.severity === "error")
+    ? "error"
+    : issues.length ? "warning" : "ok";
+
+  return {
+    checkedAt: Date.now(),
+    numSplats,
+    shDegree: getShDegree(packedSplats),
+    counts,
+    bounds,
+    robustBounds: robustBounds ? { min: robustBounds.min.toArray(), max: robustBounds.max.toArray() } : null,
+    hasCamera: Boolean(cameraMetadata),
+    issues,
+    status,
+  };
+};
+
+/**
+ * Last report computed for an asset (views share their base asset's report).
+ * @param {Object} asset
+ */
+export const getSplatHealthReport = (asset) => reports.get(getCacheKey(asset)) ?? null;
+
+/**
+ * Load (or reuse) an asset's splats and analyze them.
+ * @param {Object} asset
+ * @returns {Promise<Object>} report
+ */
+export const checkAssetHealth = async (asset) => {
+  const entry = await ensureSplatEntry(asset);
+  if (!entry) throw new Error(`Unable to load ${asset?.name}`);
+  if (entry.streamDone) await entry.streamDone;
+  await entry.mesh?.initialized;
+
+  const report = {
+    assetName: asset.name,
+    formatLabel: entry.formatLabel,
+    ...analyzeSplatHealth(entry.mesh, { cameraMetadata: entry.cameraMetadata }),
+  };
+  reports.set(getCacheKey(asset), report);
+  return report;
+};
+
+/**
+ * Run the health check across the collection (proxy views are skipped).
+ * Splats loaded only for the check are released again afterwards.
+ * @param {Object} [options]
+ * @param {(current: number, total: number, name: string) => void} [options.onProgress]
+ * @param {(results: Array<{ asset: Object, report?: Object, error?: string }>) => void} [options.onComplete]
+ * @returns {Promise<Array<{ asset: Object, report?: Object, error?: string }>>}
+ */
+export const checkAllAssetsHealth = async ({ onProgress, onComplete } = {}) => {
+  const assets = getAssetList().filter((asset) => !asset?.isProxyView);
+  const results = [];
+  batchHealthAborted = false;
+
+  for (let i = 0; i < assets.length; i++) {
+    if (batchHealthAborted) break;
+    const asset = assets[i];
+    onProgress?.(i + 1, assets.length, asset.name);
+
+    const cacheKey = getCacheKey(asset);
+    const wasCached = getSplatCache().has(cacheKey);
+    try {
+      results.push({ asset, report: await checkAssetHealth(asset) });
+    } catch (err) {
+      console.warn(`[SplatHealth] Failed to check ${asset.name}:`, err);
+      results.push({ asset, error: err.message });
+    }
+
+    if (!wasCached) {
+      retainOnlySplats(new Set([...getSplatCache().keys()].filter((key) => key !== cacheKey)));
+    }
+  }
+
+  onComplete?.(results);
+  return results;
+};
+
+export const abortBatchHealthCheck = () => {
+  batchHealthAborted = true;
+};
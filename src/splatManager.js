@@ -5,12 +5,23 @@
  */
 
 import { scene, THREE } from "./viewer.js";
-import { getFormatHandler } from "./formats/index.js";
-import { loadFileSettings } from "./fileStorage.js";
+import { getFormatHandlerById } from "./formats/index.js";
+import { loadFileSettings, saveCustomMetadata } from "./fileStorage.js";
+import { getAssetKey } from "./storage/assetKeys.js";
+import { decodeSplatFile } from "./splatDecodePool.js";
+import { openPlyStream, STREAMING_MIN_BYTES } from "./plyStreamLoader.js";
+import { readPlyHeaderComments } from "./plyCamera.js";
+import { guessCoordinateConvention } from "./coordinateConventions.js";
+import { readEmbeddedViewsFromComments } from "./embeddedViews.js";
 
 let splatGroup = null;
 const cache = new Map();
 const loading = new Map();
+const progressListeners = new Map();
+// Entries kept loaded across retainOnlySplats (scene composition)
+const pinned = new Set();
+// Range streams that stopped part-way, by cache key; these assets are downloaded whole next time
+const failedStreams = new Map();
 
 const getCacheKey = (asset) => asset?.cacheKey || asset?.baseAssetId || asset?.id;
 
@@ -26,6 +37,17 @@ const ensureGroup = () => {
   return splatGroup;
 };
 
+export const getSplatGroup = () => ensureGroup();
+
+/**
+ * Keep these entries loaded while neighbors are trimmed; pass an empty set to release.
+ * @param {Set<string>} assetIds
+ */
+export const pinSplats = (assetIds) => {
+  pinned.clear();
+  assetIds?.forEach((id) => pinned.add(id));
+};
+
 const disposeMesh = (mesh) => {
   if (!mesh) return;
   mesh.parent?.remove(mesh);
@@ -46,6 +68,7 @@ const disposeMesh = (mesh) => {
 
 const disposeEntry = (entry) => {
   if (!entry) return;
+  entry.abortStream?.();
   disposeMesh(entry.mesh);
 };
 
@@ -65,7 +88,64 @@ const ensureAssetFile = async (asset) => {
   throw new Error("Asset has no file and no source");
 };
 
-const createEntry = async (asset) => {
+const notifyProgress = (cacheKey, event) => {
+  progressListeners.get(cacheKey)?.forEach((listener) => {
+    try {
+      listener(event);
+    } catch (err) {
+      console.warn("[SplatManager] Progress listener failed", err);
+    }
+  });
+};
+
+const addProgressListener = (cacheKey, listener) => {
+  if (!cacheKey || typeof listener !== "function") return;
+  if (!progressListeners.has(cacheKey)) {
+    progressListeners.set(cacheKey, new Set());
+  }
+  progressListeners.get(cacheKey).add(listener);
+};
+
+/**
+ * Start a progressive Range-request load for large remote PLYs.
+ * Returns null when the asset should be downloaded whole instead.
+ */
+const openStreamingMesh = async (asset, cacheKey) => {
+  if (asset.file || !asset.sourceId || !asset._remoteAsset) return null;
+  if (!/\.ply$/i.test(asset.name || "")) return null;
+  if (asset.size && asset.size < STREAMING_MIN_BYTES) return null;
+  if (failedStreams.has(cacheKey)) return null;
+
+  const { getStreamableAssetSource } = await import("./storage/sourceAssetAdapter.js");
+  const source = await getStreamableAssetSource(asset);
+  if (!source) return null;
+
+  const controller = new AbortController();
+  try {
+    const stream = await openPlyStream({
+      source,
+      remoteAsset: asset._remoteAsset,
+      fileName: asset.name,
+      signal: controller.signal,
+      onProgress: (event) => notifyProgress(cacheKey, event),
+    });
+    if (!stream) return null;
+    const done = stream.done.catch((err) => {
+      if (!controller.signal.aborted) {
+        console.warn(`[SplatManager] Streaming ${asset.name} stopped early:`, err);
+        failedStreams.set(cacheKey, err?.message ?? String(err));
+      }
+      return null;
+    });
+    return { ...stream, done, abort: () => controller.abort() };
+  } catch (err) {
+    if (controller.signal.aborted) throw err;
+    console.warn(`[SplatManager] Streaming ${asset.name} failed, downloading whole file:`, err);
+    return null;
+  }
+};
+
+const loadMeshFromFile = async (asset, cacheKey) => {
   // Get file - may need to load from storage source
   const file = await ensureAssetFile(asset);
   if (!file) {
@@ -77,21 +157,51 @@ const createEntry = async (asset) => {
   // Update asset's file reference
   asset.file = file;
 
-  const formatHandler = getFormatHandler(file);
+  // Format detection, metadata parsing and splat decoding run in the worker pool
+  const decodeResult = await decodeSplatFile(file, {
+    onProgress: (event) => notifyProgress(cacheKey, event),
+  });
+  const { bytes, decoded } = decodeResult;
+
+  const formatHandler = getFormatHandlerById(decodeResult.formatId);
   if (!formatHandler) {
     const err = new Error(`Unsupported file: ${asset.name}`);
     err.code = "UNSUPPORTED_FORMAT";
     throw err;
   }
 
-  const bytes = new Uint8Array(await file.arrayBuffer());
-
-  let cameraMetadata = null;
-  try {
-    cameraMetadata = await formatHandler.loadMetadata({ file, bytes });
-  } catch (err) {
-    console.warn(`[SplatManager] Failed to parse metadata for ${asset.name}:`, err);
+  const mesh = await formatHandler.loadData({ file, bytes, decoded });
+  let headerComments = decodeResult.cameraMetadata?.headerComments ?? null;
+  if (!headerComments && formatHandler.id === "ply") {
+    try {
+      headerComments = await readPlyHeaderComments(bytes);
+    } catch (err) {
+      console.warn(`[SplatManager] Failed to read PLY header comments for ${asset.name}:`, err);
+    }
   }
+  return {
+    mesh,
+    cameraMetadata: decodeResult.cameraMetadata,
+    embeddedViews: decodeResult.embeddedViews,
+    headerComments,
+    formatLabel: formatHandler.label,
+  };
+};
+
+const createEntry = async (asset) => {
+  const cacheKey = getCacheKey(asset);
+  const stream = await openStreamingMesh(asset, cacheKey);
+  const loaded = stream
+    ? {
+      mesh: stream.mesh,
+      cameraMetadata: stream.cameraMetadata,
+      embeddedViews: readEmbeddedViewsFromComments(stream.headerComments),
+      headerComments: stream.headerComments,
+      formatLabel: "PLY",
+    }
+    : await loadMeshFromFile(asset, cacheKey);
+  const { mesh, formatLabel, headerComments, embeddedViews } = loaded;
+  let { cameraMetadata } = loaded;
 
   // Try to load metadata from storage source
   let sourceMetadata = null;
@@ -104,18 +214,30 @@ const createEntry = async (asset) => {
     }
   }
 
-  const mesh = await formatHandler.loadData({ file, bytes });
   mesh.visible = false;
   mesh.userData.assetId = getCacheKey(asset);
+  // Default axes for applyCustomModelTransform until a convention is chosen
+  mesh.userData.coordinateConventionGuess = guessCoordinateConvention(headerComments);
   ensureGroup().add(mesh);
 
   let storedSettings = null;
   try {
-    storedSettings = await loadFileSettings(asset.name);
+    storedSettings = await loadFileSettings(getAssetKey(asset));
   } catch (err) {
     console.warn(`[SplatManager] Failed to read stored settings for ${asset.name}:`, err);
   }
 
+  // Views embedded on export become local views when the asset has none yet
+  if (embeddedViews && !storedSettings?.customMetadata) {
+    const customMetadata = { ...embeddedViews, savedAt: Date.now() };
+    try {
+      await saveCustomMetadata(getAssetKey(asset), customMetadata);
+      storedSettings = { ...(storedSettings ?? {}), customMetadata };
+    } catch (err) {
+      console.warn(`[SplatManager] Failed to seed embedded views for ${asset.name}:`, err);
+    }
+  }
+
   // Merge source metadata with stored settings (source takes precedence for camera)
   if (sourceMetadata) {
     if (sourceMetadata.camera && !cameraMetadata) {
@@ -138,15 +260,55 @@ const createEntry = async (asset) => {
     }
   }
 
-  return {
+  const entry = {
     id: getCacheKey(asset),
     asset,
     mesh,
     cameraMetadata: cameraMetadata ?? null,
-    formatLabel: formatHandler.label,
+    formatLabel,
     storedSettings,
     focusDistanceOverride: storedSettings?.focusDistance,
   };
+
+  if (stream) {
+    // Splats keep arriving after the entry resolves; streamDone settles with the
+    // complete File, or null if the stream stopped early (see discardFailedStream).
+    entry.abortStream = stream.abort;
+    entry.streamDone = stream.done.then((file) => {
+      entry.abortStream = null;
+      if (file) asset.file = file;
+      return file;
+    });
+  }
+
+  if (storedSettings?.splatFilter?.enabled) {
+    const reapplyFilter = async () => {
+      try {
+        const { applySplatFilter } = await import("./splatFilter.js");
+        applySplatFilter(mesh, storedSettings.splatFilter, { useCameraDepth: Boolean(entry.cameraMetadata) });
+      } catch (err) {
+        console.warn(`[SplatManager] Failed to re-apply splat filter for ${asset.name}:`, err);
+      }
+    };
+    if (entry.streamDone) {
+      entry.streamDone.then((file) => file && reapplyFilter());
+    } else {
+      await reapplyFilter();
+    }
+  }
+
+  return entry;
+};
+
+/**
+ * Drop an entry whose stream stopped part-way. Its mesh only holds the rows
+ * that arrived, so it is never reused; listeners get an error event with
+ * `fallback: true` and the next load downloads the whole file.
+ */
+const discardFailedStream = (cacheKey, entry) => {
+  if (cache.get(cacheKey) === entry) cache.delete(cacheKey);
+  disposeEntry(entry);
+  notifyProgress(cacheKey, { stage: "error", message: failedStreams.get(cacheKey), fallback: true });
 };
 
 export const isSplatCached = (asset) => {
@@ -155,20 +317,39 @@ export const isSplatCached = (asset) => {
   return cache.has(cacheKey);
 };
 
-export const ensureSplatEntry = async (asset) => {
+/**
+ * Load (or reuse) the splat entry for an asset.
+ * @param {Object} asset
+ * @param {Object} [options]
+ * @param {(event: { stage: string, progress?: number, loaded?: number, total?: number }) => void} [options.onProgress]
+ *   Decode progress, or byte progress (`stage: 'download'`) while a large PLY streams in.
+ *   Also attached when the asset is already being preloaded
+ */
+export const ensureSplatEntry = async (asset, { onProgress } = {}) => {
   const cacheKey = getCacheKey(asset);
   if (!cacheKey) return null;
   if (cache.has(cacheKey)) return cache.get(cacheKey);
+  addProgressListener(cacheKey, onProgress);
   if (loading.has(cacheKey)) return loading.get(cacheKey);
 
   const promise = createEntry(asset)
     .then((entry) => {
       cache.set(cacheKey, entry);
       loading.delete(cacheKey);
+      // Streaming entries keep reporting download progress until the last range lands
+      if (entry.streamDone) {
+        entry.streamDone.then((file) => {
+          if (!file && failedStreams.has(cacheKey)) discardFailedStream(cacheKey, entry);
+          progressListeners.delete(cacheKey);
+        });
+      } else {
+        progressListeners.delete(cacheKey);
+      }
       return entry;
     })
     .catch((err) => {
       loading.delete(cacheKey);
+      progressListeners.delete(cacheKey);
       throw err;
     });
 
@@ -176,6 +357,16 @@ export const ensureSplatEntry = async (asset) => {
   return promise;
 };
 
+export const updateCropInCache = (assetId, crop) => {
+  if (!assetId || !cache.has(assetId)) return;
+  const entry = cache.get(assetId);
+  if (!entry) return;
+  if (!entry.storedSettings) {
+    entry.storedSettings = {};
+  }
+  entry.storedSettings.crop = crop;
+};
+
 export const updateFocusDistanceInCache = (assetId, focusDistance) => {
   if (!assetId || !cache.has(assetId)) return;
   const entry = cache.get(assetId);
@@ -260,7 +451,7 @@ export const retainOnlySplats = (assetIds) => {
   }
 
   cache.forEach((entry, id) => {
-    if (!assetIds.has(id)) {
+    if (!assetIds.has(id) && !pinned.has(id)) {
       disposeEntry(entry);
       cache.delete(id);
     }
@@ -271,6 +462,9 @@ export const resetSplatManager = () => {
   cache.forEach(disposeEntry);
   cache.clear();
   loading.clear();
+  progressListeners.clear();
+  pinned.clear();
+  failedStreams.clear();
   if (splatGroup) {
     splatGroup.clear();
     if (!scene.children.includes(splatGroup)) {
@@ -16,6 +16,9 @@ import {
   deleteCachedAssetBlob,
   getRemovedAssetNames,
 } from './assetCache.js';
+import { requestPersistentStorage } from './cacheBudget.js';
+import { getManifestScenes, upsertManifestScene, removeManifestScene } from './sceneDocuments.js';
+import { migrateManifest, getManifestAssetDetails } from './manifestSchema.js';
 
 const stripLeadingSlash = (value) => (value || '').replace(/^\/+/, '');
 
@@ -60,12 +63,12 @@ export class AppStorageSource extends AssetSource {
       this._manifest = null;
       return null;
     }
-    this._manifest = manifest;
+    this._manifest = migrateManifest(manifest);
     return manifest;
   }
 
   async _saveManifest(manifest) {
-    this._manifest = manifest;
+    this._manifest = migrateManifest(manifest);
     await saveCollectionManifest(manifest);
     await saveSource(this.toJSON());
   }
@@ -104,21 +107,30 @@ export class AppStorageSource extends AssetSource {
         previewSource: null,
         loaded: false,
         size: asset.size ?? null,
+        ...getManifestAssetDetails(asset),
       }));
 
     this._assets = assets;
     return assets;
   }
 
+  /**
+   * Asset cache key descriptor for a stored file.
+   * Stored blobs are app-local, so no content version is advertised.
+   */
+  _cacheDescriptor(path) {
+    return { sourceId: this.id, path, name: getFilename(path) };
+  }
+
   async fetchAssetData(asset) {
-    const fileName = asset?.name || getFilename(asset?.path || '');
-    if (!fileName) {
+    const path = stripLeadingSlash(asset?.path || asset?.name || '');
+    if (!path) {
       throw new Error('Missing asset name');
     }
 
-    const record = await loadCachedAssetBlob(fileName);
+    const record = await loadCachedAssetBlob(this._cacheDescriptor(path));
     if (!record?.blob) {
-      throw new Error(`Cached asset not found: ${fileName}`);
+      throw new Error(`Cached asset not found: ${path}`);
     }
 
     return record.blob.arrayBuffer();
@@ -148,9 +160,8 @@ export class AppStorageSource extends AssetSource {
     const failed = [];
 
     for (const path of toDelete) {
-      const fileName = getFilename(path);
       try {
-        const removedOk = await deleteCachedAssetBlob(fileName);
+        const removedOk = await deleteCachedAssetBlob(this._cacheDescriptor(path));
         if (!removedOk) {
           failed.push({ path, error: 'Failed to remove cached asset' });
           continue;
@@ -182,18 +193,21 @@ export class AppStorageSource extends AssetSource {
 
     if (!files?.length) return { success: true, imported: 0 };
 
+    await requestPersistentStorage();
     const manifest = await this._ensureManifestLoaded();
     let imported = 0;
 
     for (const file of files) {
       if (!file?.name) continue;
-      const ok = await saveCachedAssetBlob(file.name, file, { size: file.size, type: file.type });
+      const existing = (manifest.assets || []).find((asset) => asset?.name === file.name);
+      const path = existing?.path || file.name;
+      // Pinned: this is the only copy, so the cache budget must never evict it
+      const ok = await saveCachedAssetBlob(this._cacheDescriptor(path), file, { size: file.size, type: file.type, pinned: true });
       if (ok) {
         imported += 1;
-        const existing = (manifest.assets || []).find((asset) => asset?.name === file.name);
         if (existing) {
           existing.size = file.size ?? existing.size ?? null;
-          existing.path = existing.path || file.name;
+          existing.path = path;
         } else {
           manifest.assets.push({
             name: file.name,
@@ -207,6 +221,35 @@ export class AppStorageSource extends AssetSource {
     await this._saveManifest(manifest);
     return { success: true, imported };
   }
+
+  /**
+   * Scene documents stored in the collection manifest.
+   * @returns {Promise<import('./sceneDocuments.js').SceneDocument[]>}
+   */
+  async listScenes() {
+    const manifest = await this._ensureManifestLoaded();
+    return getManifestScenes(manifest);
+  }
+
+  async saveScene(scene) {
+    const manifest = await this._ensureManifestLoaded();
+    try {
+      const saved = upsertManifestScene(manifest, scene);
+      await this._saveManifest(manifest);
+      return { success: true, scene: saved };
+    } catch (err) {
+      return { success: false, error: err?.message || 'Failed to save scene' };
+    }
+  }
+
+  async deleteScene(sceneId) {
+    const manifest = await this._ensureManifestLoaded();
+    if (!removeManifestScene(manifest, sceneId)) {
+      return { success: true, removed: false };
+    }
+    await this._saveManifest(manifest);
+    return { success: true, removed: true };
+  }
 }
 
 /**
@@ -5,6 +5,8 @@
  * Provides a unified interface for the render queue and asset manager.
  */
 
+import { getManifestCollectionSettings } from './manifestSchema.js';
+
 /**
  * @typedef {import('./types.js').SourceConfig} SourceConfig
  * @typedef {import('./types.js').SourceCapabilities} SourceCapabilities
@@ -57,6 +59,15 @@ export class AssetSource {
     return this._connected;
   }
 
+  /**
+   * Whether this source may be written to. Sources with per-connection
+   * permissions (R2/S3) override this.
+   * @returns {boolean}
+   */
+  _canWrite() {
+    return this.getCapabilities().writable === true;
+  }
+
   /**
    * List all available assets from this source.
    * @returns {Promise<RemoteAssetDescriptor[]>}
@@ -107,6 +118,20 @@ export class AssetSource {
     return new File([blob], asset.name, { type: blob.type });
   }
 
+  /**
+   * Fetch a byte range of an asset (inclusive `start`/`end`, as in the HTTP
+   * Range header). Only sources reporting `canStream` implement this.
+   * The raw Response is returned so callers can check for 206 Partial Content.
+   * @param {RemoteAssetDescriptor} asset
+   * @param {number} start
+   * @param {number} end
+   * @param {{ signal?: AbortSignal }} [options]
+   * @returns {Promise<Response>}
+   */
+  async fetchAssetRange(asset, start, end, options = {}) {
+    throw new Error('fetchAssetRange() is not supported by this source');
+  }
+
   /**
    * Fetch preview image for an asset (if available).
    * Returns null if no preview is available.
@@ -129,6 +154,16 @@ export class AssetSource {
     return null;
   }
 
+  /**
+   * Collection-level settings from the manifest (description, cover,
+   * default animation and slideshow settings). Sources without a manifest
+   * have none.
+   * @returns {import('./manifestSchema.js').CollectionSettings}
+   */
+  getCollectionSettings() {
+    return getManifestCollectionSettings(this._manifest ?? null);
+  }
+
   /**
    * Get serializable config for persistence.
    * Subclasses should override to exclude non-serializable data.
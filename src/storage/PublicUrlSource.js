@@ -2,13 +2,17 @@
  * Public URL Source Adapter
  * 
  * Loads assets from any public HTTP endpoint.
- * Supports manifest.json for asset discovery or direct URL lists.
+ * Supports manifest.json for asset discovery, direct URL lists, or crawling
+ * the HTML directory listing a static host serves for the base URL.
  */
 
 import { AssetSource } from './AssetSource.js';
 import { createSourceId, MANIFEST_VERSION, SUPPORTED_MANIFEST_VERSIONS } from './types.js';
 import { saveSource } from './sourceManager.js';
 import { getSupportedExtensions } from '../formats/index.js';
+import { crawlDirectoryListing, buildListingManifest } from './directoryListing.js';
+import { getManifestContentVersion } from './assetKeys.js';
+import { migrateManifest, getManifestAssetDetails } from './manifestSchema.js';
 
 /**
  * Get file extension in lowercase with dot
@@ -63,9 +67,9 @@ export class PublicUrlSource extends AssetSource {
 
   getCapabilities() {
     return {
-      canList: !!this.config.config.manifestUrl || !!this.config.config.assetPaths?.length,
+      canList: !!this.config.config.manifestUrl || !!this.config.config.assetPaths?.length || !!this.config.config.crawlListing,
       canStream: true, // HTTP supports range requests
-      canReadMetadata: false, // Simple URL source doesn't parse metadata
+      canReadMetadata: !!this._manifest, // Only if manifest (or crawled sidecars) provides metadata
       canReadPreviews: !!this._manifest, // Only if manifest provides preview URLs
       persistent: true,
       writable: false,
@@ -77,12 +81,14 @@ export class PublicUrlSource extends AssetSource {
    * @returns {Promise<{success: boolean, error?: string}>}
    */
   async connect() {
-    const { baseUrl, manifestUrl, assetPaths } = this.config.config;
+    const { baseUrl, manifestUrl, assetPaths, crawlListing } = this.config.config;
 
     if (!baseUrl && !manifestUrl && (!assetPaths || assetPaths.length === 0)) {
       return { success: false, error: 'No URL configured' };
     }
 
+    this._manifest = null;
+
     try {
       // If manifest URL is provided, try to fetch it
       if (manifestUrl) {
@@ -90,6 +96,11 @@ export class PublicUrlSource extends AssetSource {
         if (!manifestResult.success) {
           return manifestResult;
         }
+      } else if (baseUrl && crawlListing) {
+        const listingResult = await this._crawlListing();
+        if (!listingResult.success) {
+          return listingResult;
+        }
       } else if (baseUrl) {
         // Just validate base URL is accessible
         const response = await fetch(baseUrl, { method: 'HEAD' });
@@ -153,7 +164,7 @@ export class PublicUrlSource extends AssetSource {
         return { success: false, error: 'Manifest missing assets array' };
       }
 
-      this._manifest = manifest;
+      this._manifest = migrateManifest(manifest);
       
       // Update source name if manifest provides one
       if (manifest.name && !this.config.config.customName) {
@@ -167,6 +178,27 @@ export class PublicUrlSource extends AssetSource {
     }
   }
 
+  /**
+   * Build a synthetic manifest from the base URL's directory listing.
+   * Re-crawled on every connect so new uploads show up.
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async _crawlListing() {
+    const { baseUrl, crawlDepth = 0 } = this.config.config;
+    try {
+      const paths = await crawlDirectoryListing(baseUrl, { maxDepth: crawlDepth });
+      const manifest = buildListingManifest(paths);
+      if (manifest.assets.length === 0) {
+        return { success: false, error: 'No supported assets found in the directory listing' };
+      }
+      this._manifest = migrateManifest(manifest);
+      return { success: true };
+    } catch (error) {
+      if (error.name === 'TypeError') throw error;
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * List all available assets.
    * @returns {Promise<import('./types.js').RemoteAssetDescriptor[]>}
@@ -193,9 +225,12 @@ export class PublicUrlSource extends AssetSource {
           sourceId: this.id,
           sourceType: this.type,
           size: item.size,
+          version: getManifestContentVersion(item),
+          cacheUrl: this.getAssetUrl(item.path),
           preview: item.preview ? joinUrl(baseUrl || '', item.preview) : null,
           previewSource: item.preview ? 'remote' : null,
           metadata: item.metadata,
+          ...getManifestAssetDetails(item),
           loaded: false,
         };
         assets.push(asset);
@@ -212,6 +247,7 @@ export class PublicUrlSource extends AssetSource {
           path,
           sourceId: this.id,
           sourceType: this.type,
+          cacheUrl: this.getAssetUrl(path),
           preview: null,
           previewSource: null,
           loaded: false,
@@ -267,6 +303,28 @@ export class PublicUrlSource extends AssetSource {
     return response.body;
   }
 
+  /**
+   * Fetch a byte range of an asset via an HTTP Range request.
+   * @param {import('./types.js').RemoteAssetDescriptor} asset
+   * @param {number} start
+   * @param {number} end - Inclusive
+   * @param {{ signal?: AbortSignal }} [options]
+   * @returns {Promise<Response>}
+   */
+  async fetchAssetRange(asset, start, end, { signal } = {}) {
+    const url = this.getAssetUrl(asset.path);
+    const response = await fetch(url, {
+      headers: { Range: `bytes=${start}-${end}` },
+      signal,
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch asset: ${response.status} ${response.statusText}`);
+    }
+
+    return response;
+  }
+
   /**
    * Fetch preview image URL.
    * @param {import('./types.js').RemoteAssetDescriptor} asset
@@ -313,11 +371,13 @@ export class PublicUrlSource extends AssetSource {
  * @param {string} [options.baseUrl] - Base URL for assets
  * @param {string} [options.manifestUrl] - Manifest.json URL
  * @param {string[]} [options.assetPaths] - Direct list of asset paths
+ * @param {boolean} [options.crawlListing] - Discover assets from the base URL's HTML directory listing
+ * @param {number} [options.crawlDepth] - Subfolder levels to follow when crawling (0 = base folder only)
  * @param {string} [options.name] - Custom display name
  * @param {string} [options.id] - Optional custom id (for defaults)
  * @returns {PublicUrlSource}
  */
-export const createPublicUrlSource = ({ baseUrl, manifestUrl, assetPaths, name, id }) => {
+export const createPublicUrlSource = ({ baseUrl, manifestUrl, assetPaths, crawlListing = false, crawlDepth = 0, name, id }) => {
   const sourceId = id || createSourceId('public-url');
   
   // Derive display name from URL if not provided
@@ -342,6 +402,8 @@ export const createPublicUrlSource = ({ baseUrl, manifestUrl, assetPaths, name,
       baseUrl: baseUrl || '',
       manifestUrl: manifestUrl || '',
       assetPaths: assetPaths || [],
+      crawlListing: !!crawlListing,
+      crawlDepth: Math.max(0, Number(crawlDepth) || 0),
       customName: !!name,
     },
   };
@@ -19,6 +19,11 @@ import { saveSource } from './sourceManager.js';
 import { getSupportedExtensions } from '../formats/index.js';
 import { getR2Client, buildR2Endpoint } from './r2Client.js';
 import { loadR2ManifestCache, loadR2Settings, saveR2ManifestCache } from './r2Settings.js';
+import { getManifestScenes, upsertManifestScene, removeManifestScene } from './sceneDocuments.js';
+import { getManifestContentVersion, setManifestContentVersion } from './assetKeys.js';
+import { replaceManifestAsset } from './assetReplacement.js';
+import { migrateManifest, getManifestAssetDetails } from './manifestSchema.js';
+import { notifyUncheckedManifestWrite, snapshotManifest, writeManifestWithMerge } from './manifestSync.js';
 
 const METADATA_SUFFIXES = ['.meta.json', '.metadata.json'];
 
@@ -49,6 +54,20 @@ const getMetadataAssetBase = (filename) => {
 	return getBaseName(withoutSuffix).toLowerCase();
 };
 
+const getStatusCode = (error) => error?.$metadata?.httpStatusCode;
+
+const isMissingObjectError = (error) => error?.name === 'NoSuchKey' || getStatusCode(error) === 404;
+
+// 409 is returned by S3 when a concurrent conditional write is in flight
+const isPreconditionError = (error) => (
+	error?.name === 'PreconditionFailed'
+	|| error?.name === 'ConditionalRequestConflict'
+	|| getStatusCode(error) === 412
+	|| getStatusCode(error) === 409
+);
+
+const isNotImplementedError = (error) => error?.name === 'NotImplemented' || getStatusCode(error) === 501;
+
 const DEFAULT_PERMISSIONS = {
 	canRead: true,
 	canWrite: true,
@@ -94,6 +113,9 @@ export class R2BucketSource extends AssetSource {
 	constructor(config) {
 		super(config);
 		this._manifest = null;
+		// Remote manifest as last read or written, and its ETag (see manifestSync.js)
+		this._manifestBase = null;
+		this._manifestToken = undefined;
 	}
 
 	_permissions() {
@@ -221,20 +243,35 @@ export class R2BucketSource extends AssetSource {
 		}
 	}
 
-	async _loadManifest({ bypassCache = false, allowStale = false } = {}) {
-		const cacheKey = {
+	// Manifest cache hooks, overridden by other S3-compatible sources
+	_loadManifestCache(options) {
+		return loadR2ManifestCache({
 			accountId: this.config.config.accountId,
 			bucket: this.config.config.bucket,
 			collectionId: this.config.config.collectionId,
-		};
+		}, options);
+	}
+
+	_saveManifestCache(manifest) {
+		saveR2ManifestCache({
+			accountId: this.config.config.accountId,
+			bucket: this.config.config.bucket,
+			collectionId: this.config.config.collectionId,
+		}, manifest);
+	}
+
+	async _loadManifest({ bypassCache = false, allowStale = false } = {}) {
 		const isOffline = this._isOffline();
 
 		if (!bypassCache) {
 			const cachedManifest = isOffline || allowStale
-				? loadR2ManifestCache(cacheKey, { maxAgeMs: -1 })
-				: loadR2ManifestCache(cacheKey);
+				? this._loadManifestCache({ maxAgeMs: -1 })
+				: this._loadManifestCache();
 			if (cachedManifest) {
-				this._manifest = cachedManifest;
+				this._manifest = migrateManifest(cachedManifest);
+				// ETag unknown: the next write re-reads the remote first
+				this._manifestBase = snapshotManifest(cachedManifest);
+				this._manifestToken = undefined;
 				this.config.config.hasManifest = true;
 				if (cachedManifest.name) {
 					this.name = cachedManifest.name;
@@ -249,23 +286,16 @@ export class R2BucketSource extends AssetSource {
 		}
 
 		try {
-			const client = this._client();
-			const manifestKey = this._toStoragePath('manifest.json');
-			const response = await client.send(new GetObjectCommand({
-				Bucket: this._bucket(),
-				Key: manifestKey,
-			}));
-
-			const text = await streamToText(response.Body);
-			const manifest = JSON.parse(text);
-
-			if (!SUPPORTED_MANIFEST_VERSIONS.includes(manifest.version)) {
-				throw new Error(`Unsupported manifest version: ${manifest.version}`);
+			const { manifest, token } = await this._fetchRemoteManifest();
+			if (!manifest) {
+				throw new Error('manifest.json not found');
 			}
 
 			this._manifest = manifest;
+			this._manifestBase = snapshotManifest(manifest);
+			this._manifestToken = token;
 			this.config.config.hasManifest = true;
-			saveR2ManifestCache(cacheKey, manifest);
+			this._saveManifestCache(manifest);
 
 			if (manifest.name) {
 				this.name = manifest.name;
@@ -284,24 +314,89 @@ export class R2BucketSource extends AssetSource {
 		}
 	}
 
-	async _saveManifest(manifest) {
-		const payload = JSON.stringify(manifest, null, 2);
-		const manifestKey = this._toStoragePath('manifest.json');
-		const client = this._client();
-		await client.send(new PutObjectCommand({
+	/**
+	 * Current remote manifest and its ETag. `manifest` and `token` are null
+	 * when the collection has no manifest yet; `token` is undefined when the
+	 * bucket's CORS rules do not expose the ETag header.
+	 */
+	async _fetchRemoteManifest() {
+		try {
+			const response = await this._client().send(new GetObjectCommand({
+				Bucket: this._bucket(),
+				Key: this._toStoragePath('manifest.json'),
+			}));
+
+			const text = await streamToText(response.Body);
+			const manifest = JSON.parse(text);
+
+			if (!SUPPORTED_MANIFEST_VERSIONS.includes(manifest.version)) {
+				throw new Error(`Unsupported manifest version: ${manifest.version}`);
+			}
+
+			return { manifest: migrateManifest(manifest), token: response.ETag || undefined };
+		} catch (error) {
+			if (isMissingObjectError(error)) {
+				return { manifest: null, token: null };
+			}
+			throw error;
+		}
+	}
+
+	/**
+	 * Write manifest.json only if it still has the ETag `etag` (null: only if
+	 * it does not exist). Resolves false when another client wrote first.
+	 * Without an ETag (hidden by CORS) or provider support the write is
+	 * unconditional, and the user is told so.
+	 */
+	async _putManifest(manifest, etag) {
+		if (etag === undefined) {
+			notifyUncheckedManifestWrite(this, "The bucket's CORS rules do not expose the ETag header.");
+			return this._sendManifest(manifest, {});
+		}
+
+		const condition = etag ? { IfMatch: etag } : { IfNoneMatch: '*' };
+		try {
+			return await this._sendManifest(manifest, condition);
+		} catch (error) {
+			if (isPreconditionError(error)) {
+				return false;
+			}
+			if (isNotImplementedError(error)) {
+				// Some S3-compatible providers reject conditional writes
+				notifyUncheckedManifestWrite(this, 'This storage provider does not support conditional writes.');
+				return this._sendManifest(manifest, {});
+			}
+			throw error;
+		}
+	}
+
+	async _sendManifest(manifest, condition) {
+		const response = await this._client().send(new PutObjectCommand({
 			Bucket: this._bucket(),
-			Key: manifestKey,
-			Body: payload,
+			Key: this._toStoragePath('manifest.json'),
+			Body: JSON.stringify(manifest, null, 2),
 			ContentType: 'application/json',
 			CacheControl: 'no-cache',
+			...condition,
 		}));
-		this._manifest = manifest;
+		return response.ETag || undefined;
+	}
+
+	async _saveManifest(manifest) {
+		migrateManifest(manifest);
+		const { manifest: written, token } = await writeManifestWithMerge({
+			source: this,
+			base: this._manifestBase,
+			manifest,
+			token: this._manifestToken,
+			fetchRemote: () => this._fetchRemoteManifest(),
+			write: (next, etag) => this._putManifest(next, etag),
+		});
+		this._manifest = written;
+		this._manifestBase = snapshotManifest(written);
+		this._manifestToken = token;
 		this.config.config.hasManifest = true;
-		saveR2ManifestCache({
-			accountId: this.config.config.accountId,
-			bucket: this.config.config.bucket,
-			collectionId: this.config.config.collectionId,
-		}, manifest);
+		this._saveManifestCache(written);
 		await saveSource(this.toJSON());
 	}
 
@@ -395,8 +490,10 @@ export class R2BucketSource extends AssetSource {
 				sourceId: this.id,
 				sourceType: this.type,
 				size: item.size,
+				version: getManifestContentVersion(item),
 				preview: null,
 				previewSource: null,
+				...getManifestAssetDetails(item),
 				_metadataPath: typeof item.metadata === 'string' ? item.metadata : null,
 				_inlineMetadata: typeof item.metadata === 'object' ? item.metadata : null,
 				loaded: false,
@@ -425,6 +522,18 @@ export class R2BucketSource extends AssetSource {
 		return response.body;
 	}
 
+	async fetchAssetRange(asset, start, end, { signal } = {}) {
+		const url = await this._signedUrlFor(asset.path);
+		const response = await fetch(url, {
+			headers: { Range: `bytes=${start}-${end}` },
+			signal,
+		});
+		if (!response.ok) {
+			throw new Error(`Failed to fetch asset: ${response.status} ${response.statusText}`);
+		}
+		return response;
+	}
+
 	async fetchPreview(asset) {
 		return null;
 	}
@@ -543,16 +652,18 @@ export class R2BucketSource extends AssetSource {
 
 			const targetPath = `${this._assetPrefix()}/${file.name}`;
 			const relative = toRelativeFromBase(targetPath, this._basePrefix());
+			let etag = null;
 			try {
 				// AWS SDK v3 in browser requires ArrayBuffer/Uint8Array for Body
 				const arrayBuffer = await file.arrayBuffer();
-				await client.send(new PutObjectCommand({
+				const putResult = await client.send(new PutObjectCommand({
 					Bucket: this._bucket(),
 					Key: targetPath,
 					Body: new Uint8Array(arrayBuffer),
 					ContentType: file.type || 'application/octet-stream',
 					CacheControl: 'public, max-age=31536000, immutable',
 				}));
+				etag = putResult?.ETag || null;
 			} catch (error) {
 				results.failed.push({ name: file.name, error: error.message });
 				continue;
@@ -560,11 +671,11 @@ export class R2BucketSource extends AssetSource {
 
 			if (supportedExtensions.includes(ext)) {
 				if (!existingByPath.has(relative)) {
-					const newAsset = {
+					const newAsset = setManifestContentVersion({
 						path: relative,
 						name: file.name,
 						size: file.size,
-					};
+					}, { etag, file });
 					manifest.assets.push(newAsset);
 					existingByPath.set(relative, newAsset);
 					const list = assetsByBase.get(base) || [];
@@ -574,6 +685,7 @@ export class R2BucketSource extends AssetSource {
 					const existing = existingByPath.get(relative);
 					existing.name = file.name;
 					existing.size = file.size;
+					setManifestContentVersion(existing, { etag, file });
 				}
 			} else if (metadataBase) {
 				const matched = assetsByBase.get(metadataBase) || [];
@@ -590,6 +702,38 @@ export class R2BucketSource extends AssetSource {
 		return { success: results.failed.length === 0, ...results };
 	}
 
+	/**
+	 * Replace an asset's file in place (e.g. after converting it to another
+	 * format); see assetReplacement.js. The old object is removed when the
+	 * path differs and delete permission is enabled.
+	 * @param {RemoteAssetDescriptor} asset
+	 * @param {File} file
+	 */
+	async replaceAsset(asset, file) {
+		const rawPath = asset?.path || asset?._remoteAsset?.path;
+		return replaceManifestAsset(this, {
+			oldPath: rawPath ? toRelativeFromBase(stripLeadingSlash(rawPath), this._basePrefix()) : null,
+			file,
+			upload: async (path) => {
+				const result = await this._client().send(new PutObjectCommand({
+					Bucket: this._bucket(),
+					Key: this._toStoragePath(path),
+					Body: new Uint8Array(await file.arrayBuffer()),
+					ContentType: file.type || 'application/octet-stream',
+					// The path may keep its name across replacements, so caches must revalidate
+					CacheControl: 'no-cache',
+				}));
+				return result?.ETag || null;
+			},
+			removeOld: this._canDelete()
+				? (path) => this._client().send(new DeleteObjectsCommand({
+					Bucket: this._bucket(),
+					Delete: { Objects: [{ Key: this._toStoragePath(path) }], Quiet: true },
+				}))
+				: null,
+		});
+	}
+
 	async deleteAssets(items) {
 		if (!this._canDelete()) {
 			return { success: false, error: 'Delete permission is disabled for this source' };
@@ -659,6 +803,57 @@ export class R2BucketSource extends AssetSource {
 		return { success: failures.length === 0, removed: removedSuccessfully, failed: failures };
 	}
 
+	/**
+	 * Scene documents stored in manifest.json.
+	 * @returns {Promise<import('./sceneDocuments.js').SceneDocument[]>}
+	 */
+	async listScenes() {
+		await this._ensureManifestLoaded();
+		return getManifestScenes(this._manifest);
+	}
+
+	async saveScene(scene) {
+		if (!this._canWrite()) {
+			return { success: false, error: 'Write permission is disabled for this source' };
+		}
+
+		if (!this._connected) {
+			const result = await this.connect({ refreshManifest: true });
+			if (!result.success) return { success: false, error: result.error };
+		}
+
+		await this._ensureManifestLoaded();
+		if (!this._manifest) {
+			return { success: false, error: 'Collection manifest is not available' };
+		}
+
+		try {
+			const saved = upsertManifestScene(this._manifest, scene);
+			await this._saveManifest(this._manifest);
+			return { success: true, scene: saved };
+		} catch (error) {
+			return { success: false, error: error.message };
+		}
+	}
+
+	async deleteScene(sceneId) {
+		if (!this._canWrite()) {
+			return { success: false, error: 'Write permission is disabled for this source' };
+		}
+
+		await this._ensureManifestLoaded();
+		if (!this._manifest || !removeManifestScene(this._manifest, sceneId)) {
+			return { success: true, removed: false };
+		}
+
+		try {
+			await this._saveManifest(this._manifest);
+			return { success: true, removed: true };
+		} catch (error) {
+			return { success: false, error: error.message };
+		}
+	}
+
 	async verifyUploadPermission() {
 		if (!this._canWrite()) {
 			return { success: false, error: 'Write permission is disabled for this source' };
@@ -0,0 +1,99 @@
+/**
+ * Generic S3-compatible Storage Source Adapter
+ * AWS S3, MinIO, Backblaze B2, Wasabi or any endpoint speaking the S3 API.
+ * Same manifest-first layout, rescan, upload and delete behaviour as R2:
+ * {bucket}/collections/{collectionId}/manifest.json
+ * {bucket}/collections/{collectionId}/assets/*
+ */
+
+import { R2BucketSource } from './R2BucketSource.js';
+import { createSourceId } from './types.js';
+import { getS3Client, normalizeS3Endpoint, DEFAULT_S3_REGION } from './s3Client.js';
+import { isSameS3Bucket, loadS3ManifestCache, loadS3Settings, saveS3ManifestCache } from './s3Settings.js';
+
+const DEFAULT_PERMISSIONS = {
+	canRead: true,
+	canWrite: true,
+	canDelete: true,
+};
+
+export class S3BucketSource extends R2BucketSource {
+	_client() {
+		const { config } = this.config;
+		const fallbackSettings = loadS3Settings();
+		const fallbackSecret = isSameS3Bucket(fallbackSettings, config)
+			? fallbackSettings.secretAccessKey
+			: '';
+
+		return getS3Client({
+			endpoint: config.endpoint,
+			region: config.region,
+			forcePathStyle: config.forcePathStyle,
+			accessKeyId: config.accessKeyId,
+			secretAccessKey: config.secretAccessKey || fallbackSecret,
+		});
+	}
+
+	_manifestCacheParams() {
+		const { endpoint, region, bucket, collectionId } = this.config.config;
+		return { endpoint, region, bucket, collectionId };
+	}
+
+	_loadManifestCache(options) {
+		return loadS3ManifestCache(this._manifestCacheParams(), options);
+	}
+
+	_saveManifestCache(manifest) {
+		saveS3ManifestCache(this._manifestCacheParams(), manifest);
+	}
+}
+
+export const createS3BucketSource = ({
+	endpoint,
+	region,
+	forcePathStyle = true,
+	accessKeyId,
+	secretAccessKey,
+	bucket,
+	collectionId,
+	name,
+	collectionName,
+	permissions,
+}) => {
+	const id = createSourceId('s3-bucket');
+	const displayName = name || collectionName || `S3: ${bucket ? `${bucket}/` : ''}${collectionId}`;
+	const normalizedPermissions = {
+		...DEFAULT_PERMISSIONS,
+		...(permissions || {}),
+	};
+	normalizedPermissions.canRead = true;
+
+	const config = {
+		id,
+		type: 's3-bucket',
+		name: displayName,
+		createdAt: Date.now(),
+		lastAccessed: Date.now(),
+		isDefault: false,
+		config: {
+			endpoint: normalizeS3Endpoint(endpoint),
+			region: String(region || '').trim() || DEFAULT_S3_REGION,
+			forcePathStyle: forcePathStyle !== false,
+			accessKeyId: String(accessKeyId || '').trim(),
+			secretAccessKey: String(secretAccessKey || '').trim(),
+			bucket: String(bucket || '').trim(),
+			collectionId: String(collectionId || '').trim(),
+			collectionName: collectionName || displayName,
+			permissions: normalizedPermissions,
+			hasManifest: false,
+		},
+	};
+
+	return new S3BucketSource(config);
+};
+
+export const restoreS3BucketSource = (config) => {
+	return new S3BucketSource(config);
+};
+
+export default S3BucketSource;
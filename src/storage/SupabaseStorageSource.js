@@ -5,8 +5,10 @@
  * Layout (required):
  * {bucket}/collections/{collectionId}/manifest.json
  * {bucket}/collections/{collectionId}/assets/*
+ * {bucket}/collections/{collectionId}/manifest-revisions/{revision}.json
  *
- * - manifest.json is the source of truth
+ * - manifest.json is the source of truth, together with any newer revisions
+ *   (see _putManifest)
  * - Rescans are explicit (no implicit crawling)
  * - Uploads update manifest deterministically
  */
@@ -17,6 +19,11 @@ import { saveSource } from './sourceManager.js';
 import { getSupportedExtensions } from '../formats/index.js';
 import { loadSupabaseManifestCache, saveSupabaseManifestCache } from './supabaseSettings.js';
 import { getSupabaseClient } from './supabaseClient.js';
+import { getManifestScenes, upsertManifestScene, removeManifestScene } from './sceneDocuments.js';
+import { getManifestContentVersion, setManifestContentVersion } from './assetKeys.js';
+import { replaceManifestAsset } from './assetReplacement.js';
+import { migrateManifest, getManifestAssetDetails } from './manifestSchema.js';
+import { snapshotManifest, writeManifestWithMerge } from './manifestSync.js';
 
 const PREVIEW_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
 const METADATA_SUFFIXES = ['.meta.json', '.metadata.json'];
@@ -48,11 +55,28 @@ const toRelativeFromBase = (fullPath, basePrefix) => {
   return normalized;
 };
 
+// Storage answers 400 with a 404 statusCode for missing objects
+const isMissingObjectError = (error) => (
+  error?.status === 404 || String(error?.statusCode) === '404' || /not found/i.test(error?.message || '')
+);
+
+// Storage answers 409 when a non-upsert upload hits an existing object
+const isExistingObjectError = (error) => (
+  error?.status === 409 || String(error?.statusCode) === '409' || /already exists|duplicate/i.test(error?.message || '')
+);
+
+const getManifestRevision = (manifest) => (Number.isInteger(manifest?.revision) ? manifest.revision : 0);
+
+// Revision objects kept behind the newest, for a manifest.json that lags behind
+const KEPT_MANIFEST_REVISIONS = 3;
 
 export class SupabaseStorageSource extends AssetSource {
   constructor(config) {
     super(config);
     this._manifest = null;
+    // Remote manifest as last read or written, and its revision (see manifestSync.js)
+    this._manifestBase = null;
+    this._manifestToken = undefined;
   }
 
   _ensureClient() {
@@ -176,7 +200,10 @@ export class SupabaseStorageSource extends AssetSource {
         ? loadSupabaseManifestCache(cacheKey, { maxAgeMs: -1 })
         : loadSupabaseManifestCache(cacheKey);
       if (cachedManifest) {
-        this._manifest = cachedManifest;
+        this._manifest = migrateManifest(cachedManifest);
+        // Revision unknown: the next write re-reads the remote first
+        this._manifestBase = snapshotManifest(cachedManifest);
+        this._manifestToken = undefined;
         this.config.config.hasManifest = true;
         if (cachedManifest.name) {
           this.name = cachedManifest.name;
@@ -193,26 +220,21 @@ export class SupabaseStorageSource extends AssetSource {
 
     // Try to fetch from network
     try {
-      const manifestPath = this._toStoragePath('manifest.json');
-      const { data, error } = await this._storage().download(manifestPath);
-      if (error) {
+      const { manifest, token } = await this._fetchRemoteManifest();
+      if (!manifest) {
         if (this._manifest) {
-          console.warn('[Supabase] Manifest fetch failed, using cached manifest:', error.message);
+          console.warn('[Supabase] Manifest not found, using cached manifest');
           return this._manifest;
         }
         this.config.config.hasManifest = false;
         this._manifest = null;
+        this._manifestToken = null;
         return null;
       }
 
-      const text = await data.text();
-      const manifest = JSON.parse(text);
-
-      if (!SUPPORTED_MANIFEST_VERSIONS.includes(manifest.version)) {
-        throw new Error(`Unsupported manifest version: ${manifest.version}`);
-      }
-
       this._manifest = manifest;
+      this._manifestBase = snapshotManifest(manifest);
+      this._manifestToken = token;
       this.config.config.hasManifest = true;
       saveSupabaseManifestCache(cacheKey, manifest);
 
@@ -229,21 +251,110 @@ export class SupabaseStorageSource extends AssetSource {
     }
   }
 
-  async _saveManifest(manifest) {
-    const payload = JSON.stringify(manifest, null, 2);
-    const blob = new Blob([payload], { type: 'application/json' });
-    const manifestPath = this._toStoragePath('manifest.json');
-    const { error } = await this._storage().upload(manifestPath, blob, { upsert: true, contentType: 'application/json' });
+  /**
+   * Current remote manifest and its revision. Both are null when the
+   * collection has no manifest yet.
+   */
+  async _fetchRemoteManifest() {
+    let manifest = await this._downloadManifest('manifest.json');
+    // Follow revisions committed after manifest.json was last written
+    for (;;) {
+      const next = await this._downloadManifest(this._revisionPath(getManifestRevision(manifest) + 1));
+      if (!next) break;
+      manifest = next;
+    }
+
+    if (!manifest) {
+      return { manifest: null, token: null };
+    }
+    if (!SUPPORTED_MANIFEST_VERSIONS.includes(manifest.version)) {
+      throw new Error(`Unsupported manifest version: ${manifest.version}`);
+    }
+    return { manifest: migrateManifest(manifest), token: getManifestRevision(manifest) };
+  }
+
+  _revisionPath(revision) {
+    return `manifest-revisions/${revision}.json`;
+  }
+
+  async _downloadManifest(relativePath) {
+    const { data, error } = await this._storage().download(this._toStoragePath(relativePath));
+    if (error) {
+      if (isMissingObjectError(error)) return null;
+      throw new Error(`Failed to read manifest: ${error.message}`);
+    }
+    return JSON.parse(await data.text());
+  }
+
+  async _uploadManifest(relativePath, body, upsert) {
+    const blob = new Blob([body], { type: 'application/json' });
+    return this._storage().upload(this._toStoragePath(relativePath), blob, {
+      upsert,
+      contentType: 'application/json',
+      cacheControl: '0',
+    });
+  }
+
+  /**
+   * Storage uploads cannot be made conditional, but a non-upsert upload
+   * fails when the object exists. Each write therefore first creates
+   * `manifest-revisions/{revision}.json`, which only one client can do per
+   * revision, and then copies it to manifest.json for readers that do not
+   * follow revisions. Resolves false when another client claimed the
+   * revision first, or when the claimed number is no longer the newest:
+   * old revision objects are pruned, so a client holding an old token can
+   * claim a pruned number again.
+   */
+  async _putManifest(manifest, revision) {
+    manifest.revision = (revision ?? 0) + 1;
+    const body = JSON.stringify(manifest, null, 2);
+
+    const { error: claimError } = await this._uploadManifest(this._revisionPath(manifest.revision), body, false);
+    if (claimError) {
+      if (isExistingObjectError(claimError)) return false;
+      throw new Error(`Failed to write manifest: ${claimError.message}`);
+    }
+
+    const latest = await this._fetchRemoteManifest();
+    if (latest.token !== manifest.revision) {
+      return false;
+    }
+
+    // The revision is committed; a stale manifest.json is corrected by readers
+    const { error } = await this._uploadManifest('manifest.json', body, true);
     if (error) {
-      throw new Error(`Failed to write manifest: ${error.message}`);
+      console.warn('[Supabase] Failed to update manifest.json:', error.message);
     }
-    this._manifest = manifest;
+
+    const expired = manifest.revision - KEPT_MANIFEST_REVISIONS;
+    if (expired > 0) {
+      const { error: removeError } = await this._storage().remove([this._toStoragePath(this._revisionPath(expired))]);
+      if (removeError) {
+        console.warn('[Supabase] Failed to remove old manifest revision:', removeError.message);
+      }
+    }
+    return manifest.revision;
+  }
+
+  async _saveManifest(manifest) {
+    migrateManifest(manifest);
+    const { manifest: written, token } = await writeManifestWithMerge({
+      source: this,
+      base: this._manifestBase,
+      manifest,
+      token: this._manifestToken,
+      fetchRemote: () => this._fetchRemoteManifest(),
+      write: (next, revision) => this._putManifest(next, revision),
+    });
+    this._manifest = written;
+    this._manifestBase = snapshotManifest(written);
+    this._manifestToken = token;
     this.config.config.hasManifest = true;
     saveSupabaseManifestCache({
       supabaseUrl: this.config.config.supabaseUrl,
       bucket: this.config.config.bucket,
       collectionId: this.config.config.collectionId,
-    }, manifest);
+    }, written);
     await saveSource(this.toJSON());
   }
 
@@ -289,8 +400,11 @@ export class SupabaseStorageSource extends AssetSource {
         sourceId: this.id,
         sourceType: this.type,
         size: item.size,
+        version: getManifestContentVersion(item),
+        cacheUrl: this._publicUrlFor(item.path),
         preview: item.preview ? this._publicUrlFor(item.preview) : null,
         previewSource: item.preview ? 'remote' : null,
+        ...getManifestAssetDetails(item),
         _metadataPath: typeof item.metadata === 'string' ? item.metadata : null,
         _inlineMetadata: typeof item.metadata === 'object' ? item.metadata : null,
         loaded: false,
@@ -320,6 +434,18 @@ export class SupabaseStorageSource extends AssetSource {
     return response.body;
   }
 
+  async fetchAssetRange(asset, start, end, { signal } = {}) {
+    const url = this._publicUrlFor(asset.path);
+    const response = await fetch(url, {
+      headers: { Range: `bytes=${start}-${end}` },
+      signal,
+    });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch asset: ${response.status} ${response.statusText}`);
+    }
+    return response;
+  }
+
   async fetchPreview(asset) {
     if (asset.preview) return asset.preview;
     return null;
@@ -492,11 +618,11 @@ export class SupabaseStorageSource extends AssetSource {
 
       if (supportedExtensions.includes(ext)) {
         if (!existingByPath.has(relative)) {
-          manifest.assets.push({
+          manifest.assets.push(setManifestContentVersion({
             path: relative,
             name: file.name,
             size: file.size,
-          });
+          }, { file }));
           existingByPath.set(relative, manifest.assets[manifest.assets.length - 1]);
         }
       } else if (PREVIEW_EXTENSIONS.includes(ext)) {
@@ -522,6 +648,34 @@ export class SupabaseStorageSource extends AssetSource {
     return { success: results.failed.length === 0, ...results };
   }
 
+  /**
+   * Replace an asset's file in place (e.g. after converting it to another
+   * format); see assetReplacement.js. The old object is removed when the
+   * path differs.
+   * @param {RemoteAssetDescriptor} asset
+   * @param {File} file
+   */
+  async replaceAsset(asset, file) {
+    const rawPath = asset?.path || asset?._remoteAsset?.path;
+    return replaceManifestAsset(this, {
+      oldPath: rawPath ? toRelativeFromBase(stripLeadingSlash(rawPath), this._basePrefix()) : null,
+      file,
+      upload: async (path) => {
+        // The path may keep its name across replacements, so caches must revalidate
+        const { error } = await this._storage().upload(this._toStoragePath(path), file, {
+          upsert: true,
+          contentType: file.type || 'application/octet-stream',
+          cacheControl: '0',
+        });
+        if (error) throw error;
+      },
+      removeOld: async (path) => {
+        const { error } = await this._storage().remove([this._toStoragePath(path)]);
+        if (error) throw error;
+      },
+    });
+  }
+
   async deleteAssets(items) {
     if (!this._connected) {
       const result = await this.connect({ refreshManifest: true });
@@ -578,6 +732,49 @@ export class SupabaseStorageSource extends AssetSource {
     return { success: failures.length === 0, removed: Array.from(removedPaths), failed: failures };
   }
 
+  /**
+   * Scene documents stored in manifest.json.
+   * @returns {Promise<import('./sceneDocuments.js').SceneDocument[]>}
+   */
+  async listScenes() {
+    await this._ensureManifestLoaded();
+    return getManifestScenes(this._manifest);
+  }
+
+  async saveScene(scene) {
+    if (!this._connected) {
+      const result = await this.connect({ refreshManifest: true });
+      if (!result.success) return { success: false, error: result.error };
+    }
+
+    await this._ensureManifestLoaded();
+    if (!this._manifest) {
+      return { success: false, error: 'Collection manifest is not available' };
+    }
+
+    try {
+      const saved = upsertManifestScene(this._manifest, scene);
+      await this._saveManifest(this._manifest);
+      return { success: true, scene: saved };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async deleteScene(sceneId) {
+    await this._ensureManifestLoaded();
+    if (!this._manifest || !removeManifestScene(this._manifest, sceneId)) {
+      return { success: true, removed: false };
+    }
+
+    try {
+      await this._saveManifest(this._manifest);
+      return { success: true, removed: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Probes the bucket for upload permission by writing and deleting a tiny temp object.
    * Avoids user-visible failures on first real upload.
@@ -0,0 +1,807 @@
+/**
+ * WebDAV Storage Source Adapter
+ *
+ * Manifest-first storage for NAS and self-hosted WebDAV servers
+ * (Nextcloud, Synology, Apache mod_dav).
+ * Layout (required):
+ * {url}/collections/{collectionId}/manifest.json
+ * {url}/collections/{collectionId}/assets/*
+ *
+ * - Lists with PROPFIND, reads with GET (Range for streaming), writes with PUT
+ * - Manifest writes are conditional on the manifest's ETag (see manifestSync.js)
+ * - Basic or Bearer credentials; encrypted secrets resolve through the vault
+ * - Previews are fetched with credentials and handed out as object URLs
+ */
+
+import { AssetSource } from './AssetSource.js';
+import { createSourceId, MANIFEST_VERSION, SUPPORTED_MANIFEST_VERSIONS } from './types.js';
+import { saveSource } from './sourceManager.js';
+import { getSupportedExtensions } from '../formats/index.js';
+import {
+  normalizeWebDavUrl,
+  joinWebDavUrl,
+  webdavFetch,
+  webdavList,
+  webdavPut,
+  webdavDelete,
+  ensureWebDavCollection,
+} from './webdavClient.js';
+import {
+  isSameWebDavServer,
+  loadWebDavSettings,
+  loadWebDavManifestCache,
+  saveWebDavManifestCache,
+} from './webdavSettings.js';
+import { getManifestScenes, upsertManifestScene, removeManifestScene } from './sceneDocuments.js';
+import { getManifestContentVersion, setManifestContentVersion } from './assetKeys.js';
+import { replaceManifestAsset } from './assetReplacement.js';
+import { migrateManifest, getManifestAssetDetails } from './manifestSchema.js';
+import { notifyUncheckedManifestWrite, snapshotManifest, writeManifestWithMerge } from './manifestSync.js';
+
+const PREVIEW_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+const METADATA_SUFFIXES = ['.meta.json', '.metadata.json'];
+
+const getExtension = (filename) => {
+  const parts = filename.split('.');
+  return parts.length > 1 ? `.${parts.pop().toLowerCase()}` : '';
+};
+
+const getFilename = (path) => {
+  const parts = path.split('/');
+  return parts[parts.length - 1] || path;
+};
+
+const getBaseName = (filename) => {
+  const name = getFilename(filename);
+  const lastDot = name.lastIndexOf('.');
+  return lastDot > 0 ? name.slice(0, lastDot) : name;
+};
+
+const stripLeadingSlash = (value) => value.replace(/^\/+/, '');
+
+const toRelativeFromBase = (fullPath, basePrefix) => {
+  const normalized = stripLeadingSlash(fullPath);
+  const base = stripLeadingSlash(basePrefix);
+  if (normalized.startsWith(`${base}/`)) {
+    return normalized.slice(base.length + 1);
+  }
+  return normalized;
+};
+
+
+export class WebDavSource extends AssetSource {
+  constructor(config) {
+    super(config);
+    this._manifest = null;
+    // Remote manifest as last read or written, and its ETag (see manifestSync.js)
+    this._manifestBase = null;
+    this._manifestToken = undefined;
+    this._previewUrls = new Map();
+  }
+
+  _auth() {
+    const { authType, username, secret } = this.config.config;
+    const fallbackSettings = loadWebDavSettings();
+    const fallbackSecret = isSameWebDavServer(fallbackSettings, this.config.config)
+      ? fallbackSettings.secret
+      : '';
+
+    return { authType, username, secret: secret || fallbackSecret };
+  }
+
+  _basePrefix() {
+    return `collections/${this.config.config.collectionId}`;
+  }
+
+  _assetPrefix() {
+    return `${this._basePrefix()}/assets`;
+  }
+
+  _toStoragePath(relative) {
+    return `${this._basePrefix()}/${stripLeadingSlash(relative)}`;
+  }
+
+  _urlFor(storagePath) {
+    return joinWebDavUrl(this.config.config.url, storagePath);
+  }
+
+  _manifestCacheKey() {
+    return {
+      url: this.config.config.url,
+      collectionId: this.config.config.collectionId,
+    };
+  }
+
+  async _get(relativePath, { headers, signal } = {}) {
+    const response = await webdavFetch(this._urlFor(this._toStoragePath(relativePath)), {
+      auth: this._auth(),
+      headers,
+      signal,
+    });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch asset: ${response.status} ${response.statusText}`);
+    }
+    return response;
+  }
+
+  getCapabilities() {
+    return {
+      canList: true,
+      canStream: true,
+      canReadMetadata: true,
+      canReadPreviews: true,
+      persistent: true,
+      writable: true,
+    };
+  }
+
+  async connect(options = {}) {
+    const normalized = typeof options === 'boolean'
+      ? { refreshManifest: options }
+      : options;
+
+    const { refreshManifest = true, verifyUpload = false } = normalized;
+    const isOffline = typeof navigator !== 'undefined' && navigator.onLine === false;
+
+    // Always try to load cached manifest first (cache-first strategy)
+    if (refreshManifest || !this._manifest) {
+      await this._loadManifest({ allowStale: true });
+    }
+
+    if (isOffline) {
+      if (this._manifest) {
+        this._connected = true;
+        await saveSource(this.toJSON());
+        return { success: true, offline: true };
+      }
+      return { success: false, error: 'Offline and no cached manifest available', offline: true };
+    }
+
+    try {
+      // PROPFIND doubles as the credential check; a missing folder lists as empty
+      await webdavList(this._urlFor(this._basePrefix()), { auth: this._auth() });
+
+      if (refreshManifest) {
+        await this._loadManifest({ bypassCache: false });
+      }
+
+      await this._ensureManifestLoaded();
+
+      if (verifyUpload) {
+        const uploadCheck = await this.verifyUploadPermission();
+        if (!uploadCheck.success) {
+          return uploadCheck;
+        }
+      }
+
+      this._connected = true;
+      await saveSource(this.toJSON());
+      return { success: true };
+    } catch (error) {
+      // 401/403 mean the credentials are wrong; don't hide that behind the cache
+      if (this._manifest && error.status !== 401 && error.status !== 403) {
+        console.log('[WebDAV] Server unreachable, using cached manifest:', error.message);
+        this._connected = true;
+        await saveSource(this.toJSON());
+        return { success: true, offline: true };
+      }
+      return { success: false, error: error.message };
+    }
+  }
+
+  async _loadManifest({ bypassCache = false, allowStale = false } = {}) {
+    const cacheKey = this._manifestCacheKey();
+    const isOffline = typeof navigator !== 'undefined' && navigator.onLine === false;
+
+    if (!bypassCache) {
+      const cachedManifest = isOffline || allowStale
+        ? loadWebDavManifestCache(cacheKey, { maxAgeMs: -1 })
+        : loadWebDavManifestCache(cacheKey);
+      if (cachedManifest) {
+        this._manifest = migrateManifest(cachedManifest);
+        // ETag unknown: the next write re-reads the remote first
+        this._manifestBase = snapshotManifest(cachedManifest);
+        this._manifestToken = undefined;
+        this.config.config.hasManifest = true;
+        if (cachedManifest.name) {
+          this.name = cachedManifest.name;
+          this.config.name = cachedManifest.name;
+        }
+        return cachedManifest;
+      }
+    }
+
+    if (isOffline) {
+      return null;
+    }
+
+    try {
+      const { manifest, token } = await this._fetchRemoteManifest();
+      if (!manifest) {
+        if (this._manifest) {
+          console.warn('[WebDAV] Manifest not found, using cached manifest');
+          return this._manifest;
+        }
+        this.config.config.hasManifest = false;
+        this._manifest = null;
+        return null;
+      }
+
+      this._manifest = manifest;
+      this._manifestBase = snapshotManifest(manifest);
+      this._manifestToken = token;
+      this.config.config.hasManifest = true;
+      saveWebDavManifestCache(cacheKey, manifest);
+
+      if (manifest.name) {
+        this.name = manifest.name;
+        this.config.name = manifest.name;
+      }
+
+      return manifest;
+    } catch (error) {
+      console.warn('[WebDAV] Failed to load manifest from network:', error.message);
+      return this._manifest || null;
+    }
+  }
+
+  /**
+   * Current remote manifest and its ETag. `manifest` and `token` are null
+   * when the collection has no manifest yet; `token` is undefined when the
+   * server reports no ETag. The ETag comes from the GET response, or from
+   * PROPFIND when CORS hides the header; PROPFIND runs first, so a stale
+   * ETag can only make the next write fail its check and retry.
+   */
+  async _fetchRemoteManifest() {
+    const auth = this._auth();
+    const entries = await webdavList(this._urlFor(this._basePrefix()), { auth });
+    const listedEtag = entries.find((entry) => entry.name === 'manifest.json')?.etag || undefined;
+
+    const response = await webdavFetch(this._urlFor(this._toStoragePath('manifest.json')), {
+      auth,
+      headers: { 'Cache-Control': 'no-cache' },
+    });
+    if (response.status === 404) {
+      return { manifest: null, token: null };
+    }
+    if (!response.ok) {
+      throw new Error(`Failed to read manifest: ${response.status} ${response.statusText}`.trim());
+    }
+
+    const manifest = await response.json();
+    if (!SUPPORTED_MANIFEST_VERSIONS.includes(manifest.version)) {
+      throw new Error(`Unsupported manifest version: ${manifest.version}`);
+    }
+    return { manifest: migrateManifest(manifest), token: response.headers.get('ETag') || listedEtag };
+  }
+
+  /**
+   * Write manifest.json only if it still has the ETag `etag` (null: only if
+   * it does not exist). Resolves false when another client wrote first.
+   * Without an ETag the write is unconditional, and the user is told so.
+   */
+  async _putManifest(manifest, etag) {
+    if (etag === undefined) {
+      notifyUncheckedManifestWrite(this, 'The server does not report an ETag for manifest.json.');
+    }
+    const condition = etag ? { 'If-Match': etag } : (etag === null ? { 'If-None-Match': '*' } : {});
+    const auth = this._auth();
+    try {
+      await ensureWebDavCollection(this.config.config.url, this._basePrefix(), { auth });
+      const response = await webdavPut(this._urlFor(this._toStoragePath('manifest.json')), JSON.stringify(manifest, null, 2), {
+        auth,
+        contentType: 'application/json',
+        headers: condition,
+      });
+      return response.headers.get('ETag') || undefined;
+    } catch (error) {
+      if (error.status === 412) {
+        return false;
+      }
+      throw new Error(`Failed to write manifest: ${error.message}`);
+    }
+  }
+
+  async _saveManifest(manifest) {
+    migrateManifest(manifest);
+    const { manifest: written, token } = await writeManifestWithMerge({
+      source: this,
+      base: this._manifestBase,
+      manifest,
+      token: this._manifestToken,
+      fetchRemote: () => this._fetchRemoteManifest(),
+      write: (next, etag) => this._putManifest(next, etag),
+    });
+    this._manifest = written;
+    this._manifestBase = snapshotManifest(written);
+    this._manifestToken = token;
+    this.config.config.hasManifest = true;
+    saveWebDavManifestCache(this._manifestCacheKey(), written);
+    await saveSource(this.toJSON());
+  }
+
+  async _ensureManifestLoaded() {
+    if (!this._manifest && this.config.config.hasManifest !== false) {
+      await this._loadManifest({ allowStale: true });
+    }
+    const isOffline = typeof navigator !== 'undefined' && navigator.onLine === false;
+    // If still missing, create a minimal manifest for this collection (online only)
+    if (!this._manifest && !isOffline) {
+      const manifest = {
+        version: MANIFEST_VERSION,
+        name: this.config.config.collectionName || this.config.config.collectionId,
+        assets: [],
+      };
+      await this._saveManifest(manifest);
+    }
+    return this._manifest;
+  }
+
+  async listAssets() {
+    if (!this._connected) {
+      throw new Error('Not connected');
+    }
+
+    await this._ensureManifestLoaded();
+    const supportedExtensions = getSupportedExtensions();
+    const assets = [];
+
+    if (!this._manifest) {
+      this._assets = [];
+      return [];
+    }
+
+    for (const item of this._manifest.assets || []) {
+      const ext = getExtension(item.path);
+      if (!supportedExtensions.includes(ext)) continue;
+
+      assets.push({
+        id: `${this.id}/${item.path}`,
+        name: item.name || getFilename(item.path),
+        path: item.path,
+        sourceId: this.id,
+        sourceType: this.type,
+        size: item.size,
+        version: getManifestContentVersion(item),
+        // Previews need credentials, so they are fetched lazily in fetchPreview()
+        preview: null,
+        previewSource: null,
+        _previewPath: item.preview || null,
+        ...getManifestAssetDetails(item),
+        _metadataPath: typeof item.metadata === 'string' ? item.metadata : null,
+        _inlineMetadata: typeof item.metadata === 'object' ? item.metadata : null,
+        loaded: false,
+      });
+    }
+
+    this._assets = assets;
+    return assets;
+  }
+
+  async fetchAssetData(asset) {
+    const response = await this._get(asset.path);
+    return response.arrayBuffer();
+  }
+
+  async fetchAssetStream(asset) {
+    const response = await this._get(asset.path);
+    return response.body;
+  }
+
+  async fetchAssetRange(asset, start, end, { signal } = {}) {
+    return this._get(asset.path, {
+      headers: { Range: `bytes=${start}-${end}` },
+      signal,
+    });
+  }
+
+  // Object URLs of fetched previews stay alive until released
+  _releasePreviewUrl(path) {
+    const url = this._previewUrls.get(path);
+    if (!url) return;
+    URL.revokeObjectURL(url);
+    this._previewUrls.delete(path);
+  }
+
+  async fetchPreview(asset) {
+    if (!asset._previewPath) return null;
+    if (this._previewUrls.has(asset._previewPath)) {
+      return this._previewUrls.get(asset._previewPath);
+    }
+
+    try {
+      const response = await this._get(asset._previewPath);
+      const url = URL.createObjectURL(await response.blob());
+      this._previewUrls.set(asset._previewPath, url);
+      return url;
+    } catch (error) {
+      console.warn('[WebDAV] Failed to fetch preview:', error.message);
+      return null;
+    }
+  }
+
+  async fetchMetadata(asset) {
+    if (asset._inlineMetadata) {
+      return asset._inlineMetadata;
+    }
+
+    if (asset._metadataPath) {
+      try {
+        const response = await this._get(asset._metadataPath);
+        return response.json();
+      } catch {
+        return null;
+      }
+    }
+
+    return null;
+  }
+
+  async _walkFiles(prefix) {
+    const entries = await webdavList(this._urlFor(prefix), { auth: this._auth() });
+    const files = [];
+
+    for (const entry of entries) {
+      const fullPath = `${stripLeadingSlash(prefix)}/${entry.name}`;
+      if (entry.isCollection) {
+        const nested = await this._walkFiles(fullPath);
+        files.push(...nested);
+      } else {
+        files.push(fullPath);
+      }
+    }
+
+    return files;
+  }
+
+  _buildPreviewAndMetadataMaps(filePaths) {
+    const previewByBase = new Map();
+    const metadataByBase = new Map();
+
+    for (const path of filePaths) {
+      const relative = toRelativeFromBase(path, this._basePrefix());
+      const ext = getExtension(relative);
+      const base = getBaseName(relative);
+
+      if (PREVIEW_EXTENSIONS.includes(ext)) {
+        previewByBase.set(base.toLowerCase(), relative);
+      }
+
+      for (const suffix of METADATA_SUFFIXES) {
+        if (relative.toLowerCase().endsWith(suffix)) {
+          const baseKey = relative
+            .toLowerCase()
+            .replace(new RegExp(`${suffix.replace(/\./g, '\\.')}$`, 'i'), '')
+            .split('/')
+            .pop();
+          metadataByBase.set(baseKey, relative);
+        }
+      }
+    }
+
+    return { previewByBase, metadataByBase };
+  }
+
+  async rescan({ applyChanges = false } = {}) {
+    if (!this._connected) {
+      const result = await this.connect({ refreshManifest: true });
+      if (!result.success) return { success: false, error: result.error };
+    }
+
+    const storageFiles = await this._walkFiles(this._assetPrefix());
+    const relativeFiles = storageFiles.map((path) => toRelativeFromBase(path, this._basePrefix()));
+    const supportedExtensions = getSupportedExtensions();
+
+    const assetPaths = relativeFiles.filter((path) => supportedExtensions.includes(getExtension(path)));
+    const { previewByBase, metadataByBase } = this._buildPreviewAndMetadataMaps(storageFiles);
+
+    const manifestAssets = this._manifest?.assets || [];
+    const manifestPaths = new Set(manifestAssets.map((a) => a.path));
+
+    const newPaths = assetPaths.filter((path) => !manifestPaths.has(path));
+    const missingPaths = Array.from(manifestPaths).filter((path) => !assetPaths.includes(path));
+
+    const additions = newPaths.map((path) => {
+      const base = getBaseName(path).toLowerCase();
+      return {
+        path,
+        name: getFilename(path),
+        preview: previewByBase.get(base) || null,
+        metadata: metadataByBase.get(base) || null,
+      };
+    });
+
+    if (applyChanges) {
+      const nextManifest = this._manifest || { version: MANIFEST_VERSION, name: this.name, assets: [] };
+      const existingByPath = new Map(nextManifest.assets.map((a) => [a.path, a]));
+
+      additions.forEach((item) => {
+        if (!existingByPath.has(item.path)) {
+          nextManifest.assets.push(item);
+        }
+      });
+
+      await this._saveManifest(nextManifest);
+      await this.listAssets();
+    }
+
+    return {
+      success: true,
+      added: additions,
+      missing: missingPaths,
+      hasManifest: !!this._manifest,
+      totalFiles: assetPaths.length,
+      applied: !!applyChanges,
+    };
+  }
+
+  async uploadAssets(files) {
+    if (!this._connected) {
+      const result = await this.connect({ refreshManifest: true });
+      if (!result.success) return { success: false, error: result.error };
+    }
+
+    await this._ensureManifestLoaded();
+    const manifest = this._manifest || { version: MANIFEST_VERSION, name: this.name, assets: [] };
+    const supportedExtensions = getSupportedExtensions();
+    const auth = this._auth();
+    const results = { uploaded: [], failed: [] };
+    const existingByPath = new Map(manifest.assets.map((a) => [a.path, a]));
+
+    try {
+      await ensureWebDavCollection(this.config.config.url, this._assetPrefix(), { auth });
+    } catch (error) {
+      return { success: false, error: error.message, ...results };
+    }
+
+    for (const file of files) {
+      const ext = getExtension(file.name);
+      const base = getBaseName(file.name).toLowerCase();
+
+      if (!supportedExtensions.includes(ext) && !PREVIEW_EXTENSIONS.includes(ext) && !METADATA_SUFFIXES.some((suffix) => file.name.toLowerCase().endsWith(suffix))) {
+        results.failed.push({ name: file.name, error: 'Unsupported file type' });
+        continue;
+      }
+
+      const targetPath = `${this._assetPrefix()}/${file.name}`;
+      const relative = toRelativeFromBase(targetPath, this._basePrefix());
+      let etag = null;
+      try {
+        const response = await webdavPut(this._urlFor(targetPath), file, {
+          auth,
+          contentType: file.type || 'application/octet-stream',
+        });
+        etag = response.headers.get('ETag');
+      } catch (error) {
+        results.failed.push({ name: file.name, error: error.message });
+        continue;
+      }
+
+      if (supportedExtensions.includes(ext)) {
+        if (!existingByPath.has(relative)) {
+          manifest.assets.push(setManifestContentVersion({
+            path: relative,
+            name: file.name,
+            size: file.size,
+          }, { etag, file }));
+          existingByPath.set(relative, manifest.assets[manifest.assets.length - 1]);
+        }
+      } else if (PREVIEW_EXTENSIONS.includes(ext)) {
+        // The file at this path changed, so a cached preview URL is stale
+        this._releasePreviewUrl(relative);
+        // Attach preview to matching asset if present
+        for (const asset of manifest.assets) {
+          if (getBaseName(asset.path).toLowerCase() === base) {
+            asset.preview = relative;
+          }
+        }
+      } else if (METADATA_SUFFIXES.some((suffix) => file.name.toLowerCase().endsWith(suffix))) {
+        for (const asset of manifest.assets) {
+          if (getBaseName(asset.path).toLowerCase() === base) {
+            asset.metadata = relative;
+          }
+        }
+      }
+
+      results.uploaded.push({ name: file.name, path: relative });
+    }
+
+    await this._saveManifest(manifest);
+    await this.listAssets();
+    return { success: results.failed.length === 0, ...results };
+  }
+
+  /**
+   * Replace an asset's file in place (e.g. after converting it to another
+   * format); see assetReplacement.js. The old file is removed when the path
+   * differs.
+   * @param {RemoteAssetDescriptor} asset
+   * @param {File} file
+   */
+  async replaceAsset(asset, file) {
+    const rawPath = asset?.path || asset?._remoteAsset?.path;
+    const auth = this._auth();
+    return replaceManifestAsset(this, {
+      oldPath: rawPath ? toRelativeFromBase(stripLeadingSlash(rawPath), this._basePrefix()) : null,
+      file,
+      upload: async (path) => {
+        const response = await webdavPut(this._urlFor(this._toStoragePath(path)), file, {
+          auth,
+          contentType: file.type || 'application/octet-stream',
+        });
+        return response.headers.get('ETag');
+      },
+      removeOld: (path) => webdavDelete(this._urlFor(this._toStoragePath(path)), { auth }),
+    });
+  }
+
+  async deleteAssets(items) {
+    if (!this._connected) {
+      const result = await this.connect({ refreshManifest: true });
+      if (!result.success) return { success: false, error: result.error };
+    }
+
+    await this._ensureManifestLoaded();
+    const manifest = this._manifest || { version: MANIFEST_VERSION, name: this.name, assets: [] };
+
+    const normalized = Array.isArray(items) ? items : [items];
+    const targetPaths = new Set();
+    const removedPaths = new Set();
+    const failures = [];
+
+    for (const item of normalized) {
+      const rawPath = typeof item === 'string'
+        ? item
+        : item?.path || item?._remoteAsset?.path;
+
+      if (!rawPath) {
+        failures.push({ path: null, error: 'Missing path' });
+        continue;
+      }
+
+      const relativePath = toRelativeFromBase(stripLeadingSlash(rawPath), this._basePrefix());
+      removedPaths.add(relativePath);
+
+      const manifestEntry = manifest.assets.find((a) => a.path === relativePath);
+      if (manifestEntry?.preview) {
+        this._releasePreviewUrl(manifestEntry.preview);
+        targetPaths.add(this._toStoragePath(manifestEntry.preview));
+      }
+      if (typeof manifestEntry?.metadata === 'string') {
+        targetPaths.add(this._toStoragePath(manifestEntry.metadata));
+      }
+
+      targetPaths.add(this._toStoragePath(relativePath));
+    }
+
+    if (targetPaths.size === 0) {
+      return { success: false, error: 'No valid paths to delete', failed: failures };
+    }
+
+    // WebDAV has no batch delete; one DELETE per file
+    const auth = this._auth();
+    for (const path of targetPaths) {
+      try {
+        await webdavDelete(this._urlFor(path), { auth });
+      } catch (error) {
+        failures.push({ path, error: error.message });
+      }
+    }
+
+    if (removedPaths.size > 0) {
+      manifest.assets = manifest.assets.filter((a) => !removedPaths.has(a.path));
+      await this._saveManifest(manifest);
+      await this.listAssets();
+    }
+
+    return { success: failures.length === 0, removed: Array.from(removedPaths), failed: failures };
+  }
+
+  /**
+   * Scene documents stored in manifest.json.
+   * @returns {Promise<import('./sceneDocuments.js').SceneDocument[]>}
+   */
+  async listScenes() {
+    await this._ensureManifestLoaded();
+    return getManifestScenes(this._manifest);
+  }
+
+  async saveScene(scene) {
+    if (!this._connected) {
+      const result = await this.connect({ refreshManifest: true });
+      if (!result.success) return { success: false, error: result.error };
+    }
+
+    await this._ensureManifestLoaded();
+    if (!this._manifest) {
+      return { success: false, error: 'Collection manifest is not available' };
+    }
+
+    try {
+      const saved = upsertManifestScene(this._manifest, scene);
+      await this._saveManifest(this._manifest);
+      return { success: true, scene: saved };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async deleteScene(sceneId) {
+    await this._ensureManifestLoaded();
+    if (!this._manifest || !removeManifestScene(this._manifest, sceneId)) {
+      return { success: true, removed: false };
+    }
+
+    try {
+      await this._saveManifest(this._manifest);
+      return { success: true, removed: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Probes the server for write permission by writing and deleting a tiny temp file.
+   * Avoids user-visible failures on first real upload.
+   */
+  async verifyUploadPermission() {
+    const auth = this._auth();
+    const probeUrl = this._urlFor(`${this._basePrefix()}/__upload_probe_${Date.now()}.txt`);
+
+    try {
+      await ensureWebDavCollection(this.config.config.url, this._basePrefix(), { auth });
+      await webdavPut(probeUrl, 'ok', { auth, contentType: 'text/plain' });
+    } catch (error) {
+      return { success: false, error: `Upload permission failed: ${error.message}` };
+    }
+
+    try {
+      await webdavDelete(probeUrl, { auth });
+    } catch (error) {
+      // Non-fatal; just warn
+      console.warn('Upload probe cleanup failed:', error);
+    }
+
+    return { success: true };
+  }
+
+  disconnect() {
+    super.disconnect();
+    for (const path of [...this._previewUrls.keys()]) {
+      this._releasePreviewUrl(path);
+    }
+  }
+}
+
+export const createWebDavSource = ({ url, authType = 'basic', username, secret, collectionId, name, collectionName }) => {
+  const id = createSourceId('webdav');
+  const normalizedUrl = normalizeWebDavUrl(url);
+
+  const displayName = name || collectionName || `WebDAV: ${collectionId}`;
+
+  const config = {
+    id,
+    type: 'webdav',
+    name: displayName,
+    createdAt: Date.now(),
+    lastAccessed: Date.now(),
+    isDefault: false,
+    config: {
+      url: normalizedUrl,
+      authType,
+      username: String(username || '').trim(),
+      secret: String(secret || ''),
+      collectionId: collectionId.trim(),
+      collectionName: collectionName || displayName,
+      hasManifest: false,
+    },
+  };
+
+  return new WebDavSource(config);
+};
+
+export const restoreWebDavSource = (config) => {
+  return new WebDavSource(config);
+};
+
+export default WebDavSource;
@@ -2,19 +2,96 @@
  * Asset Cache Module
  *
  * Persists cached asset blobs in IndexedDB and tracks per-collection cache manifests.
- * This cache is name-based (file name only) and independent from preview storage.
+ * Blobs are keyed by asset key (source id + path) and content version, see
+ * assetKeys.js. Only the newest version of each asset is kept.
+ *
+ * `updated` doubles as the last-access time: it is refreshed whenever a cached
+ * file is opened, and the least recently used unpinned blobs are evicted when
+ * the cache outgrows its budget (cacheBudget.js). App storage collections keep
+ * their only copy here and are never evicted.
+ *
+ * Assets with a stable public URL (`cacheUrl`) keep their bytes in Cache
+ * Storage instead (assetResponseCache.js), where the service worker can serve
+ * them offline; their record here then has no blob, only `responseUrl`.
  */
 
 import { loadFileSettings, saveFileSettings } from '../fileStorage.js';
+import {
+  getAssetKey,
+  getAssetContentVersion,
+  getContentCacheKey,
+  getFileContentVersion,
+} from './assetKeys.js';
+import { getCacheBudget, requestPersistentStorage } from './cacheBudget.js';
+import {
+  putAssetResponse,
+  hasAssetResponse,
+  loadAssetResponseBlob,
+  deleteAssetResponses,
+  clearAssetResponses,
+} from './assetResponseCache.js';
 
 const DB_NAME = 'radia-viewer-asset-cache';
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 
-const ASSET_STORE = 'asset-blobs';
+const LEGACY_ASSET_STORE = 'asset-blobs';
+const ASSET_STORE = 'asset-content';
 const MANIFEST_STORE = 'collection-manifests';
 
 let dbInstance = null;
 
+/**
+ * v1 keyed blobs by file name only. Each legacy blob is copied to every
+ * collection whose cache manifest lists that name (they all shared it
+ * before); blobs no manifest claims were unreachable and are dropped.
+ * The content version is unknown, so migrated copies are only served when
+ * the source does not advertise one.
+ */
+const migrateLegacyAssetStore = (db, tx) => {
+  const legacyStore = tx.objectStore(LEGACY_ASSET_STORE);
+  const manifestRequest = tx.objectStore(MANIFEST_STORE).getAll();
+
+  manifestRequest.onsuccess = () => {
+    const claimants = new Map();
+    for (const manifest of manifestRequest.result || []) {
+      if (!manifest?.sourceId) continue;
+      for (const asset of manifest.assets || []) {
+        if (!asset?.name) continue;
+        const list = claimants.get(asset.name) || [];
+        list.push({ sourceId: manifest.sourceId, path: asset.path || asset.name, name: asset.name });
+        claimants.set(asset.name, list);
+      }
+    }
+
+    const legacyRequest = legacyStore.getAll();
+    legacyRequest.onsuccess = () => {
+      const store = tx.objectStore(ASSET_STORE);
+      let migrated = 0;
+      for (const record of legacyRequest.result || []) {
+        for (const asset of claimants.get(record?.fileName) || []) {
+          const assetKey = getAssetKey(asset);
+          store.put({
+            key: getContentCacheKey(assetKey, null),
+            assetKey,
+            sourceId: asset.sourceId,
+            version: null,
+            fileName: record.fileName,
+            blob: record.blob,
+            size: record.size ?? record.blob?.size ?? null,
+            type: record.type ?? null,
+            updated: record.updated || Date.now(),
+          });
+          migrated += 1;
+        }
+      }
+      db.deleteObjectStore(LEGACY_ASSET_STORE);
+      if (migrated > 0) {
+        console.log(`[AssetCache] Migrated ${migrated} name-keyed cache entries`);
+      }
+    };
+  };
+};
+
 const openDatabase = () => {
   if (dbInstance) return Promise.resolve(dbInstance);
 
@@ -34,7 +111,8 @@ const openDatabase = () => {
       const db = event.target.result;
 
       if (!db.objectStoreNames.contains(ASSET_STORE)) {
-        const store = db.createObjectStore(ASSET_STORE, { keyPath: 'fileName' });
+        const store = db.createObjectStore(ASSET_STORE, { keyPath: 'key' });
+        store.createIndex('assetKey', 'assetKey', { unique: false });
         store.createIndex('updated', 'updated', { unique: false });
         store.createIndex('size', 'size', { unique: false });
       }
@@ -43,6 +121,10 @@ const openDatabase = () => {
         const store = db.createObjectStore(MANIFEST_STORE, { keyPath: 'sourceId' });
         store.createIndex('updated', 'updated', { unique: false });
       }
+
+      if (db.objectStoreNames.contains(LEGACY_ASSET_STORE)) {
+        migrateLegacyAssetStore(db, event.target.transaction);
+      }
     };
   });
 };
@@ -76,77 +158,439 @@ const buildEmptyManifest = (sourceId, sourceName = '', sourceType = '') => {
   };
 };
 
-export const loadCachedAssetBlob = async (fileName) => {
-  if (!fileName) return null;
+const listRecordsForAssetKey = (db, assetKey) => new Promise((resolve, reject) => {
+  const tx = db.transaction([ASSET_STORE], 'readonly');
+  const index = tx.objectStore(ASSET_STORE).index('assetKey');
+  const request = index.getAll(assetKey);
+  request.onsuccess = () => resolve(request.result || []);
+  request.onerror = () => reject(new Error(`Failed to list cached versions: ${assetKey}`));
+});
+
+// Records written before `sourceId` was stored still carry it in the asset key
+const getRecordSourceId = (record) => {
+  if (record?.sourceId) return record.sourceId;
+  const assetKey = record?.assetKey || '';
+  const slash = assetKey.indexOf('/');
+  return slash > 0 ? assetKey.slice(0, slash) : null;
+};
+
+const touchRecord = (db, key) => new Promise((resolve, reject) => {
+  const tx = db.transaction([ASSET_STORE], 'readwrite');
+  const request = tx.objectStore(ASSET_STORE).openCursor(key);
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (cursor) {
+      cursor.update({ ...cursor.value, updated: Date.now() });
+    }
+  };
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(new Error(`Failed to update cache access time: ${key}`));
+});
+
+/**
+ * Size, access time and pin state of every cached blob, least recently
+ * used first. Blobs themselves are not read.
+ */
+const listRecordSummaries = (db) => new Promise((resolve, reject) => {
+  const tx = db.transaction([ASSET_STORE], 'readonly');
+  const request = tx.objectStore(ASSET_STORE).index('updated').openCursor();
+  const summaries = [];
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) {
+      resolve(summaries);
+      return;
+    }
+    const record = cursor.value;
+    summaries.push({
+      key: record.key,
+      assetKey: record.assetKey,
+      sourceId: getRecordSourceId(record),
+      size: record.size ?? record.blob?.size ?? 0,
+      updated: record.updated || 0,
+      pinned: !!record.pinned,
+      responseUrl: record.responseUrl || null,
+    });
+    cursor.continue();
+  };
+  request.onerror = () => reject(new Error('Failed to list cached assets'));
+});
+
+const listManifests = (db) => new Promise((resolve, reject) => {
+  const tx = db.transaction([MANIFEST_STORE], 'readonly');
+  const request = tx.objectStore(MANIFEST_STORE).getAll();
+  request.onsuccess = () => resolve(request.result || []);
+  request.onerror = () => reject(new Error('Failed to list cache manifests'));
+});
+
+// Collections whose only copy of each file lives in this cache
+const isStoredCollection = (manifest) => manifest?.sourceType === 'app-storage';
+
+const deleteRecordKeys = (db, keys) => new Promise((resolve, reject) => {
+  if (!keys.length) {
+    resolve();
+    return;
+  }
+  const tx = db.transaction([ASSET_STORE], 'readwrite');
+  const store = tx.objectStore(ASSET_STORE);
+  keys.forEach((key) => store.delete(key));
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(new Error('Failed to delete cached asset versions'));
+});
+
+/**
+ * Delete records (or summaries) along with the Cache Storage bodies they
+ * point at. `keepResponseUrl` survives: a new version cached under the same
+ * URL has already replaced the body.
+ */
+const deleteRecords = async (db, records, { keepResponseUrl = null } = {}) => {
+  await deleteRecordKeys(db, records.map((record) => record.key));
+  const responseUrls = records
+    .map((record) => record.responseUrl)
+    .filter((url) => url && url !== keepResponseUrl);
+  await deleteAssetResponses(Array.from(new Set(responseUrls)));
+};
+
+const getAssetCacheUrl = (asset) => asset?.cacheUrl || asset?._remoteAsset?.cacheUrl || null;
+
+/**
+ * Drop evicted assets from their collection's cache manifest, so an offline
+ * listing does not offer files that are no longer here. Assets with another
+ * cached version left keep their entry.
+ */
+const pruneManifestEntries = async (manifests, remaining, evictedAssetKeys) => {
+  const remainingAssetKeys = new Set(remaining.map((item) => item.assetKey));
+  for (const manifest of manifests) {
+    if (!Array.isArray(manifest?.assets)) continue;
+    const assets = manifest.assets.filter((entry) => {
+      const assetKey = getAssetKey(toSourceAsset(manifest.sourceId, entry));
+      return !evictedAssetKeys.has(assetKey) || remainingAssetKeys.has(assetKey);
+    });
+    if (assets.length !== manifest.assets.length) {
+      await saveCollectionManifest({ ...manifest, assets });
+    }
+  }
+};
+
+/**
+ * Evict least recently used blobs until the cache (plus `incomingBytes`
+ * about to be written) fits its budget. Pinned blobs, stored collections and
+ * `keepAssetKey` are never evicted; evicted assets lose their cached flag
+ * and their cache manifest entry.
+ * @param {{ incomingBytes?: number, keepAssetKey?: string | null }} [options]
+ * @returns {Promise<{ fits: boolean, evicted: string[], freedBytes: number }>}
+ */
+export const enforceAssetCacheBudget = async ({ incomingBytes = 0, keepAssetKey = null } = {}) => {
   try {
     const db = await openDatabase();
-    return new Promise((resolve, reject) => {
-      const tx = db.transaction([ASSET_STORE], 'readonly');
-      const store = tx.objectStore(ASSET_STORE);
-      const request = store.get(fileName);
-      request.onsuccess = () => resolve(request.result || null);
-      request.onerror = () => reject(new Error(`Failed to load cached asset: ${fileName}`));
-    });
+    const [summaries, manifests] = await Promise.all([listRecordSummaries(db), listManifests(db)]);
+    const storedSourceIds = new Set(manifests.filter(isStoredCollection).map((manifest) => manifest.sourceId));
+
+    const cacheBytes = summaries.reduce((total, item) => total + item.size, 0);
+    const { budgetBytes } = await getCacheBudget(cacheBytes);
+    let excess = cacheBytes + incomingBytes - budgetBytes;
+    if (excess <= 0) {
+      return { fits: true, evicted: [], freedBytes: 0 };
+    }
+
+    const evicted = [];
+    const evictedAssetKeys = new Set();
+    let freedBytes = 0;
+    for (const item of summaries) {
+      if (excess <= 0) break;
+      if (item.pinned || item.assetKey === keepAssetKey || storedSourceIds.has(item.sourceId)) continue;
+      evicted.push(item);
+      evictedAssetKeys.add(item.assetKey);
+      freedBytes += item.size;
+      excess -= item.size;
+    }
+
+    await deleteRecords(db, evicted);
+    await pruneManifestEntries(manifests, summaries.filter((item) => !evicted.includes(item)), evictedAssetKeys);
+    for (const assetKey of evictedAssetKeys) {
+      const existingSettings = await loadFileSettings(assetKey);
+      if (existingSettings?.isCached) {
+        await saveFileSettings(assetKey, { isCached: false });
+      }
+    }
+    if (evicted.length > 0) {
+      console.log(`[AssetCache] Evicted ${evicted.length} cached assets (${freedBytes} bytes) to stay within ${budgetBytes} bytes`);
+    }
+
+    return { fits: excess <= 0, evicted: Array.from(evictedAssetKeys), freedBytes };
+  } catch (err) {
+    console.warn('[AssetCache] Failed to enforce cache budget', err);
+    return { fits: true, evicted: [], freedBytes: 0 };
+  }
+};
+
+/**
+ * Find the cached record for an asset. When the source advertises a content
+ * version only that exact version matches; otherwise the newest cached copy
+ * is used as long as its size agrees with the listed size. Bodies kept in
+ * Cache Storage are not read.
+ */
+const findCachedRecord = async (asset) => {
+  const assetKey = getAssetKey(asset);
+  if (!assetKey) return null;
+  const version = getAssetContentVersion(asset);
+  try {
+    const db = await openDatabase();
+
+    if (version) {
+      return await new Promise((resolve, reject) => {
+        const tx = db.transaction([ASSET_STORE], 'readonly');
+        const store = tx.objectStore(ASSET_STORE);
+        const request = store.get(getContentCacheKey(assetKey, version));
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(new Error(`Failed to load cached asset: ${assetKey}`));
+      });
+    }
+
+    const records = await listRecordsForAssetKey(db, assetKey);
+    const newest = records.sort((a, b) => (b.updated || 0) - (a.updated || 0))[0] || null;
+    const expectedSize = asset?.size ?? asset?._remoteAsset?.size ?? null;
+    if (newest && expectedSize != null && newest.size != null && newest.size !== expectedSize) {
+      return null;
+    }
+    return newest;
   } catch (err) {
     console.warn('[AssetCache] Failed to load cached asset', err);
     return null;
   }
 };
 
-export const hasCachedAsset = async (fileName) => {
-  const record = await loadCachedAssetBlob(fileName);
-  return !!record?.blob;
+/**
+ * Load the cached record for an asset, with its blob (see findCachedRecord
+ * for how versions are matched).
+ * @param {Object} asset - Asset or `{ sourceId, path, name, size?, version? }`
+ */
+export const loadCachedAssetBlob = async (asset) => {
+  const record = await findCachedRecord(asset);
+  if (!record || record.blob || !record.responseUrl) return record;
+  // Cache Storage can be cleared on its own (site settings, devtools)
+  const blob = await loadAssetResponseBlob(record.responseUrl);
+  return blob ? { ...record, blob } : null;
 };
 
-export const loadCachedAssetFile = async (fileName) => {
-  const record = await loadCachedAssetBlob(fileName);
+export const hasCachedAsset = async (asset) => {
+  const record = await findCachedRecord(asset);
+  if (record?.blob) return true;
+  return !!record?.responseUrl && await hasAssetResponse(record.responseUrl);
+};
+
+export const loadCachedAssetFile = async (asset) => {
+  const record = await loadCachedAssetBlob(asset);
   if (!record?.blob) return null;
+  openDatabase()
+    .then((db) => touchRecord(db, record.key))
+    .catch((err) => console.warn('[AssetCache] Failed to record cache access', err));
   const type = record.blob.type || 'application/octet-stream';
-  return new File([record.blob], fileName, { type });
+  return new File([record.blob], asset?.name || record.fileName, { type });
 };
 
-export const saveCachedAssetBlob = async (fileName, blob, metadata = {}) => {
-  if (!fileName || !blob) return false;
+/**
+ * Cache an asset's bytes under its current content version (the advertised
+ * one, `metadata.version`, or a File's size and modification time). Older
+ * versions of the same asset are removed. Less recently used assets are
+ * evicted to make room; an unpinned blob that still does not fit is not
+ * cached.
+ * @param {Object} asset - Asset or `{ sourceId, path, name, version? }`
+ * @param {Blob} blob
+ * @param {{ size?: number, type?: string, version?: string, pinned?: boolean }} [metadata]
+ *   `pinned` defaults to the pin state of the cached previous version
+ */
+export const saveCachedAssetBlob = async (asset, blob, metadata = {}) => {
+  const assetKey = getAssetKey(asset);
+  if (!assetKey || !blob) return false;
   try {
     const db = await openDatabase();
+    const version = getAssetContentVersion(asset) || metadata.version || getFileContentVersion(blob);
+    const key = getContentCacheKey(assetKey, version);
+    const previous = await listRecordsForAssetKey(db, assetKey);
+    const pinned = metadata.pinned ?? previous.some((item) => item.pinned);
+    const size = metadata.size ?? blob.size ?? null;
+
+    const replacedBytes = previous.reduce((total, item) => total + (item.size ?? 0), 0);
+    const { fits } = await enforceAssetCacheBudget({
+      incomingBytes: Math.max(0, (size ?? 0) - replacedBytes),
+      keepAssetKey: assetKey,
+    });
+    if (!fits && !pinned) {
+      console.warn(`[AssetCache] Not caching ${assetKey}: exceeds the cache budget`);
+      return false;
+    }
+
+    const type = metadata.type ?? blob.type ?? null;
+    // Bytes go to exactly one place: Cache Storage when the asset has a stable URL
+    const cacheUrl = getAssetCacheUrl(asset);
+    const storedAsResponse = !!cacheUrl && await putAssetResponse(cacheUrl, blob, { type });
+
     const record = {
-      fileName,
-      blob,
-      size: metadata.size ?? blob.size ?? null,
-      type: metadata.type ?? blob.type ?? null,
+      key,
+      assetKey,
+      sourceId: asset?.sourceId || asset?._remoteAsset?.sourceId || null,
+      version: version || null,
+      fileName: asset?.name || blob.name || null,
+      blob: storedAsResponse ? null : blob,
+      responseUrl: storedAsResponse ? cacheUrl : null,
+      size,
+      type,
+      pinned,
       updated: Date.now(),
     };
 
-    return new Promise((resolve, reject) => {
+    await new Promise((resolve, reject) => {
       const tx = db.transaction([ASSET_STORE], 'readwrite');
       const store = tx.objectStore(ASSET_STORE);
       const request = store.put(record);
-      request.onsuccess = () => resolve(true);
-      request.onerror = () => reject(new Error(`Failed to save cached asset: ${fileName}`));
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(new Error(`Failed to save cached asset: ${assetKey}`));
     });
+
+    const stale = previous.filter((item) => item.key !== key);
+    await deleteRecords(db, stale, { keepResponseUrl: record.responseUrl });
+    return true;
   } catch (err) {
     console.warn('[AssetCache] Failed to save cached asset', err);
     return false;
   }
 };
 
-export const deleteCachedAssetBlob = async (fileName) => {
-  if (!fileName) return false;
+/**
+ * Remove every cached version of an asset.
+ * @param {Object} asset - Asset or `{ sourceId, path, name }`
+ */
+export const deleteCachedAssetBlob = async (asset) => {
+  const assetKey = getAssetKey(asset);
+  if (!assetKey) return false;
   try {
     const db = await openDatabase();
-    return new Promise((resolve, reject) => {
+    await deleteRecords(db, await listRecordsForAssetKey(db, assetKey));
+    return true;
+  } catch (err) {
+    console.warn('[AssetCache] Failed to delete cached asset', err);
+    return false;
+  }
+};
+
+/**
+ * Pin or unpin every cached version of an asset. Pinned blobs are exempt
+ * from budget eviction.
+ * @param {Object} asset - Asset or `{ sourceId, path, name }`
+ * @param {boolean} pinned
+ * @returns {Promise<boolean>} False when nothing is cached for the asset
+ */
+export const setCachedAssetPinned = async (asset, pinned) => {
+  const assetKey = getAssetKey(asset);
+  if (!assetKey) return false;
+  try {
+    const db = await openDatabase();
+    return await new Promise((resolve, reject) => {
       const tx = db.transaction([ASSET_STORE], 'readwrite');
-      const store = tx.objectStore(ASSET_STORE);
-      const request = store.delete(fileName);
-      request.onsuccess = () => resolve(true);
-      request.onerror = () => reject(new Error(`Failed to delete cached asset: ${fileName}`));
+      const request = tx.objectStore(ASSET_STORE).index('assetKey').openCursor(assetKey);
+      let updated = 0;
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        cursor.update({ ...cursor.value, pinned: !!pinned });
+        updated += 1;
+        cursor.continue();
+      };
+      tx.oncomplete = () => resolve(updated > 0);
+      tx.onerror = () => reject(new Error(`Failed to update pin state: ${assetKey}`));
     });
   } catch (err) {
-    console.warn('[AssetCache] Failed to delete cached asset', err);
+    console.warn('[AssetCache] Failed to update pin state', err);
     return false;
   }
 };
 
+/**
+ * Pin or unpin every cached blob of a collection.
+ * @param {string} sourceId
+ * @param {boolean} pinned
+ * @param {{ exceptAssetKeys?: Set<string> }} [options] - Assets to leave untouched
+ * @returns {Promise<number>} Records updated
+ */
+export const setCollectionCachePinned = async (sourceId, pinned, { exceptAssetKeys } = {}) => {
+  if (!sourceId) return 0;
+  try {
+    const db = await openDatabase();
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction([ASSET_STORE], 'readwrite');
+      const request = tx.objectStore(ASSET_STORE).openCursor();
+      let updated = 0;
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        const record = cursor.value;
+        if (getRecordSourceId(record) === sourceId
+          && !!record.pinned !== !!pinned
+          && !exceptAssetKeys?.has(record.assetKey)) {
+          cursor.update({ ...record, pinned: !!pinned });
+          updated += 1;
+        }
+        cursor.continue();
+      };
+      tx.oncomplete = () => resolve(updated);
+      tx.onerror = () => reject(new Error(`Failed to update pin state: ${sourceId}`));
+    });
+  } catch (err) {
+    console.warn('[AssetCache] Failed to update collection pin state', err);
+    return 0;
+  }
+};
+
+/**
+ * Cached bytes per collection, with the budget they count against.
+ * Blobs of collections that no longer have a cache manifest are grouped
+ * under a null `sourceId`.
+ * @returns {Promise<{
+ *   totalBytes: number,
+ *   totalCount: number,
+ *   budgetBytes: number,
+ *   estimate: { usage: number, quota: number } | null,
+ *   collections: Array<{ sourceId: string | null, sourceName: string, sourceType: string, stored: boolean, bytes: number, count: number, pinnedBytes: number }>
+ * }>}
+ */
+export const getAssetCacheUsage = async () => {
+  const db = await openDatabase();
+  const [summaries, manifests] = await Promise.all([listRecordSummaries(db), listManifests(db)]);
+  const manifestById = new Map(manifests.map((manifest) => [manifest.sourceId, manifest]));
+  const collections = new Map();
+
+  for (const item of summaries) {
+    const manifest = manifestById.get(item.sourceId);
+    const groupId = manifest ? item.sourceId : null;
+    if (!collections.has(groupId)) {
+      collections.set(groupId, {
+        sourceId: groupId,
+        sourceName: manifest?.sourceName || manifest?.name || '',
+        sourceType: manifest?.sourceType || '',
+        stored: isStoredCollection(manifest),
+        bytes: 0,
+        count: 0,
+        pinnedBytes: 0,
+      });
+    }
+    const entry = collections.get(groupId);
+    entry.bytes += item.size;
+    entry.count += 1;
+    if (item.pinned) entry.pinnedBytes += item.size;
+  }
+
+  const totalBytes = summaries.reduce((total, item) => total + item.size, 0);
+  const { budgetBytes, estimate } = await getCacheBudget(totalBytes);
+  return {
+    totalBytes,
+    totalCount: summaries.length,
+    budgetBytes,
+    estimate,
+    collections: Array.from(collections.values()).sort((a, b) => b.bytes - a.bytes),
+  };
+};
+
 export const loadCollectionManifest = async (sourceId) => {
   if (!sourceId) return null;
   try {
@@ -212,10 +656,43 @@ const buildManifest = (source, assets) => {
       name: asset.name,
       path: asset.path,
       size: asset.size ?? null,
+      version: getAssetContentVersion(asset),
     })),
   };
 };
 
+// Cache manifests list assets by name/path; resolve them back to asset keys
+const toSourceAsset = (sourceId, asset) => ({
+  sourceId,
+  path: asset?.path || asset?.name,
+  name: asset?.name,
+  size: asset?.size ?? null,
+  version: asset?.version ?? null,
+});
+
+/**
+ * Add or refresh entries of a collection's cache manifest, so assets cached
+ * one at a time still list offline.
+ * @param {import('./AssetSource.js').AssetSource} source
+ * @param {Object[]} assets
+ */
+export const addCollectionManifestAssets = async (source, assets) => {
+  if (!source?.id || !Array.isArray(assets) || assets.length === 0) return false;
+  const manifest = await loadCollectionManifest(source.id) || buildEmptyManifest(source.id, source.name, source.type);
+  const entryByKey = new Map(
+    manifest.assets.map((entry) => [getAssetKey(toSourceAsset(source.id, entry)), entry])
+  );
+  for (const entry of buildManifest(source, assets).assets) {
+    const existing = entryByKey.get(getAssetKey(toSourceAsset(source.id, entry)));
+    if (existing) {
+      Object.assign(existing, entry);
+    } else {
+      manifest.assets.push(entry);
+    }
+  }
+  return saveCollectionManifest(manifest);
+};
+
 export const getRemovedAssetNames = async (sourceId) => {
   if (!sourceId) return [];
   const manifest = await loadCollectionManifest(sourceId);
@@ -258,6 +735,8 @@ export const filterRemovedAssets = async (sourceId, assets, options = {}) => {
 export const cacheCollectionAssets = async (source, assets, options = {}) => {
   if (!source || !Array.isArray(assets)) return { cached: 0, skipped: 0, failed: 0, total: 0 };
   const { onProgress } = options;
+  // Explicit offline copies are worth protecting from origin-wide eviction
+  await requestPersistentStorage();
   const removed = await getRemovedAssetNames(source.id);
   const removedSet = new Set(removed);
   const filteredAssets = assets.filter((asset) => !removedSet.has(asset?.name));
@@ -268,18 +747,17 @@ export const cacheCollectionAssets = async (source, assets, options = {}) => {
 
   for (let i = 0; i < filteredAssets.length; i++) {
     const asset = filteredAssets[i];
-    const fileName = asset?.name;
-    if (!fileName) {
+    const assetKey = getAssetKey(asset);
+    if (!asset?.name || !assetKey) {
       failed += 1;
       if (onProgress) onProgress({ cached, skipped, failed, total });
       continue;
     }
 
     try {
-      const existing = await loadCachedAssetBlob(fileName);
-      if (existing?.blob) {
+      if (await hasCachedAsset(asset)) {
         skipped += 1;
-        await saveFileSettings(fileName, { isCached: true });
+        await saveFileSettings(assetKey, { isCached: true });
         if (onProgress) onProgress({ cached, skipped, failed, total });
         continue;
       }
@@ -291,11 +769,16 @@ export const cacheCollectionAssets = async (source, assets, options = {}) => {
         continue;
       }
 
-      await saveCachedAssetBlob(fileName, file, { size: file.size, type: file.type });
-      await saveFileSettings(fileName, { isCached: true });
+      const saved = await saveCachedAssetBlob(asset, file, { size: file.size, type: file.type });
+      if (!saved) {
+        failed += 1;
+        if (onProgress) onProgress({ cached, skipped, failed, total });
+        continue;
+      }
+      await saveFileSettings(assetKey, { isCached: true });
       cached += 1;
     } catch (err) {
-      console.warn('[AssetCache] Failed to cache asset', fileName, err);
+      console.warn('[AssetCache] Failed to cache asset', assetKey, err);
       failed += 1;
     }
 
@@ -317,18 +800,19 @@ export const syncCollectionCache = async (source, remoteAssets) => {
   const manifest = await loadCollectionManifest(source.id);
   if (!manifest) return { cached: 0, skipped: 0, failed: 0, total: remoteAssets.length };
 
-  const cachedNames = new Set((manifest.assets || []).map((asset) => asset.name));
+  const manifestByKey = new Map(
+    (manifest.assets || []).map((asset) => [getAssetKey(toSourceAsset(source.id, asset)), asset])
+  );
   let cached = 0;
   let skipped = 0;
   let failed = 0;
 
   for (const asset of remoteAssets) {
-    const fileName = asset?.name;
-    if (!fileName) continue;
+    const assetKey = getAssetKey(asset);
+    if (!asset?.name || !assetKey) continue;
 
-    const alreadyInManifest = cachedNames.has(fileName);
-    const existing = await loadCachedAssetBlob(fileName);
-    if (alreadyInManifest && existing?.blob) {
+    const manifestEntry = manifestByKey.get(assetKey);
+    if (manifestEntry && await hasCachedAsset(asset)) {
       skipped += 1;
       continue;
     }
@@ -339,19 +823,29 @@ export const syncCollectionCache = async (source, remoteAssets) => {
         failed += 1;
         continue;
       }
-      await saveCachedAssetBlob(fileName, file, { size: file.size, type: file.type });
-      await saveFileSettings(fileName, { isCached: true });
+      const saved = await saveCachedAssetBlob(asset, file, { size: file.size, type: file.type });
+      if (!saved) {
+        failed += 1;
+        continue;
+      }
+      await saveFileSettings(assetKey, { isCached: true });
       cached += 1;
-      if (!alreadyInManifest) {
-        cachedNames.add(fileName);
-        manifest.assets.push({
-          name: fileName,
+      if (manifestEntry) {
+        // Remote copy changed since it was cached
+        manifestEntry.size = asset.size ?? file.size ?? null;
+        manifestEntry.version = getAssetContentVersion(asset);
+      } else {
+        const entry = {
+          name: asset.name,
           path: asset.path,
           size: asset.size ?? file.size ?? null,
-        });
+          version: getAssetContentVersion(asset),
+        };
+        manifestByKey.set(assetKey, entry);
+        manifest.assets.push(entry);
       }
     } catch (err) {
-      console.warn('[AssetCache] Failed to sync cache asset', fileName, err);
+      console.warn('[AssetCache] Failed to sync cache asset', assetKey, err);
       failed += 1;
     }
   }
@@ -366,11 +860,11 @@ export const clearCollectionCache = async (sourceId) => {
 
   let removed = 0;
   for (const asset of manifest.assets || []) {
-    const fileName = asset?.name;
-    if (!fileName) continue;
-    const removedOk = await deleteCachedAssetBlob(fileName);
+    if (!asset?.name) continue;
+    const assetKey = getAssetKey(toSourceAsset(sourceId, asset));
+    const removedOk = await deleteCachedAssetBlob(toSourceAsset(sourceId, asset));
     if (removedOk) removed += 1;
-    await saveFileSettings(fileName, { isCached: false });
+    await saveFileSettings(assetKey, { isCached: false });
   }
 
   if (manifest?.removed?.length) {
@@ -388,11 +882,20 @@ export const clearAllAssetCache = async () => {
   try {
     const db = await openDatabase();
 
-    const cachedFileNames = await new Promise((resolve, reject) => {
+    const cachedAssetKeys = await new Promise((resolve, reject) => {
       const tx = db.transaction([ASSET_STORE], 'readonly');
-      const store = tx.objectStore(ASSET_STORE);
-      const request = store.getAllKeys();
-      request.onsuccess = () => resolve(Array.isArray(request.result) ? request.result : []);
+      const index = tx.objectStore(ASSET_STORE).index('assetKey');
+      const keys = new Set();
+      const request = index.openKeyCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(Array.from(keys));
+          return;
+        }
+        keys.add(cursor.key);
+        cursor.continue();
+      };
       request.onerror = () => reject(new Error('Failed to list asset cache keys'));
     });
 
@@ -414,6 +917,7 @@ export const clearAllAssetCache = async () => {
     ]);
 
     await Promise.all([
+      clearAssetResponses(),
       new Promise((resolve, reject) => {
         const tx = db.transaction([ASSET_STORE], 'readwrite');
         const store = tx.objectStore(ASSET_STORE);
@@ -430,11 +934,11 @@ export const clearAllAssetCache = async () => {
       }),
     ]);
 
-    for (const fileName of cachedFileNames) {
-      if (!fileName) continue;
-      const existingSettings = await loadFileSettings(fileName);
+    for (const assetKey of cachedAssetKeys) {
+      if (!assetKey) continue;
+      const existingSettings = await loadFileSettings(assetKey);
       if (!existingSettings) continue;
-      await saveFileSettings(fileName, { isCached: false });
+      await saveFileSettings(assetKey, { isCached: false });
     }
 
     return {
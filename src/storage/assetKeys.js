@@ -0,0 +1,97 @@
+/**
+ * Asset Keys
+ *
+ * Identity and content-version keys shared by the asset cache, per-file
+ * settings and preview storage.
+ *
+ * - Asset key: `{sourceId}/{path}` for assets that come from a storage source,
+ *   so two `scene.sog` files in different collections stay apart. Local files
+ *   dropped into the viewer have no source and keep their plain file name
+ *   (which is also what every record was keyed by before).
+ * - Content key: asset key plus a content version (manifest ETag or file
+ *   version, or a local file's size and modification time), so an updated
+ *   remote file never matches the cached copy of the old one. Bytes are not
+ *   hashed: that would hold a second full copy of a large splat in memory.
+ */
+
+const CONTENT_VERSION_SEPARATOR = '#';
+
+const stripLeadingSlash = (value) => (value || '').replace(/^\/+/, '');
+
+/**
+ * Stable identity key for an asset (or a proxy view of one).
+ * @param {Object} asset - Internal asset, RemoteAssetDescriptor or `{ sourceId, path, name }`
+ * @returns {string | null}
+ */
+export const getAssetKey = (asset) => {
+  if (!asset) return null;
+  const sourceId = asset.sourceId || asset._remoteAsset?.sourceId;
+  const path = stripLeadingSlash(asset.path || asset._remoteAsset?.path || '');
+  if (sourceId && path) {
+    return `${sourceId}/${path}`;
+  }
+  return asset.baseAssetName || asset.name || null;
+};
+
+/**
+ * Whether a key still uses the legacy file-name-only scheme.
+ * @param {Object} asset
+ * @returns {boolean}
+ */
+export const usesLegacyAssetKey = (asset) => !!asset?.name && getAssetKey(asset) === asset.name;
+
+/**
+ * Content version advertised by the source before downloading
+ * (manifest `sha256`/`etag`, or a listing ETag). Null when unknown.
+ * @param {Object} asset
+ * @returns {string | null}
+ */
+export const getAssetContentVersion = (asset) => {
+  const version = asset?.version ?? asset?._remoteAsset?.version ?? null;
+  return version ? String(version) : null;
+};
+
+/**
+ * Key of one cached copy of an asset's bytes.
+ * @param {string} assetKey
+ * @param {string | null} version
+ * @returns {string}
+ */
+export const getContentCacheKey = (assetKey, version) => (
+  version ? `${assetKey}${CONTENT_VERSION_SEPARATOR}${version}` : assetKey
+);
+
+/**
+ * Content version from manifest entry fields.
+ * @param {{ sha256?: string, etag?: string, fileVersion?: string }} item
+ * @returns {string | null}
+ */
+export const getManifestContentVersion = (item) => item?.sha256 || item?.etag || item?.fileVersion || null;
+
+/**
+ * Cheap content version of a local file: its size and modification time.
+ * Null for plain Blobs, which carry no modification time.
+ * @param {Blob} file
+ * @returns {string | null}
+ */
+export const getFileContentVersion = (file) => (
+  file && Number.isFinite(file.lastModified) ? `${file.size}-${file.lastModified}` : null
+);
+
+/**
+ * Record the version of freshly uploaded bytes on a manifest entry: the ETag
+ * the upload returned, or else the uploaded file's size and modification
+ * time. Version fields that described the previous file are dropped.
+ * @param {Object} entry - ManifestAsset
+ * @param {{ etag?: string | null, file?: File }} upload
+ * @returns {Object} The same entry
+ */
+export const setManifestContentVersion = (entry, { etag, file }) => {
+  delete entry.sha256;
+  delete entry.etag;
+  delete entry.fileVersion;
+  const fileVersion = etag ? null : getFileContentVersion(file);
+  if (etag) entry.etag = String(etag);
+  if (fileVersion) entry.fileVersion = fileVersion;
+  return entry;
+};
@@ -0,0 +1,123 @@
+/**
+ * Asset Replacement
+ *
+ * Shared flow behind replaceAsset() of the manifest-backed sources (R2/S3,
+ * Supabase, WebDAV), e.g. swapping a PLY for its SOG conversion. The source
+ * supplies the storage calls; this keeps everything that refers to the asset
+ * by path pointing at the new file:
+ * - the manifest entry (preview, metadata, views, tags are kept)
+ * - scene items that place the asset
+ * - local per-asset records (settings, custom views, previews), which are
+ *   keyed by `{sourceId}/{path}` and would otherwise be orphaned when the
+ *   replacement has a different name
+ */
+
+import { copyFileRecords, deleteFileSettings } from '../fileStorage.js';
+import { getAssetKey, setManifestContentVersion } from './assetKeys.js';
+
+const renameSceneItems = (manifest, oldPath, newPath, name) => {
+  (Array.isArray(manifest.scenes) ? manifest.scenes : []).forEach((scene) => {
+    (Array.isArray(scene?.items) ? scene.items : []).forEach((item) => {
+      if (item?.path !== oldPath) return;
+      item.path = newPath;
+      item.name = name;
+    });
+  });
+};
+
+const moveAssetRecords = async (sourceId, oldPath, newPath) => {
+  const oldKey = getAssetKey({ sourceId, path: oldPath });
+  const newKey = getAssetKey({ sourceId, path: newPath });
+  try {
+    await copyFileRecords(oldKey, newKey);
+    await deleteFileSettings(oldKey);
+  } catch (err) {
+    console.warn(`[AssetReplacement] Failed to move local settings from ${oldPath} to ${newPath}`, err);
+  }
+};
+
+/**
+ * Replace an asset's file in place. The new file keeps the old one's folder.
+ *
+ * @param {import('./AssetSource.js').AssetSource} source - Source with a loaded-on-demand `_manifest`
+ * @param {Object} options
+ * @param {string | null} options.oldPath - Manifest path of the asset being replaced
+ * @param {File} options.file
+ * @param {(path: string) => Promise<string | null | void>} options.upload - Store `file` at a manifest path and
+ *   resolve to the server's ETag when it returned one; throws on failure
+ * @param {((path: string) => Promise<void>) | null} options.removeOld - Delete the old file when the
+ *   path changed, or the new one when the manifest could not be saved; null leaves them in place
+ *   (no delete permission)
+ * @returns {Promise<{ success: boolean, error?: string, path?: string, previousPath?: string }>}
+ */
+export const replaceManifestAsset = async (source, { oldPath, file, upload, removeOld }) => {
+  if (!source._canWrite()) {
+    return { success: false, error: 'Write permission is disabled for this source' };
+  }
+
+  if (!source.isConnected()) {
+    const result = await source.connect({ refreshManifest: true });
+    if (!result.success) return { success: false, error: result.error };
+  }
+
+  await source._ensureManifestLoaded();
+  const manifest = source._manifest;
+  const entry = oldPath ? manifest?.assets.find((a) => a.path === oldPath) : null;
+  if (!entry) {
+    return { success: false, error: 'Asset not found in manifest' };
+  }
+
+  const directory = oldPath.includes('/') ? oldPath.slice(0, oldPath.lastIndexOf('/') + 1) : '';
+  const newPath = `${directory}${file.name}`;
+  const renamed = newPath !== oldPath;
+  if (renamed && manifest.assets.some((a) => a.path === newPath)) {
+    return { success: false, error: `${file.name} already exists in this collection` };
+  }
+
+  let etag;
+  try {
+    etag = await upload(newPath);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+
+  const previousEntry = { ...entry };
+  const previousScenes = JSON.stringify(manifest.scenes ?? null);
+  entry.path = newPath;
+  entry.name = file.name;
+  entry.size = file.size;
+  setManifestContentVersion(entry, { etag, file });
+  if (renamed) renameSceneItems(manifest, oldPath, newPath, file.name);
+  try {
+    await source._saveManifest(manifest);
+  } catch (error) {
+    // Point the manifest back at the old file, which is still in place when renamed
+    Object.keys(entry).forEach((key) => delete entry[key]);
+    Object.assign(entry, previousEntry);
+    if (manifest.scenes !== undefined) manifest.scenes = JSON.parse(previousScenes);
+    if (renamed && removeOld) {
+      try {
+        await removeOld(newPath);
+      } catch (removeError) {
+        console.warn(`[AssetReplacement] Failed to remove unsaved replacement ${newPath}:`, removeError.message);
+      }
+    }
+    return { success: false, error: error.message };
+  }
+
+  if (renamed) {
+    await moveAssetRecords(source.id, oldPath, newPath);
+    if (removeOld) {
+      try {
+        await removeOld(oldPath);
+      } catch (error) {
+        console.warn(`[AssetReplacement] Failed to remove replaced asset ${oldPath}:`, error.message);
+      }
+    } else {
+      console.warn(`[AssetReplacement] Delete permission is disabled; leaving replaced asset ${oldPath} in ${source.name}`);
+    }
+  }
+
+  await source.listAssets();
+  return { success: true, path: newPath, previousPath: oldPath };
+};
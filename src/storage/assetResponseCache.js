@@ -0,0 +1,114 @@
+/**
+ * Asset Response Cache
+ *
+ * Cache Storage copy of assets that have a stable public URL (URL lists,
+ * Supabase public buckets, R2 buckets behind a public domain). Keeping the
+ * bytes here rather than in IndexedDB lets the service worker
+ * (public/asset-sw.js) answer the original URL, including Range requests,
+ * when the network is gone. assetCache.js decides where each asset's bytes
+ * go; an asset is only ever stored in one of the two places.
+ */
+
+// Must match ASSET_RESPONSE_CACHE in public/asset-sw.js
+export const ASSET_RESPONSE_CACHE = 'radia-asset-responses';
+
+export const isAssetResponseCacheSupported = () => (
+  typeof caches !== 'undefined' && typeof Response !== 'undefined'
+);
+
+const toCacheUrl = (url) => {
+  try {
+    const parsed = new URL(url, typeof location !== 'undefined' ? location.href : undefined);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+    parsed.hash = '';
+    return parsed.href;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Store a full (200) response for `url`.
+ * @param {string} url
+ * @param {Blob} blob
+ * @param {{ type?: string }} [options]
+ * @returns {Promise<boolean>}
+ */
+export const putAssetResponse = async (url, blob, { type } = {}) => {
+  const cacheUrl = toCacheUrl(url);
+  if (!cacheUrl || !isAssetResponseCacheSupported()) return false;
+  try {
+    const cache = await caches.open(ASSET_RESPONSE_CACHE);
+    await cache.put(cacheUrl, new Response(blob, {
+      status: 200,
+      headers: {
+        'Content-Type': type || blob.type || 'application/octet-stream',
+        'Content-Length': String(blob.size),
+        'Accept-Ranges': 'bytes',
+      },
+    }));
+    return true;
+  } catch (err) {
+    console.warn('[AssetResponseCache] Failed to store response', err);
+    return false;
+  }
+};
+
+/**
+ * Whether a response is stored for `url`, without reading its body.
+ * @param {string} url
+ * @returns {Promise<boolean>}
+ */
+export const hasAssetResponse = async (url) => {
+  const cacheUrl = toCacheUrl(url);
+  if (!cacheUrl || !isAssetResponseCacheSupported()) return false;
+  try {
+    const cache = await caches.open(ASSET_RESPONSE_CACHE);
+    return !!await cache.match(cacheUrl);
+  } catch (err) {
+    console.warn('[AssetResponseCache] Failed to look up response', err);
+    return false;
+  }
+};
+
+/**
+ * Body of the stored response for `url`.
+ * @param {string} url
+ * @returns {Promise<Blob | null>}
+ */
+export const loadAssetResponseBlob = async (url) => {
+  const cacheUrl = toCacheUrl(url);
+  if (!cacheUrl || !isAssetResponseCacheSupported()) return null;
+  try {
+    const cache = await caches.open(ASSET_RESPONSE_CACHE);
+    const response = await cache.match(cacheUrl);
+    return response ? await response.blob() : null;
+  } catch (err) {
+    console.warn('[AssetResponseCache] Failed to read response', err);
+    return null;
+  }
+};
+
+/**
+ * @param {string[]} urls
+ */
+export const deleteAssetResponses = async (urls) => {
+  const cacheUrls = urls.map(toCacheUrl).filter(Boolean);
+  if (!cacheUrls.length || !isAssetResponseCacheSupported()) return;
+  try {
+    const cache = await caches.open(ASSET_RESPONSE_CACHE);
+    await Promise.all(cacheUrls.map((cacheUrl) => cache.delete(cacheUrl)));
+  } catch (err) {
+    console.warn('[AssetResponseCache] Failed to delete responses', err);
+  }
+};
+
+export const clearAssetResponses = async () => {
+  if (!isAssetResponseCacheSupported()) return false;
+  try {
+    return await caches.delete(ASSET_RESPONSE_CACHE);
+  } catch (err) {
+    console.warn('[AssetResponseCache] Failed to clear responses', err);
+    return false;
+  }
+};
@@ -0,0 +1,89 @@
+/**
+ * Cache Budget
+ *
+ * Decides how many bytes the offline asset cache may hold, based on the
+ * origin quota reported by the Storage API. Settings, previews and stored
+ * collections share that quota, so the cache stays well below it: once an
+ * origin runs out of space the browser may drop all of its data at once.
+ */
+
+// Share of the origin quota the asset cache may use
+const CACHE_QUOTA_FRACTION = 0.5;
+
+// Origin usage (all stores) the cache will not push past
+const ORIGIN_QUOTA_FRACTION = 0.8;
+
+// Used when the Storage API is unavailable (older Safari, insecure origins)
+const FALLBACK_BUDGET_BYTES = 1024 * 1024 * 1024;
+
+const getStorageManager = () => (
+  typeof navigator !== 'undefined' ? navigator.storage || null : null
+);
+
+/**
+ * Current origin usage and quota.
+ * @returns {Promise<{ usage: number, quota: number } | null>}
+ */
+export const getStorageEstimate = async () => {
+  const storage = getStorageManager();
+  if (!storage?.estimate) return null;
+  try {
+    const { usage = 0, quota = 0 } = await storage.estimate();
+    return quota > 0 ? { usage, quota } : null;
+  } catch (err) {
+    console.warn('[CacheBudget] Storage estimate failed', err);
+    return null;
+  }
+};
+
+/**
+ * Whether the browser has marked this origin's storage as persistent
+ * (exempt from automatic eviction under storage pressure).
+ * @returns {Promise<boolean | null>} Null when the API is unavailable
+ */
+export const isStoragePersisted = async () => {
+  const storage = getStorageManager();
+  if (!storage?.persisted) return null;
+  try {
+    return await storage.persisted();
+  } catch (err) {
+    console.warn('[CacheBudget] Failed to read persistence state', err);
+    return null;
+  }
+};
+
+/**
+ * Ask the browser to keep this origin's storage. Chrome grants it silently
+ * based on engagement, Firefox prompts, Safari may ignore it.
+ * @returns {Promise<boolean>}
+ */
+export const requestPersistentStorage = async () => {
+  const storage = getStorageManager();
+  if (!storage?.persist) return false;
+  try {
+    if (await storage.persisted?.()) return true;
+    return await storage.persist();
+  } catch (err) {
+    console.warn('[CacheBudget] Persistent storage request failed', err);
+    return false;
+  }
+};
+
+/**
+ * Byte limit for the asset cache given its current size. Besides the share
+ * of the quota, the limit never lets origin usage grow past
+ * ORIGIN_QUOTA_FRACTION, whatever else is using the space.
+ * @param {number} cacheBytes - Bytes currently held by the asset cache
+ * @returns {Promise<{ budgetBytes: number, estimate: { usage: number, quota: number } | null }>}
+ */
+export const getCacheBudget = async (cacheBytes = 0) => {
+  const estimate = await getStorageEstimate();
+  if (!estimate) {
+    return { budgetBytes: FALLBACK_BUDGET_BYTES, estimate: null };
+  }
+
+  const share = estimate.quota * CACHE_QUOTA_FRACTION;
+  const headroom = estimate.quota * ORIGIN_QUOTA_FRACTION - estimate.usage;
+  const budgetBytes = Math.max(0, Math.floor(Math.min(share, cacheBytes + headroom)));
+  return { budgetBytes, estimate };
+};
@@ -1,8 +1,12 @@
 const VAULT_META_KEY = 'credential-vault-meta';
 const R2_SETTINGS_KEY = 'r2-settings';
+const S3_SETTINGS_KEY = 's3-settings';
+const WEBDAV_SETTINGS_KEY = 'webdav-settings';
 const CLOUD_GPU_SETTINGS_KEY = 'cloud-gpu-settings';
 
 const R2_SECRET_ID = 'r2-secret';
+const S3_SECRET_ID = 's3-secret';
+const WEBDAV_SECRET_ID = 'webdav-secret';
 const CLOUD_GPU_KEY_ID = 'cloud-gpu-key';
 
 const VAULT_VERSION = 1;
@@ -190,9 +194,13 @@ export const unlockCredentialVault = async (password) => {
 
   try {
     const r2Settings = parseJsonStorage(R2_SETTINGS_KEY);
+    const s3Settings = parseJsonStorage(S3_SETTINGS_KEY);
+    const webdavSettings = parseJsonStorage(WEBDAV_SETTINGS_KEY);
     const cloudGpuSettings = parseJsonStorage(CLOUD_GPU_SETTINGS_KEY);
 
     await tryDecryptStoredSecret(r2Settings, 'secretAccessKeyEncrypted', R2_SECRET_ID, sessionPassword);
+    await tryDecryptStoredSecret(s3Settings, 'secretAccessKeyEncrypted', S3_SECRET_ID, sessionPassword);
+    await tryDecryptStoredSecret(webdavSettings, 'secretEncrypted', WEBDAV_SECRET_ID, sessionPassword);
     await tryDecryptStoredSecret(cloudGpuSettings, 'apiKeyEncrypted', CLOUD_GPU_KEY_ID, sessionPassword);
 
     return { success: true, created: verified.created };
@@ -216,5 +224,7 @@ export const encryptCredentialValue = async (secretId, plaintext, password) => {
 
 export const getVaultSecretIds = () => ({
   r2: R2_SECRET_ID,
+  s3: S3_SECRET_ID,
+  webdav: WEBDAV_SECRET_ID,
   cloudGpu: CLOUD_GPU_KEY_ID,
 });
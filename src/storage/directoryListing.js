@@ -0,0 +1,190 @@
+/**
+ * HTML directory listing crawler
+ *
+ * Reads the index pages served by static hosts (nginx autoindex, Apache,
+ * `python -m http.server`, Caddy browse) and turns them into a synthetic
+ * manifest: supported assets plus matching preview images and
+ * `.meta.json` sidecars.
+ */
+
+import { MANIFEST_VERSION } from './types.js';
+import { getSupportedExtensions } from '../formats/index.js';
+
+const PREVIEW_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+const METADATA_SUFFIXES = ['.meta.json', '.metadata.json'];
+
+// Upper bound on index pages fetched per crawl
+const MAX_LISTING_PAGES = 200;
+
+const getExtension = (filename) => {
+  const parts = filename.split('.');
+  return parts.length > 1 ? `.${parts.pop().toLowerCase()}` : '';
+};
+
+const decodeSegment = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+const getMetadataSuffix = (name) => METADATA_SUFFIXES.find((suffix) => name.toLowerCase().endsWith(suffix));
+
+/**
+ * Matching key for an asset, preview or sidecar: folder + decoded base name,
+ * so "scene.ply", "scene.jpg" and "scene.meta.json" (or "scene.ply.meta.json")
+ * in the same folder line up. Sidecars lose only their suffix (plus an asset
+ * extension before it), so "my.scene.meta.json" still pairs with "my.scene.ply".
+ * @param {string} path
+ * @param {string[]} assetExtensions - Supported asset extensions
+ */
+const matchKey = (path, assetExtensions) => {
+  const slash = path.lastIndexOf('/');
+  const folder = slash >= 0 ? path.slice(0, slash + 1) : '';
+  const name = decodeSegment(path.slice(slash + 1)).toLowerCase();
+  const suffix = getMetadataSuffix(name);
+  if (suffix) {
+    const base = name.slice(0, -suffix.length);
+    const ext = getExtension(base);
+    return `${folder}${assetExtensions.includes(ext) ? base.slice(0, -ext.length) : base}`;
+  }
+  const lastDot = name.lastIndexOf('.');
+  return `${folder}${lastDot > 0 ? name.slice(0, lastDot) : name}`;
+};
+
+/**
+ * Extract the entries of one listing page. Only links below `pageUrl` on the
+ * same origin count; parent links, sort links (`?C=N;O=D`) and anchors are
+ * skipped.
+ * @param {string} html
+ * @param {string} pageUrl - URL the page was served from (with trailing slash)
+ * @returns {{ files: string[], folders: string[] }} Absolute URLs
+ */
+export const parseDirectoryListing = (html, pageUrl) => {
+  const page = new URL(pageUrl);
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const files = new Set();
+  const folders = new Set();
+
+  for (const anchor of Array.from(doc.querySelectorAll('a[href]'))) {
+    const href = anchor.getAttribute('href');
+    if (!href || href.startsWith('#') || href.startsWith('?')) continue;
+
+    let target;
+    try {
+      target = new URL(href, page);
+    } catch {
+      continue;
+    }
+
+    if (target.origin !== page.origin || target.search || target.hash) continue;
+    if (!target.pathname.startsWith(page.pathname) || target.pathname === page.pathname) continue;
+
+    const url = `${target.origin}${target.pathname}`;
+    if (target.pathname.endsWith('/')) {
+      folders.add(url);
+    } else {
+      files.add(url);
+    }
+  }
+
+  return { files: Array.from(files), folders: Array.from(folders) };
+};
+
+/**
+ * Crawl a listing and return file paths relative to `baseUrl`
+ * (still URL-encoded, so they can be joined back onto the base).
+ * @param {string} baseUrl - Folder URL
+ * @param {{ maxDepth?: number, signal?: AbortSignal }} [options] - maxDepth 0 reads only the base folder
+ * @returns {Promise<string[]>}
+ */
+export const crawlDirectoryListing = async (baseUrl, { maxDepth = 0, signal } = {}) => {
+  const root = new URL(baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`);
+  const rootPath = root.pathname;
+  const queue = [{ url: root.href, depth: 0 }];
+  const visited = new Set();
+  const files = [];
+
+  while (queue.length > 0 && visited.size < MAX_LISTING_PAGES) {
+    const { url, depth } = queue.shift();
+    if (visited.has(url)) continue;
+    visited.add(url);
+
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+      if (depth === 0) {
+        throw new Error(`Listing fetch failed: ${response.status} ${response.statusText}`);
+      }
+      console.warn(`[DirectoryListing] Skipping ${url}: ${response.status}`);
+      continue;
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.includes('html')) {
+      if (depth === 0) {
+        throw new Error('URL does not serve an HTML directory listing');
+      }
+      continue;
+    }
+
+    const listing = parseDirectoryListing(await response.text(), url);
+    listing.files.forEach((fileUrl) => {
+      files.push(new URL(fileUrl).pathname.slice(rootPath.length));
+    });
+
+    if (depth < maxDepth) {
+      listing.folders.forEach((folderUrl) => queue.push({ url: folderUrl, depth: depth + 1 }));
+    }
+  }
+
+  if (queue.length > 0) {
+    console.warn(`[DirectoryListing] Stopped after ${MAX_LISTING_PAGES} pages`);
+  }
+
+  return files;
+};
+
+/**
+ * Build a manifest from crawled file paths. Previews and sidecars attach to
+ * the asset with the same base name in the same folder.
+ * @param {string[]} paths - Relative, URL-encoded paths
+ * @param {{ name?: string }} [options]
+ * @returns {{ version: number, name?: string, assets: Array<{ path: string, name: string, preview?: string, metadata?: string }> }}
+ */
+export const buildListingManifest = (paths, { name } = {}) => {
+  const supportedExtensions = getSupportedExtensions();
+  const previewByKey = new Map();
+  const metadataByKey = new Map();
+  const assetPaths = [];
+
+  for (const path of paths) {
+    const filename = decodeSegment(path.split('/').pop() || '');
+    if (getMetadataSuffix(filename)) {
+      metadataByKey.set(matchKey(path, supportedExtensions), path);
+      continue;
+    }
+    const ext = getExtension(filename);
+    if (PREVIEW_EXTENSIONS.includes(ext)) {
+      previewByKey.set(matchKey(path, supportedExtensions), path);
+    } else if (supportedExtensions.includes(ext)) {
+      assetPaths.push(path);
+    }
+  }
+
+  const assets = assetPaths.sort().map((path) => {
+    const key = matchKey(path, supportedExtensions);
+    return {
+      path,
+      name: decodeSegment(path.split('/').pop()),
+      ...(previewByKey.has(key) ? { preview: previewByKey.get(key) } : {}),
+      ...(metadataByKey.has(key) ? { metadata: metadataByKey.get(key) } : {}),
+    };
+  });
+
+  return {
+    version: MANIFEST_VERSION,
+    ...(name ? { name } : {}),
+    assets,
+  };
+};
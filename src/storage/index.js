@@ -47,12 +47,26 @@ export {
   restoreR2BucketSource,
 } from './R2BucketSource.js';
 
+export {
+  S3BucketSource,
+  createS3BucketSource,
+  restoreS3BucketSource,
+} from './S3BucketSource.js';
+
+export {
+  WebDavSource,
+  createWebDavSource,
+  restoreWebDavSource,
+} from './WebDavSource.js';
+
 // Import restore functions for local use in restoreSource()
 import { restoreLocalFolderSource as _restoreLocalFolderSource } from './LocalFolderSource.js';
 import { restoreAppStorageSource as _restoreAppStorageSource } from './AppStorageSource.js';
 import { restorePublicUrlSource as _restorePublicUrlSource } from './PublicUrlSource.js';
 import { restoreSupabaseStorageSource as _restoreSupabaseStorageSource } from './SupabaseStorageSource.js';
 import { restoreR2BucketSource as _restoreR2BucketSource } from './R2BucketSource.js';
+import { restoreS3BucketSource as _restoreS3BucketSource } from './S3BucketSource.js';
+import { restoreWebDavSource as _restoreWebDavSource } from './WebDavSource.js';
 import { createPublicUrlSource as _createPublicUrlSource } from './PublicUrlSource.js';
 
 // Source manager - import for local use
@@ -94,6 +108,13 @@ export {
   loadAllSourceAssets,
 } from './sourceAssetAdapter.js';
 
+// Asset keys
+export {
+  getAssetKey,
+  getAssetContentVersion,
+  getFileContentVersion,
+} from './assetKeys.js';
+
 // Asset cache
 export {
   loadCachedAssetBlob,
@@ -101,6 +122,11 @@ export {
   hasCachedAsset,
   saveCachedAssetBlob,
   deleteCachedAssetBlob,
+  setCachedAssetPinned,
+  setCollectionCachePinned,
+  addCollectionManifestAssets,
+  enforceAssetCacheBudget,
+  getAssetCacheUsage,
   loadCollectionManifest,
   saveCollectionManifest,
   deleteCollectionManifest,
@@ -114,6 +140,53 @@ export {
   clearAllAssetCache,
 } from './assetCache.js';
 
+// Cache budget
+export {
+  getStorageEstimate,
+  isStoragePersisted,
+  requestPersistentStorage,
+  getCacheBudget,
+} from './cacheBudget.js';
+
+// Offline downloads
+export {
+  startOfflineDownloads,
+  onOfflineDownloadsChange,
+  pinCollection,
+  unpinCollection,
+  refreshPinnedCollection,
+  pinAsset,
+  unpinAsset,
+  retryFailedDownloads,
+  isCollectionPinned,
+  isAssetPinned,
+  getAssetOfflineState,
+  getCollectionOfflineStatus,
+} from './offlineDownloads.js';
+
+// Scene documents
+export {
+  createSceneId,
+  normalizeSceneDocument,
+  supportsScenes,
+} from './sceneDocuments.js';
+
+// Manifest schema (v2) and migration
+export {
+  migrateManifest,
+  normalizeTags,
+  normalizeCollectionDefaults,
+  getManifestAssetDetails,
+  getManifestCollectionSettings,
+} from './manifestSchema.js';
+
+// Concurrent manifest writes
+export {
+  mergeManifests,
+  onManifestConflict,
+  MAX_MANIFEST_WRITE_ATTEMPTS,
+} from './manifestSync.js';
+
 
 /**
  * Restore a source from persisted config based on its type.
@@ -134,6 +207,10 @@ export const restoreSource = (config) => {
       return _restoreSupabaseStorageSource(config);
     case 'r2-bucket':
       return _restoreR2BucketSource(config);
+    case 's3-bucket':
+      return _restoreS3BucketSource(config);
+    case 'webdav':
+      return _restoreWebDavSource(config);
     default:
       console.warn(`Unknown source type: ${config.type}`);
       return null;
@@ -0,0 +1,267 @@
+/**
+ * Collection manifest schema, version 2.
+ *
+ * v2 keeps every v1 field and adds collection settings and per-asset
+ * presentation data. v1 manifests are upgraded in place when a source reads
+ * them and written back as v2 on the next save.
+ *
+ * manifest.json:
+ * {
+ *   "version": 2,
+ *   "name": "My Collection",
+ *   "description": "Spring captures",
+ *   "cover": "assets/scene1.preview.jpg",  // path relative to the manifest
+ *   "defaults": {
+ *     "animation": {                        // same keys as the animation UI prefs
+ *       "intensity": "medium",
+ *       "direction": "left",
+ *       "slideMode": "horizontal",
+ *       "transitionSpeed": "default",
+ *       "continuousMotionSize": "large",
+ *       "continuousMotionDuration": 7,
+ *       "continuousDollyZoom": false,
+ *       "custom": { "duration": 2.5, "rotation": 30, "rotationType": "left",
+ *                   "zoom": 1, "zoomType": "out", "easing": "ease-in-out" }
+ *     },
+ *     "slideshow": { "duration": 3, "continuous": false }
+ *   },
+ *   "assets": [
+ *     {
+ *       "path": "assets/scene1.ply",
+ *       "order": 0,
+ *       "tags": ["garden", "dusk"],
+ *       "caption": "Fountain at dusk",
+ *       "capturedAt": "2024-05-01T18:30:00.000Z",
+ *       "views": [ { "id": "view-1", "name": "Front", "cameraPose": { ... } } ],
+ *       "activeViewId": "view-1"
+ *     }
+ *   ]
+ * }
+ *
+ * `views` use the custom view record format of customMetadata.js.
+ */
+
+import { MANIFEST_VERSION } from './types.js';
+
+/**
+ * @typedef {Object} CollectionDefaults
+ * @property {Object} [animation] - Animation preferences applied while the collection is open
+ * @property {{ duration?: number, continuous?: boolean }} [slideshow]
+ */
+
+/**
+ * @typedef {Object} CollectionSettings
+ * @property {string | null} description
+ * @property {string | null} cover - Cover image path relative to the manifest
+ * @property {string | null} coverAssetPath - Asset whose file or preview the cover names
+ * @property {CollectionDefaults | null} defaults
+ */
+
+/**
+ * @typedef {Object} ManifestAssetDetails
+ * @property {number} order
+ * @property {string[]} tags
+ * @property {string | null} caption
+ * @property {string | null} capturedAt - ISO 8601 timestamp
+ * @property {Object[]} views - Custom view records
+ * @property {string | null} activeViewId
+ */
+
+const ANIMATION_STRING_KEYS = ['intensity', 'direction', 'slideMode', 'transitionSpeed', 'continuousMotionSize'];
+const ANIMATION_NUMBER_KEYS = ['continuousMotionDuration'];
+const ANIMATION_BOOLEAN_KEYS = ['continuousDollyZoom'];
+const CUSTOM_ANIMATION_STRING_KEYS = ['rotationType', 'zoomType', 'easing'];
+const CUSTOM_ANIMATION_NUMBER_KEYS = ['duration', 'rotation', 'zoom'];
+
+const toText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+const pickKeys = (source, keys, isValid) => {
+  const picked = {};
+  for (const key of keys) {
+    if (isValid(source[key])) picked[key] = source[key];
+  }
+  return picked;
+};
+
+const isString = (value) => typeof value === 'string' && value !== '';
+const isBoolean = (value) => typeof value === 'boolean';
+
+/**
+ * @param {unknown} tags - Array of strings or a comma separated string
+ * @returns {string[]} Trimmed tags, case-insensitively unique
+ */
+export const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : (typeof tags === 'string' ? tags.split(',') : []);
+  const seen = new Set();
+  const result = [];
+  for (const tag of list) {
+    const text = toText(tag);
+    if (!text || seen.has(text.toLowerCase())) continue;
+    seen.add(text.toLowerCase());
+    result.push(text);
+  }
+  return result;
+};
+
+/**
+ * @param {unknown} value - ISO string or epoch milliseconds
+ * @returns {string | null}
+ */
+export const normalizeCapturedAt = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// Full view normalization happens in customMetadata.js when a view is used
+const normalizeViews = (views) => (
+  (Array.isArray(views) ? views : [])
+    .filter((view) => view && typeof view === 'object' && view.cameraPose)
+    .map((view, idx) => ({ ...view, id: view.id || `view-${idx + 1}` }))
+);
+
+/**
+ * @param {Object} defaults
+ * @returns {CollectionDefaults | null} Null when no valid setting is present
+ */
+export const normalizeCollectionDefaults = (defaults) => {
+  if (!defaults || typeof defaults !== 'object') return null;
+  const normalized = {};
+
+  const animationSource = defaults.animation && typeof defaults.animation === 'object' ? defaults.animation : null;
+  if (animationSource) {
+    const animation = {
+      ...pickKeys(animationSource, ANIMATION_STRING_KEYS, isString),
+      ...pickKeys(animationSource, ANIMATION_NUMBER_KEYS, Number.isFinite),
+      ...pickKeys(animationSource, ANIMATION_BOOLEAN_KEYS, isBoolean),
+    };
+    if (animationSource.custom && typeof animationSource.custom === 'object') {
+      const custom = {
+        ...pickKeys(animationSource.custom, CUSTOM_ANIMATION_STRING_KEYS, isString),
+        ...pickKeys(animationSource.custom, CUSTOM_ANIMATION_NUMBER_KEYS, Number.isFinite),
+      };
+      if (Object.keys(custom).length > 0) animation.custom = custom;
+    }
+    if (Object.keys(animation).length > 0) normalized.animation = animation;
+  }
+
+  const slideshowSource = defaults.slideshow && typeof defaults.slideshow === 'object' ? defaults.slideshow : null;
+  if (slideshowSource) {
+    const slideshow = {};
+    if (Number.isFinite(slideshowSource.duration) && slideshowSource.duration > 0) {
+      slideshow.duration = slideshowSource.duration;
+    }
+    if (isBoolean(slideshowSource.continuous)) slideshow.continuous = slideshowSource.continuous;
+    if (Object.keys(slideshow).length > 0) normalized.slideshow = slideshow;
+  }
+
+  return Object.keys(normalized).length > 0 ? normalized : null;
+};
+
+/**
+ * Normalize the v2 fields of a manifest asset entry, in place. Empty
+ * optional fields are dropped so the written manifest stays small.
+ * @param {Object} item
+ * @returns {Object} The same entry
+ */
+export const normalizeManifestAsset = (item) => {
+  const tags = normalizeTags(item.tags);
+  if (tags.length > 0) item.tags = tags; else delete item.tags;
+
+  const caption = toText(item.caption);
+  if (caption) item.caption = caption; else delete item.caption;
+
+  const capturedAt = normalizeCapturedAt(item.capturedAt);
+  if (capturedAt) item.capturedAt = capturedAt; else delete item.capturedAt;
+
+  const views = normalizeViews(item.views);
+  if (views.length > 0) {
+    item.views = views;
+    item.activeViewId = views.some((view) => view.id === item.activeViewId)
+      ? item.activeViewId
+      : views[0].id;
+  } else {
+    delete item.views;
+    delete item.activeViewId;
+  }
+  return item;
+};
+
+/**
+ * Give every asset a numeric `order` and sort the list by it, in place.
+ * Entries without one (v1 manifests, fresh uploads) keep their list
+ * position and follow the ordered ones.
+ * @param {Object} manifest
+ */
+export const orderManifestAssets = (manifest) => {
+  const assets = Array.isArray(manifest.assets) ? manifest.assets : [];
+  let next = assets.reduce((max, item) => (
+    Number.isFinite(item?.order) ? Math.max(max, item.order + 1) : max
+  ), 0);
+  for (const item of assets) {
+    if (item && !Number.isFinite(item.order)) item.order = next++;
+  }
+  // Array.prototype.sort is stable, so equal orders keep their list position
+  assets.sort((a, b) => (a?.order ?? 0) - (b?.order ?? 0));
+  manifest.assets = assets;
+};
+
+/**
+ * Upgrade a manifest to the current schema version, in place. Manifests
+ * without a version (older app-storage records) are treated as v1.
+ * @param {Object | null} manifest
+ * @returns {Object | null} The same manifest
+ */
+export const migrateManifest = (manifest) => {
+  if (!manifest || typeof manifest !== 'object') return manifest;
+
+  manifest.assets = (Array.isArray(manifest.assets) ? manifest.assets : [])
+    .filter((item) => item && typeof item === 'object');
+  manifest.assets.forEach(normalizeManifestAsset);
+  orderManifestAssets(manifest);
+
+  const description = toText(manifest.description);
+  if (description) manifest.description = description; else delete manifest.description;
+
+  const cover = toText(manifest.cover);
+  if (cover) manifest.cover = cover; else delete manifest.cover;
+
+  const defaults = normalizeCollectionDefaults(manifest.defaults);
+  if (defaults) manifest.defaults = defaults; else delete manifest.defaults;
+
+  if (!Number.isFinite(manifest.version) || manifest.version < MANIFEST_VERSION) {
+    manifest.version = MANIFEST_VERSION;
+  }
+  return manifest;
+};
+
+/**
+ * v2 fields of a manifest entry, for asset descriptors.
+ * @param {Object} item - Migrated manifest entry
+ * @returns {ManifestAssetDetails}
+ */
+export const getManifestAssetDetails = (item) => ({
+  order: Number.isFinite(item?.order) ? item.order : 0,
+  tags: Array.isArray(item?.tags) ? [...item.tags] : [],
+  caption: item?.caption ?? null,
+  capturedAt: item?.capturedAt ?? null,
+  views: Array.isArray(item?.views) ? item.views : [],
+  activeViewId: item?.activeViewId ?? null,
+});
+
+/**
+ * @param {Object | null} manifest - Migrated manifest
+ * @returns {CollectionSettings}
+ */
+export const getManifestCollectionSettings = (manifest) => {
+  const cover = manifest?.cover ?? null;
+  const coverAsset = cover
+    ? (manifest.assets || []).find((item) => item?.path === cover || item?.preview === cover)
+    : null;
+  return {
+    description: manifest?.description ?? null,
+    cover,
+    coverAssetPath: coverAsset?.path ?? null,
+    defaults: manifest?.defaults ?? null,
+  };
+};
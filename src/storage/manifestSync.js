@@ -0,0 +1,268 @@
+/**
+ * Manifest Sync
+ *
+ * Optimistic concurrency for remote manifest.json writes. A source keeps the
+ * manifest as it last read it from the remote (the base) and a version token
+ * (R2 or WebDAV ETag, Supabase revision). Writes are conditional on that
+ * token; when another device wrote in between, the remote copy is fetched
+ * again, merged three-way with the local edits, and the write is retried.
+ *
+ * Merge rules, per asset (keyed by path) and scene (keyed by id):
+ * - added on either side: kept
+ * - removed on either side: stays removed, as with the `removed` list of the
+ *   asset cache manifests (a removal wins over an edit made elsewhere)
+ * - a field edited on one side only: that edit is kept
+ * - a field edited differently on both sides: the remote value is kept and
+ *   the local edit is reported as a conflict (see onManifestConflict)
+ * Collection-level fields (name, description, cover, defaults) follow the
+ * same field rules.
+ */
+
+import { migrateManifest } from './manifestSchema.js';
+
+// Conditional write attempts before giving up
+export const MAX_MANIFEST_WRITE_ATTEMPTS = 4;
+
+// Merged as lists or managed by the write itself, not as plain fields
+const NON_FIELD_KEYS = new Set(['assets', 'scenes', 'version', 'revision']);
+
+/**
+ * @typedef {Object} ManifestConflict
+ * @property {'asset' | 'scene' | 'collection'} type
+ * @property {string} key - Asset path, scene id, or '' for the collection
+ * @property {string} label - Asset or scene name for display
+ * @property {string} field - Manifest field both sides changed
+ */
+
+/**
+ * @typedef {Object} ManifestConflictEvent
+ * @property {string} sourceId
+ * @property {string} sourceName
+ * @property {ManifestConflict[]} conflicts - Local edits that were not saved
+ * @property {string | null} error - Set when the write was abandoned
+ * @property {string | null} [warning] - Set when writes to the source cannot be checked
+ */
+
+const conflictListeners = new Set();
+
+/**
+ * Subscribe to manifest writes that could not keep every local edit.
+ * @param {(event: ManifestConflictEvent) => void} listener
+ * @returns {() => void} Unsubscribe
+ */
+export const onManifestConflict = (listener) => {
+  conflictListeners.add(listener);
+  return () => conflictListeners.delete(listener);
+};
+
+const notifyConflict = (event) => {
+  conflictListeners.forEach((listener) => {
+    try {
+      listener(event);
+    } catch (err) {
+      console.warn('[ManifestSync] Conflict listener failed', err);
+    }
+  });
+};
+
+const uncheckedSourceIds = new Set();
+
+/**
+ * Tell listeners, once per source and session, that its manifest writes are
+ * not conditional, so a concurrent edit from another device can be lost.
+ * @param {import('./AssetSource.js').AssetSource} source
+ * @param {string} reason - Why the write could not be conditional
+ */
+export const notifyUncheckedManifestWrite = (source, reason) => {
+  if (uncheckedSourceIds.has(source.id)) return;
+  uncheckedSourceIds.add(source.id);
+  console.warn(`[ManifestSync] Writing manifest for ${source.name} without a conflict check: ${reason}`);
+  notifyConflict({
+    sourceId: source.id,
+    sourceName: source.name,
+    conflicts: [],
+    error: null,
+    warning: `${reason} Edits made to ${source.name} on another device at the same time can be overwritten.`,
+  });
+};
+
+// JSON with sorted keys, so field order does not count as a change
+const canonical = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const isSame = (a, b) => canonical(a) === canonical(b);
+
+/**
+ * Three-way merge of the plain fields of one object into `theirs`' copy.
+ * @returns {Object} Merged copy
+ */
+const mergeFields = (base, ours, theirs, { skip, onConflict }) => {
+  const merged = { ...theirs };
+  const keys = new Set([...Object.keys(base || {}), ...Object.keys(ours), ...Object.keys(theirs)]);
+  for (const key of keys) {
+    if (skip?.has(key)) continue;
+    const ourValue = ours[key];
+    const theirValue = theirs[key];
+    const baseValue = base?.[key];
+    if (isSame(ourValue, theirValue) || isSame(ourValue, baseValue)) continue;
+    if (isSame(theirValue, baseValue)) {
+      if (ourValue === undefined) {
+        delete merged[key];
+      } else {
+        merged[key] = ourValue;
+      }
+      continue;
+    }
+    onConflict(key);
+  }
+  return merged;
+};
+
+const mergeLists = (baseList, ourList, theirList, { keyOf, type, labelOf, conflicts }) => {
+  const toMap = (list) => new Map((Array.isArray(list) ? list : [])
+    .filter((item) => item && keyOf(item))
+    .map((item) => [keyOf(item), item]));
+  const baseMap = toMap(baseList);
+  const ourMap = toMap(ourList);
+  const theirMap = toMap(theirList);
+  const merged = [];
+
+  for (const [key, theirItem] of theirMap) {
+    const baseItem = baseMap.get(key);
+    const ourItem = ourMap.get(key);
+    if (!ourItem) {
+      // Removed here, or added on the other device
+      if (!baseItem) merged.push(theirItem);
+      continue;
+    }
+    const item = mergeFields(baseItem, ourItem, theirItem, {
+      skip: type === 'scene' ? new Set(['updatedAt']) : null,
+      onConflict: (field) => conflicts.push({ type, key, label: labelOf(ourItem), field }),
+    });
+    if (type === 'scene') {
+      item.updatedAt = Math.max(ourItem.updatedAt || 0, theirItem.updatedAt || 0) || item.updatedAt;
+    }
+    merged.push(item);
+  }
+
+  for (const [key, ourItem] of ourMap) {
+    // Kept above, or removed on the other device
+    if (theirMap.has(key) || baseMap.has(key)) continue;
+    merged.push(ourItem);
+  }
+
+  return merged;
+};
+
+/**
+ * Three-way merge of manifests.
+ * @param {Object | null} base - Remote manifest the local edits started from
+ * @param {Object} ours - Manifest with local edits
+ * @param {Object} theirs - Current remote manifest
+ * @returns {{ manifest: Object, conflicts: ManifestConflict[] }}
+ */
+export const mergeManifests = (base, ours, theirs) => {
+  const conflicts = [];
+  const manifest = mergeFields(base, ours, theirs, {
+    skip: NON_FIELD_KEYS,
+    onConflict: (field) => conflicts.push({ type: 'collection', key: '', label: ours.name || '', field }),
+  });
+
+  manifest.assets = mergeLists(base?.assets, ours.assets, theirs.assets, {
+    keyOf: (item) => item.path,
+    type: 'asset',
+    labelOf: (item) => item.name || item.path.split('/').pop(),
+    conflicts,
+  });
+
+  if (ours.scenes || theirs.scenes) {
+    manifest.scenes = mergeLists(base?.scenes, ours.scenes, theirs.scenes, {
+      keyOf: (item) => item.id,
+      type: 'scene',
+      labelOf: (item) => item.name || item.id,
+      conflicts,
+    });
+  }
+
+  return { manifest: migrateManifest(manifest), conflicts };
+};
+
+/**
+ * Deep copy kept as the merge base.
+ * @param {Object | null} manifest
+ * @returns {Object | null}
+ */
+export const snapshotManifest = (manifest) => (
+  manifest ? JSON.parse(JSON.stringify(manifest)) : null
+);
+
+const createConflictError = (message, conflicts) => {
+  const err = new Error(message);
+  err.code = 'MANIFEST_CONFLICT';
+  err.conflicts = conflicts;
+  return err;
+};
+
+/**
+ * Write a manifest with optimistic concurrency.
+ *
+ * `write(manifest, token)` performs the conditional write and resolves to
+ * the new token, or `false` when the remote no longer matches `token`.
+ * `fetchRemote()` resolves to `{ manifest, token }` for the current remote
+ * copy (`manifest` null when none exists). A token of `undefined` means the
+ * remote state is unknown, so it is fetched and merged before writing.
+ *
+ * @param {Object} options
+ * @param {{ id: string, name: string }} options.source
+ * @param {Object | null} options.base
+ * @param {Object} options.manifest - Manifest with local edits
+ * @param {*} options.token
+ * @param {() => Promise<{ manifest: Object | null, token: * }>} options.fetchRemote
+ * @param {(manifest: Object, token: *) => Promise<* | false>} options.write
+ * @returns {Promise<{ manifest: Object, token: *, conflicts: ManifestConflict[] }>}
+ */
+export const writeManifestWithMerge = async ({ source, base, manifest, token, fetchRemote, write }) => {
+  const conflicts = [];
+  let next = manifest;
+  let currentBase = base;
+  let currentToken = token;
+  let needsFetch = token === undefined;
+
+  for (let attempt = 0; attempt < MAX_MANIFEST_WRITE_ATTEMPTS; attempt += 1) {
+    if (needsFetch) {
+      const remote = await fetchRemote();
+      if (remote.manifest) {
+        const merged = mergeManifests(currentBase, next, migrateManifest(remote.manifest));
+        next = merged.manifest;
+        conflicts.push(...merged.conflicts);
+        currentBase = remote.manifest;
+      }
+      currentToken = remote.token;
+    }
+
+    const written = await write(next, currentToken);
+    if (written !== false) {
+      if (conflicts.length > 0) {
+        console.warn(`[ManifestSync] ${conflicts.length} conflicting edit(s) in ${source.name} kept the remote value`);
+        notifyConflict({ sourceId: source.id, sourceName: source.name, conflicts, error: null });
+      }
+      return { manifest: next, token: written, conflicts };
+    }
+    needsFetch = true;
+  }
+
+  const err = createConflictError(
+    `Manifest for ${source.name} kept changing on another device; changes were not saved`,
+    conflicts,
+  );
+  notifyConflict({ sourceId: source.id, sourceName: source.name, conflicts, error: err.message });
+  throw err;
+};
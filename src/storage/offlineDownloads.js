@@ -0,0 +1,547 @@
+/**
+ * Offline Downloads
+ *
+ * "Make available offline" pins for whole collections and single assets, and
+ * the background queue that downloads pinned assets into the asset cache.
+ *
+ * Pins and pending jobs are persisted in IndexedDB, so a download run that
+ * was interrupted by a reload picks up where it left off (per asset: a file
+ * that was half downloaded starts over). Jobs run a few at a time, only while
+ * the browser is online and idle, and failed jobs back off exponentially
+ * before they are retried. Pinned blobs are exempt from cache eviction.
+ */
+
+import { saveFileSettings } from '../fileStorage.js';
+import { getAssetKey } from './assetKeys.js';
+import {
+  hasCachedAsset,
+  saveCachedAssetBlob,
+  setCachedAssetPinned,
+  setCollectionCachePinned,
+  addCollectionManifestAssets,
+  getRemovedAssetNames,
+} from './assetCache.js';
+import { requestPersistentStorage } from './cacheBudget.js';
+import { getSource, onSourceChange } from './sourceManager.js';
+
+const DB_NAME = 'radia-viewer-offline';
+const DB_VERSION = 1;
+const COLLECTIONS_STORE = 'pinned-collections';
+const ASSETS_STORE = 'pinned-assets';
+const JOBS_STORE = 'download-jobs';
+
+const MAX_CONCURRENT_DOWNLOADS = 2;
+const MAX_ATTEMPTS = 6;
+const BASE_RETRY_DELAY_MS = 5000;
+const MAX_RETRY_DELAY_MS = 10 * 60 * 1000;
+// Start a queued download even if the page never goes idle
+const IDLE_TIMEOUT_MS = 5000;
+
+let dbInstance = null;
+let loadPromise = null;
+let started = false;
+let pumpTimer = null;
+
+/** sourceId -> { sourceId, pinnedAt } */
+const pinnedCollections = new Map();
+/** assetKey -> { assetKey, sourceId, path, name, pinnedAt } */
+const pinnedAssets = new Map();
+/** assetKey -> { assetKey, sourceId, path, name, queuedAt, attempts, nextAttemptAt, state, error } */
+const jobs = new Map();
+/** assetKeys currently downloading */
+const activeJobs = new Set();
+
+const listeners = new Set();
+
+const openDatabase = () => {
+  if (dbInstance) return Promise.resolve(dbInstance);
+
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onerror = () => {
+      reject(new Error('Failed to open offline downloads database'));
+    };
+
+    request.onsuccess = () => {
+      dbInstance = request.result;
+      resolve(dbInstance);
+    };
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+
+      if (!db.objectStoreNames.contains(COLLECTIONS_STORE)) {
+        db.createObjectStore(COLLECTIONS_STORE, { keyPath: 'sourceId' });
+      }
+
+      if (!db.objectStoreNames.contains(ASSETS_STORE)) {
+        const store = db.createObjectStore(ASSETS_STORE, { keyPath: 'assetKey' });
+        store.createIndex('sourceId', 'sourceId', { unique: false });
+      }
+
+      if (!db.objectStoreNames.contains(JOBS_STORE)) {
+        const store = db.createObjectStore(JOBS_STORE, { keyPath: 'assetKey' });
+        store.createIndex('sourceId', 'sourceId', { unique: false });
+      }
+    };
+  });
+};
+
+const readAll = (db, storeName) => new Promise((resolve, reject) => {
+  const tx = db.transaction([storeName], 'readonly');
+  const request = tx.objectStore(storeName).getAll();
+  request.onsuccess = () => resolve(request.result || []);
+  request.onerror = () => reject(new Error(`Failed to read ${storeName}`));
+});
+
+const writeRecords = async (storeName, { put = [], remove = [] }) => {
+  if (!put.length && !remove.length) return;
+  const db = await openDatabase();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction([storeName], 'readwrite');
+    const store = tx.objectStore(storeName);
+    put.forEach((record) => store.put(record));
+    remove.forEach((key) => store.delete(key));
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(new Error(`Failed to update ${storeName}`));
+  });
+};
+
+const ensureLoaded = () => {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      const db = await openDatabase();
+      const [collections, assets, storedJobs] = await Promise.all([
+        readAll(db, COLLECTIONS_STORE),
+        readAll(db, ASSETS_STORE),
+        readAll(db, JOBS_STORE),
+      ]);
+      collections.forEach((record) => pinnedCollections.set(record.sourceId, record));
+      assets.forEach((record) => pinnedAssets.set(record.assetKey, record));
+      storedJobs.forEach((record) => jobs.set(record.assetKey, record));
+    })().catch((err) => {
+      loadPromise = null;
+      throw err;
+    });
+  }
+  return loadPromise;
+};
+
+const notifyListeners = (sourceId = null) => {
+  listeners.forEach((listener) => {
+    try {
+      listener(sourceId);
+    } catch (err) {
+      console.warn('[OfflineDownloads] Listener error:', err);
+    }
+  });
+};
+
+/**
+ * Subscribe to pin and queue changes.
+ * @param {(sourceId: string | null) => void} listener - Receives the collection that changed
+ * @returns {Function} Unsubscribe function
+ */
+export const onOfflineDownloadsChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+const whenIdle = () => new Promise((resolve) => {
+  if (typeof requestIdleCallback === 'function') {
+    requestIdleCallback(() => resolve(), { timeout: IDLE_TIMEOUT_MS });
+  } else {
+    setTimeout(resolve, 200);
+  }
+});
+
+const getRetryDelay = (attempts) => {
+  const delay = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** (attempts - 1));
+  // Jitter so a batch that failed together does not retry in lockstep
+  return Math.round(delay * (0.75 + Math.random() * 0.5));
+};
+
+const toJob = (asset) => ({
+  assetKey: getAssetKey(asset),
+  sourceId: asset.sourceId,
+  path: asset.path || asset.name,
+  name: asset.name,
+  queuedAt: Date.now(),
+  attempts: 0,
+  nextAttemptAt: 0,
+  state: 'queued',
+  error: null,
+});
+
+const findSourceAsset = async (source, assetKey) => {
+  const listed = source.getAssets();
+  const assets = listed?.length ? listed : await source.listAssets();
+  return assets.find((asset) => getAssetKey(asset) === assetKey) || null;
+};
+
+/**
+ * Queue the assets of a source that are not cached yet; already cached ones
+ * are pinned in place.
+ */
+const queueAssets = async (source, assets) => {
+  const newJobs = [];
+  const cachedAssets = [];
+
+  for (const asset of assets) {
+    const assetKey = getAssetKey(asset);
+    if (!assetKey || jobs.has(assetKey)) continue;
+    if (await hasCachedAsset(asset)) {
+      await setCachedAssetPinned(asset, true);
+      cachedAssets.push(asset);
+      continue;
+    }
+    newJobs.push(toJob({ ...asset, sourceId: source.id }));
+  }
+
+  newJobs.forEach((job) => jobs.set(job.assetKey, job));
+  await writeRecords(JOBS_STORE, { put: newJobs });
+  await addCollectionManifestAssets(source, cachedAssets);
+  return { queued: newJobs.length, cached: cachedAssets.length };
+};
+
+const dropJobs = async (predicate) => {
+  const keys = Array.from(jobs.values())
+    .filter(predicate)
+    .map((job) => job.assetKey);
+  keys.forEach((key) => jobs.delete(key));
+  await writeRecords(JOBS_STORE, { remove: keys });
+};
+
+const finishJob = async (job) => {
+  jobs.delete(job.assetKey);
+  await writeRecords(JOBS_STORE, { remove: [job.assetKey] });
+};
+
+const runJob = async (job) => {
+  await whenIdle();
+  // Dropped (unpinned) while waiting for idle time
+  if (jobs.get(job.assetKey) !== job) return;
+
+  try {
+    const source = getSource(job.sourceId);
+    if (!source) {
+      await finishJob(job);
+      return;
+    }
+
+    if (!source.isConnected()) {
+      const result = await source.connect(false);
+      if (!result.success || result.offline) {
+        throw new Error(result.error || 'Collection is not reachable');
+      }
+    }
+
+    const asset = await findSourceAsset(source, job.assetKey);
+    if (!asset) {
+      // No longer part of the collection
+      await finishJob(job);
+      return;
+    }
+
+    if (!await hasCachedAsset(asset)) {
+      const file = await source.fetchAssetFile(asset);
+      const saved = await saveCachedAssetBlob(asset, file, { size: file.size, type: file.type, pinned: true });
+      if (!saved) {
+        throw new Error('Not enough storage space for the offline copy');
+      }
+    } else {
+      await setCachedAssetPinned(asset, true);
+    }
+
+    if (!isAssetPinned(asset)) {
+      // Unpinned while downloading: keep the copy, but let it be evicted
+      await setCachedAssetPinned(asset, false);
+    }
+
+    await saveFileSettings(job.assetKey, { isCached: true });
+    await addCollectionManifestAssets(source, [asset]);
+    await finishJob(job);
+  } catch (err) {
+    if (jobs.get(job.assetKey) !== job) return;
+    job.attempts += 1;
+    job.error = err?.message || 'Download failed';
+    if (job.attempts >= MAX_ATTEMPTS) {
+      job.state = 'failed';
+      console.warn(`[OfflineDownloads] Giving up on ${job.assetKey}: ${job.error}`);
+    } else {
+      job.nextAttemptAt = Date.now() + getRetryDelay(job.attempts);
+    }
+    await writeRecords(JOBS_STORE, { put: [job] });
+  }
+};
+
+const pump = () => {
+  pumpTimer = null;
+  if (!started || !isOnline()) return;
+
+  const now = Date.now();
+  const waiting = Array.from(jobs.values())
+    .filter((job) => job.state === 'queued' && !activeJobs.has(job.assetKey))
+    .sort((a, b) => a.queuedAt - b.queuedAt);
+
+  for (const job of waiting) {
+    if (activeJobs.size >= MAX_CONCURRENT_DOWNLOADS) break;
+    if (job.nextAttemptAt > now) continue;
+    activeJobs.add(job.assetKey);
+    notifyListeners(job.sourceId);
+    runJob(job)
+      .catch((err) => console.warn('[OfflineDownloads] Job failed:', err))
+      .finally(() => {
+        activeJobs.delete(job.assetKey);
+        notifyListeners(job.sourceId);
+        schedulePump();
+      });
+  }
+
+  const nextRetryAt = waiting
+    .filter((job) => !activeJobs.has(job.assetKey) && job.nextAttemptAt > now)
+    .reduce((min, job) => Math.min(min, job.nextAttemptAt), Infinity);
+  if (Number.isFinite(nextRetryAt)) {
+    schedulePump(nextRetryAt - now);
+  }
+};
+
+const schedulePump = (delay = 0) => {
+  if (!started) return;
+  if (pumpTimer) clearTimeout(pumpTimer);
+  pumpTimer = setTimeout(pump, Math.max(0, delay));
+};
+
+/**
+ * Load persisted pins and resume pending downloads. Call once after sources
+ * have been restored.
+ */
+export const startOfflineDownloads = async () => {
+  if (started) return;
+  try {
+    await ensureLoaded();
+  } catch (err) {
+    console.warn('[OfflineDownloads] Failed to load offline state', err);
+    return;
+  }
+  started = true;
+
+  if (typeof window !== 'undefined') {
+    window.addEventListener('online', () => schedulePump());
+  }
+
+  onSourceChange((event, sourceId) => {
+    if (event === 'removed' && sourceId) {
+      forgetCollection(sourceId).catch((err) => console.warn('[OfflineDownloads] Failed to drop removed collection', err));
+    } else if (event === 'added' || event === 'updated') {
+      schedulePump();
+    }
+  });
+
+  if (jobs.size > 0) {
+    console.log(`[OfflineDownloads] Resuming ${jobs.size} pending download(s)`);
+    notifyListeners();
+  }
+  schedulePump();
+};
+
+const forgetCollection = async (sourceId) => {
+  await ensureLoaded();
+  const assetKeys = Array.from(pinnedAssets.values())
+    .filter((record) => record.sourceId === sourceId)
+    .map((record) => record.assetKey);
+  assetKeys.forEach((key) => pinnedAssets.delete(key));
+  pinnedCollections.delete(sourceId);
+  await writeRecords(ASSETS_STORE, { remove: assetKeys });
+  await writeRecords(COLLECTIONS_STORE, { remove: [sourceId] });
+  await dropJobs((job) => job.sourceId === sourceId);
+  notifyListeners(sourceId);
+};
+
+const listVisibleAssets = async (source) => {
+  if (!source.isConnected()) {
+    const result = await source.connect({ refreshManifest: true });
+    if (!result.success) {
+      throw new Error(result.error || 'Collection is not reachable');
+    }
+  }
+  const assets = await source.listAssets();
+  const removedSet = new Set(await getRemovedAssetNames(source.id));
+  return removedSet.size ? assets.filter((asset) => !removedSet.has(asset?.name)) : assets;
+};
+
+/**
+ * Keep every asset of a collection available offline. Assets that are not
+ * cached yet are queued for background download.
+ * @param {import('./AssetSource.js').AssetSource} source
+ * @returns {Promise<{ queued: number, cached: number }>}
+ */
+export const pinCollection = async (source) => {
+  await ensureLoaded();
+  const record = { sourceId: source.id, pinnedAt: Date.now() };
+  pinnedCollections.set(source.id, record);
+  await writeRecords(COLLECTIONS_STORE, { put: [record] });
+  await requestPersistentStorage();
+
+  const result = await queueAssets(source, await listVisibleAssets(source));
+  notifyListeners(source.id);
+  schedulePump();
+  return result;
+};
+
+/**
+ * Stop keeping a collection offline. Cached copies stay but become evictable;
+ * individually pinned assets keep their pin.
+ * @param {string} sourceId
+ */
+export const unpinCollection = async (sourceId) => {
+  await ensureLoaded();
+  pinnedCollections.delete(sourceId);
+  await writeRecords(COLLECTIONS_STORE, { remove: [sourceId] });
+  await dropJobs((job) => job.sourceId === sourceId && !pinnedAssets.has(job.assetKey));
+
+  const keepPinned = new Set(
+    Array.from(pinnedAssets.values())
+      .filter((record) => record.sourceId === sourceId)
+      .map((record) => record.assetKey)
+  );
+  await setCollectionCachePinned(sourceId, false, { exceptAssetKeys: keepPinned });
+  notifyListeners(sourceId);
+};
+
+/**
+ * Queue assets that appeared in (or changed in) a pinned collection since it
+ * was pinned. No-op for collections that are not pinned.
+ * @param {import('./AssetSource.js').AssetSource} source
+ * @param {Object[]} assets - Current visible assets
+ */
+export const refreshPinnedCollection = async (source, assets) => {
+  await ensureLoaded();
+  if (!pinnedCollections.has(source.id)) return { queued: 0, cached: 0 };
+  const result = await queueAssets(source, assets);
+  if (result.queued > 0) {
+    notifyListeners(source.id);
+    schedulePump();
+  }
+  return result;
+};
+
+/**
+ * Keep one asset available offline.
+ * @param {Object} asset - Internal asset or RemoteAssetDescriptor of a source
+ */
+export const pinAsset = async (asset) => {
+  const source = asset?.sourceId ? getSource(asset.sourceId) : null;
+  const assetKey = getAssetKey(asset);
+  if (!source || !assetKey) return false;
+  await ensureLoaded();
+
+  const remoteAsset = asset._remoteAsset || asset;
+  const record = {
+    assetKey,
+    sourceId: source.id,
+    path: remoteAsset.path || asset.name,
+    name: asset.name,
+    pinnedAt: Date.now(),
+  };
+  pinnedAssets.set(assetKey, record);
+  await writeRecords(ASSETS_STORE, { put: [record] });
+  await requestPersistentStorage();
+
+  await queueAssets(source, [remoteAsset]);
+  notifyListeners(source.id);
+  schedulePump();
+  return true;
+};
+
+/**
+ * Drop an asset's own pin. It stays pinned while its collection is.
+ * @param {Object} asset
+ */
+export const unpinAsset = async (asset) => {
+  const assetKey = getAssetKey(asset);
+  if (!assetKey) return false;
+  await ensureLoaded();
+
+  pinnedAssets.delete(assetKey);
+  await writeRecords(ASSETS_STORE, { remove: [assetKey] });
+  if (!pinnedCollections.has(asset.sourceId)) {
+    await dropJobs((job) => job.assetKey === assetKey);
+    await setCachedAssetPinned(asset, false);
+  }
+  notifyListeners(asset.sourceId);
+  return true;
+};
+
+/**
+ * Move failed downloads back into the queue.
+ * @param {string} [sourceId] - Limit to one collection
+ */
+export const retryFailedDownloads = async (sourceId) => {
+  await ensureLoaded();
+  const retried = Array.from(jobs.values())
+    .filter((job) => job.state === 'failed' && (!sourceId || job.sourceId === sourceId));
+  retried.forEach((job) => {
+    job.state = 'queued';
+    job.attempts = 0;
+    job.nextAttemptAt = 0;
+    job.error = null;
+  });
+  await writeRecords(JOBS_STORE, { put: retried });
+  notifyListeners(sourceId || null);
+  schedulePump();
+  return retried.length;
+};
+
+export const isCollectionPinned = (sourceId) => pinnedCollections.has(sourceId);
+
+export const isAssetPinned = (asset) => {
+  const assetKey = getAssetKey(asset);
+  return !!assetKey && (pinnedAssets.has(assetKey) || pinnedCollections.has(asset?.sourceId));
+};
+
+/**
+ * Offline state of one asset, for badges.
+ * @param {Object} asset
+ * @returns {'downloading' | 'queued' | 'failed' | 'pinned' | null}
+ */
+export const getAssetOfflineState = (asset) => {
+  const assetKey = getAssetKey(asset);
+  if (!assetKey) return null;
+  if (activeJobs.has(assetKey)) return 'downloading';
+  const job = jobs.get(assetKey);
+  if (job) return job.state === 'failed' ? 'failed' : 'queued';
+  return isAssetPinned(asset) ? 'pinned' : null;
+};
+
+/**
+ * Offline state of a collection, for badges.
+ * @param {string} sourceId
+ * @returns {{ pinned: boolean, pending: number, downloading: number, failed: number, lastError: string | null }}
+ */
+export const getCollectionOfflineStatus = (sourceId) => {
+  let pending = 0;
+  let downloading = 0;
+  let failed = 0;
+  let lastError = null;
+  jobs.forEach((job) => {
+    if (job.sourceId !== sourceId) return;
+    if (job.state === 'failed') {
+      failed += 1;
+      lastError = job.error || lastError;
+    } else {
+      pending += 1;
+      if (activeJobs.has(job.assetKey)) downloading += 1;
+    }
+  });
+  return {
+    pinned: pinnedCollections.has(sourceId),
+    pending,
+    downloading,
+    failed,
+    lastError,
+  };
+};
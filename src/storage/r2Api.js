@@ -36,6 +36,73 @@ const listAllObjects = async (client, bucket, options = {}) => {
   return results;
 };
 
+/**
+ * List the collection folders under `collections/` with any S3-compatible client.
+ * Returns array of { id, name, assetCount, hasManifest }
+ * @param {import('@aws-sdk/client-s3').S3Client} client
+ * @param {string} bucket
+ * @param {(collectionId: string) => Object | null} [loadManifestCache]
+ */
+export const listCollectionsInBucket = async (client, bucket, loadManifestCache = () => null) => {
+  const listResponse = await client.send(new ListObjectsV2Command({
+    Bucket: bucket,
+    Prefix: 'collections/',
+    Delimiter: '/',
+    MaxKeys: 1000,
+  }));
+
+  const prefixes = listResponse?.CommonPrefixes || [];
+  if (!prefixes.length) {
+    return [];
+  }
+
+  const supportedExtensions = getSupportedExtensions();
+  const collections = [];
+
+  for (const prefixEntry of prefixes) {
+    const collectionId = normalizePrefixId(prefixEntry?.Prefix);
+    if (!collectionId) continue;
+
+    const basePath = `collections/${collectionId}`;
+    let assetCount = 0;
+    let collectionName = collectionId;
+
+    const cachedManifest = loadManifestCache(collectionId);
+    let hasManifest = Boolean(cachedManifest);
+
+    if (cachedManifest) {
+      assetCount = cachedManifest.assets?.length || 0;
+      if (cachedManifest.name) collectionName = cachedManifest.name;
+    } else {
+      const manifestProbe = await client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: `${basePath}/manifest.json`,
+        MaxKeys: 1,
+      }));
+      hasManifest = Boolean(manifestProbe?.Contents?.length);
+
+      const assetFiles = await listAllObjects(client, bucket, {
+        Prefix: `${basePath}/assets/`,
+        MaxKeys: 1000,
+      });
+      assetCount = assetFiles.filter((entry) => {
+        const key = entry?.Key || '';
+        const ext = key.toLowerCase().match(/\.[^.]+$/)?.[0] || '';
+        return supportedExtensions.includes(ext);
+      }).length;
+    }
+
+    collections.push({
+      id: collectionId,
+      name: collectionName,
+      assetCount,
+      hasManifest,
+    });
+  }
+
+  return collections;
+};
+
 /**
  * List all collection folders in the bucket under `collections/`
  * Returns array of { id, name, assetCount, hasManifest }
@@ -47,68 +114,99 @@ export async function listExistingCollections({ accountId, accessKeyId, secretAc
 
   try {
     const client = getR2Client({ accountId, accessKeyId, secretAccessKey });
+    const collections = await listCollectionsInBucket(
+      client,
+      bucket,
+      (collectionId) => loadR2ManifestCache({ accountId, bucket, collectionId }),
+    );
+    return { success: true, collections };
+  } catch (err) {
+    return { success: false, error: err.message, collections: [] };
+  }
+}
 
-    const listResponse = await client.send(new ListObjectsV2Command({
-      Bucket: bucket,
-      Prefix: 'collections/',
-      Delimiter: '/',
-      MaxKeys: 1000,
-    }));
-
-    const prefixes = listResponse?.CommonPrefixes || [];
-    if (!prefixes.length) {
-      return { success: true, collections: [] };
-    }
+const formatProbeError = (operation, err) => {
+  const status = err?.$metadata?.httpStatusCode;
+  const message = err?.message || err?.name || 'Unknown error';
+  return status ? `${operation} (${status}): ${message}` : `${operation}: ${message}`;
+};
 
-    const supportedExtensions = getSupportedExtensions();
-    const collections = [];
+const isNetworkError = (err) => {
+  const msg = (err?.message || err?.name || '').toLowerCase();
+  return (
+    msg.includes('failed to fetch') ||
+    msg.includes('networkerror') ||
+    msg.includes('network error') ||
+    msg.includes('err_ssl') ||
+    msg.includes('err_connection') ||
+    msg.includes('err_name_not_resolved') ||
+    msg.includes('load failed') ||
+    err?.name === 'TypeError' && msg.includes('fetch')
+  );
+};
 
-    for (const prefixEntry of prefixes) {
-      const collectionId = normalizePrefixId(prefixEntry?.Prefix);
-      if (!collectionId) continue;
+/**
+ * Probe read/write/delete access on a bucket with any S3-compatible client.
+ * Write and delete probes use a throwaway object at the bucket root.
+ * @returns {Promise<{ permissions: { canRead: boolean, canWrite: boolean, canDelete: boolean }, probeErrors: string[], networkFailure: boolean }>}
+ */
+export const probeBucketPermissions = async (client, bucket) => {
+  const permissions = {
+    canRead: false,
+    canWrite: false,
+    canDelete: false,
+  };
+  const probeErrors = [];
+  let networkFailure = false;
 
-      const basePath = `collections/${collectionId}`;
-      let assetCount = 0;
-      let collectionName = collectionId;
+  try {
+    await client.send(new ListObjectsV2Command({ Bucket: bucket, MaxKeys: 1 }));
+    permissions.canRead = true;
+  } catch (err) {
+    if (isNetworkError(err)) networkFailure = true;
+    probeErrors.push(formatProbeError('Read probe failed', err));
+    // Read is required to use this source; keep false and return below.
+  }
 
-      const cachedManifest = loadR2ManifestCache({ accountId, bucket, collectionId });
-      let hasManifest = Boolean(cachedManifest);
+  // Skip further probes if the endpoint is unreachable
+  let probeKey = null;
+  if (!networkFailure) {
+    try {
+      probeKey = `__cap_probe_${Date.now()}.txt`;
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: probeKey,
+        Body: 'ok',
+        ContentType: 'text/plain',
+      }));
+      permissions.canWrite = true;
+    } catch (err) {
+      probeErrors.push(formatProbeError('Write probe failed', err));
+      probeKey = null;
+    }
 
-      if (cachedManifest) {
-        assetCount = cachedManifest.assets?.length || 0;
-        if (cachedManifest.name) collectionName = cachedManifest.name;
-      } else {
-        const manifestProbe = await client.send(new ListObjectsV2Command({
+    if (probeKey) {
+      try {
+        const deleteResult = await client.send(new DeleteObjectsCommand({
           Bucket: bucket,
-          Prefix: `${basePath}/manifest.json`,
-          MaxKeys: 1,
+          Delete: { Objects: [{ Key: probeKey }], Quiet: true },
         }));
-        hasManifest = Boolean(manifestProbe?.Contents?.length);
-
-        const assetFiles = await listAllObjects(client, bucket, {
-          Prefix: `${basePath}/assets/`,
-          MaxKeys: 1000,
-        });
-        assetCount = assetFiles.filter((entry) => {
-          const key = entry?.Key || '';
-          const ext = key.toLowerCase().match(/\.[^.]+$/)?.[0] || '';
-          return supportedExtensions.includes(ext);
-        }).length;
+        permissions.canDelete = !(deleteResult?.Errors?.length);
+        if (deleteResult?.Errors?.length) {
+          const firstDeleteError = deleteResult.Errors[0];
+          const code = firstDeleteError?.Code ? ` (${firstDeleteError.Code})` : '';
+          const msg = firstDeleteError?.Message ? `: ${firstDeleteError.Message}` : '';
+          probeErrors.push(`Delete probe failed${code}${msg}`);
+        }
+      } catch (err) {
+        permissions.canDelete = false;
+        probeErrors.push(formatProbeError('Delete probe failed', err));
       }
-
-      collections.push({
-        id: collectionId,
-        name: collectionName,
-        assetCount,
-        hasManifest,
-      });
     }
-
-    return { success: true, collections };
-  } catch (err) {
-    return { success: false, error: err.message, collections: [] };
   }
-}
+
+  return { permissions, probeErrors, networkFailure };
+};
 
 /**
  * Test bucket connection with current settings
@@ -120,80 +218,7 @@ export async function testR2Connection({ accountId, accessKeyId, secretAccessKey
 
   try {
     const client = getR2Client({ accountId, accessKeyId, secretAccessKey });
-    const permissions = {
-      canRead: false,
-      canWrite: false,
-      canDelete: false,
-    };
-    const probeErrors = [];
-
-    const formatProbeError = (operation, err) => {
-      const status = err?.$metadata?.httpStatusCode;
-      const message = err?.message || err?.name || 'Unknown error';
-      return status ? `${operation} (${status}): ${message}` : `${operation}: ${message}`;
-    };
-
-    const isNetworkError = (err) => {
-      const msg = (err?.message || err?.name || '').toLowerCase();
-      return (
-        msg.includes('failed to fetch') ||
-        msg.includes('networkerror') ||
-        msg.includes('network error') ||
-        msg.includes('err_ssl') ||
-        msg.includes('err_connection') ||
-        msg.includes('err_name_not_resolved') ||
-        msg.includes('load failed') ||
-        err?.name === 'TypeError' && msg.includes('fetch')
-      );
-    };
-
-    let networkFailure = false;
-
-    try {
-      await client.send(new ListObjectsV2Command({ Bucket: bucket, MaxKeys: 1 }));
-      permissions.canRead = true;
-    } catch (err) {
-      if (isNetworkError(err)) networkFailure = true;
-      probeErrors.push(formatProbeError('Read probe failed', err));
-      // Read is required to use this source; keep false and return below.
-    }
-
-    // Skip further probes if the endpoint is unreachable
-    let probeKey = null;
-    if (!networkFailure) {
-      try {
-        probeKey = `__cap_probe_${Date.now()}.txt`;
-        await client.send(new PutObjectCommand({
-          Bucket: bucket,
-          Key: probeKey,
-          Body: 'ok',
-          ContentType: 'text/plain',
-        }));
-        permissions.canWrite = true;
-      } catch (err) {
-        probeErrors.push(formatProbeError('Write probe failed', err));
-        probeKey = null;
-      }
-
-      if (probeKey) {
-        try {
-          const deleteResult = await client.send(new DeleteObjectsCommand({
-            Bucket: bucket,
-            Delete: { Objects: [{ Key: probeKey }], Quiet: true },
-          }));
-          permissions.canDelete = !(deleteResult?.Errors?.length);
-          if (deleteResult?.Errors?.length) {
-            const firstDeleteError = deleteResult.Errors[0];
-            const code = firstDeleteError?.Code ? ` (${firstDeleteError.Code})` : '';
-            const msg = firstDeleteError?.Message ? `: ${firstDeleteError.Message}` : '';
-            probeErrors.push(`Delete probe failed${code}${msg}`);
-          }
-        } catch (err) {
-          permissions.canDelete = false;
-          probeErrors.push(formatProbeError('Delete probe failed', err));
-        }
-      }
-    }
+    const { permissions, probeErrors, networkFailure } = await probeBucketPermissions(client, bucket);
 
     if (!permissions.canRead) {
       const error = networkFailure
@@ -0,0 +1,69 @@
+/**
+ * S3-compatible API helpers for bucket exploration
+ * Same collection layout and permission probes as R2, against a
+ * configurable endpoint (AWS S3, MinIO, Backblaze B2, Wasabi).
+ */
+
+import { listCollectionsInBucket, probeBucketPermissions } from './r2Api.js';
+import { loadS3ManifestCache } from './s3Settings.js';
+import { getS3Client, normalizeS3Endpoint } from './s3Client.js';
+
+const hasRequiredSettings = ({ accessKeyId, secretAccessKey, bucket }) => Boolean(accessKeyId && secretAccessKey && bucket);
+
+/**
+ * List all collection folders in the bucket under `collections/`
+ * Returns array of { id, name, assetCount, hasManifest }
+ */
+export async function listExistingS3Collections(settings) {
+  if (!hasRequiredSettings(settings)) {
+    return { success: false, error: 'Missing S3 configuration', collections: [] };
+  }
+
+  try {
+    const client = getS3Client(settings);
+    const { endpoint, region, bucket } = settings;
+    const collections = await listCollectionsInBucket(
+      client,
+      bucket,
+      (collectionId) => loadS3ManifestCache({ endpoint, region, bucket, collectionId }),
+    );
+    return { success: true, collections };
+  } catch (err) {
+    return { success: false, error: err.message, collections: [] };
+  }
+}
+
+/**
+ * Test bucket connection with current settings
+ */
+export async function testS3Connection(settings) {
+  if (!hasRequiredSettings(settings)) {
+    return { success: false, error: 'Missing configuration' };
+  }
+
+  try {
+    const client = getS3Client(settings);
+    const { permissions, probeErrors, networkFailure } = await probeBucketPermissions(client, settings.bucket);
+
+    if (!permissions.canRead) {
+      const error = networkFailure
+        ? 'Could not reach the S3 endpoint. Check the endpoint URL, its CORS settings and your credentials.'
+        : 'Connected, but missing read/list permission for this bucket.';
+      return {
+        success: false,
+        error,
+        permissions,
+        probeErrors,
+      };
+    }
+
+    return {
+      success: true,
+      endpoint: normalizeS3Endpoint(settings.endpoint),
+      permissions,
+      probeErrors,
+    };
+  } catch (err) {
+    return { success: false, error: err.message, permissions: { canRead: false, canWrite: false, canDelete: false }, probeErrors: [err.message] };
+  }
+}
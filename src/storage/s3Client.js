@@ -0,0 +1,43 @@
+/**
+ * Shared S3-compatible client factory (AWS S3, MinIO, Backblaze B2, Wasabi).
+ * Ensures one S3Client per endpoint/credential set.
+ */
+import { S3Client } from '@aws-sdk/client-s3';
+
+const clientCache = new Map();
+
+export const DEFAULT_S3_REGION = 'us-east-1';
+
+/**
+ * Normalize a user-entered endpoint: adds https:// when no scheme is given
+ * and drops trailing slashes. Empty means the AWS default for the region.
+ */
+export const normalizeS3Endpoint = (endpoint) => {
+  const trimmed = String(endpoint || '').trim().replace(/\/+$/, '');
+  if (!trimmed) return '';
+  return /^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+};
+
+export const getS3Client = ({ endpoint, region, forcePathStyle = true, accessKeyId, secretAccessKey }) => {
+  const normalizedEndpoint = normalizeS3Endpoint(endpoint);
+  const normalizedRegion = String(region || '').trim() || DEFAULT_S3_REGION;
+  const normalizedAccessKey = String(accessKeyId || '').trim();
+  const normalizedSecretKey = String(secretAccessKey || '').trim();
+  const pathStyle = forcePathStyle !== false;
+  const cacheKey = `${normalizedEndpoint}::${normalizedRegion}::${pathStyle}::${normalizedAccessKey}::${normalizedSecretKey}`;
+
+  if (!clientCache.has(cacheKey)) {
+    const client = new S3Client({
+      region: normalizedRegion,
+      ...(normalizedEndpoint ? { endpoint: normalizedEndpoint } : {}),
+      forcePathStyle: pathStyle,
+      credentials: {
+        accessKeyId: normalizedAccessKey,
+        secretAccessKey: normalizedSecretKey,
+      },
+    });
+    clientCache.set(cacheKey, client);
+  }
+
+  return clientCache.get(cacheKey);
+};
@@ -0,0 +1,139 @@
+import { getUnlockedSecret, getVaultSecretIds, isEncryptedCredentialPayload } from './credentialVault.js';
+import { normalizeS3Endpoint, DEFAULT_S3_REGION } from './s3Client.js';
+
+const STORAGE_KEY = 's3-settings';
+const MANIFEST_CACHE_PREFIX = 's3-manifest-cache:';
+const MANIFEST_CACHE_TTL_MS = 5 * 60 * 1000;
+
+const DEFAULT_PERMISSIONS = {
+  canRead: true,
+  canWrite: true,
+  canDelete: true,
+};
+
+const normalizePermissions = (value) => {
+  const next = {
+    ...DEFAULT_PERMISSIONS,
+    ...(value || {}),
+  };
+
+  next.canWrite = !!next.canWrite;
+  next.canDelete = !!next.canDelete;
+  next.canRead = true;
+  return next;
+};
+
+// Without a custom endpoint the bucket lives on AWS in the given region
+const endpointKey = ({ endpoint, region }) => normalizeS3Endpoint(endpoint) || `aws:${region || DEFAULT_S3_REGION}`;
+
+const buildManifestCacheKey = ({ endpoint, region, bucket, collectionId }) =>
+  `${MANIFEST_CACHE_PREFIX}${endpointKey({ endpoint, region })}::${bucket}::${collectionId}`;
+
+/**
+ * Whether saved settings and a source config point at the same bucket.
+ */
+export const isSameS3Bucket = (settings, config) => Boolean(
+  settings && config &&
+  endpointKey(settings) === endpointKey(config) &&
+  settings.bucket === config.bucket
+);
+
+export const loadS3Settings = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return null;
+    const parsed = JSON.parse(raw);
+    const permissions = normalizePermissions(parsed.permissions);
+
+    const hasEncryptedSecret = isEncryptedCredentialPayload(parsed.secretAccessKeyEncrypted);
+    const resolvedSecret = hasEncryptedSecret
+      ? (getUnlockedSecret(getVaultSecretIds().s3) || '')
+      : String(parsed.secretAccessKey || '').trim();
+
+    if (!parsed.accessKeyId || (!resolvedSecret && !hasEncryptedSecret) || !parsed.bucket) {
+      return null;
+    }
+
+    return {
+      ...parsed,
+      endpoint: parsed.endpoint || '',
+      region: parsed.region || '',
+      forcePathStyle: parsed.forcePathStyle !== false,
+      secretAccessKey: resolvedSecret,
+      requiresPassword: Boolean(hasEncryptedSecret && !resolvedSecret),
+      isEncrypted: hasEncryptedSecret,
+      permissions,
+    };
+  } catch {
+    return null;
+  }
+};
+
+export const saveS3Settings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const clearS3Settings = () => {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // ignore
+  }
+};
+
+export const loadS3ManifestCache = (params, { maxAgeMs = MANIFEST_CACHE_TTL_MS } = {}) => {
+  try {
+    if (!params?.bucket || !params?.collectionId) return null;
+    const raw = localStorage.getItem(buildManifestCacheKey(params));
+    if (!raw) return null;
+    const parsed = JSON.parse(raw);
+    if (!parsed?.manifest || !parsed?.updatedAt) return null;
+    if (typeof maxAgeMs === 'number' && maxAgeMs >= 0) {
+      if (Date.now() - parsed.updatedAt > maxAgeMs) return null;
+    }
+    return parsed.manifest;
+  } catch {
+    return null;
+  }
+};
+
+export const saveS3ManifestCache = (params, manifest) => {
+  try {
+    if (!params?.bucket || !params?.collectionId) return false;
+    if (!manifest) return false;
+    const payload = JSON.stringify({
+      updatedAt: Date.now(),
+      manifest,
+    });
+    localStorage.setItem(buildManifestCacheKey(params), payload);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const clearS3ManifestCache = (params) => {
+  try {
+    if (params?.bucket && params?.collectionId) {
+      localStorage.removeItem(buildManifestCacheKey(params));
+      return;
+    }
+
+    const keysToRemove = [];
+    for (let i = 0; i < localStorage.length; i += 1) {
+      const key = localStorage.key(i);
+      if (key && key.startsWith(MANIFEST_CACHE_PREFIX)) {
+        keysToRemove.push(key);
+      }
+    }
+
+    keysToRemove.forEach((key) => localStorage.removeItem(key));
+  } catch {
+    // ignore
+  }
+};
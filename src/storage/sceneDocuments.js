@@ -0,0 +1,154 @@
+/**
+ * Scene documents stored in collection manifests.
+ *
+ * A scene composes several assets of the same collection into one view.
+ * Items reference assets by their manifest path so a scene reopens the
+ * same way from any client connected to the collection.
+ *
+ * manifest.json:
+ * {
+ *   ...
+ *   "scenes": [
+ *     {
+ *       "id": "scene-1700000000000-ab12cd",
+ *       "name": "Courtyard",
+ *       "createdAt": 1700000000000,
+ *       "updatedAt": 1700000000000,
+ *       "items": [
+ *         {
+ *           "path": "assets/fountain.ply",
+ *           "name": "fountain.ply",
+ *           "position": [0, 0, 0],
+ *           "rotation": [0, 90, 0],   // XYZ Euler, degrees
+ *           "scale": 1,
+ *           "visible": true,
+ *           "opacity": 1
+ *         }
+ *       ]
+ *     }
+ *   ]
+ * }
+ */
+
+/**
+ * @typedef {Object} SceneItem
+ * @property {string} path - Asset path as listed in the manifest
+ * @property {string} [name] - Asset file name (fallback lookup)
+ * @property {number[]} position - [x, y, z]
+ * @property {number[]} rotation - [x, y, z] Euler angles in degrees
+ * @property {number} scale - Uniform scale
+ * @property {boolean} visible
+ * @property {number} opacity - 0..1
+ */
+
+/**
+ * @typedef {Object} SceneDocument
+ * @property {string} id
+ * @property {string} name
+ * @property {number} createdAt
+ * @property {number} updatedAt
+ * @property {SceneItem[]} items
+ */
+
+const toVector = (value, fallback) => (
+  Array.isArray(value) && value.length === 3 && value.every(Number.isFinite)
+    ? value.map(Number)
+    : [...fallback]
+);
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+export const createSceneId = () => `scene-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * @param {Object} item
+ * @returns {SceneItem | null}
+ */
+export const normalizeSceneItem = (item) => {
+  if (!item?.path && !item?.name) return null;
+  const scale = Number(item.scale);
+  const opacity = Number(item.opacity);
+  return {
+    path: item.path || item.name,
+    name: item.name || item.path.split('/').pop(),
+    position: toVector(item.position, [0, 0, 0]),
+    rotation: toVector(item.rotation, [0, 0, 0]),
+    scale: Number.isFinite(scale) && scale > 0 ? scale : 1,
+    visible: item.visible !== false,
+    opacity: Number.isFinite(opacity) ? clamp01(opacity) : 1,
+  };
+};
+
+/**
+ * @param {Object} scene
+ * @returns {SceneDocument | null}
+ */
+export const normalizeSceneDocument = (scene) => {
+  if (!scene || typeof scene !== 'object') return null;
+  const now = Date.now();
+  return {
+    id: scene.id || createSceneId(),
+    name: (scene.name || '').trim() || 'Untitled scene',
+    createdAt: scene.createdAt ?? now,
+    updatedAt: scene.updatedAt ?? now,
+    items: (Array.isArray(scene.items) ? scene.items : [])
+      .map(normalizeSceneItem)
+      .filter(Boolean),
+  };
+};
+
+/**
+ * @param {Object | null} manifest
+ * @returns {SceneDocument[]}
+ */
+export const getManifestScenes = (manifest) => (
+  (Array.isArray(manifest?.scenes) ? manifest.scenes : [])
+    .map(normalizeSceneDocument)
+    .filter(Boolean)
+);
+
+/**
+ * Insert or replace a scene (matched by id) in the manifest, in place.
+ * @param {Object} manifest
+ * @param {Object} scene
+ * @returns {SceneDocument} The stored scene
+ */
+export const upsertManifestScene = (manifest, scene) => {
+  const normalized = normalizeSceneDocument(scene);
+  if (!normalized) throw new Error('Invalid scene document');
+  normalized.updatedAt = Date.now();
+
+  const scenes = Array.isArray(manifest.scenes) ? manifest.scenes : [];
+  const index = scenes.findIndex((item) => item?.id === normalized.id);
+  if (index >= 0) {
+    normalized.createdAt = scenes[index].createdAt ?? normalized.createdAt;
+    scenes[index] = normalized;
+  } else {
+    scenes.push(normalized);
+  }
+  manifest.scenes = scenes;
+  return normalized;
+};
+
+/**
+ * Remove a scene from the manifest, in place.
+ * @param {Object} manifest
+ * @param {string} sceneId
+ * @returns {boolean} Whether a scene was removed
+ */
+export const removeManifestScene = (manifest, sceneId) => {
+  const scenes = Array.isArray(manifest?.scenes) ? manifest.scenes : [];
+  const next = scenes.filter((item) => item?.id !== sceneId);
+  if (next.length === scenes.length) return false;
+  manifest.scenes = next;
+  return true;
+};
+
+/**
+ * Whether a source can store scene documents.
+ * @param {Object | null} source
+ * @returns {boolean}
+ */
+export const supportsScenes = (source) => (
+  typeof source?.listScenes === 'function' && typeof source?.saveScene === 'function'
+);
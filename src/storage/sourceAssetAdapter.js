@@ -6,8 +6,75 @@
  */
 
 import { getSource, touchSource } from './sourceManager.js';
-import { loadFileSettings, saveCachedStatus } from '../fileStorage.js';
-import { loadCachedAssetFile, loadCollectionManifest, getRemovedAssetNames } from './assetCache.js';
+import {
+  loadFileSettings,
+  saveCachedStatus,
+  copyFileRecords,
+  loadCustomMetadata,
+  saveCustomMetadata,
+} from '../fileStorage.js';
+import { loadCachedAssetFile, hasCachedAsset, loadCollectionManifest, getRemovedAssetNames } from './assetCache.js';
+import { getAssetKey } from './assetKeys.js';
+
+const LEGACY_KEY_MIGRATION_PREFIX = 'asset-key-migration:';
+
+/**
+ * One-time copy of a source's name-keyed settings and previews to its
+ * source-scoped asset keys. Whether an asset still needs its legacy records
+ * is read from the records themselves: only keys with no versioned record
+ * under `{sourceId}/{path}` are filled in, so settings saved since are kept.
+ * The per-source marker only keeps records the user later deletes from
+ * being copied back.
+ * @param {import('./AssetSource.js').AssetSource} source
+ * @param {import('./types.js').RemoteAssetDescriptor[]} remoteAssets
+ */
+const migrateLegacyAssetRecords = async (source, remoteAssets) => {
+  const marker = `${LEGACY_KEY_MIGRATION_PREFIX}${source.id}`;
+  try {
+    if (localStorage.getItem(marker)) return;
+  } catch {
+    return;
+  }
+
+  let copied = 0;
+  for (const asset of remoteAssets) {
+    if (!asset?.name) continue;
+    copied += await copyFileRecords(asset.name, getAssetKey(asset));
+  }
+  if (copied > 0) {
+    console.log(`[SourceAdapter] Migrated ${copied} name-keyed records for ${source.id}`);
+  }
+
+  try {
+    localStorage.setItem(marker, String(Date.now()));
+  } catch {
+    // Retried on next load
+  }
+};
+
+/**
+ * Copy custom views shipped in the manifest (v2) into local settings for
+ * assets that have none yet, so they show up like views saved here.
+ * Local views always win; customMetadata.js normalizes the records on read.
+ * @param {import('./types.js').RemoteAssetDescriptor[]} remoteAssets
+ */
+const seedManifestViews = async (remoteAssets) => {
+  for (const asset of remoteAssets) {
+    if (!asset?.views?.length) continue;
+    const assetKey = getAssetKey(asset);
+    try {
+      const existing = await loadCustomMetadata(assetKey);
+      if (existing) continue;
+      await saveCustomMetadata(assetKey, {
+        activeViewId: asset.activeViewId || asset.views[0].id,
+        views: asset.views,
+        savedAt: Date.now(),
+      });
+    } catch (err) {
+      console.warn(`[SourceAdapter] Failed to seed manifest views for ${assetKey}`, err);
+    }
+  }
+};
 
 /**
  * Adapts a RemoteAssetDescriptor to the internal asset format.
@@ -32,6 +99,12 @@ export const adaptRemoteAsset = (remoteAsset) => {
     isCached: false,
     // Size from remote if known
     size: remoteAsset.size || null,
+    // Content version (SHA-256/ETag) if the source advertises one
+    version: remoteAsset.version || null,
+    // Presentation fields from manifest v2
+    tags: remoteAsset.tags || [],
+    caption: remoteAsset.caption || null,
+    capturedAt: remoteAsset.capturedAt || null,
   };
 };
 
@@ -48,14 +121,14 @@ export const loadAssetFile = async (asset) => {
     return asset.file;
   }
 
-  // Cache-first by file name
+  // Cache-first by asset key and content version
   if (asset?.name) {
     try {
-      const cachedFile = await loadCachedAssetFile(asset.name);
+      const cachedFile = await loadCachedAssetFile(asset);
       if (cachedFile) {
         asset.file = cachedFile;
         asset.isCached = true;
-        await saveCachedStatus(asset.name, true);
+        await saveCachedStatus(getAssetKey(asset), true);
         return cachedFile;
       }
     } catch (err) {
@@ -90,6 +163,42 @@ export const loadAssetFile = async (asset) => {
   return file;
 };
 
+/**
+ * Resolve the connected source for an asset that can be streamed with Range
+ * requests instead of downloaded whole. Returns null for assets that already
+ * have a file, are in the local cache, or whose source can't stream.
+ *
+ * @param {Object} asset - Internal asset descriptor
+ * @returns {Promise<import('./AssetSource.js').AssetSource | null>}
+ */
+export const getStreamableAssetSource = async (asset) => {
+  if (asset.file || !asset._remoteAsset || !asset.sourceId) {
+    return null;
+  }
+
+  try {
+    if (asset.name && await hasCachedAsset(asset)) {
+      return null;
+    }
+  } catch (err) {
+    console.warn('[AssetCache] Failed to check cached file before streaming', err);
+  }
+
+  const source = getSource(asset.sourceId);
+  if (!source?.getCapabilities().canStream) {
+    return null;
+  }
+
+  if (!source.isConnected()) {
+    const result = await source.connect(false);
+    if (!result.success) {
+      return null;
+    }
+  }
+
+  return source;
+};
+
 /**
  * Load preview image for an asset.
  * Tries source preview first, falls back to IndexedDB.
@@ -121,7 +230,7 @@ export const loadAssetPreview = async (asset) => {
 
   // Fall back to IndexedDB
   try {
-    const stored = await loadFileSettings(asset.name);
+    const stored = await loadFileSettings(getAssetKey(asset));
     if (stored?.preview) {
       asset.preview = stored.preview;
       asset.previewSource = 'indexeddb';
@@ -158,7 +267,7 @@ export const loadAssetMetadata = async (asset) => {
 
   // Fall back to IndexedDB
   try {
-    const stored = await loadFileSettings(asset.name);
+    const stored = await loadFileSettings(getAssetKey(asset));
     if (stored) {
       return {
         animation: stored.animation,
@@ -196,18 +305,25 @@ export const loadSourceAssets = async (source) => {
     if (cachedManifest?.assets?.length) {
       const removedSet = new Set(cachedManifest?.removed || []);
       const visibleAssets = cachedManifest.assets.filter((asset) => !removedSet.has(asset?.name));
-      console.log(`[SourceAdapter] Using ${cachedManifest.assets.length} cached assets for ${source.id}`);
-      return visibleAssets.map((asset) => adaptRemoteAsset({
+      const cachedAssets = visibleAssets.map((asset) => ({
         id: `${source.id}/${asset.path || asset.name}`,
         name: asset.name,
         path: asset.path || asset.name,
         sourceId: source.id,
         sourceType: source.type,
         size: asset.size,
+        version: asset.version ?? null,
         preview: null,
         previewSource: null,
         loaded: false,
       }));
+      // Skip entries whose bytes were evicted; they could not be opened
+      const cachedFlags = await Promise.all(cachedAssets.map(hasCachedAsset));
+      const openableAssets = cachedAssets.filter((_, idx) => cachedFlags[idx]);
+      console.log(`[SourceAdapter] Using ${openableAssets.length} cached assets for ${source.id}`);
+      // Offline loads must find settings under the same keys as online ones
+      await migrateLegacyAssetRecords(source, cachedAssets);
+      return openableAssets.map(adaptRemoteAsset);
     }
     return null;
   };
@@ -228,6 +344,8 @@ export const loadSourceAssets = async (source) => {
 
     // Source is connected, try to list assets
     const remoteAssets = await source.listAssets();
+    await migrateLegacyAssetRecords(source, remoteAssets);
+    await seedManifestViews(remoteAssets);
     const removedNames = await getRemovedAssetNames(source.id);
     const removedSet = new Set(removedNames);
     const visibleAssets = removedSet.size
@@ -0,0 +1,32 @@
+/**
+ * Vault lock checks for remote sources whose secret is stored encrypted.
+ * A locked source stays registered but cannot connect until the vault
+ * password is entered for this browser session.
+ */
+
+import { loadR2Settings } from './r2Settings.js';
+import { loadS3Settings, isSameS3Bucket } from './s3Settings.js';
+import { loadWebDavSettings, isSameWebDavServer } from './webdavSettings.js';
+
+/**
+ * @param {Object} [source] - Storage source instance
+ * @returns {boolean}
+ */
+export const isVaultLockedSource = (source) => {
+  const config = source?.config?.config;
+  if (source?.type === 'r2-bucket') {
+    const settings = loadR2Settings();
+    return Boolean(settings?.requiresPassword)
+      && settings?.accountId === config?.accountId
+      && settings?.bucket === config?.bucket;
+  }
+  if (source?.type === 's3-bucket') {
+    const settings = loadS3Settings();
+    return Boolean(settings?.requiresPassword) && isSameS3Bucket(settings, config);
+  }
+  if (source?.type === 'webdav') {
+    const settings = loadWebDavSettings();
+    return Boolean(settings?.requiresPassword) && !config?.secret && isSameWebDavServer(settings, config);
+  }
+  return false;
+};
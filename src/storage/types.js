@@ -6,7 +6,7 @@
  */
 
 /**
- * @typedef {'local-folder' | 'public-url' | 'supabase-storage' | 'app-storage' | 'r2-bucket'} SourceType
+ * @typedef {'local-folder' | 'public-url' | 'supabase-storage' | 'app-storage' | 'r2-bucket' | 's3-bucket' | 'webdav'} SourceType
  */
 
 /**
@@ -66,6 +66,31 @@
  * @property {{ canRead: boolean, canWrite: boolean, canDelete: boolean }} [permissions] - Capability flags detected from bucket policy/CORS
  */
 
+/**
+ * @typedef {Object} S3StorageConfig
+ * @property {string} endpoint - S3 API endpoint; empty for AWS S3
+ * @property {string} region - Signing region (e.g. us-east-1)
+ * @property {boolean} forcePathStyle - Address buckets as {endpoint}/{bucket} instead of subdomains
+ * @property {string} accessKeyId - Access key ID
+ * @property {string} secretAccessKey - Secret access key
+ * @property {string} bucket - Bucket name
+ * @property {string} collectionId - Collection identifier under collections/{collectionId}
+ * @property {string} [collectionName] - Display name for the collection
+ * @property {boolean} hasManifest - Whether manifest.json exists
+ * @property {{ canRead: boolean, canWrite: boolean, canDelete: boolean }} [permissions] - Capability flags detected from bucket policy/CORS
+ */
+
+/**
+ * @typedef {Object} WebDavStorageConfig
+ * @property {string} url - WebDAV folder URL that holds collections/
+ * @property {'basic' | 'bearer' | 'none'} authType - Authorization scheme
+ * @property {string} [username] - Basic auth user name
+ * @property {string} [secret] - Password or bearer token; empty when stored encrypted in the vault
+ * @property {string} collectionId - Collection identifier under collections/{collectionId}
+ * @property {string} [collectionName] - Display name for the collection
+ * @property {boolean} hasManifest - Whether manifest.json exists
+ */
+
 /**
  * @typedef {Object} AppStorageConfig
  * @property {string} collectionId - Collection identifier stored in app storage
@@ -80,9 +105,17 @@
  * @property {string} sourceId - ID of the parent source
  * @property {SourceType} sourceType - Type of the parent source
  * @property {number} [size] - File size in bytes (if known)
+ * @property {string} [version] - Content version (SHA-256 or ETag) if known; keys the asset cache
+ * @property {string} [cacheUrl] - Stable public URL of the file; offline copies are kept in Cache Storage under it so the service worker can serve them
  * @property {string} [preview] - Preview image URL or data URL
  * @property {string} [previewSource] - 'remote' | 'indexeddb' | 'generated'
  * @property {Object} [metadata] - Colocated metadata (camera data, etc.)
+ * @property {number} [order] - Position in the collection (manifest v2)
+ * @property {string[]} [tags]
+ * @property {string | null} [caption]
+ * @property {string | null} [capturedAt] - ISO 8601 capture date
+ * @property {Object[]} [views] - Custom views shipped with the collection
+ * @property {string | null} [activeViewId]
  * @property {boolean} loaded - Whether asset has been loaded
  */
 
@@ -90,7 +123,12 @@
  * @typedef {Object} AssetManifest
  * @property {number} version - Manifest schema version
  * @property {string} [name] - Collection name
+ * @property {string} [description] - Collection description (v2)
+ * @property {string} [cover] - Cover image path relative to manifest (v2)
+ * @property {import('./manifestSchema.js').CollectionDefaults} [defaults] - Default animation/slideshow settings (v2)
  * @property {ManifestAsset[]} assets - List of assets
+ * @property {import('./sceneDocuments.js').SceneDocument[]} [scenes] - Saved multi-asset scene compositions
+ * @property {number} [revision] - Write counter used for conflict checks where ETags are unavailable (Supabase)
  */
 
 /**
@@ -98,8 +136,17 @@
  * @property {string} path - Asset path relative to manifest
  * @property {string} [name] - Display name (defaults to filename)
  * @property {number} [size] - File size in bytes
+ * @property {string} [sha256] - Hex SHA-256 of the file (older manifests; still read as its version)
+ * @property {string} [etag] - Server ETag, returned by the upload or hand-written
+ * @property {string} [fileVersion] - Size and modification time of the uploaded file, when no ETag was returned
  * @property {string} [preview] - Preview image path relative to manifest
  * @property {Object} [metadata] - Inline metadata or path to metadata file
+ * @property {number} [order] - Sort position; assigned on migration (v2)
+ * @property {string[]} [tags] - Free-form tags (v2)
+ * @property {string} [caption] - Caption shown with the asset (v2)
+ * @property {string} [capturedAt] - ISO 8601 capture date (v2)
+ * @property {Object[]} [views] - Custom view records, see customMetadata.js (v2)
+ * @property {string} [activeViewId] - View opened first (v2)
  */
 
 /**
@@ -115,7 +162,7 @@
  *
  * manifest.json schema:
  * {
- *   "version": 1,
+ *   "version": 2,
  *   "name": "My Collection",
  *   "assets": [
  *     {
@@ -127,11 +174,15 @@
  *     }
  *   ]
  * }
+ *
+ * v2 adds ordering, tags, captions, capture dates, per-asset views and
+ * collection settings; see manifestSchema.js. v1 manifests are migrated
+ * when read.
  */
 
 // Validation constants
-export const MANIFEST_VERSION = 1;
-export const SUPPORTED_MANIFEST_VERSIONS = [1];
+export const MANIFEST_VERSION = 2;
+export const SUPPORTED_MANIFEST_VERSIONS = [1, 2];
 
 // Storage source tier labels for UI
 export const SOURCE_TIERS = {
@@ -167,12 +218,28 @@ export const SOURCE_TIERS = {
     requirements: ['Account ID', 'Access key ID/secret', 'Bucket name'],
     icon: 'cloudflare',
   },
+  's3-bucket': {
+    tier: 2,
+    label: 'S3-compatible',
+    description: 'AWS S3, MinIO, Backblaze B2, Wasabi or any S3 endpoint.',
+    benefits: ['Self-hosted or any provider', 'Same collection layout as R2'],
+    requirements: ['Endpoint URL and region', 'Access key ID/secret', 'Bucket name with CORS enabled'],
+    icon: 'cloud',
+  },
+  webdav: {
+    tier: 2,
+    label: 'WebDAV',
+    description: 'NAS or self-hosted server (Nextcloud, Synology, Apache).',
+    benefits: ['Keep captures on your own hardware', 'No public URLs needed'],
+    requirements: ['WebDAV folder URL', 'Basic or Bearer credentials', 'CORS allowed for this site'],
+    icon: 'server',
+  },
   'public-url': {
     tier: 3,
     label: 'URL list',
     description: 'List of public asset URLs (read-only)',
-    benefits: ['No setup', 'Works with any public file URL'],
-    requirements: ['Direct HTTP/HTTPS links to .sog/.ply assets'],
+    benefits: ['No setup', 'Works with any public file URL', 'Can crawl folder index pages'],
+    requirements: ['Direct HTTP/HTTPS links to .sog/.ply/.spz/.splat assets'],
     icon: 'link',
   },
   'cloud-gpu': {
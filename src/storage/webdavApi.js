@@ -0,0 +1,90 @@
+/**
+ * WebDAV API helpers for server exploration
+ *
+ * Standalone functions to list and inspect collections
+ * before creating a full source connection.
+ */
+
+import { getSupportedExtensions } from '../formats/index.js';
+import { loadWebDavManifestCache } from './webdavSettings.js';
+import { joinWebDavUrl, webdavList } from './webdavClient.js';
+
+const toAuth = ({ authType, username, secret }) => ({ authType, username, secret });
+
+/**
+ * List all collection folders on the server under `collections/`
+ * Returns array of { id, name, assetCount, hasManifest }
+ */
+export async function listExistingWebDavCollections(settings) {
+  if (!settings?.url) {
+    return { success: false, error: 'Missing WebDAV configuration', collections: [] };
+  }
+
+  try {
+    const auth = toAuth(settings);
+    const folders = await webdavList(joinWebDavUrl(settings.url, 'collections'), { auth });
+    const supportedExtensions = getSupportedExtensions();
+    const collections = [];
+
+    for (const folder of folders) {
+      if (!folder.isCollection) continue;
+
+      const collectionId = folder.name;
+      const basePath = `collections/${collectionId}`;
+      const entries = await webdavList(joinWebDavUrl(settings.url, basePath), { auth });
+      const hasManifest = entries.some((entry) => entry.name === 'manifest.json' && !entry.isCollection);
+
+      let assetCount = 0;
+      let collectionName = collectionId;
+
+      const cachedManifest = hasManifest
+        ? loadWebDavManifestCache({ url: settings.url, collectionId })
+        : null;
+
+      if (cachedManifest) {
+        assetCount = cachedManifest.assets?.length || 0;
+        if (cachedManifest.name) collectionName = cachedManifest.name;
+      } else if (entries.some((entry) => entry.name === 'assets' && entry.isCollection)) {
+        const assetFiles = await webdavList(joinWebDavUrl(settings.url, `${basePath}/assets`), { auth });
+        assetCount = assetFiles.filter((f) => {
+          if (f.isCollection) return false;
+          const ext = f.name.toLowerCase().match(/\.[^.]+$/)?.[0] || '';
+          return supportedExtensions.includes(ext);
+        }).length;
+      }
+
+      collections.push({
+        id: collectionId,
+        name: collectionName,
+        assetCount,
+        hasManifest,
+      });
+    }
+
+    return { success: true, collections };
+  } catch (err) {
+    return { success: false, error: err.message, collections: [] };
+  }
+}
+
+/**
+ * Test server connection and credentials with current settings
+ */
+export async function testWebDavConnection(settings) {
+  if (!settings?.url) {
+    return { success: false, error: 'Missing configuration' };
+  }
+
+  try {
+    await webdavList(settings.url, { auth: toAuth(settings), allowMissing: false });
+    return { success: true };
+  } catch (err) {
+    if (err.status === 401 || err.status === 403) {
+      return { success: false, error: 'The server rejected these credentials.' };
+    }
+    if (err instanceof TypeError) {
+      return { success: false, error: 'Could not reach the server. Check the URL and that it allows this site in its CORS settings.' };
+    }
+    return { success: false, error: err.message };
+  }
+}
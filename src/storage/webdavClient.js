@@ -0,0 +1,178 @@
+/**
+ * Minimal WebDAV client (Nextcloud, Synology, Apache mod_dav, rclone serve).
+ * PROPFIND for listing, GET/PUT/DELETE for objects, MKCOL for folders.
+ */
+
+/**
+ * Normalize a user-entered server URL: adds https:// when no scheme is given
+ * and drops trailing slashes.
+ */
+export const normalizeWebDavUrl = (url) => {
+  const trimmed = String(url || '').trim().replace(/\/+$/, '');
+  if (!trimmed) return '';
+  return /^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+};
+
+/**
+ * Authorization header for Basic (username + password) or Bearer (token) auth.
+ * @param {{ authType?: 'basic' | 'bearer' | 'none', username?: string, secret?: string }} auth
+ * @returns {string | null}
+ */
+export const buildWebDavAuthHeader = ({ authType, username, secret } = {}) => {
+  if (authType === 'bearer' && secret) {
+    return `Bearer ${secret}`;
+  }
+  if (authType === 'basic' && (username || secret)) {
+    const bytes = new TextEncoder().encode(`${username || ''}:${secret || ''}`);
+    let binary = '';
+    bytes.forEach((b) => { binary += String.fromCharCode(b); });
+    return `Basic ${btoa(binary)}`;
+  }
+  return null;
+};
+
+/**
+ * Join a relative path onto the server URL, encoding each segment.
+ */
+export const joinWebDavUrl = (baseUrl, relativePath = '') => {
+  const segments = String(relativePath).split('/').filter(Boolean).map(encodeURIComponent);
+  return segments.length ? `${normalizeWebDavUrl(baseUrl)}/${segments.join('/')}` : normalizeWebDavUrl(baseUrl);
+};
+
+const httpError = (response, action) => {
+  const err = new Error(`${action} failed: ${response.status} ${response.statusText}`.trim());
+  err.status = response.status;
+  return err;
+};
+
+/**
+ * fetch() with the Authorization header attached.
+ * @param {string} url
+ * @param {{ method?: string, auth?: Object, headers?: Object, body?: BodyInit, signal?: AbortSignal }} [options]
+ * @returns {Promise<Response>}
+ */
+export const webdavFetch = (url, { method = 'GET', auth, headers = {}, body, signal } = {}) => {
+  const authorization = buildWebDavAuthHeader(auth);
+  return fetch(url, {
+    method,
+    headers: {
+      ...(authorization ? { Authorization: authorization } : {}),
+      ...headers,
+    },
+    body,
+    signal,
+  });
+};
+
+const PROPFIND_BODY = `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:">
+  <d:prop>
+    <d:resourcetype/>
+    <d:getcontentlength/>
+    <d:getlastmodified/>
+    <d:getetag/>
+  </d:prop>
+</d:propfind>`;
+
+const DAV_NS = 'DAV:';
+
+const firstText = (parent, localName) => {
+  const node = parent.getElementsByTagNameNS(DAV_NS, localName)[0];
+  return node ? node.textContent : null;
+};
+
+const decodeHrefPath = (href, baseUrl) => {
+  let pathname = href;
+  try {
+    pathname = new URL(href, baseUrl).pathname;
+  } catch {
+    // keep raw href
+  }
+  return pathname.split('/').map((segment) => {
+    try {
+      return decodeURIComponent(segment);
+    } catch {
+      return segment;
+    }
+  }).join('/');
+};
+
+/**
+ * List a collection with PROPFIND (Depth: 1). The collection itself is
+ * omitted from the result; a missing collection lists as empty unless
+ * `allowMissing` is false.
+ * @param {string} url - Collection URL
+ * @param {{ auth?: Object, allowMissing?: boolean }} [options]
+ * @returns {Promise<Array<{ name: string, isCollection: boolean, size: number | null, lastModified: string | null, etag: string | null }>>}
+ */
+export const webdavList = async (url, { auth, allowMissing = true } = {}) => {
+  const collectionUrl = `${normalizeWebDavUrl(url)}/`;
+  const response = await webdavFetch(collectionUrl, {
+    method: 'PROPFIND',
+    auth,
+    headers: { Depth: '1', 'Content-Type': 'application/xml; charset=utf-8' },
+    body: PROPFIND_BODY,
+  });
+  if (response.status === 404 && allowMissing) return [];
+  if (!response.ok) {
+    throw httpError(response, 'PROPFIND');
+  }
+
+  const xml = new DOMParser().parseFromString(await response.text(), 'application/xml');
+  const selfPath = decodeHrefPath(collectionUrl, collectionUrl).replace(/\/+$/, '');
+  const entries = [];
+
+  for (const node of Array.from(xml.getElementsByTagNameNS(DAV_NS, 'response'))) {
+    const href = firstText(node, 'href');
+    if (!href) continue;
+    const path = decodeHrefPath(href, collectionUrl).replace(/\/+$/, '');
+    if (path === selfPath) continue;
+
+    const isCollection = node.getElementsByTagNameNS(DAV_NS, 'collection').length > 0;
+    const sizeText = firstText(node, 'getcontentlength');
+    entries.push({
+      name: path.split('/').pop(),
+      isCollection,
+      size: sizeText != null && sizeText !== '' ? Number(sizeText) : null,
+      lastModified: firstText(node, 'getlastmodified'),
+      etag: firstText(node, 'getetag'),
+    });
+  }
+
+  return entries;
+};
+
+/**
+ * Create every missing folder along `relativePath` with MKCOL.
+ * 405 (already exists) is treated as success.
+ */
+export const ensureWebDavCollection = async (baseUrl, relativePath, { auth } = {}) => {
+  const segments = String(relativePath).split('/').filter(Boolean);
+  for (let i = 1; i <= segments.length; i += 1) {
+    const url = joinWebDavUrl(baseUrl, segments.slice(0, i).join('/'));
+    const response = await webdavFetch(url, { method: 'MKCOL', auth });
+    if (!response.ok && response.status !== 405) {
+      throw httpError(response, 'MKCOL');
+    }
+  }
+};
+
+export const webdavPut = async (url, body, { auth, contentType = 'application/octet-stream', headers = {} } = {}) => {
+  const response = await webdavFetch(url, {
+    method: 'PUT',
+    auth,
+    headers: { 'Content-Type': contentType, ...headers },
+    body,
+  });
+  if (!response.ok) {
+    throw httpError(response, 'PUT');
+  }
+  return response;
+};
+
+export const webdavDelete = async (url, { auth } = {}) => {
+  const response = await webdavFetch(url, { method: 'DELETE', auth });
+  if (!response.ok && response.status !== 404) {
+    throw httpError(response, 'DELETE');
+  }
+};
@@ -0,0 +1,115 @@
+import { getUnlockedSecret, getVaultSecretIds, isEncryptedCredentialPayload } from './credentialVault.js';
+import { normalizeWebDavUrl } from './webdavClient.js';
+
+const STORAGE_KEY = 'webdav-settings';
+const MANIFEST_CACHE_PREFIX = 'webdav-manifest-cache:';
+const MANIFEST_CACHE_TTL_MS = 5 * 60 * 1000;
+
+const AUTH_TYPES = ['basic', 'bearer', 'none'];
+
+const buildManifestCacheKey = ({ url, collectionId }) =>
+  `${MANIFEST_CACHE_PREFIX}${normalizeWebDavUrl(url)}::${collectionId}`;
+
+/**
+ * Whether saved settings and a source config point at the same server account.
+ */
+export const isSameWebDavServer = (settings, config) => Boolean(
+  settings && config &&
+  normalizeWebDavUrl(settings.url) === normalizeWebDavUrl(config.url) &&
+  (settings.username || '') === (config.username || '')
+);
+
+export const loadWebDavSettings = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return null;
+    const parsed = JSON.parse(raw);
+    if (!parsed.url) return null;
+
+    const hasEncryptedSecret = isEncryptedCredentialPayload(parsed.secretEncrypted);
+    const resolvedSecret = hasEncryptedSecret
+      ? (getUnlockedSecret(getVaultSecretIds().webdav) || '')
+      : String(parsed.secret || '');
+
+    return {
+      ...parsed,
+      url: normalizeWebDavUrl(parsed.url),
+      authType: AUTH_TYPES.includes(parsed.authType) ? parsed.authType : 'basic',
+      username: parsed.username || '',
+      secret: resolvedSecret,
+      requiresPassword: Boolean(hasEncryptedSecret && !resolvedSecret),
+      isEncrypted: hasEncryptedSecret,
+    };
+  } catch {
+    return null;
+  }
+};
+
+export const saveWebDavSettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const clearWebDavSettings = () => {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // ignore
+  }
+};
+
+export const loadWebDavManifestCache = (params, { maxAgeMs = MANIFEST_CACHE_TTL_MS } = {}) => {
+  try {
+    if (!params?.url || !params?.collectionId) return null;
+    const raw = localStorage.getItem(buildManifestCacheKey(params));
+    if (!raw) return null;
+    const parsed = JSON.parse(raw);
+    if (!parsed?.manifest || !parsed?.updatedAt) return null;
+    if (typeof maxAgeMs === 'number' && maxAgeMs >= 0) {
+      if (Date.now() - parsed.updatedAt > maxAgeMs) return null;
+    }
+    return parsed.manifest;
+  } catch {
+    return null;
+  }
+};
+
+export const saveWebDavManifestCache = (params, manifest) => {
+  try {
+    if (!params?.url || !params?.collectionId) return false;
+    if (!manifest) return false;
+    const payload = JSON.stringify({
+      updatedAt: Date.now(),
+      manifest,
+    });
+    localStorage.setItem(buildManifestCacheKey(params), payload);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const clearWebDavManifestCache = (params) => {
+  try {
+    if (params?.url && params?.collectionId) {
+      localStorage.removeItem(buildManifestCacheKey(params));
+      return;
+    }
+
+    const keysToRemove = [];
+    for (let i = 0; i < localStorage.length; i += 1) {
+      const key = localStorage.key(i);
+      if (key && key.startsWith(MANIFEST_CACHE_PREFIX)) {
+        keysToRemove.push(key);
+      }
+    }
+
+    keysToRemove.forEach((key) => localStorage.removeItem(key));
+  } catch {
+    // ignore
+  }
+};
@@ -153,9 +153,52 @@ const normalizeUiPrefs = (raw) => {
   return prefs;
 };
 
-const persistUiPrefs = (state) => {
+/**
+ * Animation and slideshow state from the saved UI prefs, with a collection's
+ * manifest defaults (see storage/manifestSchema.js) layered on top.
+ */
+const resolveAnimationState = (collectionDefaults = null) => {
+  const saved = normalizeUiPrefs(getPersistedJson(UI_PREFERENCES_KEY, null)).animation || {};
+  const anim = { ...DEFAULT_UI_PREFS.animation, ...saved, ...(collectionDefaults?.animation || {}) };
+  const slideshow = collectionDefaults?.slideshow || {};
+  return {
+    animationIntensity: anim.intensity,
+    animationDirection: anim.direction,
+    slideMode: anim.slideMode,
+    transitionSpeed: anim.transitionSpeed,
+    continuousMotionSize: anim.continuousMotionSize,
+    continuousMotionDuration: anim.continuousMotionDuration,
+    continuousDollyZoom: anim.continuousDollyZoom,
+    slideshowContinuousMode: slideshow.continuous ?? anim.slideshowContinuousMode,
+    slideshowDuration: slideshow.duration ?? anim.slideshowDuration,
+    customAnimation: {
+      ...DEFAULT_UI_PREFS.animation.custom,
+      ...(saved.custom || {}),
+      ...(collectionDefaults?.animation?.custom || {}),
+    },
+  };
+};
+
+/**
+ * Save changed UI prefs. `changes` is merged into the saved prefs rather than
+ * the live store state, so collection defaults applied on top of them (see
+ * applyCollectionDefaults) never end up in the user's own preferences.
+ */
+const persistUiPrefs = (changes) => {
   if (typeof window === 'undefined' || !window.localStorage) return;
 
+  const saved = normalizeUiPrefs(getPersistedJson(UI_PREFERENCES_KEY, null));
+  const savedState = {
+    bgBlur: saved.bgBlur ?? DEFAULT_UI_PREFS.bgBlur,
+    disableTransparentUi: saved.disableTransparentUi ?? DEFAULT_UI_PREFS.disableTransparentUi,
+    ...resolveAnimationState(),
+  };
+  const state = {
+    ...savedState,
+    ...changes,
+    customAnimation: { ...savedState.customAnimation, ...(changes.customAnimation || {}) },
+  };
+
   const prefs = {};
   const anim = {};
 
@@ -274,6 +317,8 @@ const MAX_LOG_ENTRIES = 14;
 /** Default file info values */
 const DEFAULT_FILE_INFO = {
   name: '-',
+  // Key per-file settings and previews are stored under (see storage/assetKeys.js)
+  storageKey: null,
   size: '-',
   splatCount: '-',
   loadTime: '-',
@@ -344,6 +389,7 @@ export const useStore = create(
   customMetadataControlsVisible: false,
   customModelScale: 1,
   customAspectRatio: 'full',
+  customCoordinateConvention: { convention: 'opencv' },
   // Show FPS counter overlay
   showFps: false,
 
@@ -358,6 +404,9 @@ export const useStore = create(
   isUploading: false,
   uploadProgress: null,
 
+  // Byte progress of a large PLY streaming in; shown while no upload is running
+  streamProgress: null,
+
   // Assets
   assets: [],
   currentAssetIndex: -1,
@@ -375,6 +424,9 @@ export const useStore = create(
   suppressSizeTransition: false,
   logExpanded: false,
   animSettingsExpanded: false,
+  filterSettingsExpanded: false,
+  cropSettingsExpanded: false,
+  sceneSettingsExpanded: false,
   cameraSettingsExpanded: true,
   galleryExpanded: true,
   controlsModalOpen: false,
@@ -464,49 +516,49 @@ export const useStore = create(
   /** Sets animation intensity preset */
   setAnimationIntensity: (intensity) => {
     set({ animationIntensity: intensity });
-    persistUiPrefs({ ...get(), animationIntensity: intensity });
+    persistUiPrefs({ animationIntensity: intensity });
   },
   
   /** Sets animation sweep direction */
   setAnimationDirection: (direction) => {
     set({ animationDirection: direction });
-    persistUiPrefs({ ...get(), animationDirection: direction });
+    persistUiPrefs({ animationDirection: direction });
   },
   
   /** Sets slide transition mode */
   setSlideMode: (mode) => {
     set({ slideMode: mode });
-    persistUiPrefs({ ...get(), slideMode: mode });
+    persistUiPrefs({ slideMode: mode });
   },
 
   /** Sets transition speed preset (snappy / default / vibe) */
   setTransitionSpeed: (speed) => {
     set({ transitionSpeed: speed });
-    persistUiPrefs({ ...get(), transitionSpeed: speed });
+    persistUiPrefs({ transitionSpeed: speed });
   },
 
   /** Sets continuous motion size preset */
   setContinuousMotionSize: (size) => {
     set({ continuousMotionSize: size });
-    persistUiPrefs({ ...get(), continuousMotionSize: size });
+    persistUiPrefs({ continuousMotionSize: size });
   },
 
   /** Sets continuous motion duration in seconds */
   setContinuousMotionDuration: (duration) => {
     set({ continuousMotionDuration: duration });
-    persistUiPrefs({ ...get(), continuousMotionDuration: duration });
+    persistUiPrefs({ continuousMotionDuration: duration });
   },
 
   /** Sets continuous mode for slideshow */
   setSlideshowContinuousMode: (enabled) => {
     set({ slideshowContinuousMode: enabled });
-    persistUiPrefs({ ...get(), slideshowContinuousMode: enabled });
+    persistUiPrefs({ slideshowContinuousMode: enabled });
   },
 
   /** Enables/disables continuous dolly-zoom (zoom + continuous) */
   setContinuousDollyZoom: (enabled) => {
     set({ continuousDollyZoom: enabled });
-    persistUiPrefs({ ...get(), continuousDollyZoom: enabled });
+    persistUiPrefs({ continuousDollyZoom: enabled });
   },
   
   /** Enables/disables slideshow mode */
@@ -521,7 +573,7 @@ export const useStore = create(
   /** Sets slideshow hold duration in seconds */
   setSlideshowDuration: (duration) => {
     set({ slideshowDuration: duration });
-    persistUiPrefs({ ...get(), slideshowDuration: duration });
+    persistUiPrefs({ slideshowDuration: duration });
   },
 
   /** Sets global upload state for viewer overlay */
@@ -529,6 +581,9 @@ export const useStore = create(
     isUploading: Boolean(isUploading),
     uploadProgress: uploadProgress || null,
   }),
+
+  /** Sets streaming progress for the viewer overlay, or null to hide it */
+  setStreamProgress: (streamProgress) => set({ streamProgress: streamProgress || null }),
   
   /** Sets slideshow playing state */
   setSlideshowPlaying: (playing) => set({ slideshowPlaying: playing }),
@@ -541,10 +596,18 @@ export const useStore = create(
   
   /** Updates custom animation settings (merges with existing) */
   setCustomAnimation: (settings) => set((state) => {
-    const nextCustomAnimation = { ...state.customAnimation, ...settings };
-    const nextState = { ...state, customAnimation: nextCustomAnimation };
-    persistUiPrefs(nextState);
-    return { customAnimation: nextCustomAnimation };
+    persistUiPrefs({ customAnimation: settings });
+    return { customAnimation: { ...state.customAnimation, ...settings } };
+  }),
+
+  /**
+   * Applies a collection's default animation/slideshow settings on top of the
+   * saved preferences without persisting them. Null restores the saved
+   * preferences.
+   */
+  applyCollectionDefaults: (defaults) => set((state) => {
+    const next = resolveAnimationState(defaults);
+    return { ...next, customAnimation: { ...state.customAnimation, ...next.customAnimation } };
   }),
 
   /** Updates per-file custom animation settings (merges with existing) */
@@ -572,6 +635,7 @@ export const useStore = create(
   setCustomMetadataControlsVisible: (customMetadataControlsVisible) => set({ customMetadataControlsVisible }),
   setCustomModelScale: (customModelScale) => set({ customModelScale }),
   setCustomAspectRatio: (customAspectRatio) => set({ customAspectRatio }),
+  setCustomCoordinateConvention: (customCoordinateConvention) => set({ customCoordinateConvention }),
   
   /** Updates file info (merges with existing) */
   setFileInfo: (info) => set((state) => ({ 
@@ -647,6 +711,21 @@ export const useStore = create(
     animSettingsExpanded: !state.animSettingsExpanded 
   })),
   
+  /** Toggles splat filter settings expanded */
+  toggleFilterSettingsExpanded: () => set((state) => ({ 
+    filterSettingsExpanded: !state.filterSettingsExpanded 
+  })),
+  
+  /** Toggles crop settings expanded */
+  toggleCropSettingsExpanded: () => set((state) => ({ 
+    cropSettingsExpanded: !state.cropSettingsExpanded 
+  })),
+  
+  /** Toggles scene composition settings expanded */
+  toggleSceneSettingsExpanded: () => set((state) => ({ 
+    sceneSettingsExpanded: !state.sceneSettingsExpanded 
+  })),
+  
   /** Toggles camera settings expanded */
   toggleCameraSettingsExpanded: () => set((state) => ({ 
     cameraSettingsExpanded: !state.cameraSettingsExpanded 
@@ -684,13 +763,13 @@ export const useStore = create(
   /** Sets blur amount for background container */
   setBgBlur: (bgBlur) => {
     set({ bgBlur });
-    persistUiPrefs({ ...get(), bgBlur });
+    persistUiPrefs({ bgBlur });
   },
 
   /** Enables/disables transparent UI for modals */
   setDisableTransparentUi: (disableTransparentUi) => {
     set({ disableTransparentUi: Boolean(disableTransparentUi) });
-    persistUiPrefs({ ...get(), disableTransparentUi: Boolean(disableTransparentUi) });
+    persistUiPrefs({ disableTransparentUi: Boolean(disableTransparentUi) });
   },
 
   /** Enables/disables stochastic rendering in Spark */
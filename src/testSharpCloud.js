@@ -841,7 +841,7 @@ const fetchAndHandleResults = async ({
   };
 };
 
-const isRemoteStorageTarget = (storageTarget) => ['r2', 'supabase'].includes((storageTarget || '').toLowerCase());
+const isRemoteStorageTarget = (storageTarget) => ['r2', 's3', 'supabase'].includes((storageTarget || '').toLowerCase());
 
 const generateJobId = () => {
   const cryptoObj = typeof globalThis !== 'undefined' ? globalThis.crypto : null;
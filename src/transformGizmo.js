@@ -0,0 +1,90 @@
+/**
+ * Transform gizmo
+ * One shared three.js TransformControls instance for on-canvas
+ * translate/rotate/scale editing. Attaching to a new object replaces the
+ * previous target. Scaling is kept uniform so splats stay undistorted.
+ */
+
+import { TransformControls } from "three/examples/jsm/controls/TransformControls.js";
+import { scene, camera, renderer, controls, requestRender } from "./viewer.js";
+
+export const GIZMO_MODES = ["translate", "rotate", "scale"];
+
+let gizmo = null;
+let target = null; // { object, onChange, scale }
+
+const keepUniformScale = (object, previous) => {
+  // Follow whichever axis handle moved
+  const axes = [object.scale.x, object.scale.y, object.scale.z];
+  const scale = axes.reduce((best, value) => (
+    Math.abs(value - previous) > Math.abs(best - previous) ? value : best
+  ), previous);
+  object.scale.setScalar(Math.max(1e-3, scale));
+};
+
+const ensureGizmo = () => {
+  if (gizmo || !camera || !renderer) return gizmo;
+  gizmo = new TransformControls(camera, renderer.domElement);
+  gizmo.addEventListener("dragging-changed", (event) => {
+    if (controls) controls.enabled = !event.value;
+  });
+  gizmo.addEventListener("change", requestRender);
+  gizmo.addEventListener("objectChange", () => {
+    if (!target) return;
+    keepUniformScale(target.object, target.scale);
+    target.scale = target.object.scale.x;
+    target.object.updateMatrixWorld(true);
+    try {
+      target.onChange?.(target.object);
+    } catch (err) {
+      console.warn("[TransformGizmo] Change handler failed", err);
+    }
+  });
+  scene.add(gizmo.getHelper());
+  return gizmo;
+};
+
+/**
+ * Attach the gizmo to an object.
+ * @param {THREE.Object3D} object
+ * @param {{ mode?: string, onChange?: (object: THREE.Object3D) => void }} [options]
+ * @returns {boolean} Whether the gizmo could be created
+ */
+export const attachTransformGizmo = (object, { mode = GIZMO_MODES[0], onChange } = {}) => {
+  if (!object) {
+    detachTransformGizmo();
+    return false;
+  }
+  const instance = ensureGizmo();
+  if (!instance) return false;
+  target = { object, onChange, scale: object.scale.x };
+  instance.setMode(GIZMO_MODES.includes(mode) ? mode : GIZMO_MODES[0]);
+  instance.attach(object);
+  requestRender();
+  return true;
+};
+
+export const setTransformGizmoMode = (mode) => {
+  if (!gizmo || !GIZMO_MODES.includes(mode)) return;
+  gizmo.setMode(mode);
+  requestRender();
+};
+
+export const getTransformGizmoTarget = () => target?.object ?? null;
+
+/**
+ * Detach and dispose the gizmo. When `object` is given, only detaches if it
+ * is the current target, so callers cannot drop each other's gizmo.
+ * @param {THREE.Object3D} [object]
+ */
+export const detachTransformGizmo = (object) => {
+  if (object && target?.object !== object) return;
+  target = null;
+  if (!gizmo) return;
+  gizmo.detach();
+  gizmo.getHelper().removeFromParent();
+  gizmo.dispose();
+  gizmo = null;
+  if (controls) controls.enabled = true;
+  requestRender();
+};
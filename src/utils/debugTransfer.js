@@ -24,6 +24,18 @@ import {
   clearR2Settings,
   clearR2ManifestCache,
 } from '../storage/r2Settings.js';
+import {
+  loadS3Settings,
+  saveS3Settings,
+  clearS3Settings,
+  clearS3ManifestCache,
+} from '../storage/s3Settings.js';
+import {
+  loadWebDavSettings,
+  saveWebDavSettings,
+  clearWebDavSettings,
+  clearWebDavManifestCache,
+} from '../storage/webdavSettings.js';
 import {
   loadCloudGpuSettings,
   saveCloudGpuSettings,
@@ -48,6 +60,16 @@ const DEBUG_SPARK_STDDEV_KEY = 'debugSparkMaxStdDev';
 const DEBUG_FPS_LIMIT_KEY = 'debugFpsLimitEnabled';
 const UI_PREFERENCES_KEY = 'ui-preferences';
 
+// Connection settings that travel with each remote source type
+const CONNECTION_SETTINGS_BY_TYPE = {
+  'supabase-storage': { dataKey: 'supabaseSettings', load: loadSupabaseSettings },
+  'r2-bucket': { dataKey: 'r2Settings', load: loadR2Settings },
+  's3-bucket': { dataKey: 's3Settings', load: loadS3Settings },
+  webdav: { dataKey: 'webdavSettings', load: loadWebDavSettings },
+};
+
+const TRANSFERABLE_SOURCE_TYPES = new Set(['public-url', ...Object.keys(CONNECTION_SETTINGS_BY_TYPE)]);
+
 export const createOptionSelectionState = (options = [], defaultValue = false) => {
   return options.reduce((acc, option) => {
     acc[option.key] = defaultValue;
@@ -74,6 +96,18 @@ export const CLEAR_DATA_OPTIONS = [
     subtitle: 'Saved Cloudflare R2 source entries',
     scope: 'indexeddb',
   },
+  {
+    key: 'clearS3Collections',
+    title: 'S3 collections',
+    subtitle: 'Saved S3-compatible source entries',
+    scope: 'indexeddb',
+  },
+  {
+    key: 'clearWebDavCollections',
+    title: 'WebDAV collections',
+    subtitle: 'Saved WebDAV source entries',
+    scope: 'indexeddb',
+  },
   {
     key: 'clearLocalFolderCollections',
     title: 'Local folder collections',
@@ -104,6 +138,18 @@ export const CLEAR_DATA_OPTIONS = [
     subtitle: 'Saved R2 settings and manifest cache',
     scope: 'localstorage',
   },
+  {
+    key: 'clearS3Settings',
+    title: 'S3 settings',
+    subtitle: 'Saved S3 settings and manifest cache',
+    scope: 'localstorage',
+  },
+  {
+    key: 'clearWebDavSettings',
+    title: 'WebDAV settings',
+    subtitle: 'Saved WebDAV settings and manifest cache',
+    scope: 'localstorage',
+  },
   {
     key: 'clearViewerPrefs',
     title: 'Viewer/UI preferences',
@@ -189,6 +235,10 @@ const buildZipFileMap = async ({
   includeSupabaseSettings,
   includeR2Collections,
   includeR2Settings,
+  includeS3Collections,
+  includeS3Settings,
+  includeWebDavCollections,
+  includeWebDavSettings,
   includeCloudGpuSettings,
   includeFileSettings,
   includeFilePreviews,
@@ -208,6 +258,8 @@ const buildZipFileMap = async ({
     sources: [],
     supabaseSettings: null,
     r2Settings: null,
+    s3Settings: null,
+    webdavSettings: null,
     cloudGpuSettings: null,
     fileSettings: [],
     previews: [],
@@ -219,12 +271,20 @@ const buildZipFileMap = async ({
     if (!data.sources.length) {
       notes.push('Current collection source entry was not found in saved sources.');
     }
-  } else if (includeUrlCollections || includeSupabaseCollections || includeR2Collections) {
+  } else if (
+    includeUrlCollections ||
+    includeSupabaseCollections ||
+    includeR2Collections ||
+    includeS3Collections ||
+    includeWebDavCollections
+  ) {
     const allSources = await loadAllSources();
     data.sources = allSources.filter((config) => {
       if (config.type === 'public-url') return includeUrlCollections;
       if (config.type === 'supabase-storage') return includeSupabaseCollections;
       if (config.type === 'r2-bucket') return includeR2Collections;
+      if (config.type === 's3-bucket') return includeS3Collections;
+      if (config.type === 'webdav') return includeWebDavCollections;
       return false;
     });
     const skippedLocal = allSources.some((config) => config.type === 'local-folder');
@@ -235,14 +295,11 @@ const buildZipFileMap = async ({
 
   if (isCurrentCollectionScope) {
     if (includeConnectionData) {
-      if (scopedSourceType === 'supabase-storage') {
-        data.supabaseSettings = loadSupabaseSettings();
-      }
-      if (scopedSourceType === 'r2-bucket') {
-        data.r2Settings = loadR2Settings();
-      }
-      if (scopedSourceType !== 'supabase-storage' && scopedSourceType !== 'r2-bucket') {
-        notes.push('Connection data export is only available for Supabase and R2 collections.');
+      const connectionSettings = CONNECTION_SETTINGS_BY_TYPE[scopedSourceType];
+      if (connectionSettings) {
+        data[connectionSettings.dataKey] = connectionSettings.load();
+      } else {
+        notes.push('Connection data export is only available for Supabase, R2, S3 and WebDAV collections.');
       }
     }
   } else {
@@ -254,6 +311,14 @@ const buildZipFileMap = async ({
       data.r2Settings = loadR2Settings();
     }
 
+    if (includeS3Settings) {
+      data.s3Settings = loadS3Settings();
+    }
+
+    if (includeWebDavSettings) {
+      data.webdavSettings = loadWebDavSettings();
+    }
+
     if (includeCloudGpuSettings) {
       data.cloudGpuSettings = loadCloudGpuSettings();
     }
@@ -315,6 +380,10 @@ const buildZipFileMap = async ({
       includeSupabaseSettings,
       includeR2Collections,
       includeR2Settings,
+      includeS3Collections,
+      includeS3Settings,
+      includeWebDavCollections,
+      includeWebDavSettings,
       includeCloudGpuSettings,
       includeFileSettings,
       includeFilePreviews,
@@ -402,6 +471,14 @@ export const clearSelectedLocalData = async (options = {}) => {
     summary.sourcesCleared += await clearSourcesByType('r2-bucket');
   }
 
+  if (options.clearS3Collections) {
+    summary.sourcesCleared += await clearSourcesByType('s3-bucket');
+  }
+
+  if (options.clearWebDavCollections) {
+    summary.sourcesCleared += await clearSourcesByType('webdav');
+  }
+
   if (options.clearLocalFolderCollections) {
     summary.sourcesCleared += await clearSourcesByType('local-folder');
   }
@@ -429,6 +506,20 @@ export const clearSelectedLocalData = async (options = {}) => {
     clearR2ManifestCache();
   }
 
+  if (options.clearS3Settings) {
+    summary.localStorageEntriesCleared += clearLocalStorageKey('s3-settings');
+    summary.localStorageEntriesCleared += countLocalStorageKeysByPrefix('s3-manifest-cache:');
+    clearS3Settings();
+    clearS3ManifestCache();
+  }
+
+  if (options.clearWebDavSettings) {
+    summary.localStorageEntriesCleared += clearLocalStorageKey('webdav-settings');
+    summary.localStorageEntriesCleared += countLocalStorageKeysByPrefix('webdav-manifest-cache:');
+    clearWebDavSettings();
+    clearWebDavManifestCache();
+  }
+
   if (options.clearCloudGpuSettings || options.clearR2Settings) {
     summary.localStorageEntriesCleared += clearLocalStorageKey('credential-vault-meta');
   }
@@ -534,6 +625,8 @@ export const importTransferBundleFromBuffer = async (arrayBuffer) => {
     previewsImported: 0,
     supabaseSettingsImported: Boolean(data.supabaseSettings),
     r2SettingsImported: Boolean(data.r2Settings),
+    s3SettingsImported: Boolean(data.s3Settings),
+    webdavSettingsImported: Boolean(data.webdavSettings),
     cloudGpuSettingsImported: Boolean(data.cloudGpuSettings),
     warnings: [],
   };
@@ -546,6 +639,14 @@ export const importTransferBundleFromBuffer = async (arrayBuffer) => {
     saveR2Settings(data.r2Settings);
   }
 
+  if (data.s3Settings) {
+    saveS3Settings(data.s3Settings);
+  }
+
+  if (data.webdavSettings) {
+    saveWebDavSettings(data.webdavSettings);
+  }
+
   if (data.cloudGpuSettings) {
     saveCloudGpuSettings(data.cloudGpuSettings);
   }
@@ -553,7 +654,7 @@ export const importTransferBundleFromBuffer = async (arrayBuffer) => {
   if (Array.isArray(data.sources)) {
     for (const config of data.sources) {
       if (!config?.type) continue;
-      if (config.type !== 'public-url' && config.type !== 'supabase-storage' && config.type !== 'r2-bucket') {
+      if (!TRANSFERABLE_SOURCE_TYPES.has(config.type)) {
         summary.warnings.push(`Skipped unsupported source type: ${config.type}`);
         continue;
       }
@@ -617,6 +718,8 @@ export const importTransferManifest = async (manifest) => {
     previewsImported: 0,
     supabaseSettingsImported: Boolean(data.supabaseSettings),
     r2SettingsImported: Boolean(data.r2Settings),
+    s3SettingsImported: Boolean(data.s3Settings),
+    webdavSettingsImported: Boolean(data.webdavSettings),
     cloudGpuSettingsImported: Boolean(data.cloudGpuSettings),
     warnings: [],
   };
@@ -629,6 +732,14 @@ export const importTransferManifest = async (manifest) => {
     saveR2Settings(data.r2Settings);
   }
 
+  if (data.s3Settings) {
+    saveS3Settings(data.s3Settings);
+  }
+
+  if (data.webdavSettings) {
+    saveWebDavSettings(data.webdavSettings);
+  }
+
   if (data.cloudGpuSettings) {
     saveCloudGpuSettings(data.cloudGpuSettings);
   }
@@ -636,7 +747,7 @@ export const importTransferManifest = async (manifest) => {
   if (Array.isArray(data.sources)) {
     for (const config of data.sources) {
       if (!config?.type) continue;
-      if (config.type !== 'public-url' && config.type !== 'supabase-storage' && config.type !== 'r2-bucket') {
+      if (!TRANSFERABLE_SOURCE_TYPES.has(config.type)) {
         summary.warnings.push(`Skipped unsupported source type: ${config.type}`);
         continue;
       }
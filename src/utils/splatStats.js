@@ -0,0 +1,42 @@
+/**
+ * Splat statistics helpers.
+ * Nearest-rank quantiles and robust center bounds shared by the filter, crop
+ * and health tools.
+ */
+
+/**
+ * Nearest-rank quantile of an ascending array; NaN when empty.
+ */
+export const quantileSorted = (sorted, q) => {
+  if (!sorted.length) return NaN;
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.round(q * (sorted.length - 1))));
+  return sorted[index];
+};
+
+/**
+ * Per-axis robust bounds (`quantile` to `1 - quantile`) of splat centers from
+ * a strided sample of at most ~maxSamples splats. Non-finite centers are skipped.
+ * @param {Object} packedSplats - Spark PackedSplats
+ * @param {number} maxSamples
+ * @param {number} [quantile=0.01]
+ * @returns {{ min: number[], max: number[] } | null}
+ */
+export const sampleCenterBounds = (packedSplats, maxSamples, quantile = 0.01) => {
+  const numSplats = packedSplats?.numSplats ?? 0;
+  if (!numSplats) return null;
+  const step = Math.max(1, Math.floor(numSplats / maxSamples));
+  const axes = [[], [], []];
+  for (let i = 0; i < numSplats; i += step) {
+    const { center } = packedSplats.getSplat(i);
+    if (!Number.isFinite(center.x) || !Number.isFinite(center.y) || !Number.isFinite(center.z)) continue;
+    axes[0].push(center.x);
+    axes[1].push(center.y);
+    axes[2].push(center.z);
+  }
+  if (!axes[0].length) return null;
+  axes.forEach((values) => values.sort((a, b) => a - b));
+  return {
+    min: axes.map((values) => quantileSorted(values, quantile)),
+    max: axes.map((values) => quantileSorted(values, 1 - quantile)),
+  };
+};
@@ -0,0 +1,129 @@
+/**
+ * Embed saved custom views into exported splat files.
+ *
+ * Custom views live in IndexedDB keyed by file name, so they are lost when a
+ * file moves to another device. On export the views are written under the
+ * neutral `radia_views` marker (see embeddedViews.js), which the loader reads
+ * back into local views:
+ *   PLY → a `radia_views` header comment
+ *   SOG → meta.json `radia_views`
+ * Files that already carry an ML-Sharp camera (intrinsic / extrinsic /
+ * image_size) also get that camera moved to the active view. Other files get
+ * no camera block, since one would make them load as ML-Sharp scenes and
+ * skip their coordinate convention.
+ */
+
+import { THREE, camera } from "./viewer.js";
+import { makeAxisFlipCvToGl } from "./cameraUtils.js";
+import { loadCustomMetadataForAsset, buildModelMatrix } from "./customMetadata.js";
+import { readPlySharpMetadata, writePlyCamera } from "./plyCamera.js";
+import { updateSogMetadata } from "./formats/sogWriter.js";
+import { sogFormat } from "./formats/sog.js";
+import {
+  EMBEDDED_VIEWS_KEY,
+  formatEmbeddedViewsComment,
+  isEmbeddedViewsComment,
+  toEmbeddedViewList,
+} from "./embeddedViews.js";
+
+const EXPORT_IMAGE_HEIGHT = 1080;
+const DEFAULT_ASPECT_RATIO = 16 / 9;
+
+const getExtension = (fileName) => {
+  const match = /\.([^./\\]+)$/.exec(fileName || "");
+  return match ? match[1].toLowerCase() : "";
+};
+
+const toRowMajor = (matrix) => matrix.clone().transpose().toArray();
+
+/**
+ * Convert a saved custom view into raw ML-Sharp camera elements.
+ *
+ * The viewer places ML-Sharp meshes at `cvToGl` and derives the camera from
+ * `cvToGl · extrinsic · cvToGl`, so the view is first expressed in the splat's
+ * own frame (dropping model scale, which only scales the scene uniformly) and
+ * then flipped from a three.js camera (-Z forward, +Y up) to OpenCV axes.
+ *
+ * @param {Object} view - normalized custom view record ({ cameraPose, view, model })
+ * @param {{ aspectRatio?: number }} [options] - fallback when the view has no fixed aspect
+ * @returns {{ intrinsic: number[], extrinsic: number[], image_size: number[] } | null}
+ */
+export const buildSharpMetadataFromView = (view, { aspectRatio } = {}) => {
+  const pose = view?.cameraPose;
+  if (!pose?.position || !pose?.target) return null;
+
+  const eye = new THREE.Vector3().fromArray(pose.position);
+  const target = new THREE.Vector3().fromArray(pose.target);
+  const up = new THREE.Vector3().fromArray(pose.up ?? [0, 1, 0]);
+  const cameraWorld = new THREE.Matrix4().lookAt(eye, target, up).setPosition(eye);
+
+  const cameraLocal = buildModelMatrix(view?.model).invert().multiply(cameraWorld);
+  const position = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+  cameraLocal.decompose(position, quaternion, new THREE.Vector3());
+  const rigidCameraLocal = new THREE.Matrix4().compose(position, quaternion, new THREE.Vector3(1, 1, 1));
+
+  const extrinsic = makeAxisFlipCvToGl().multiply(rigidCameraLocal.invert());
+
+  const aspect = view?.view?.aspectRatio || aspectRatio || DEFAULT_ASPECT_RATIO;
+  const height = EXPORT_IMAGE_HEIGHT;
+  const width = Math.max(1, Math.round(height * aspect));
+  const fovRadians = THREE.MathUtils.degToRad(pose.fov || 50);
+  const focal = ((height / 2) / Math.tan(fovRadians / 2)) * (pose.zoom || 1);
+
+  return {
+    intrinsic: [focal, 0, width / 2, 0, focal, height / 2, 0, 0, 1],
+    extrinsic: toRowMajor(extrinsic),
+    image_size: [width, height],
+  };
+};
+
+/**
+ * Whether embedCustomViewsInFile can write views into this file type.
+ * @param {string} fileName
+ */
+export const canEmbedCustomViews = (fileName) => ["ply", "sog"].includes(getExtension(fileName));
+
+/**
+ * Return a copy of `file` with the asset's custom views embedded, or null
+ * when the asset has no saved views or the format is not supported.
+ *
+ * @param {File} file
+ * @param {Object} options
+ * @param {string} options.assetName - key the custom views are stored under
+ * @returns {Promise<File | null>}
+ */
+export const embedCustomViewsInFile = async (file, { assetName }) => {
+  if (!file || !canEmbedCustomViews(file.name)) return null;
+
+  const metadata = await loadCustomMetadataForAsset(assetName);
+  const views = metadata?.views ?? [];
+  if (!views.length) return null;
+
+  const activeView = views.find((view) => view.id === metadata.activeViewId) || views[0];
+  const viewList = toEmbeddedViewList(views, activeView.id);
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  let output;
+
+  if (getExtension(file.name) === "ply") {
+    const isSharp = Boolean(await readPlySharpMetadata(bytes));
+    const sharpMetadata = isSharp ? buildSharpMetadataFromView(activeView, { aspectRatio: camera?.aspect }) : null;
+    // Fall back to the active view alone when the full list does not fit in the header
+    const comment = formatEmbeddedViewsComment(viewList)
+      ?? formatEmbeddedViewsComment(toEmbeddedViewList([activeView], activeView.id));
+    if (!comment && !sharpMetadata) return null;
+    output = await writePlyCamera(bytes, sharpMetadata ?? {}, {
+      dropComment: isEmbeddedViewsComment,
+      addComments: comment ? [comment] : [],
+    });
+  } else {
+    const isSharp = Boolean(await sogFormat.loadMetadata({ bytes }));
+    const sharpMetadata = isSharp ? buildSharpMetadataFromView(activeView, { aspectRatio: camera?.aspect }) : null;
+    output = updateSogMetadata(bytes, {
+      ...(sharpMetadata ? { sharp_metadata: sharpMetadata } : {}),
+      [EMBEDDED_VIEWS_KEY]: viewList,
+    });
+  }
+
+  return new File([output], file.name, { type: file.type || "application/octet-stream" });
+};